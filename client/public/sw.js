@@ -0,0 +1,55 @@
+// Service worker for Web Push alerts (registered from src/services/push.js).
+// Shows close-approach alerts while the Astral tab is closed.
+
+self.addEventListener("install", () => {
+  self.skipWaiting();
+});
+
+self.addEventListener("activate", (event) => {
+  event.waitUntil(self.clients.claim());
+});
+
+self.addEventListener("push", (event) => {
+  let data = {};
+  try {
+    data = event.data ? event.data.json() : {};
+  } catch {
+    data = { body: event.data?.text() };
+  }
+
+  const title = data.title || "Astral alert";
+  event.waitUntil(
+    self.registration.showNotification(title, {
+      body: data.body || "",
+      tag: data.tag,
+      icon: "/vite.svg",
+      badge: "/vite.svg",
+      requireInteraction: data.severity === "danger",
+      data: { url: data.url || "/alerts", alertId: data.alertId },
+    }),
+  );
+});
+
+self.addEventListener("notificationclick", (event) => {
+  event.notification.close();
+  const url = new URL(
+    event.notification.data?.url || "/alerts",
+    self.location.origin,
+  ).href;
+
+  event.waitUntil(
+    self.clients
+      .matchAll({ type: "window", includeUncontrolled: true })
+      .then((windows) => {
+        // Reuse an open Astral tab when there is one
+        const existing = windows.find((client) =>
+          client.url.startsWith(self.location.origin),
+        );
+        if (existing) {
+          existing.navigate(url);
+          return existing.focus();
+        }
+        return self.clients.openWindow(url);
+      }),
+  );
+});
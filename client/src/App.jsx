@@ -6,6 +6,10 @@ import Footer from "./components/Layout/Footer";
 import Dashboard from "./pages/Dashboard";
 import Login from "./pages/Login";
 import Register from "./pages/Register";
+import ForgotPassword from "./pages/ForgotPassword";
+import ResetPassword from "./pages/ResetPassword";
+import VerifyEmail from "./pages/VerifyEmail";
+import OidcCallback from "./pages/OidcCallback";
 import AsteroidDetail from "./pages/AsteroidDetail";
 import AsteroidList from "./pages/AsteroidList";
 import Watchlist from "./pages/Watchlist";
@@ -14,6 +18,7 @@ import Profile from "./pages/Profile";
 import Settings from "./pages/Settings";
 import Visualization from "./pages/Visualization";
 import ImpactVisualizer from "./pages/ImpactVisualizer";
+import AdminUsers from "./pages/AdminUsers";
 import NotFound from "./pages/NotFound";
 import LoadingScreen from "./components/Common/LoadingScreen";
 import ErrorBoundary from "./components/Common/ErrorBoundary";
@@ -22,6 +27,7 @@ import { ToastContainer } from "./components/Common/Toast";
 import ChatSidebar from "./components/Chat/ChatSidebar";
 import useAuthStore from "./stores/authStore";
 import useAlertStore from "./stores/alertStore";
+import useAsteroidStore from "./stores/asteroidStore";
 import socketService from "./services/socket";
 
 function App() {
@@ -79,7 +85,11 @@ function App() {
   useEffect(() => {
     // Join user room for personal notifications
     if (isAuthenticated && user?._id) {
-      socketService.joinUserRoom(user._id);
+      socketService.joinUserRoom();
+      // Watched asteroids' rooms say when their data changed
+      user.watched_asteroid_ids?.forEach((asteroidId) =>
+        socketService.watchAsteroid(asteroidId),
+      );
 
       socketService.on("CLOSE_APPROACH_ALERT", (alert) => {
         console.log("🔔 Alert received:", alert);
@@ -91,10 +101,32 @@ function App() {
         });
       });
 
+      socketService.on("ALERT_DIGEST", (digest) => {
+        console.log("📋 Alert digest received:", digest);
+        addAlert({ ...digest, _id: digest.alertId, createdAt: digest.timestamp });
+        addToast({
+          type: digest.severity === "danger" ? "warning" : "info",
+          title: "Alert Digest",
+          message: digest.message,
+        });
+      });
+
+      socketService.on("ASTEROID_UPDATED", ({ asteroid: { id } }) => {
+        const {
+          selectedAsteroid,
+          fetchAsteroidById,
+          isInWatchlist,
+          fetchWatchlist,
+        } = useAsteroidStore.getState();
+        if (selectedAsteroid?.neo_reference_id === id) fetchAsteroidById(id);
+        if (isInWatchlist(id)) fetchWatchlist();
+      });
+
       socketService.on("WATCHLIST_ALERT", (data) => {
         console.log("⭐ Watchlist alert:", data);
+        addAlert({ ...data, _id: data.alertId, createdAt: data.timestamp });
         addToast({
-          type: "info",
+          type: data.severity === "info" ? "info" : "warning",
           title: "Watchlist Update",
           message: data.message || "A watched asteroid has an update",
         });
@@ -136,6 +168,10 @@ function App() {
                 />
                 <Route path="/login" element={<Login />} />
                 <Route path="/register" element={<Register />} />
+                <Route path="/forgot-password" element={<ForgotPassword />} />
+                <Route path="/reset-password" element={<ResetPassword />} />
+                <Route path="/verify-email" element={<VerifyEmail />} />
+                <Route path="/auth/callback" element={<OidcCallback />} />
                 <Route
                   path="/settings"
                   element={
@@ -152,6 +188,14 @@ function App() {
                     </ProtectedRoute>
                   }
                 />
+                <Route
+                  path="/admin/users"
+                  element={
+                    <ProtectedRoute>
+                      <AdminUsers />
+                    </ProtectedRoute>
+                  }
+                />
                 <Route path="/visualization" element={<Visualization />} />
                 <Route path="/impact" element={<ImpactVisualizer />} />
                 <Route path="*" element={<NotFound />} />
@@ -0,0 +1,180 @@
+import { useState } from "react";
+import {
+  CheckCheck,
+  AlarmClock,
+  BellRing,
+  ArrowUpCircle,
+  Loader2,
+} from "lucide-react";
+import useAlertStore from "../../stores/alertStore";
+import { formatDateTime } from "../../utils/time";
+
+const SNOOZE_OPTIONS = [
+  { minutes: 15, label: "15 min" },
+  { minutes: 60, label: "1 hour" },
+  { minutes: 240, label: "4 hours" },
+  { minutes: 1440, label: "1 day" },
+];
+
+// Mirrors ALERT_TRANSITIONS in server/src/models/Alert.js
+const CAN_ACKNOWLEDGE = ["open", "snoozed", "escalated"];
+const CAN_SNOOZE = ["open", "snoozed"];
+
+// Acknowledge / snooze controls and workflow status for one alert.
+// Digests are summaries, so they have no workflow.
+const AlertWorkflow = ({ alert, timeZone }) => {
+  const { acknowledge, snooze, unsnooze } = useAlertStore();
+  const [mode, setMode] = useState(null); // null | "acknowledge" | "snooze"
+  const [note, setNote] = useState("");
+  const [isBusy, setIsBusy] = useState(false);
+  const [error, setError] = useState(null);
+
+  const status = alert.status || "open";
+  if (alert.type === "digest" || !alert._id) return null;
+
+  const run = async (action) => {
+    setIsBusy(true);
+    setError(null);
+    const result = await action();
+    setIsBusy(false);
+    if (result.success) {
+      setMode(null);
+      setNote("");
+    } else {
+      setError(result.error);
+    }
+  };
+
+  return (
+    <div className="mt-3 space-y-2" onClick={(e) => e.stopPropagation()}>
+      {/* Status */}
+      {status === "acknowledged" && alert.acknowledgement && (
+        <p className="text-xs text-green-400 flex items-start gap-1">
+          <CheckCheck className="w-3.5 h-3.5 flex-shrink-0 mt-0.5" />
+          <span>
+            Acknowledged by {alert.acknowledgement.byName || "a teammate"}{" "}
+            {formatDateTime(alert.acknowledgement.at, timeZone)}
+            {alert.acknowledgement.note && ` — “${alert.acknowledgement.note}”`}
+          </span>
+        </p>
+      )}
+      {status === "snoozed" && (
+        <p className="text-xs text-white/50 flex items-center gap-1">
+          <AlarmClock className="w-3.5 h-3.5" />
+          Snoozed until {formatDateTime(alert.snoozedUntil, timeZone)}
+        </p>
+      )}
+      {status === "escalated" && (
+        <p className="text-xs text-risk-high flex items-center gap-1">
+          <ArrowUpCircle className="w-3.5 h-3.5" />
+          {alert.escalation?.fromName ?
+            `Escalated to you: ${alert.escalation.fromName} has not acknowledged it`
+          : "Escalated to your escalation contacts"}
+        </p>
+      )}
+      {status !== "acknowledged" &&
+        alert.escalateAt &&
+        new Date(alert.escalateAt) > new Date() && (
+          <p className="text-xs text-white/40">
+            Escalates {formatDateTime(alert.escalateAt, timeZone)} unless
+            acknowledged
+          </p>
+        )}
+
+      {/* Actions */}
+      {mode === null && status !== "acknowledged" && (
+        <div className="flex flex-wrap gap-2">
+          {CAN_ACKNOWLEDGE.includes(status) && (
+            <button
+              onClick={() => setMode("acknowledge")}
+              className="btn-secondary text-xs py-1 px-3 flex items-center gap-1"
+            >
+              <CheckCheck className="w-3.5 h-3.5" />
+              Acknowledge
+            </button>
+          )}
+          {CAN_SNOOZE.includes(status) && (
+            <button
+              onClick={() => setMode("snooze")}
+              className="btn-ghost text-xs py-1 px-3 flex items-center gap-1"
+            >
+              <AlarmClock className="w-3.5 h-3.5" />
+              {status === "snoozed" ? "Snooze longer" : "Snooze"}
+            </button>
+          )}
+          {status === "snoozed" && (
+            <button
+              onClick={() => run(() => unsnooze(alert._id))}
+              disabled={isBusy}
+              className="btn-ghost text-xs py-1 px-3 flex items-center gap-1"
+            >
+              <BellRing className="w-3.5 h-3.5" />
+              Unsnooze
+            </button>
+          )}
+        </div>
+      )}
+
+      {mode === "acknowledge" && (
+        <form
+          className="flex flex-wrap items-center gap-2"
+          onSubmit={(e) => {
+            e.preventDefault();
+            run(() => acknowledge(alert._id, note || undefined));
+          }}
+        >
+          <input
+            type="text"
+            value={note}
+            onChange={(e) => setNote(e.target.value)}
+            placeholder="Note (optional)"
+            maxLength={500}
+            className="input-field py-1 text-sm flex-1 min-w-[12rem]"
+            autoFocus
+          />
+          <button
+            type="submit"
+            disabled={isBusy}
+            className="btn-primary text-xs py-1.5 px-3 flex items-center gap-1"
+          >
+            {isBusy && <Loader2 className="w-3.5 h-3.5 animate-spin" />}
+            Acknowledge
+          </button>
+          <button
+            type="button"
+            onClick={() => setMode(null)}
+            className="btn-ghost text-xs py-1.5 px-3"
+          >
+            Cancel
+          </button>
+        </form>
+      )}
+
+      {mode === "snooze" && (
+        <div className="flex flex-wrap items-center gap-2">
+          <span className="text-xs text-white/50">Snooze for</span>
+          {SNOOZE_OPTIONS.map((option) => (
+            <button
+              key={option.minutes}
+              onClick={() => run(() => snooze(alert._id, option.minutes))}
+              disabled={isBusy}
+              className="btn-ghost text-xs py-1 px-3"
+            >
+              {option.label}
+            </button>
+          ))}
+          <button
+            onClick={() => setMode(null)}
+            className="btn-ghost text-xs py-1 px-3"
+          >
+            Cancel
+          </button>
+        </div>
+      )}
+
+      {error && <p className="text-xs text-risk-high">{error}</p>}
+    </div>
+  );
+};
+
+export default AlertWorkflow;
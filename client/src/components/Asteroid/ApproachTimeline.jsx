@@ -0,0 +1,189 @@
+import { useEffect, useMemo, useState } from "react";
+import { motion } from "framer-motion";
+import { CalendarClock, Globe, Loader2 } from "lucide-react";
+import { asteroidApi } from "../../services/api";
+
+const formatDate = (dateStr) => {
+  if (!dateStr) return "N/A";
+  return new Date(dateStr).toLocaleDateString("en-US", {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+  });
+};
+
+// Render with key={asteroidId} so switching asteroids starts a fresh load
+const ApproachTimeline = ({ asteroidId }) => {
+  const [approaches, setApproaches] = useState([]);
+  const [nextApproach, setNextApproach] = useState(null);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [orbitingBody, setOrbitingBody] = useState("Earth");
+  const [showPast, setShowPast] = useState(false);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    const loadApproaches = async () => {
+      try {
+        const res = await asteroidApi.getApproaches(asteroidId);
+        if (cancelled) return;
+        setApproaches(res.data.data);
+        setNextApproach(res.data.next);
+      } catch (err) {
+        if (cancelled) return;
+        setError(
+          err.response?.data?.message || "Failed to load approach history",
+        );
+      } finally {
+        if (!cancelled) setIsLoading(false);
+      }
+    };
+
+    loadApproaches();
+    return () => {
+      cancelled = true;
+    };
+  }, [asteroidId]);
+
+  const bodies = useMemo(
+    () => [...new Set(approaches.map((a) => a.orbitingBody))].sort(),
+    [approaches],
+  );
+
+  // Everything before the next Earth approach is history
+  const nextTime =
+    nextApproach ? new Date(nextApproach.approachDate).getTime() : null;
+  const isBeforeNext = (approach) =>
+    nextTime !== null && new Date(approach.approachDate).getTime() < nextTime;
+
+  const visible = useMemo(
+    () =>
+      approaches.filter((a) => {
+        if (orbitingBody !== "all" && a.orbitingBody !== orbitingBody) {
+          return false;
+        }
+        if (
+          !showPast &&
+          nextTime !== null &&
+          new Date(a.approachDate).getTime() < nextTime
+        ) {
+          return false;
+        }
+        return true;
+      }),
+    [approaches, orbitingBody, showPast, nextTime],
+  );
+
+  if (isLoading) {
+    return (
+      <div className="glass p-6 flex items-center justify-center gap-3 text-white/50">
+        <Loader2 className="w-5 h-5 animate-spin" />
+        Loading approach history...
+      </div>
+    );
+  }
+
+  if (error) {
+    return <div className="glass p-6 text-white/50">{error}</div>;
+  }
+
+  return (
+    <motion.div
+      className="glass p-6"
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+    >
+      {/* Next approach summary */}
+      {nextApproach && (
+        <div className="flex items-center gap-4 p-4 mb-6 rounded-xl bg-accent-primary/10 border border-accent-primary/30">
+          <CalendarClock className="w-8 h-8 text-accent-primary flex-shrink-0" />
+          <div>
+            <p className="text-white/50 text-sm">Next Earth Approach</p>
+            <p className="text-lg font-semibold text-white">
+              {formatDate(nextApproach.approachDate)}
+            </p>
+            <p className="text-white/40 text-sm">
+              {nextApproach.missDistanceLunar?.toFixed(2)} LD •{" "}
+              {nextApproach.relativeVelocityKmS?.toFixed(2)} km/s
+            </p>
+          </div>
+        </div>
+      )}
+
+      {/* Filters */}
+      <div className="flex flex-wrap items-center gap-3 mb-4">
+        <select
+          value={orbitingBody}
+          onChange={(e) => setOrbitingBody(e.target.value)}
+          className="input-field py-1.5 w-auto"
+        >
+          <option value="all">All bodies</option>
+          {bodies.map((body) => (
+            <option key={body} value={body}>
+              {body}
+            </option>
+          ))}
+        </select>
+        <label className="flex items-center gap-2 text-sm text-white/70 cursor-pointer">
+          <input
+            type="checkbox"
+            checked={showPast}
+            onChange={(e) => setShowPast(e.target.checked)}
+          />
+          Show past approaches
+        </label>
+        <span className="text-white/40 text-sm ml-auto">
+          {visible.length} of {approaches.length} approaches
+        </span>
+      </div>
+
+      {/* Timeline */}
+      {visible.length === 0 ?
+        <p className="text-white/50 text-sm">
+          No approaches match these filters.
+        </p>
+      : <ol className="relative border-l border-white/10 ml-2 max-h-96 overflow-y-auto pr-2">
+          {visible.map((approach) => {
+            const isNext = nextApproach?._id === approach._id;
+            const isPast = isBeforeNext(approach);
+            return (
+              <li key={approach._id} className="mb-4 ml-5">
+                <span
+                  className={`absolute -left-1.5 mt-1.5 w-3 h-3 rounded-full ${
+                    isNext ? "bg-accent-primary"
+                    : isPast ? "bg-white/20"
+                    : "bg-accent-secondary"
+                  }`}
+                />
+                <div className="flex flex-wrap items-baseline gap-x-3">
+                  <p
+                    className={`font-medium ${isPast ? "text-white/50" : "text-white"}`}
+                  >
+                    {formatDate(approach.approachDate)}
+                  </p>
+                  <span className="text-xs text-white/40 flex items-center gap-1">
+                    <Globe className="w-3 h-3" />
+                    {approach.orbitingBody}
+                  </span>
+                  {isNext && (
+                    <span className="text-xs text-accent-primary font-medium">
+                      Next
+                    </span>
+                  )}
+                </div>
+                <p className="text-sm text-white/50">
+                  {approach.missDistanceLunar?.toFixed(2)} LD (
+                  {Math.round(approach.missDistanceKm || 0).toLocaleString()}{" "}
+                  km) • {approach.relativeVelocityKmS?.toFixed(2)} km/s
+                </p>
+              </li>
+            );
+          })}
+        </ol>
+      }
+    </motion.div>
+  );
+};
+
+export default ApproachTimeline;
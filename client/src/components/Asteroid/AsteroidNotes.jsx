@@ -0,0 +1,171 @@
+import { useEffect, useState } from "react";
+import { NotebookPen, Trash2, Loader2 } from "lucide-react";
+import { asteroidApi } from "../../services/api";
+import socketService from "../../services/socket";
+import useAuthStore from "../../stores/authStore";
+import { can } from "../../utils/permissions";
+
+const formatDateTime = (dateStr) =>
+  new Date(dateStr).toLocaleString("en-US", {
+    year: "numeric",
+    month: "short",
+    day: "numeric",
+    hour: "2-digit",
+    minute: "2-digit",
+  });
+
+// Research notes on an asteroid. Everyone can read them; researchers and
+// admins can add notes. Hidden entirely when there is nothing to show.
+// Render with key={asteroidId} so switching asteroids starts a fresh load
+const AsteroidNotes = ({ asteroidId }) => {
+  const { user } = useAuthStore();
+  const [notes, setNotes] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [draft, setDraft] = useState("");
+  const [isSaving, setIsSaving] = useState(false);
+  const [error, setError] = useState(null);
+
+  const canAnnotate = can(user, "asteroids:annotate");
+  const canModerate = can(user, "annotations:moderate");
+
+  useEffect(() => {
+    let cancelled = false;
+
+    asteroidApi
+      .getAnnotations(asteroidId)
+      .then((res) => {
+        if (!cancelled) setNotes(res.data.data);
+      })
+      .catch(() => {})
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    // Notes added or removed while the page is open (when the asteroid's room is joined)
+    const addNote = (note) => {
+      if (note.asteroidId !== asteroidId) return;
+      setNotes((prev) =>
+        prev.some((n) => n._id === note._id) ? prev : [note, ...prev],
+      );
+    };
+    const removeNote = ({ _id }) =>
+      setNotes((prev) => prev.filter((n) => n._id !== _id));
+
+    socketService.on("annotation:created", addNote);
+    socketService.on("annotation:deleted", removeNote);
+
+    return () => {
+      cancelled = true;
+      socketService.off("annotation:created");
+      socketService.off("annotation:deleted");
+    };
+  }, [asteroidId]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!draft.trim()) return;
+
+    setIsSaving(true);
+    setError(null);
+    try {
+      const res = await asteroidApi.addAnnotation(asteroidId, draft.trim());
+      const note = res.data.data;
+      setNotes((prev) =>
+        prev.some((n) => n._id === note._id) ? prev : [note, ...prev],
+      );
+      setDraft("");
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to save note");
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleDelete = async (noteId) => {
+    try {
+      await asteroidApi.deleteAnnotation(asteroidId, noteId);
+      setNotes((prev) => prev.filter((n) => n._id !== noteId));
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to delete note");
+    }
+  };
+
+  if (isLoading || (!canAnnotate && notes.length === 0)) return null;
+
+  return (
+    <section className="px-6 py-8">
+      <div className="max-w-6xl mx-auto">
+        <h2 className="text-2xl font-bold text-white mb-6">Research Notes</h2>
+
+        <div className="glass p-6 space-y-4">
+          {canAnnotate && (
+            <form onSubmit={handleSubmit} className="space-y-2">
+              <textarea
+                value={draft}
+                onChange={(e) => setDraft(e.target.value)}
+                placeholder="Add an observation, follow-up or caveat about this asteroid..."
+                maxLength={2000}
+                rows={3}
+                className="input-field w-full resize-y"
+              />
+              <div className="flex items-center justify-between">
+                <span className="text-xs text-white/40">
+                  {draft.length}/2000 · visible to everyone
+                </span>
+                <button
+                  type="submit"
+                  disabled={isSaving || !draft.trim()}
+                  className="btn-primary text-sm py-2 px-4 flex items-center gap-2"
+                >
+                  {isSaving ?
+                    <Loader2 className="w-4 h-4 animate-spin" />
+                  : <NotebookPen className="w-4 h-4" />}
+                  Add Note
+                </button>
+              </div>
+            </form>
+          )}
+
+          {error && <p className="text-sm text-risk-high">{error}</p>}
+
+          {notes.length === 0 ?
+            <p className="text-white/40 text-sm">No research notes yet.</p>
+          : <ul className="space-y-3">
+              {notes.map((note) => (
+                <li
+                  key={note._id}
+                  className="p-4 bg-space-800/50 rounded-xl border border-white/5"
+                >
+                  <div className="flex items-center justify-between gap-2 mb-2">
+                    <span className="text-sm font-medium text-accent-primary">
+                      {note.authorName}
+                    </span>
+                    <div className="flex items-center gap-2">
+                      <span className="text-xs text-white/40">
+                        {formatDateTime(note.createdAt)}
+                      </span>
+                      {(note.userId === user?._id || canModerate) && (
+                        <button
+                          onClick={() => handleDelete(note._id)}
+                          className="text-white/30 hover:text-risk-high"
+                          title="Delete note"
+                        >
+                          <Trash2 className="w-4 h-4" />
+                        </button>
+                      )}
+                    </div>
+                  </div>
+                  <p className="text-white/80 text-sm whitespace-pre-wrap">
+                    {note.body}
+                  </p>
+                </li>
+              ))}
+            </ul>
+          }
+        </div>
+      </div>
+    </section>
+  );
+};
+
+export default AsteroidNotes;
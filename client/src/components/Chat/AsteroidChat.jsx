@@ -8,9 +8,11 @@ import {
   ChevronUp,
   ArrowUp,
   Users,
+  Trash2,
 } from "lucide-react";
 import useChatStore from "../../stores/chatStore";
 import useAuthStore from "../../stores/authStore";
+import { can } from "../../utils/permissions";
 
 const defaultRoomState = {
   messages: [],
@@ -27,6 +29,7 @@ const AsteroidChat = ({ asteroidId, asteroidName }) => {
   const {
     isConnected,
     sendMessage,
+    deleteMessage,
     emitTyping,
     emitStopTyping,
     loadHistory,
@@ -260,6 +263,15 @@ const AsteroidChat = ({ asteroidId, asteroidName }) => {
                         <span className="text-[10px] text-white/30">
                           {formatTime(msg.createdAt)}
                         </span>
+                        {can(user, "chat:moderate") && (
+                          <button
+                            onClick={() => deleteMessage(msg._id)}
+                            className="text-white/20 hover:text-risk-high"
+                            title="Delete message"
+                          >
+                            <Trash2 className="w-3 h-3" />
+                          </button>
+                        )}
                       </div>
                       <div
                         className={`px-3 py-2 rounded-2xl text-sm leading-relaxed ${
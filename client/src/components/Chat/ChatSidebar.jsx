@@ -8,9 +8,11 @@ import {
   Loader2,
   ChevronDown,
   ArrowUp,
+  Trash2,
 } from "lucide-react";
 import useChatStore from "../../stores/chatStore";
 import useAuthStore from "../../stores/authStore";
+import { can } from "../../utils/permissions";
 
 const defaultRoomState = {
   messages: [],
@@ -24,9 +26,11 @@ const defaultRoomState = {
 const ChatSidebar = () => {
   const {
     isConnected,
+    authError,
     isOpen,
     toggleChat,
     sendMessage,
+    deleteMessage,
     emitTyping,
     emitStopTyping,
     loadHistory,
@@ -173,7 +177,9 @@ const ChatSidebar = () => {
                     className={`w-2 h-2 rounded-full ${isConnected ? "bg-green-400" : "bg-red-400"}`}
                   />
                   <span className="text-xs text-white/50">
-                    {isConnected ? `${usersOnline} online` : "Connecting..."}
+                    {isConnected ?
+                      `${usersOnline} online`
+                    : authError || "Connecting..."}
                   </span>
                 </div>
               </div>
@@ -243,6 +249,15 @@ const ChatSidebar = () => {
                         <span className="text-[10px] text-white/30">
                           {formatTime(msg.createdAt)}
                         </span>
+                        {can(user, "chat:moderate") && (
+                          <button
+                            onClick={() => deleteMessage(msg._id)}
+                            className="text-white/20 hover:text-risk-high"
+                            title="Delete message"
+                          >
+                            <Trash2 className="w-3 h-3" />
+                          </button>
+                        )}
                       </div>
                       <div
                         className={`px-3 py-2 rounded-2xl text-sm leading-relaxed ${
@@ -293,7 +308,9 @@ const ChatSidebar = () => {
                   value={input}
                   onChange={handleInputChange}
                   placeholder={
-                    isConnected ? "Type a message..." : "Connecting..."
+                    isConnected ? "Type a message..." : (
+                      authError || "Connecting..."
+                    )
                   }
                   disabled={!isConnected}
                   maxLength={500}
@@ -9,11 +9,13 @@ import {
   Menu,
   X,
   Globe,
+  ShieldCheck,
 } from "lucide-react";
 import { useState } from "react";
 import useAuthStore from "../../stores/authStore";
 import useAlertStore from "../../stores/alertStore";
 import SearchModal from "../Common/SearchModal";
+import { can } from "../../utils/permissions";
 
 const Navbar = () => {
   const location = useLocation();
@@ -148,6 +150,16 @@ const Navbar = () => {
                         <Settings className="w-4 h-4" />
                         <span>Settings</span>
                       </Link>
+                      {can(user, "users:manage") && (
+                        <Link
+                          to="/admin/users"
+                          className="flex items-center gap-2 px-4 py-3 hover:bg-white/5 transition-colors"
+                          onClick={() => setShowUserMenu(false)}
+                        >
+                          <ShieldCheck className="w-4 h-4" />
+                          <span>Roles</span>
+                        </Link>
+                      )}
                       <button
                         onClick={() => {
                           logout();
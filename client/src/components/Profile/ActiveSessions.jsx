@@ -0,0 +1,160 @@
+import { useEffect, useState } from "react";
+import { Monitor, Smartphone, LogOut, Loader2 } from "lucide-react";
+import { authApi } from "../../services/api";
+import useAuthStore from "../../stores/authStore";
+
+const formatTime = (dateStr) =>
+  dateStr ? new Date(dateStr).toLocaleString() : "unknown";
+
+// "Chrome on Windows" from a user agent string (good enough to tell devices apart)
+const describeDevice = (userAgent = "") => {
+  const browser =
+    /Edg\//.test(userAgent) ? "Edge"
+    : /Firefox\//.test(userAgent) ? "Firefox"
+    : /Chrome\//.test(userAgent) ? "Chrome"
+    : /Safari\//.test(userAgent) ? "Safari"
+    : "Unknown browser";
+  const os =
+    /Android/.test(userAgent) ? "Android"
+    : /iPhone|iPad/.test(userAgent) ? "iOS"
+    : /Windows/.test(userAgent) ? "Windows"
+    : /Mac OS X/.test(userAgent) ? "macOS"
+    : /Linux/.test(userAgent) ? "Linux"
+    : "unknown OS";
+  return {
+    label: `${browser} on ${os}`,
+    isMobile: /Android|iPhone|iPad|Mobile/.test(userAgent),
+  };
+};
+
+// Signed-in devices, with per-device and all-device sign out
+const ActiveSessions = ({ onSignedOut }) => {
+  const { logout, logoutEverywhere } = useAuthStore();
+  const [sessions, setSessions] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [busyId, setBusyId] = useState(null);
+  const [error, setError] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    authApi
+      .getSessions()
+      .then((res) => {
+        if (!cancelled) setSessions(res.data.data);
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setError(err.response?.data?.message || "Failed to load sessions");
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const handleRevoke = async (session) => {
+    if (session.current) {
+      // Signing out this device is a normal logout
+      logout();
+      onSignedOut();
+      return;
+    }
+    setBusyId(session._id);
+    setError(null);
+    try {
+      await authApi.revokeSession(session._id);
+      setSessions((prev) => prev.filter((s) => s._id !== session._id));
+    } catch (err) {
+      setError(err.response?.data?.message || "Failed to sign out device");
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleSignOutEverywhere = async () => {
+    if (!window.confirm("Sign out of Astral on every device, including this one?")) {
+      return;
+    }
+    // Keys keep working after sign-out, so offer to remove them too
+    const revokeApiKeys = window.confirm(
+      "Also delete all your API keys? Do this if you think someone else had access to your account.",
+    );
+    setBusyId("all");
+    const result = await logoutEverywhere(revokeApiKeys);
+    setBusyId(null);
+    if (result.success) {
+      onSignedOut();
+    } else {
+      setError(result.error);
+    }
+  };
+
+  return (
+    <div className="glass p-6">
+      <div className="flex items-center justify-between mb-4">
+        <h3 className="text-lg font-bold text-white">Signed-in Devices</h3>
+        <button
+          onClick={handleSignOutEverywhere}
+          disabled={busyId !== null}
+          className="btn-ghost text-sm py-1.5 px-3 flex items-center gap-2 text-risk-high"
+        >
+          {busyId === "all" ?
+            <Loader2 className="w-4 h-4 animate-spin" />
+          : <LogOut className="w-4 h-4" />}
+          Sign out all devices
+        </button>
+      </div>
+
+      {error && <p className="text-sm text-risk-high mb-3">{error}</p>}
+
+      {isLoading ?
+        <div className="flex justify-center py-4">
+          <Loader2 className="w-5 h-5 animate-spin text-white/50" />
+        </div>
+      : <div className="space-y-2">
+          {sessions.map((session) => {
+            const device = describeDevice(session.userAgent);
+            const Icon = device.isMobile ? Smartphone : Monitor;
+            return (
+              <div
+                key={session._id}
+                className="flex items-center gap-3 p-3 bg-space-800/50 rounded-xl"
+              >
+                <Icon className="w-5 h-5 text-white/40 flex-shrink-0" />
+                <div className="flex-1 min-w-0">
+                  <p className="text-white text-sm">
+                    {device.label}
+                    {session.current && (
+                      <span className="badge-low ml-2 text-xs">This device</span>
+                    )}
+                  </p>
+                  <p className="text-xs text-white/50 truncate">
+                    {session.ip || "Unknown IP"} · Signed in{" "}
+                    {formatTime(session.createdAt)} · Last active{" "}
+                    {formatTime(session.lastUsedAt)}
+                  </p>
+                </div>
+                <button
+                  onClick={() => handleRevoke(session)}
+                  disabled={busyId !== null}
+                  className="text-sm text-white/50 hover:text-risk-high"
+                >
+                  {busyId === session._id ?
+                    <Loader2 className="w-4 h-4 animate-spin" />
+                  : "Sign out"}
+                </button>
+              </div>
+            );
+          })}
+        </div>
+      }
+    </div>
+  );
+};
+
+export default ActiveSessions;
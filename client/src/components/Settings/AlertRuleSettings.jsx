@@ -0,0 +1,649 @@
+import { useEffect, useState } from "react";
+import { Link } from "react-router-dom";
+import { motion } from "framer-motion";
+import {
+  ListFilter,
+  Plus,
+  Trash2,
+  Pause,
+  Play,
+  Pencil,
+  Search,
+  Loader2,
+  X,
+} from "lucide-react";
+import { alertRuleApi } from "../../services/api";
+import { formatShortDate } from "../../utils/time";
+
+// Keep in sync with MAX_RULE_DEPTH in server/src/utils/ruleEngine.js
+const MAX_DEPTH = 3;
+const PREVIEW_DAYS = 7;
+
+const OPERATOR_LABELS = {
+  gt: ">",
+  gte: "≥",
+  lt: "<",
+  lte: "≤",
+  between: "between",
+  is: "is",
+  not: "is not",
+  in: "is one of",
+  within: "within",
+  contains: "contains",
+  startsWith: "starts with",
+  matches: "matches (* ?)",
+};
+
+const errorMessage = (err, fallback) =>
+  err.response?.data?.message || fallback;
+
+// The editor keeps raw input strings; the API gets typed values
+const defaultInput = (spec, operator) => {
+  if (operator === "between") return ["", ""];
+  if (spec.type === "boolean") return "true";
+  if (spec.type === "enum" && operator !== "in") return spec.options[0];
+  return "";
+};
+
+const newCondition = (fields) => {
+  const spec = fields[0];
+  return {
+    field: spec.field,
+    operator: spec.operators[0],
+    input: defaultInput(spec, spec.operators[0]),
+  };
+};
+
+const newGroup = (fields) => ({
+  logic: "and",
+  conditions: [newCondition(fields)],
+});
+
+const toNumber = (value) => (value === "" ? null : Number(value));
+
+const toCriteria = (node, fieldsByName) => {
+  if (node.conditions) {
+    return {
+      logic: node.logic,
+      conditions: node.conditions.map((c) => toCriteria(c, fieldsByName)),
+    };
+  }
+
+  const spec = fieldsByName[node.field];
+  let value = node.input;
+  if (node.operator === "between") {
+    value = node.input.map(toNumber);
+  } else if (node.operator === "in") {
+    value = node.input
+      .split(",")
+      .map((v) => v.trim())
+      .filter(Boolean);
+  } else if (spec?.type === "boolean") {
+    value = node.input === "true";
+  } else if (spec?.type === "number" || spec?.type === "window") {
+    value = toNumber(node.input);
+  }
+  return { field: node.field, operator: node.operator, value };
+};
+
+const fromCriteria = (node) => {
+  if (node.conditions) {
+    return { logic: node.logic, conditions: node.conditions.map(fromCriteria) };
+  }
+
+  let input = node.value;
+  if (Array.isArray(node.value)) {
+    input =
+      node.operator === "between" ?
+        node.value.map(String)
+      : node.value.join(", ");
+  } else {
+    input = String(node.value);
+  }
+  return { field: node.field, operator: node.operator, input };
+};
+
+const describeNode = (node, fieldsByName) => {
+  if (node.conditions) {
+    const parts = node.conditions.map((c) => describeNode(c, fieldsByName));
+    const joined = parts.join(node.logic === "or" ? " OR " : " AND ");
+    return parts.length > 1 ? `(${joined})` : joined;
+  }
+  const label = fieldsByName[node.field]?.label || node.field;
+  const value =
+    Array.isArray(node.value) ?
+      node.operator === "between" ?
+        node.value.join("–")
+      : node.value.join(", ")
+    : String(node.value);
+  return `${label} ${OPERATOR_LABELS[node.operator] || node.operator} ${value}`;
+};
+
+const ConditionRow = ({ condition, fields, fieldsByName, onChange, onRemove }) => {
+  const spec = fieldsByName[condition.field] || fields[0];
+
+  const setField = (field) => {
+    const next = fieldsByName[field];
+    const operator = next.operators[0];
+    onChange({ field, operator, input: defaultInput(next, operator) });
+  };
+
+  const setOperator = (operator) =>
+    onChange({ ...condition, operator, input: defaultInput(spec, operator) });
+
+  let valueInput;
+  if (condition.operator === "between") {
+    valueInput = (
+      <div className="flex items-center gap-2">
+        {[0, 1].map((i) => (
+          <input
+            key={i}
+            type="number"
+            step="any"
+            value={condition.input[i]}
+            onChange={(e) => {
+              const input = [...condition.input];
+              input[i] = e.target.value;
+              onChange({ ...condition, input });
+            }}
+            placeholder={i === 0 ? "min" : "max"}
+            className="input-field py-1.5 w-24"
+          />
+        ))}
+      </div>
+    );
+  } else if (spec.type === "boolean") {
+    valueInput = (
+      <select
+        value={condition.input}
+        onChange={(e) => onChange({ ...condition, input: e.target.value })}
+        className="input-field py-1.5 w-auto"
+      >
+        <option value="true">Yes</option>
+        <option value="false">No</option>
+      </select>
+    );
+  } else if (spec.type === "enum" && condition.operator !== "in") {
+    valueInput = (
+      <select
+        value={condition.input}
+        onChange={(e) => onChange({ ...condition, input: e.target.value })}
+        className="input-field py-1.5 w-auto"
+      >
+        {spec.options.map((option) => (
+          <option key={option} value={option}>
+            {option}
+          </option>
+        ))}
+      </select>
+    );
+  } else {
+    const isNumeric = spec.type === "number" || spec.type === "window";
+    valueInput = (
+      <input
+        type={isNumeric ? "number" : "text"}
+        step="any"
+        value={condition.input}
+        onChange={(e) => onChange({ ...condition, input: e.target.value })}
+        placeholder={
+          condition.operator === "in" ? "comma, separated"
+          : spec.type === "window" ?
+            "days"
+          : condition.operator === "matches" ?
+            "2024 *"
+          : "value"
+        }
+        className={`input-field py-1.5 ${isNumeric ? "w-28" : "w-48"}`}
+      />
+    );
+  }
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <select
+        value={condition.field}
+        onChange={(e) => setField(e.target.value)}
+        className="input-field py-1.5 w-auto"
+      >
+        {fields.map((f) => (
+          <option key={f.field} value={f.field}>
+            {f.label}
+          </option>
+        ))}
+      </select>
+      <select
+        value={condition.operator}
+        onChange={(e) => setOperator(e.target.value)}
+        className="input-field py-1.5 w-auto"
+      >
+        {spec.operators.map((op) => (
+          <option key={op} value={op}>
+            {OPERATOR_LABELS[op] || op}
+          </option>
+        ))}
+      </select>
+      {valueInput}
+      <button
+        type="button"
+        onClick={onRemove}
+        className="btn-ghost p-1.5"
+        title="Remove condition"
+      >
+        <X className="w-4 h-4" />
+      </button>
+    </div>
+  );
+};
+
+const GroupEditor = ({
+  group,
+  depth,
+  fields,
+  fieldsByName,
+  onChange,
+  onRemove,
+}) => {
+  const updateChild = (index, child) =>
+    onChange({
+      ...group,
+      conditions: group.conditions.map((c, i) => (i === index ? child : c)),
+    });
+
+  const removeChild = (index) =>
+    onChange({
+      ...group,
+      conditions: group.conditions.filter((_, i) => i !== index),
+    });
+
+  return (
+    <div
+      className={`space-y-2 ${depth > 1 ? "p-3 rounded-xl border border-white/10" : ""}`}
+    >
+      <div className="flex items-center gap-2 text-sm text-white/70">
+        Match
+        <select
+          value={group.logic}
+          onChange={(e) => onChange({ ...group, logic: e.target.value })}
+          className="input-field py-1 w-auto"
+        >
+          <option value="and">all</option>
+          <option value="or">any</option>
+        </select>
+        of these conditions
+        {onRemove && (
+          <button
+            type="button"
+            onClick={onRemove}
+            className="btn-ghost p-1.5 ml-auto"
+            title="Remove group"
+          >
+            <X className="w-4 h-4" />
+          </button>
+        )}
+      </div>
+
+      {group.conditions.map((child, index) =>
+        child.conditions ?
+          <GroupEditor
+            key={index}
+            group={child}
+            depth={depth + 1}
+            fields={fields}
+            fieldsByName={fieldsByName}
+            onChange={(next) => updateChild(index, next)}
+            onRemove={() => removeChild(index)}
+          />
+        : <ConditionRow
+            key={index}
+            condition={child}
+            fields={fields}
+            fieldsByName={fieldsByName}
+            onChange={(next) => updateChild(index, next)}
+            onRemove={() => removeChild(index)}
+          />,
+      )}
+
+      <div className="flex gap-2">
+        <button
+          type="button"
+          onClick={() =>
+            onChange({
+              ...group,
+              conditions: [...group.conditions, newCondition(fields)],
+            })
+          }
+          className="btn-ghost text-sm py-1 px-3 flex items-center gap-1"
+        >
+          <Plus className="w-3 h-3" />
+          Condition
+        </button>
+        {depth < MAX_DEPTH && (
+          <button
+            type="button"
+            onClick={() =>
+              onChange({
+                ...group,
+                conditions: [...group.conditions, newGroup(fields)],
+              })
+            }
+            className="btn-ghost text-sm py-1 px-3 flex items-center gap-1"
+          >
+            <Plus className="w-3 h-3" />
+            Group
+          </button>
+        )}
+      </div>
+    </div>
+  );
+};
+
+const AlertRuleSettings = ({ timeZone }) => {
+  const [rules, setRules] = useState([]);
+  const [fields, setFields] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  // Rule being created or edited: { id?, name, criteria (editor form) }
+  const [editor, setEditor] = useState(null);
+  const [isSaving, setIsSaving] = useState(false);
+  const [preview, setPreview] = useState(null);
+  const [isPreviewing, setIsPreviewing] = useState(false);
+  const [busyId, setBusyId] = useState(null);
+
+  const fieldsByName = Object.fromEntries(fields.map((f) => [f.field, f]));
+
+  useEffect(() => {
+    let cancelled = false;
+
+    alertRuleApi
+      .getAll()
+      .then((res) => {
+        if (cancelled) return;
+        setRules(res.data.data);
+        setFields(res.data.fields);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(errorMessage(err, "Failed to load alert rules"));
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const replaceRule = (updated) =>
+    setRules((prev) => prev.map((r) => (r._id === updated._id ? updated : r)));
+
+  const openEditor = (rule) => {
+    setError(null);
+    setPreview(null);
+    setEditor(
+      rule ?
+        { id: rule._id, name: rule.name, criteria: fromCriteria(rule.criteria) }
+      : { name: "", criteria: newGroup(fields) },
+    );
+  };
+
+  const closeEditor = () => {
+    setEditor(null);
+    setPreview(null);
+  };
+
+  const handlePreview = async () => {
+    setIsPreviewing(true);
+    setError(null);
+    try {
+      const res = await alertRuleApi.preview({
+        criteria: toCriteria(editor.criteria, fieldsByName),
+        days: PREVIEW_DAYS,
+      });
+      setPreview(res.data);
+    } catch (err) {
+      setPreview(null);
+      setError(errorMessage(err, "Failed to preview rule"));
+    } finally {
+      setIsPreviewing(false);
+    }
+  };
+
+  const handleSave = async (e) => {
+    e.preventDefault();
+    setIsSaving(true);
+    setError(null);
+    try {
+      const data = {
+        name: editor.name,
+        criteria: toCriteria(editor.criteria, fieldsByName),
+      };
+      if (editor.id) {
+        const res = await alertRuleApi.update(editor.id, data);
+        replaceRule(res.data.data);
+      } else {
+        const res = await alertRuleApi.create(data);
+        setRules((prev) => [...prev, res.data.data]);
+      }
+      closeEditor();
+    } catch (err) {
+      setError(errorMessage(err, "Failed to save alert rule"));
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (rule) => {
+    setBusyId(rule._id);
+    try {
+      const res = await alertRuleApi.update(rule._id, {
+        isActive: !rule.isActive,
+      });
+      replaceRule(res.data.data);
+    } catch (err) {
+      setError(errorMessage(err, "Failed to update alert rule"));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    setBusyId(id);
+    try {
+      await alertRuleApi.remove(id);
+      setRules((prev) => prev.filter((r) => r._id !== id));
+      if (editor?.id === id) closeEditor();
+    } catch (err) {
+      setError(errorMessage(err, "Failed to delete alert rule"));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.12 }}
+      className="glass p-6"
+    >
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center gap-3">
+          <div className="p-2 rounded-lg bg-accent-primary/20">
+            <ListFilter className="w-5 h-5 text-accent-primary" />
+          </div>
+          <div>
+            <h3 className="text-lg font-bold text-white">Alert Rules</h3>
+            <p className="text-sm text-white/50">
+              Get alerted about any approach matching your own conditions
+            </p>
+          </div>
+        </div>
+        {!editor && fields.length > 0 && (
+          <button
+            onClick={() => openEditor(null)}
+            className="btn-secondary text-sm py-2 px-4 flex items-center gap-2"
+          >
+            <Plus className="w-4 h-4" />
+            Add Rule
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-risk-high mb-4">{error}</p>}
+
+      {editor && (
+        <form
+          onSubmit={handleSave}
+          className="space-y-4 p-4 mb-4 rounded-xl bg-white/5"
+        >
+          <input
+            type="text"
+            required
+            value={editor.name}
+            onChange={(e) => setEditor({ ...editor, name: e.target.value })}
+            placeholder="Rule name, e.g. Close PHAs this week"
+            maxLength={60}
+            className="input-field"
+          />
+          <GroupEditor
+            group={editor.criteria}
+            depth={1}
+            fields={fields}
+            fieldsByName={fieldsByName}
+            onChange={(criteria) => setEditor({ ...editor, criteria })}
+          />
+
+          {preview && (
+            <div className="p-3 rounded-xl bg-accent-primary/10 border border-accent-primary/30 text-sm">
+              <p className="text-white mb-2">
+                {preview.count} of {preview.scanned} asteroids approaching in
+                the next {preview.days} days match.
+              </p>
+              {preview.data.length > 0 && (
+                <ul className="space-y-1 max-h-48 overflow-y-auto">
+                  {preview.data.map((asteroid) => (
+                    <li
+                      key={asteroid.neo_reference_id}
+                      className="flex justify-between gap-3 text-white/70"
+                    >
+                      <Link
+                        to={`/asteroid/${asteroid.neo_reference_id}`}
+                        className="hover:text-accent-primary truncate"
+                      >
+                        {asteroid.name}
+                      </Link>
+                      <span className="text-white/40 whitespace-nowrap">
+                        {formatShortDate(asteroid.closeApproachDate, timeZone)}{" "}
+                        • {asteroid.missDistanceLunar?.toFixed(2)} LD
+                      </span>
+                    </li>
+                  ))}
+                </ul>
+              )}
+            </div>
+          )}
+
+          <div className="flex flex-wrap gap-2 justify-end">
+            <button
+              type="button"
+              onClick={handlePreview}
+              disabled={isPreviewing}
+              className="btn-secondary text-sm py-2 px-4 flex items-center gap-2 mr-auto"
+            >
+              {isPreviewing ?
+                <Loader2 className="w-4 h-4 animate-spin" />
+              : <Search className="w-4 h-4" />}
+              Preview matches
+            </button>
+            <button
+              type="button"
+              onClick={closeEditor}
+              className="btn-ghost text-sm py-2 px-4"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="btn-primary text-sm py-2 px-4 flex items-center gap-2"
+            >
+              {isSaving && <Loader2 className="w-4 h-4 animate-spin" />}
+              {editor.id ? "Save Rule" : "Create Rule"}
+            </button>
+          </div>
+        </form>
+      )}
+
+      {isLoading ?
+        <div className="flex items-center gap-2 text-white/50 text-sm">
+          <Loader2 className="w-4 h-4 animate-spin" />
+          Loading alert rules...
+        </div>
+      : rules.length === 0 ?
+        <p className="text-sm text-white/50">
+          No rules yet. Rules are checked against every upcoming approach,
+          whatever its risk score.
+        </p>
+      : <div className="space-y-3">
+          {rules.map((rule) => {
+            const isBusy = busyId === rule._id;
+            return (
+              <div
+                key={rule._id}
+                className="flex flex-wrap items-start justify-between gap-3 p-4 rounded-xl bg-white/5"
+              >
+                <div className="min-w-0">
+                  <p className="font-medium text-white flex items-center gap-2">
+                    {rule.name}
+                    {!rule.isActive && (
+                      <span className="text-xs px-2 py-0.5 rounded-full badge-moderate">
+                        Paused
+                      </span>
+                    )}
+                  </p>
+                  <p className="text-sm text-white/50 break-words">
+                    {describeNode(rule.criteria, fieldsByName)}
+                  </p>
+                  <p className="text-xs text-white/40 mt-1">
+                    {rule.matchCount || 0} alerts
+                    {rule.lastMatchedAt &&
+                      ` • last ${formatShortDate(rule.lastMatchedAt, timeZone)}`}
+                  </p>
+                </div>
+                <div className="flex items-center gap-1">
+                  <button
+                    onClick={() => openEditor(rule)}
+                    className="btn-ghost p-2"
+                    title="Edit rule"
+                  >
+                    <Pencil className="w-4 h-4" />
+                  </button>
+                  <button
+                    onClick={() => handleToggleActive(rule)}
+                    disabled={isBusy}
+                    className="btn-ghost p-2"
+                    title={rule.isActive ? "Pause" : "Resume"}
+                  >
+                    {rule.isActive ?
+                      <Pause className="w-4 h-4" />
+                    : <Play className="w-4 h-4" />}
+                  </button>
+                  <button
+                    onClick={() => handleDelete(rule._id)}
+                    disabled={isBusy}
+                    className="btn-ghost p-2 text-risk-high"
+                    title="Delete rule"
+                  >
+                    <Trash2 className="w-4 h-4" />
+                  </button>
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      }
+    </motion.div>
+  );
+};
+
+export default AlertRuleSettings;
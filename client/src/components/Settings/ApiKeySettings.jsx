@@ -0,0 +1,278 @@
+import { useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import { KeyRound, Plus, Trash2, Loader2, Copy } from "lucide-react";
+import { apiKeyApi } from "../../services/api";
+
+const DEFAULT_SCOPES = {
+  read: "Read your profile, watchlist and catalog exports",
+  "watchlist:write": "Add and remove watchlist asteroids",
+  "alerts:read": "Read your alerts",
+};
+
+const EMPTY_FORM = { name: "", scopes: ["read"], rateLimitPerMinute: 60 };
+
+const formatTime = (dateStr) =>
+  dateStr ? new Date(dateStr).toLocaleString() : "never";
+
+const errorMessage = (err, fallback) =>
+  err.response?.data?.message || fallback;
+
+const ApiKeySettings = () => {
+  const [apiKeys, setApiKeys] = useState([]);
+  const [scopes, setScopes] = useState(DEFAULT_SCOPES);
+  const [maxRateLimit, setMaxRateLimit] = useState(600);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isCreating, setIsCreating] = useState(false);
+  // The key just created (only shown once)
+  const [revealedKey, setRevealedKey] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    apiKeyApi
+      .getAll()
+      .then((res) => {
+        if (cancelled) return;
+        setApiKeys(res.data.data);
+        if (res.data.scopes) setScopes(res.data.scopes);
+        if (res.data.limits) {
+          setMaxRateLimit(res.data.limits.maxRateLimitPerMinute);
+        }
+      })
+      .catch((err) => {
+        if (!cancelled) setError(errorMessage(err, "Failed to load API keys"));
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const toggleFormScope = (scope) =>
+    setForm((prev) => ({
+      ...prev,
+      scopes:
+        prev.scopes.includes(scope) ?
+          prev.scopes.filter((s) => s !== scope)
+        : [...prev.scopes, scope],
+    }));
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsCreating(true);
+    setError(null);
+    try {
+      const res = await apiKeyApi.create({
+        ...form,
+        rateLimitPerMinute: Number(form.rateLimitPerMinute),
+      });
+      const { key, ...apiKey } = res.data.data;
+      setApiKeys((prev) => [apiKey, ...prev]);
+      setRevealedKey(key);
+      setForm(EMPTY_FORM);
+      setShowForm(false);
+    } catch (err) {
+      setError(errorMessage(err, "Failed to create API key"));
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleRevoke = async (id) => {
+    setBusyId(id);
+    try {
+      await apiKeyApi.remove(id);
+      setApiKeys((prev) => prev.filter((k) => k._id !== id));
+    } catch (err) {
+      setError(errorMessage(err, "Failed to revoke API key"));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.15 }}
+      className="glass p-6"
+    >
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center gap-3">
+          <div className="p-2 rounded-lg bg-accent-primary/20">
+            <KeyRound className="w-5 h-5 text-accent-primary" />
+          </div>
+          <div>
+            <h3 className="text-lg font-bold text-white">API Keys</h3>
+            <p className="text-sm text-white/50">
+              Let scripts read your watchlist and alerts without your password
+            </p>
+          </div>
+        </div>
+        {!showForm && (
+          <button
+            onClick={() => setShowForm(true)}
+            className="btn-secondary text-sm py-2 px-4 flex items-center gap-2"
+          >
+            <Plus className="w-4 h-4" />
+            New Key
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-risk-high mb-4">{error}</p>}
+
+      {revealedKey && (
+        <div className="p-4 mb-4 rounded-xl bg-accent-primary/10 border border-accent-primary/30">
+          <p className="text-sm text-white mb-2">
+            API key — copy it now, it will not be shown again. Send it in the{" "}
+            <code>X-API-Key</code> header.
+          </p>
+          <div className="flex items-center gap-2">
+            <code className="flex-1 text-xs text-accent-primary break-all">
+              {revealedKey}
+            </code>
+            <button
+              onClick={() => navigator.clipboard?.writeText(revealedKey)}
+              className="btn-ghost p-2"
+              title="Copy key"
+            >
+              <Copy className="w-4 h-4" />
+            </button>
+            <button
+              onClick={() => setRevealedKey(null)}
+              className="btn-ghost text-sm py-1 px-3"
+            >
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+
+      {showForm && (
+        <form
+          onSubmit={handleCreate}
+          className="space-y-3 p-4 mb-4 rounded-xl bg-white/5"
+        >
+          <input
+            type="text"
+            required
+            value={form.name}
+            onChange={(e) => setForm({ ...form, name: e.target.value })}
+            placeholder="Key name, e.g. Nightly report script"
+            maxLength={60}
+            className="input-field"
+          />
+          <div className="space-y-2">
+            {Object.entries(scopes).map(([scope, description]) => (
+              <label
+                key={scope}
+                className="flex items-center gap-2 text-sm text-white/70 cursor-pointer"
+              >
+                <input
+                  type="checkbox"
+                  checked={form.scopes.includes(scope)}
+                  onChange={() => toggleFormScope(scope)}
+                />
+                <code className="text-white">{scope}</code>
+                <span className="text-white/50">{description}</span>
+              </label>
+            ))}
+          </div>
+          <label className="flex items-center gap-2 text-sm text-white/70">
+            Rate limit
+            <input
+              type="number"
+              min={1}
+              max={maxRateLimit}
+              required
+              value={form.rateLimitPerMinute}
+              onChange={(e) =>
+                setForm({ ...form, rateLimitPerMinute: e.target.value })
+              }
+              className="input-field w-24 py-1"
+            />
+            requests per minute
+          </label>
+          <div className="flex gap-2 justify-end">
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              className="btn-ghost text-sm py-2 px-4"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isCreating || form.scopes.length === 0}
+              className="btn-primary text-sm py-2 px-4 flex items-center gap-2"
+            >
+              {isCreating && <Loader2 className="w-4 h-4 animate-spin" />}
+              Create
+            </button>
+          </div>
+        </form>
+      )}
+
+      {isLoading ?
+        <div className="flex items-center gap-2 text-white/50 text-sm">
+          <Loader2 className="w-4 h-4 animate-spin" />
+          Loading API keys...
+        </div>
+      : apiKeys.length === 0 ?
+        <p className="text-sm text-white/50">No API keys yet.</p>
+      : <div className="space-y-3">
+          {apiKeys.map((apiKey) => (
+            <div key={apiKey._id} className="p-4 rounded-xl bg-white/5">
+              <div className="flex flex-wrap items-start justify-between gap-3">
+                <div className="min-w-0">
+                  <p className="font-medium text-white">
+                    {apiKey.name}{" "}
+                    <code className="text-xs text-white/40">
+                      {apiKey.prefix}…
+                    </code>
+                  </p>
+                  <div className="flex flex-wrap gap-2 mt-2">
+                    {apiKey.scopes.map((scope) => (
+                      <span
+                        key={scope}
+                        className="text-xs px-2 py-0.5 rounded-full bg-white/10 text-white/70"
+                        title={scopes[scope]}
+                      >
+                        {scope}
+                      </span>
+                    ))}
+                  </div>
+                  <p className="text-xs text-white/40 mt-2">
+                    {apiKey.rateLimitPerMinute} requests/min • Last used:{" "}
+                    {formatTime(apiKey.lastUsedAt)}
+                    {apiKey.lastUsedIp && ` from ${apiKey.lastUsedIp}`}
+                  </p>
+                </div>
+                <button
+                  onClick={() => handleRevoke(apiKey._id)}
+                  disabled={busyId === apiKey._id}
+                  className="btn-ghost p-2 text-risk-high"
+                  title="Revoke key"
+                >
+                  {busyId === apiKey._id ?
+                    <Loader2 className="w-4 h-4 animate-spin" />
+                  : <Trash2 className="w-4 h-4" />}
+                </button>
+              </div>
+            </div>
+          ))}
+        </div>
+      }
+    </motion.div>
+  );
+};
+
+export default ApiKeySettings;
@@ -0,0 +1,172 @@
+import { useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import { Users, Check, X, Loader2 } from "lucide-react";
+import { alertApi } from "../../services/api";
+
+const errorMessage = (err, fallback) =>
+  err.response?.data?.message || fallback;
+
+// Who you escalate to (and whether they accepted), and who asked to escalate to you
+const EscalationSettings = ({ contactsKey }) => {
+  const [contacts, setContacts] = useState([]);
+  const [requests, setRequests] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [busyId, setBusyId] = useState(null);
+
+  // Reload after the contact list is saved
+  useEffect(() => {
+    let cancelled = false;
+
+    Promise.all([
+      alertApi.getEscalationContacts(),
+      alertApi.getEscalationRequests(),
+    ])
+      .then(([contactsRes, requestsRes]) => {
+        if (cancelled) return;
+        setContacts(contactsRes.data.data);
+        setRequests(requestsRes.data.data);
+      })
+      .catch((err) => {
+        if (!cancelled) {
+          setError(errorMessage(err, "Failed to load escalation contacts"));
+        }
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [contactsKey]);
+
+  const respond = async (request, accept) => {
+    setBusyId(request.userId);
+    setError(null);
+    try {
+      await (accept ?
+        alertApi.acceptEscalation(request.userId)
+      : alertApi.declineEscalation(request.userId));
+      setRequests((prev) =>
+        prev.map((r) =>
+          r.userId === request.userId ? { ...r, accepted: accept } : r,
+        ),
+      );
+    } catch (err) {
+      setError(errorMessage(err, "Failed to update escalation request"));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  if (!isLoading && contacts.length === 0 && requests.length === 0) {
+    return null;
+  }
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.12 }}
+      className="glass p-6"
+    >
+      <div className="flex items-center gap-3 mb-6">
+        <div className="p-2 rounded-lg bg-accent-primary/20">
+          <Users className="w-5 h-5 text-accent-primary" />
+        </div>
+        <div>
+          <h3 className="text-lg font-bold text-white">Escalation Contacts</h3>
+          <p className="text-sm text-white/50">
+            Escalated alerts only reach contacts who accepted your request
+          </p>
+        </div>
+      </div>
+
+      {error && <p className="text-sm text-risk-high mb-4">{error}</p>}
+
+      {isLoading ?
+        <div className="flex items-center gap-2 text-white/50 text-sm">
+          <Loader2 className="w-4 h-4 animate-spin" />
+          Loading escalation contacts...
+        </div>
+      : <div className="space-y-6">
+          {contacts.length > 0 && (
+            <div>
+              <p className="text-sm text-white mb-2">Your contacts</p>
+              <div className="space-y-2">
+                {contacts.map((contact) => (
+                  <div
+                    key={contact.email}
+                    className="flex items-center justify-between p-3 rounded-xl bg-white/5"
+                  >
+                    <span className="text-sm text-white/80">
+                      {contact.email}
+                    </span>
+                    <span
+                      className={`text-xs px-2 py-0.5 rounded-full ${
+                        contact.accepted ?
+                          "bg-risk-minimal/20 text-risk-minimal"
+                        : "bg-white/10 text-white/50"
+                      }`}
+                    >
+                      {contact.accepted ? "Accepted" : "Pending"}
+                    </span>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+
+          {requests.length > 0 && (
+            <div>
+              <p className="text-sm text-white mb-2">
+                Asking to escalate to you
+              </p>
+              <div className="space-y-2">
+                {requests.map((request) => (
+                  <div
+                    key={request.userId}
+                    className="flex flex-wrap items-center justify-between gap-3 p-3 rounded-xl bg-white/5"
+                  >
+                    <div className="min-w-0">
+                      <p className="text-sm text-white">
+                        {request.displayName}
+                      </p>
+                      <p className="text-xs text-white/40">{request.email}</p>
+                    </div>
+                    <div className="flex items-center gap-2">
+                      {busyId === request.userId && (
+                        <Loader2 className="w-4 h-4 animate-spin text-white/50" />
+                      )}
+                      {request.accepted ?
+                        <button
+                          onClick={() => respond(request, false)}
+                          disabled={busyId === request.userId}
+                          className="btn-ghost text-sm py-1 px-3 flex items-center gap-1"
+                        >
+                          <X className="w-4 h-4" />
+                          Stop
+                        </button>
+                      : <button
+                          onClick={() => respond(request, true)}
+                          disabled={busyId === request.userId}
+                          className="btn-primary text-sm py-1 px-3 flex items-center gap-1"
+                        >
+                          <Check className="w-4 h-4" />
+                          Accept
+                        </button>
+                      }
+                    </div>
+                  </div>
+                ))}
+              </div>
+            </div>
+          )}
+        </div>
+      }
+    </motion.div>
+  );
+};
+
+export default EscalationSettings;
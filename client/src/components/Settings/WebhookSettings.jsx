@@ -0,0 +1,457 @@
+import { useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import {
+  Webhook as WebhookIcon,
+  Plus,
+  Send,
+  Trash2,
+  Pause,
+  Play,
+  KeyRound,
+  History,
+  Loader2,
+  CheckCircle,
+  XCircle,
+  Copy,
+} from "lucide-react";
+import { webhookApi } from "../../services/api";
+
+const EVENT_LABELS = {
+  CLOSE_APPROACH_ALERT: "Close approach alerts",
+  NEW_HAZARDOUS_ASTEROID: "New hazardous asteroids",
+  DAILY_UPDATE: "Daily fetch summary",
+};
+
+const formatTime = (dateStr) =>
+  dateStr ? new Date(dateStr).toLocaleString() : "never";
+
+const errorMessage = (err, fallback) =>
+  err.response?.data?.message || fallback;
+
+const WebhookSettings = () => {
+  const [webhooks, setWebhooks] = useState([]);
+  const [events, setEvents] = useState(Object.keys(EVENT_LABELS));
+  const [isLoading, setIsLoading] = useState(true);
+  const [error, setError] = useState(null);
+  const [showForm, setShowForm] = useState(false);
+  const [form, setForm] = useState({
+    url: "",
+    description: "",
+    events: ["CLOSE_APPROACH_ALERT"],
+  });
+  const [isCreating, setIsCreating] = useState(false);
+  // Secret of the webhook just created or rotated (only shown once)
+  const [revealedSecret, setRevealedSecret] = useState(null);
+  // Per-webhook state: test result, busy action, open delivery log
+  const [testResults, setTestResults] = useState({});
+  const [busyId, setBusyId] = useState(null);
+  const [openLogId, setOpenLogId] = useState(null);
+  const [deliveries, setDeliveries] = useState([]);
+
+  useEffect(() => {
+    let cancelled = false;
+
+    webhookApi
+      .getAll()
+      .then((res) => {
+        if (cancelled) return;
+        setWebhooks(res.data.data);
+        if (res.data.events) setEvents(res.data.events);
+      })
+      .catch((err) => {
+        if (!cancelled) setError(errorMessage(err, "Failed to load webhooks"));
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, []);
+
+  const replaceWebhook = (updated) =>
+    setWebhooks((prev) =>
+      prev.map((w) => (w._id === updated._id ? updated : w)),
+    );
+
+  const toggleFormEvent = (event) =>
+    setForm((prev) => ({
+      ...prev,
+      events:
+        prev.events.includes(event) ?
+          prev.events.filter((e) => e !== event)
+        : [...prev.events, event],
+    }));
+
+  const handleCreate = async (e) => {
+    e.preventDefault();
+    setIsCreating(true);
+    setError(null);
+    try {
+      const res = await webhookApi.create(form);
+      const { secret, ...webhook } = res.data.data;
+      setWebhooks((prev) => [webhook, ...prev]);
+      setRevealedSecret({ id: webhook._id, secret });
+      setForm({ url: "", description: "", events: ["CLOSE_APPROACH_ALERT"] });
+      setShowForm(false);
+    } catch (err) {
+      setError(errorMessage(err, "Failed to create webhook"));
+    } finally {
+      setIsCreating(false);
+    }
+  };
+
+  const handleTest = async (id) => {
+    setBusyId(id);
+    try {
+      const res = await webhookApi.sendTest(id);
+      setTestResults((prev) => ({
+        ...prev,
+        [id]: { success: res.data.success, message: res.data.message },
+      }));
+    } catch (err) {
+      setTestResults((prev) => ({
+        ...prev,
+        [id]: {
+          success: false,
+          message: errorMessage(err, "Failed to send test event"),
+        },
+      }));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleToggleActive = async (webhook) => {
+    setBusyId(webhook._id);
+    try {
+      const res = await webhookApi.update(webhook._id, {
+        isActive: !webhook.isActive,
+      });
+      replaceWebhook(res.data.data);
+    } catch (err) {
+      setError(errorMessage(err, "Failed to update webhook"));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleRotate = async (id) => {
+    setBusyId(id);
+    try {
+      const res = await webhookApi.rotateSecret(id);
+      setRevealedSecret({ id, secret: res.data.data.secret });
+    } catch (err) {
+      setError(errorMessage(err, "Failed to rotate secret"));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleDelete = async (id) => {
+    setBusyId(id);
+    try {
+      await webhookApi.remove(id);
+      setWebhooks((prev) => prev.filter((w) => w._id !== id));
+      if (openLogId === id) setOpenLogId(null);
+    } catch (err) {
+      setError(errorMessage(err, "Failed to delete webhook"));
+    } finally {
+      setBusyId(null);
+    }
+  };
+
+  const handleToggleLog = async (id) => {
+    if (openLogId === id) {
+      setOpenLogId(null);
+      return;
+    }
+    setOpenLogId(id);
+    setDeliveries([]);
+    try {
+      const res = await webhookApi.getDeliveries(id, { limit: 10 });
+      setDeliveries(res.data.data);
+    } catch (err) {
+      setError(errorMessage(err, "Failed to load deliveries"));
+    }
+  };
+
+  return (
+    <motion.div
+      initial={{ opacity: 0, y: 20 }}
+      animate={{ opacity: 1, y: 0 }}
+      transition={{ delay: 0.15 }}
+      className="glass p-6"
+    >
+      <div className="flex items-center justify-between mb-6">
+        <div className="flex items-center gap-3">
+          <div className="p-2 rounded-lg bg-accent-secondary/20">
+            <WebhookIcon className="w-5 h-5 text-accent-secondary" />
+          </div>
+          <div>
+            <h3 className="text-lg font-bold text-white">Webhooks</h3>
+            <p className="text-sm text-white/50">
+              Send events to Slack bridges, incident tools or your own services
+            </p>
+          </div>
+        </div>
+        {!showForm && (
+          <button
+            onClick={() => setShowForm(true)}
+            className="btn-secondary text-sm py-2 px-4 flex items-center gap-2"
+          >
+            <Plus className="w-4 h-4" />
+            Add Webhook
+          </button>
+        )}
+      </div>
+
+      {error && <p className="text-sm text-risk-high mb-4">{error}</p>}
+
+      {revealedSecret && (
+        <div className="p-4 mb-4 rounded-xl bg-accent-primary/10 border border-accent-primary/30">
+          <p className="text-sm text-white mb-2">
+            Signing secret — copy it now, it will not be shown again. Verify
+            the <code>X-Astral-Signature</code> header with it.
+          </p>
+          <div className="flex items-center gap-2">
+            <code className="flex-1 text-xs text-accent-primary break-all">
+              {revealedSecret.secret}
+            </code>
+            <button
+              onClick={() =>
+                navigator.clipboard?.writeText(revealedSecret.secret)
+              }
+              className="btn-ghost p-2"
+              title="Copy secret"
+            >
+              <Copy className="w-4 h-4" />
+            </button>
+            <button
+              onClick={() => setRevealedSecret(null)}
+              className="btn-ghost text-sm py-1 px-3"
+            >
+              Done
+            </button>
+          </div>
+        </div>
+      )}
+
+      {showForm && (
+        <form
+          onSubmit={handleCreate}
+          className="space-y-3 p-4 mb-4 rounded-xl bg-white/5"
+        >
+          <input
+            type="url"
+            required
+            value={form.url}
+            onChange={(e) => setForm({ ...form, url: e.target.value })}
+            placeholder="https://example.com/hooks/astral"
+            className="input-field"
+          />
+          <input
+            type="text"
+            value={form.description}
+            onChange={(e) => setForm({ ...form, description: e.target.value })}
+            placeholder="Description (optional)"
+            maxLength={100}
+            className="input-field"
+          />
+          <div className="flex flex-wrap gap-4">
+            {events.map((event) => (
+              <label
+                key={event}
+                className="flex items-center gap-2 text-sm text-white/70 cursor-pointer"
+              >
+                <input
+                  type="checkbox"
+                  checked={form.events.includes(event)}
+                  onChange={() => toggleFormEvent(event)}
+                />
+                {EVENT_LABELS[event] || event}
+              </label>
+            ))}
+          </div>
+          <div className="flex gap-2 justify-end">
+            <button
+              type="button"
+              onClick={() => setShowForm(false)}
+              className="btn-ghost text-sm py-2 px-4"
+            >
+              Cancel
+            </button>
+            <button
+              type="submit"
+              disabled={isCreating || form.events.length === 0}
+              className="btn-primary text-sm py-2 px-4 flex items-center gap-2"
+            >
+              {isCreating && <Loader2 className="w-4 h-4 animate-spin" />}
+              Create
+            </button>
+          </div>
+        </form>
+      )}
+
+      {isLoading ?
+        <div className="flex items-center gap-2 text-white/50 text-sm">
+          <Loader2 className="w-4 h-4 animate-spin" />
+          Loading webhooks...
+        </div>
+      : webhooks.length === 0 ?
+        <p className="text-sm text-white/50">No webhooks yet.</p>
+      : <div className="space-y-3">
+          {webhooks.map((webhook) => {
+            const isBusy = busyId === webhook._id;
+            const testResult = testResults[webhook._id];
+            return (
+              <div key={webhook._id} className="p-4 rounded-xl bg-white/5">
+                <div className="flex flex-wrap items-start justify-between gap-3">
+                  <div className="min-w-0">
+                    <p className="font-medium text-white break-all">
+                      {webhook.url}
+                    </p>
+                    {webhook.description && (
+                      <p className="text-sm text-white/50">
+                        {webhook.description}
+                      </p>
+                    )}
+                    <div className="flex flex-wrap gap-2 mt-2">
+                      {webhook.events.map((event) => (
+                        <span
+                          key={event}
+                          className="text-xs px-2 py-0.5 rounded-full bg-white/10 text-white/70"
+                        >
+                          {EVENT_LABELS[event] || event}
+                        </span>
+                      ))}
+                      {!webhook.isActive && (
+                        <span className="text-xs px-2 py-0.5 rounded-full badge-moderate">
+                          Paused
+                        </span>
+                      )}
+                    </div>
+                    <p className="text-xs text-white/40 mt-2">
+                      Last delivery: {formatTime(webhook.lastDeliveryAt)}
+                      {webhook.lastDeliveryStatus &&
+                        ` (${webhook.lastDeliveryStatus})`}
+                      {webhook.disabledReason &&
+                        ` • ${webhook.disabledReason}`}
+                    </p>
+                  </div>
+                  <div className="flex items-center gap-1">
+                    <button
+                      onClick={() => handleTest(webhook._id)}
+                      disabled={isBusy}
+                      className="btn-secondary text-sm py-1.5 px-3 flex items-center gap-2"
+                    >
+                      {isBusy ?
+                        <Loader2 className="w-4 h-4 animate-spin" />
+                      : <Send className="w-4 h-4" />}
+                      Send test event
+                    </button>
+                    <button
+                      onClick={() => handleToggleLog(webhook._id)}
+                      className="btn-ghost p-2"
+                      title="Recent deliveries"
+                    >
+                      <History className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleToggleActive(webhook)}
+                      disabled={isBusy}
+                      className="btn-ghost p-2"
+                      title={webhook.isActive ? "Pause" : "Resume"}
+                    >
+                      {webhook.isActive ?
+                        <Pause className="w-4 h-4" />
+                      : <Play className="w-4 h-4" />}
+                    </button>
+                    <button
+                      onClick={() => handleRotate(webhook._id)}
+                      disabled={isBusy}
+                      className="btn-ghost p-2"
+                      title="Rotate signing secret"
+                    >
+                      <KeyRound className="w-4 h-4" />
+                    </button>
+                    <button
+                      onClick={() => handleDelete(webhook._id)}
+                      disabled={isBusy}
+                      className="btn-ghost p-2 text-risk-high"
+                      title="Delete webhook"
+                    >
+                      <Trash2 className="w-4 h-4" />
+                    </button>
+                  </div>
+                </div>
+
+                {testResult && (
+                  <p
+                    className={`flex items-center gap-2 text-sm mt-3 ${
+                      testResult.success ? "text-green-400" : "text-risk-high"
+                    }`}
+                  >
+                    {testResult.success ?
+                      <CheckCircle className="w-4 h-4" />
+                    : <XCircle className="w-4 h-4" />}
+                    {testResult.message}
+                  </p>
+                )}
+
+                {openLogId === webhook._id && (
+                  <div className="mt-3 border-t border-white/10 pt-3">
+                    {deliveries.length === 0 ?
+                      <p className="text-sm text-white/50">
+                        No deliveries in the last 30 days.
+                      </p>
+                    : <ul className="space-y-1 text-sm">
+                        {deliveries.map((delivery) => (
+                          <li
+                            key={delivery._id}
+                            className="flex flex-wrap gap-x-3 text-white/60"
+                          >
+                            <span
+                              className={
+                                delivery.status === "success" ? "text-green-400"
+                                : delivery.status === "failed" ?
+                                  "text-risk-high"
+                                : "text-risk-moderate"
+                              }
+                            >
+                              {delivery.status}
+                            </span>
+                            <span className="text-white">{delivery.event}</span>
+                            <span>{formatTime(delivery.createdAt)}</span>
+                            <span>
+                              {delivery.attempts} attempt
+                              {delivery.attempts === 1 ? "" : "s"}
+                            </span>
+                            {delivery.responseStatus && (
+                              <span>HTTP {delivery.responseStatus}</span>
+                            )}
+                            {delivery.error && !delivery.responseStatus && (
+                              <span>{delivery.error}</span>
+                            )}
+                            {delivery.nextAttemptAt && (
+                              <span>
+                                retry at {formatTime(delivery.nextAttemptAt)}
+                              </span>
+                            )}
+                          </li>
+                        ))}
+                      </ul>
+                    }
+                  </div>
+                )}
+              </div>
+            );
+          })}
+        </div>
+      }
+    </motion.div>
+  );
+};
+
+export default WebhookSettings;
@@ -3,9 +3,10 @@ import { useFrame } from "@react-three/fiber";
 import * as THREE from "three";
 import { Html } from "@react-three/drei";
 import {
-  estimateOrbit,
+  buildOrbit,
   computeOrbitPoints,
   getPositionAtTime,
+  getOrbitProgress,
   riskHex,
 } from "../../utils/orbitalMechanics";
 
@@ -144,8 +145,8 @@ const AsteroidOrbit = ({
   const color = riskHex(asteroid.riskCategory);
   const isActive = selected || isHovered || hovered;
 
-  // Compute orbital elements & points
-  const orbital = useMemo(() => estimateOrbit(asteroid), [asteroid]);
+  // Real orbit from JPL elements, estimated orbit as a fallback
+  const orbital = useMemo(() => buildOrbit(asteroid), [asteroid]);
   const orbitPoints = useMemo(
     () => computeOrbitPoints(orbital, 256),
     [orbital],
@@ -158,10 +159,10 @@ const AsteroidOrbit = ({
   );
 
   // Progress ratio around orbit for trail
-  const progress = useMemo(() => {
-    const total = orbital.periodHours;
-    return (((timeOffset % total) + total) % total) / total;
-  }, [orbital, timeOffset]);
+  const progress = useMemo(
+    () => getOrbitProgress(orbital, timeOffset),
+    [orbital, timeOffset],
+  );
 
   // Asteroid visual size based on diameter
   const visualSize = useMemo(() => {
@@ -1,7 +1,7 @@
 import { useRef, useEffect } from "react";
 import { useThree, useFrame } from "@react-three/fiber";
 import * as THREE from "three";
-import { getPositionAtTime, estimateOrbit } from "../../utils/orbitalMechanics";
+import { getPositionAtTime, buildOrbit } from "../../utils/orbitalMechanics";
 
 // Smooth easing function - Hermite interpolation
 const smoothStep = (t) => {
@@ -48,7 +48,7 @@ const CameraController = ({
   const getAsteroidPosition = (asteroid, offset) => {
     if (!asteroid) return null;
     try {
-      const orbital = estimateOrbit(asteroid);
+      const orbital = buildOrbit(asteroid);
       return getPositionAtTime(orbital, offset);
     } catch (e) {
       console.error("Failed to compute asteroid position:", e);
@@ -0,0 +1,311 @@
+import { useEffect, useState } from "react";
+import { motion } from "framer-motion";
+import {
+  ShieldCheck,
+  Search,
+  Loader2,
+  Check,
+  Minus,
+  ChevronLeft,
+  ChevronRight,
+} from "lucide-react";
+import useAuthStore from "../stores/authStore";
+import { adminApi } from "../services/api";
+import { useDebounce } from "../hooks/useDebounce";
+import { can } from "../utils/permissions";
+
+const ROLE_BADGES = {
+  user: "bg-white/10 text-white/70",
+  researcher: "bg-accent-secondary/20 text-accent-secondary",
+  admin: "bg-risk-high/20 text-risk-high",
+};
+
+const AdminUsers = () => {
+  const { user } = useAuthStore();
+  const [users, setUsers] = useState([]);
+  const [pagination, setPagination] = useState({ page: 1, pages: 1, total: 0 });
+  const [page, setPage] = useState(1);
+  const [search, setSearch] = useState("");
+  const [roleFilter, setRoleFilter] = useState("");
+  const [roles, setRoles] = useState(["user", "researcher", "admin"]);
+  const [matrix, setMatrix] = useState([]);
+  const [isLoading, setIsLoading] = useState(true);
+  const [savingId, setSavingId] = useState(null);
+  const [message, setMessage] = useState(null); // { type: "success" | "error", text }
+
+  const debouncedSearch = useDebounce(search, 300);
+  const canManage = can(user, "users:manage");
+
+  useEffect(() => {
+    if (!canManage) return;
+    adminApi
+      .getPermissions()
+      .then((res) => {
+        setRoles(res.data.roles);
+        setMatrix(res.data.data);
+      })
+      .catch(() => {});
+  }, [canManage]);
+
+  useEffect(() => {
+    if (!canManage) return;
+    let cancelled = false;
+    setIsLoading(true);
+
+    adminApi
+      .getUsers({
+        page,
+        search: debouncedSearch || undefined,
+        role: roleFilter || undefined,
+      })
+      .then((res) => {
+        if (cancelled) return;
+        setUsers(res.data.data);
+        setPagination(res.data.pagination);
+      })
+      .catch((err) => {
+        if (cancelled) return;
+        setMessage({
+          type: "error",
+          text: err.response?.data?.message || "Failed to load users",
+        });
+      })
+      .finally(() => {
+        if (!cancelled) setIsLoading(false);
+      });
+
+    return () => {
+      cancelled = true;
+    };
+  }, [canManage, page, debouncedSearch, roleFilter]);
+
+  const handleRoleChange = async (target, role) => {
+    setSavingId(target._id);
+    setMessage(null);
+    try {
+      const res = await adminApi.setUserRole(target._id, role);
+      setUsers((prev) =>
+        prev.map((u) => (u._id === target._id ? { ...u, role } : u)),
+      );
+      setMessage({ type: "success", text: res.data.message });
+    } catch (err) {
+      setMessage({
+        type: "error",
+        text: err.response?.data?.message || "Failed to change role",
+      });
+    } finally {
+      setSavingId(null);
+    }
+  };
+
+  if (!canManage) {
+    return (
+      <div className="min-h-screen pt-24 pb-12 px-6">
+        <div className="max-w-2xl mx-auto glass p-12 text-center">
+          <ShieldCheck className="w-12 h-12 mx-auto mb-4 text-white/30" />
+          <h1 className="text-2xl font-bold text-white mb-2">Admins only</h1>
+          <p className="text-white/50">
+            Assigning roles needs the users:manage permission.
+          </p>
+        </div>
+      </div>
+    );
+  }
+
+  return (
+    <div className="min-h-screen pt-24 pb-12 px-6">
+      <div className="max-w-5xl mx-auto">
+        {/* Header */}
+        <motion.div
+          initial={{ opacity: 0, y: -20 }}
+          animate={{ opacity: 1, y: 0 }}
+          className="mb-8"
+        >
+          <h1 className="text-4xl font-bold text-white mb-2 flex items-center gap-3">
+            <ShieldCheck className="w-8 h-8 text-accent-primary" />
+            User Roles
+          </h1>
+          <p className="text-white/50">
+            Researchers can annotate asteroids, export data and inspect risk
+            models
+          </p>
+        </motion.div>
+
+        {message && (
+          <div
+            className={`glass p-4 mb-6 border-l-4 ${message.type === "success" ? "border-green-500" : "border-risk-high"}`}
+          >
+            <p className="text-white">{message.text}</p>
+          </div>
+        )}
+
+        {/* Users */}
+        <div className="glass p-6 mb-6">
+          <div className="flex flex-col sm:flex-row gap-3 mb-4">
+            <div className="relative flex-1">
+              <Search className="absolute left-4 top-1/2 -translate-y-1/2 w-4 h-4 text-white/40" />
+              <input
+                type="text"
+                value={search}
+                onChange={(e) => {
+                  setSearch(e.target.value);
+                  setPage(1);
+                }}
+                placeholder="Search by email or name"
+                className="input-field pl-11"
+              />
+            </div>
+            <select
+              value={roleFilter}
+              onChange={(e) => {
+                setRoleFilter(e.target.value);
+                setPage(1);
+              }}
+              className="input-field sm:w-48"
+            >
+              <option value="">All roles</option>
+              {roles.map((role) => (
+                <option key={role} value={role}>
+                  {role}
+                </option>
+              ))}
+            </select>
+          </div>
+
+          {isLoading ?
+            <div className="py-12 flex justify-center text-white/50">
+              <Loader2 className="w-6 h-6 animate-spin" />
+            </div>
+          : users.length === 0 ?
+            <p className="py-8 text-center text-white/40">No users found</p>
+          : <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-white/40 border-b border-white/10">
+                    <th className="py-2 pr-4 font-medium">User</th>
+                    <th className="py-2 pr-4 font-medium">Joined</th>
+                    <th className="py-2 font-medium">Role</th>
+                  </tr>
+                </thead>
+                <tbody>
+                  {users.map((u) => (
+                    <tr key={u._id} className="border-b border-white/5">
+                      <td className="py-3 pr-4">
+                        <p className="text-white">{u.displayName}</p>
+                        <p className="text-white/40 text-xs">
+                          {u.email}
+                          {!u.isVerified && " · unverified"}
+                        </p>
+                      </td>
+                      <td className="py-3 pr-4 text-white/50">
+                        {new Date(u.createdAt).toLocaleDateString()}
+                      </td>
+                      <td className="py-3">
+                        {u._id === user?._id ?
+                          <span
+                            className={`px-2 py-1 rounded-md text-xs ${ROLE_BADGES[u.role]}`}
+                            title="You cannot change your own role"
+                          >
+                            {u.role} (you)
+                          </span>
+                        : <div className="flex items-center gap-2">
+                            <select
+                              value={u.role}
+                              onChange={(e) =>
+                                handleRoleChange(u, e.target.value)
+                              }
+                              disabled={savingId === u._id}
+                              className="input-field py-1 text-sm w-36"
+                            >
+                              {roles.map((role) => (
+                                <option key={role} value={role}>
+                                  {role}
+                                </option>
+                              ))}
+                            </select>
+                            {savingId === u._id && (
+                              <Loader2 className="w-4 h-4 animate-spin text-white/50" />
+                            )}
+                          </div>
+                        }
+                      </td>
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          }
+
+          {pagination.pages > 1 && (
+            <div className="flex items-center justify-between mt-4 text-sm text-white/50">
+              <span>{pagination.total} users</span>
+              <div className="flex items-center gap-2">
+                <button
+                  onClick={() => setPage((p) => p - 1)}
+                  disabled={page <= 1}
+                  className="btn-ghost p-2"
+                >
+                  <ChevronLeft className="w-4 h-4" />
+                </button>
+                <span>
+                  {page} / {pagination.pages}
+                </span>
+                <button
+                  onClick={() => setPage((p) => p + 1)}
+                  disabled={page >= pagination.pages}
+                  className="btn-ghost p-2"
+                >
+                  <ChevronRight className="w-4 h-4" />
+                </button>
+              </div>
+            </div>
+          )}
+        </div>
+
+        {/* Permission matrix */}
+        {matrix.length > 0 && (
+          <div className="glass p-6">
+            <h3 className="text-lg font-bold text-white mb-4">
+              What each role can do
+            </h3>
+            <div className="overflow-x-auto">
+              <table className="w-full text-sm">
+                <thead>
+                  <tr className="text-left text-white/40 border-b border-white/10">
+                    <th className="py-2 pr-4 font-medium">Permission</th>
+                    {roles.map((role) => (
+                      <th key={role} className="py-2 px-2 font-medium text-center">
+                        {role}
+                      </th>
+                    ))}
+                  </tr>
+                </thead>
+                <tbody>
+                  {matrix.map((row) => (
+                    <tr key={row.permission} className="border-b border-white/5">
+                      <td className="py-2 pr-4">
+                        <p className="text-white/80">{row.description}</p>
+                        <p className="text-white/30 text-xs font-mono">
+                          {row.permission}
+                        </p>
+                      </td>
+                      {roles.map((role) => (
+                        <td key={role} className="py-2 px-2 text-center">
+                          {row.roles[role] ?
+                            <Check className="w-4 h-4 mx-auto text-green-400" />
+                          : <Minus className="w-4 h-4 mx-auto text-white/20" />}
+                        </td>
+                      ))}
+                    </tr>
+                  ))}
+                </tbody>
+              </table>
+            </div>
+          </div>
+        )}
+      </div>
+    </div>
+  );
+};
+
+export default AdminUsers;
@@ -2,11 +2,13 @@ import { useState, useEffect } from 'react';
 import { motion, AnimatePresence } from 'framer-motion';
 import {
     Bell, BellOff, Check, AlertTriangle, Info, Trash2,
-    RefreshCw, Loader2, CheckCircle, Filter, X
+    RefreshCw, Loader2, CheckCircle, Filter, X, Layers
 } from 'lucide-react';
 import useAlertStore from '../stores/alertStore';
 import useAuthStore from '../stores/authStore';
 import { Link } from 'react-router-dom';
+import AlertWorkflow from '../components/Alerts/AlertWorkflow';
+import { formatDateTime, formatShortDate, formatTime, timezoneLabel } from '../utils/time';
 
 const Alerts = () => {
     const {
@@ -17,8 +19,9 @@ const Alerts = () => {
         markAllAsRead,
         isLoading
     } = useAlertStore();
-    const { isAuthenticated } = useAuthStore();
-    const [filter, setFilter] = useState('all'); // all, unread, high-risk
+    const { isAuthenticated, user } = useAuthStore();
+    const timeZone = user?.alertSettings?.timezone;
+    const [filter, setFilter] = useState('all'); // all, unread, needs-action, high-risk
 
     useEffect(() => {
         if (isAuthenticated) {
@@ -34,6 +37,10 @@ const Alerts = () => {
                 return AlertTriangle;
             case 'WATCHLIST':
                 return Bell;
+            case 'watched_update':
+                return RefreshCw;
+            case 'digest':
+                return Layers;
             default:
                 return Info;
         }
@@ -47,6 +54,8 @@ const Alerts = () => {
             case 'HIGH_RISK':
                 return 'text-risk-high';
             case 'WATCHLIST':
+            case 'watched_update':
+            case 'digest':
                 return 'text-accent-primary';
             default:
                 return 'text-white';
@@ -55,10 +64,23 @@ const Alerts = () => {
 
     const filteredAlerts = alerts.filter(alert => {
         if (filter === 'unread') return !alert.isRead;
+        if (filter === 'needs-action') return alert.type !== 'digest' && ['open', 'escalated', undefined].includes(alert.status);
         if (filter === 'high-risk') return alert.type === 'HIGH_RISK';
         return true;
     });
 
+    const severityColors = {
+        danger: 'text-risk-high',
+        warning: 'text-risk-moderate',
+        info: 'text-accent-primary',
+    };
+
+    const formatChangeValue = (change, value) => {
+        if (change.field === 'closeApproachDate') return formatDateTime(value, timeZone);
+        if (typeof value === 'number') return Number.isInteger(value) ? value : value.toFixed(2);
+        return value;
+    };
+
     const formatDate = (dateStr) => {
         const date = new Date(dateStr);
         const now = new Date();
@@ -67,7 +89,7 @@ const Alerts = () => {
         if (diff < 60000) return 'Just now';
         if (diff < 3600000) return `${Math.floor(diff / 60000)}m ago`;
         if (diff < 86400000) return `${Math.floor(diff / 3600000)}h ago`;
-        return date.toLocaleDateString('en-US', { month: 'short', day: 'numeric' });
+        return formatShortDate(date, timeZone);
     };
 
     // Not authenticated
@@ -123,7 +145,7 @@ const Alerts = () => {
                             )}
                         </h1>
                         <p className="text-white/50">
-                            Stay informed about asteroid activity
+                            Stay informed about asteroid activity · times in {timezoneLabel(timeZone)}
                         </p>
                     </div>
                     <div className="flex gap-2">
@@ -156,6 +178,7 @@ const Alerts = () => {
                     {[
                         { id: 'all', label: 'All Alerts' },
                         { id: 'unread', label: 'Unread' },
+                        { id: 'needs-action', label: 'Needs Action' },
                         { id: 'high-risk', label: 'High Risk' },
                     ].map((f) => (
                         <button
@@ -233,10 +256,62 @@ const Alerts = () => {
                                                         {alert.message}
                                                     </p>
                                                 </div>
-                                                <span className="text-xs text-white/40 whitespace-nowrap">
+                                                <span
+                                                    className="text-xs text-white/40 whitespace-nowrap"
+                                                    title={formatDateTime(alert.createdAt, timeZone)}
+                                                >
                                                     {formatDate(alert.createdAt)}
                                                 </span>
                                             </div>
+                                            {(alert.data?.closeApproachDate || alert.asteroid?.closeApproachDate) && (
+                                                <p className="text-xs text-white/40 mt-1">
+                                                    Closest approach: {formatDateTime(alert.data?.closeApproachDate || alert.asteroid?.closeApproachDate, timeZone)}
+                                                </p>
+                                            )}
+                                            {alert.changes?.length > 0 && (
+                                                <div className="flex flex-wrap gap-2 mt-2">
+                                                    {alert.changes.map((change) => (
+                                                        <span
+                                                            key={change.field}
+                                                            className="text-xs px-2 py-0.5 rounded-full bg-white/10 text-white/70"
+                                                        >
+                                                            {change.label}: {formatChangeValue(change, change.from)} → {formatChangeValue(change, change.to)}
+                                                        </span>
+                                                    ))}
+                                                </div>
+                                            )}
+                                            {alert.deferredUntil && new Date(alert.deferredUntil) > new Date() && (
+                                                <p className="text-xs text-white/40 mt-1">
+                                                    Quiet hours: notifications held until {formatTime(alert.deferredUntil, timeZone)}
+                                                </p>
+                                            )}
+                                            {alert.digest?.groups?.length > 0 && (
+                                                <div className="mt-3 space-y-2">
+                                                    {alert.digest.groups.map((group) => (
+                                                        <div key={`${group.severity}-${group.date}`}>
+                                                            <p className={`text-xs font-semibold uppercase tracking-wide ${severityColors[group.severity] || 'text-white/60'}`}>
+                                                                {group.severity} · {formatShortDate(`${group.date}T00:00:00Z`, 'UTC')}
+                                                            </p>
+                                                            <ul className="mt-1 space-y-0.5">
+                                                                {group.alerts.map((item) => (
+                                                                    <li key={item.alertId || item.asteroidId} className="text-sm text-white/60 flex flex-wrap gap-x-2">
+                                                                        <Link
+                                                                            to={`/asteroid/${item.asteroidId}`}
+                                                                            className="text-accent-primary hover:underline"
+                                                                            onClick={(e) => e.stopPropagation()}
+                                                                        >
+                                                                            {item.asteroidName}
+                                                                        </Link>
+                                                                        <span>{item.missDistanceLunar?.toFixed(2)} LD</span>
+                                                                        <span>Risk {item.riskScore ?? 'N/A'}/100</span>
+                                                                    </li>
+                                                                ))}
+                                                            </ul>
+                                                        </div>
+                                                    ))}
+                                                </div>
+                                            )}
+                                            <AlertWorkflow alert={alert} timeZone={timeZone} />
                                             {alert.asteroidId && (
                                                 <Link
                                                     to={`/asteroid/${alert.asteroidId}`}
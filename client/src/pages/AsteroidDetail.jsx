@@ -19,6 +19,9 @@ import {
 import useAsteroidStore from "../stores/asteroidStore";
 import useAuthStore from "../stores/authStore";
 import AsteroidChat from "../components/Chat/AsteroidChat";
+import ApproachTimeline from "../components/Asteroid/ApproachTimeline";
+import AsteroidNotes from "../components/Asteroid/AsteroidNotes";
+import { hasOrbitalElements } from "../utils/orbitalMechanics";
 
 const AsteroidDetail = () => {
   const { id } = useParams();
@@ -71,6 +74,17 @@ const AsteroidDetail = () => {
     }
   };
 
+  // Torino color bands: white (0), green (1), yellow (2-4), orange (5-7), red (8-10)
+  const getTorinoClass = (torino) => {
+    if (torino >= 8) return "bg-risk-high/20 text-risk-high border-risk-high/30";
+    if (torino >= 5)
+      return "bg-risk-moderate/20 text-risk-moderate border-risk-moderate/30";
+    if (torino >= 2) return "bg-risk-low/20 text-risk-low border-risk-low/30";
+    if (torino === 1)
+      return "bg-risk-minimal/20 text-risk-minimal border-risk-minimal/30";
+    return "bg-white/5 text-white border-white/10";
+  };
+
   const formatDate = (dateStr) => {
     if (!dateStr) return "N/A";
     return new Date(dateStr).toLocaleDateString("en-US", {
@@ -136,6 +150,7 @@ const AsteroidDetail = () => {
 
   const asteroid = selectedAsteroid;
   const sizeComparison = getSizeComparison(asteroid.estimatedDiameterMax);
+  const orbit = hasOrbitalElements(asteroid) ? asteroid.orbitalData : null;
 
   return (
     <div className="min-h-screen pt-20 pb-10">
@@ -422,17 +437,35 @@ const AsteroidDetail = () => {
                   <div className="flex justify-between text-sm mb-1">
                     <span className="text-white/70">Size Factor</span>
                     <span className="text-white">
-                      {Math.round(asteroid.estimatedDiameterMax || 0)}m
+                      {asteroid.diameterEstimate ?
+                        `${Math.round(asteroid.diameterEstimate.likely)}m (${Math.round(asteroid.diameterEstimate.min)}–${Math.round(asteroid.diameterEstimate.max)}m)`
+                      : `${Math.round(asteroid.estimatedDiameterMax || 0)}m`}
                     </span>
                   </div>
-                  <div className="h-2 bg-space-700 rounded-full">
+                  <div className="relative h-2 bg-space-700 rounded-full">
+                    {/* Uncertainty band from the albedo range */}
+                    {asteroid.diameterEstimate && (
+                      <div
+                        className="absolute h-full rounded-full bg-accent-secondary/30"
+                        style={{
+                          left: `${Math.min(100, asteroid.diameterEstimate.min / 10)}%`,
+                          width: `${Math.max(0, Math.min(100, asteroid.diameterEstimate.max / 10) - Math.min(100, asteroid.diameterEstimate.min / 10))}%`,
+                        }}
+                      />
+                    )}
                     <div
-                      className="h-full rounded-full bg-accent-secondary"
+                      className="relative h-full rounded-full bg-accent-secondary"
                       style={{
-                        width: `${Math.min(100, (asteroid.estimatedDiameterMax || 0) / 10)}%`,
+                        width: `${Math.min(100, (asteroid.diameterEstimate?.likely ?? asteroid.estimatedDiameterMax ?? 0) / 10)}%`,
                       }}
                     />
                   </div>
+                  {asteroid.diameterEstimate?.source === "absolute-magnitude" && (
+                    <p className="text-white/40 text-xs mt-1">
+                      From magnitude H {asteroid.absolute_magnitude_h} across
+                      the assumed albedo range
+                    </p>
+                  )}
                 </div>
                 <div>
                   <div className="flex justify-between text-sm mb-1">
@@ -526,11 +559,130 @@ const AsteroidDetail = () => {
                     >
                       {asteroid.riskCategory} Risk
                     </span>
+                    {asteroid.riskScoreRange &&
+                      asteroid.riskScoreRange.min !==
+                        asteroid.riskScoreRange.max && (
+                        <span className="text-xs text-white/40 mt-1">
+                          Range {asteroid.riskScoreRange.min}–
+                          {asteroid.riskScoreRange.max}
+                        </span>
+                      )}
                   </div>
                 </div>
               </div>
+              {asteroid.riskBreakdown && (
+                <div className="grid grid-cols-4 gap-2 text-center">
+                  {[
+                    ["Hazard", asteroid.riskBreakdown.hazardWeight],
+                    [
+                      "Size",
+                      asteroid.riskBreakdown.diameterScore,
+                      asteroid.riskBreakdown.diameterScoreRange,
+                    ],
+                    ["Proximity", asteroid.riskBreakdown.distanceScore],
+                    ["Velocity", asteroid.riskBreakdown.velocityScore],
+                  ].map(([label, points, range]) => (
+                    <div key={label} className="p-2 rounded-lg bg-white/5">
+                      <p className="text-white font-semibold">+{points ?? 0}</p>
+                      <p className="text-white/40 text-xs">{label}</p>
+                      {range && range.min !== range.max && (
+                        <p className="text-white/30 text-xs">
+                          {range.min}–{range.max}
+                        </p>
+                      )}
+                    </div>
+                  ))}
+                </div>
+              )}
+              {asteroid.riskModelVersion && (
+                <p className="text-white/40 text-xs text-center mt-4">
+                  Scored with risk model v{asteroid.riskModelVersion}
+                </p>
+              )}
             </motion.div>
           </div>
+
+          {/* Standard impact hazard scales */}
+          {asteroid.impactScales && (
+            <motion.div
+              className="glass p-6 mt-6"
+              initial={{ opacity: 0, y: 20 }}
+              animate={{ opacity: 1, y: 0 }}
+            >
+              <h3 className="text-lg font-semibold text-white mb-4">
+                Impact Hazard Scales
+              </h3>
+              <div className="grid md:grid-cols-2 gap-6">
+                <div className="flex items-center gap-4">
+                  <div
+                    className={`w-16 h-16 rounded-xl border flex items-center justify-center text-3xl font-bold flex-shrink-0 ${getTorinoClass(asteroid.impactScales.torino)}`}
+                  >
+                    {asteroid.impactScales.torino}
+                  </div>
+                  <div>
+                    <p className="text-white/50 text-sm">Torino Scale</p>
+                    <p className="text-white">
+                      {asteroid.impactScales.torinoDescription}
+                    </p>
+                  </div>
+                </div>
+                <div className="flex items-center gap-4">
+                  <div className="w-16 h-16 rounded-xl border border-white/10 bg-white/5 flex items-center justify-center text-xl font-bold text-white flex-shrink-0">
+                    {asteroid.impactScales.palermo === null ?
+                      "—"
+                    : asteroid.impactScales.palermo.toFixed(2)}
+                  </div>
+                  <div>
+                    <p className="text-white/50 text-sm">Palermo Scale</p>
+                    <p className="text-white">
+                      {asteroid.impactScales.palermo === null ?
+                        "No impact solutions to compare with background risk"
+                      : asteroid.impactScales.palermo >= 0 ?
+                        "Above the background impact risk"
+                      : asteroid.impactScales.palermo >= -2 ?
+                        "Below background, merits monitoring"
+                      : "Negligible compared to background risk"}
+                    </p>
+                  </div>
+                </div>
+              </div>
+              <div className="grid grid-cols-2 md:grid-cols-3 gap-4 mt-6 text-sm">
+                <div>
+                  <p className="text-white/40">Impact Probability</p>
+                  <p className="text-white">
+                    {asteroid.impactScales.impactProbability > 0 ?
+                      `1 in ${Math.round(1 / asteroid.impactScales.impactProbability).toLocaleString()}`
+                    : "None known"}
+                  </p>
+                </div>
+                <div>
+                  <p className="text-white/40">Impact Energy</p>
+                  <p className="text-white">
+                    {asteroid.impactScales.impactEnergyMt < 1 ?
+                      `${(asteroid.impactScales.impactEnergyMt * 1000).toFixed(1)} kt`
+                    : `${Math.round(asteroid.impactScales.impactEnergyMt).toLocaleString()} Mt`}
+                  </p>
+                </div>
+                {asteroid.impactScales.impactYearRange && (
+                  <div>
+                    <p className="text-white/40">Potential Impacts</p>
+                    <p className="text-white">
+                      {asteroid.impactScales.impactYearRange}
+                    </p>
+                  </div>
+                )}
+              </div>
+              <p className="text-white/40 text-xs mt-4">
+                {asteroid.impactScales.probabilitySource === "sentry" ?
+                  `Estimated from JPL Sentry's impact probability${
+                    asteroid.impactScales.sentry?.torinoMax != null ?
+                      ` (Sentry lists Torino ${asteroid.impactScales.sentry.torinoMax}, Palermo ${asteroid.impactScales.sentry.palermoCumulative})`
+                    : ""
+                  }.`
+                : "Not on JPL's Sentry risk list, so no impact solutions are known for this orbit."}
+              </p>
+            </motion.div>
+          )}
         </div>
       </section>
 
@@ -565,11 +717,72 @@ const AsteroidDetail = () => {
                   {formatDate(asteroid.closeApproachDate)}
                 </p>
               </div>
+              {orbit && (
+                <>
+                  <div>
+                    <p className="text-white/50 text-sm">Semi-major Axis</p>
+                    <p className="text-lg font-semibold text-white">
+                      {orbit.semiMajorAxis.toFixed(3)} AU
+                    </p>
+                  </div>
+                  <div>
+                    <p className="text-white/50 text-sm">Eccentricity</p>
+                    <p className="text-lg font-semibold text-white">
+                      {orbit.eccentricity.toFixed(4)}
+                    </p>
+                  </div>
+                  <div>
+                    <p className="text-white/50 text-sm">Inclination</p>
+                    <p className="text-lg font-semibold text-white">
+                      {orbit.inclination.toFixed(2)}°
+                    </p>
+                  </div>
+                  <div>
+                    <p className="text-white/50 text-sm">Orbital Period</p>
+                    <p className="text-lg font-semibold text-white">
+                      {orbit.orbitalPeriod ?
+                        `${(orbit.orbitalPeriod / 365.25).toFixed(2)} years`
+                      : "N/A"}
+                    </p>
+                  </div>
+                  <div>
+                    <p className="text-white/50 text-sm">Orbit Class</p>
+                    <p className="text-lg font-semibold text-white">
+                      {orbit.orbitClass || "N/A"}
+                    </p>
+                  </div>
+                </>
+              )}
             </div>
+            {!orbit && (
+              <p className="text-white/40 text-sm mt-4">
+                JPL orbital elements are not available yet — the 3D view shows
+                an estimated orbit for this asteroid.
+              </p>
+            )}
           </motion.div>
         </div>
       </section>
 
+      {/* Close Approach Timeline */}
+      <section className="px-6 py-8">
+        <div className="max-w-6xl mx-auto">
+          <h2 className="text-2xl font-bold text-white mb-6">
+            Close Approach Timeline
+          </h2>
+          <ApproachTimeline
+            key={asteroid.neo_reference_id}
+            asteroidId={asteroid.neo_reference_id}
+          />
+        </div>
+      </section>
+
+      {/* Research Notes */}
+      <AsteroidNotes
+        key={`notes-${asteroid.neo_reference_id}`}
+        asteroidId={asteroid.neo_reference_id}
+      />
+
       {/* Asteroid Discussion */}
       <section className="px-6 py-8">
         <div className="max-w-6xl mx-auto">
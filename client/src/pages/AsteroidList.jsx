@@ -10,10 +10,13 @@ import {
   X,
   RefreshCw,
   Loader2,
+  Download,
 } from "lucide-react";
 import AsteroidCard from "../components/Asteroid/AsteroidCard";
 import { asteroidApi } from "../services/api";
 import useInfiniteScroll from "../hooks/useInfiniteScroll";
+import useAuthStore from "../stores/authStore";
+import { can } from "../utils/permissions";
 
 const AsteroidList = () => {
   // Infinite-scroll state (replaces old pagination)
@@ -24,6 +27,9 @@ const AsteroidList = () => {
   const [isLoading, setIsLoading] = useState(false);
   const [error, setError] = useState(null);
   const itemsPerPage = 24;
+  const { user } = useAuthStore();
+  const [isExporting, setIsExporting] = useState(false);
+  const [exportError, setExportError] = useState(null);
 
   // Filter state
   const [searchQuery, setSearchQuery] = useState("");
@@ -102,6 +108,29 @@ const AsteroidList = () => {
     );
   }, [allAsteroids, searchQuery]);
 
+  // Download the catalog as CSV with the current risk filters
+  const handleExport = async () => {
+    setIsExporting(true);
+    setExportError(null);
+    try {
+      const params = { format: "csv" };
+      if (filters.riskCategory) params.riskCategory = filters.riskCategory;
+      if (filters.hazardousOnly) params.hazardousOnly = "true";
+
+      const res = await asteroidApi.exportData(params);
+      const url = URL.createObjectURL(res.data);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `astral-catalog-${new Date().toISOString().slice(0, 10)}.csv`;
+      link.click();
+      URL.revokeObjectURL(url);
+    } catch {
+      setExportError("Export failed. Please try again.");
+    } finally {
+      setIsExporting(false);
+    }
+  };
+
   const handleFilterChange = (key, value) => {
     setFilters((prev) => ({ ...prev, [key]: value }));
   };
@@ -167,6 +196,21 @@ const AsteroidList = () => {
               )}
             </button>
 
+            {/* Export (researchers and admins) */}
+            {can(user, "data:export") && (
+              <button
+                onClick={handleExport}
+                disabled={isExporting}
+                className="btn-secondary flex items-center gap-2"
+                title="Download the catalog as CSV"
+              >
+                {isExporting ?
+                  <Loader2 className="w-4 h-4 animate-spin" />
+                : <Download className="w-4 h-4" />}
+                Export
+              </button>
+            )}
+
             {/* Refresh */}
             <button
               onClick={() => {
@@ -184,6 +228,10 @@ const AsteroidList = () => {
             </button>
           </div>
 
+          {exportError && (
+            <p className="text-sm text-risk-high mt-2">{exportError}</p>
+          )}
+
           {/* Expanded Filters */}
           <AnimatePresence>
             {showFilters && (
@@ -0,0 +1,117 @@
+import { useState } from "react";
+import { Link } from "react-router-dom";
+import { motion } from "framer-motion";
+import { Mail, KeyRound, ArrowLeft, Loader2, MailCheck } from "lucide-react";
+import { authApi } from "../services/api";
+
+const ForgotPassword = () => {
+  const [email, setEmail] = useState("");
+  const [isLoading, setIsLoading] = useState(false);
+  const [sentMessage, setSentMessage] = useState(null);
+  const [error, setError] = useState(null);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+    setIsLoading(true);
+
+    try {
+      const response = await authApi.forgotPassword(email);
+      setSentMessage(response.data.message);
+    } catch (err) {
+      setError(
+        err.response?.data?.message || "Could not send the reset link",
+      );
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen pt-20 px-6 flex items-center justify-center">
+      {/* Background effects */}
+      <div className="fixed inset-0 pointer-events-none">
+        <div className="absolute top-1/4 left-1/4 w-96 h-96 bg-accent-primary/10 rounded-full blur-[120px]" />
+        <div className="absolute bottom-1/4 right-1/4 w-96 h-96 bg-accent-secondary/10 rounded-full blur-[120px]" />
+      </div>
+
+      <motion.div
+        className="w-full max-w-md relative z-10"
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+      >
+        {/* Header */}
+        <div className="text-center mb-8">
+          <div className="w-16 h-16 mx-auto mb-4 rounded-2xl bg-gradient-to-br from-accent-primary to-accent-secondary flex items-center justify-center">
+            <KeyRound className="w-8 h-8 text-white" />
+          </div>
+          <h1 className="text-3xl font-bold text-white mb-2">
+            Reset Password
+          </h1>
+          <p className="text-white/50">
+            We'll email you a link to choose a new one
+          </p>
+        </div>
+
+        <div className="glass p-8">
+          {sentMessage ?
+            <div className="text-center">
+              <MailCheck className="w-12 h-12 mx-auto mb-4 text-accent-primary" />
+              <p className="text-white/80 mb-2">{sentMessage}</p>
+              <p className="text-white/40 text-sm">
+                The link expires in 1 hour. Check your spam folder if it
+                doesn't arrive.
+              </p>
+            </div>
+            : <form onSubmit={handleSubmit}>
+                {error && (
+                  <div className="mb-6 p-4 bg-risk-high/20 border border-risk-high/30 rounded-lg">
+                    <p className="text-risk-high text-sm">{error}</p>
+                  </div>
+                )}
+
+                <div className="mb-6">
+                  <label className="block text-white/70 text-sm font-medium mb-2">
+                    Email Address
+                  </label>
+                  <div className="relative">
+                    <Mail className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-white/40" />
+                    <input
+                      type="email"
+                      value={email}
+                      onChange={(e) => setEmail(e.target.value)}
+                      placeholder="astronaut@nasa.gov"
+                      className="input-field pl-12"
+                      required
+                      autoFocus
+                    />
+                  </div>
+                </div>
+
+                <button
+                  type="submit"
+                  disabled={isLoading}
+                  className="w-full btn-primary py-3 flex items-center justify-center gap-2"
+                >
+                  {isLoading && <Loader2 className="w-5 h-5 animate-spin" />}
+                  Send Reset Link
+                </button>
+              </form>
+          }
+
+          <p className="text-center mt-6">
+            <Link
+              to="/login"
+              className="text-sm text-accent-primary hover:underline inline-flex items-center gap-1"
+            >
+              <ArrowLeft className="w-4 h-4" />
+              Back to sign in
+            </Link>
+          </p>
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+export default ForgotPassword;
@@ -1,5 +1,5 @@
-import { useState } from "react";
-import { Link, useNavigate } from "react-router-dom";
+import { useEffect, useState } from "react";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
 import { motion } from "framer-motion";
 import {
   Mail,
@@ -10,8 +10,10 @@ import {
   ArrowRight,
   Loader2,
   Globe,
+  KeyRound,
 } from "lucide-react";
 import useAuthStore from "../stores/authStore";
+import { authApi, oidcLoginUrl } from "../services/api";
 
 const Login = () => {
   const navigate = useNavigate();
@@ -22,6 +24,17 @@ const Login = () => {
     password: "",
   });
   const [showPassword, setShowPassword] = useState(false);
+  const [oidcConfig, setOidcConfig] = useState(null);
+  // Set by the API when single sign-on fails
+  const [searchParams] = useSearchParams();
+  const oidcError = searchParams.get("oidcError");
+
+  useEffect(() => {
+    authApi
+      .getOidcConfig()
+      .then((res) => setOidcConfig(res.data.data))
+      .catch(() => {});
+  }, []);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
@@ -67,13 +80,13 @@ const Login = () => {
 
         {/* Form */}
         <form onSubmit={handleSubmit} className="glass p-8">
-          {error && (
+          {(error || oidcError) && (
             <motion.div
               initial={{ opacity: 0, y: -10 }}
               animate={{ opacity: 1, y: 0 }}
               className="mb-6 p-4 bg-risk-high/20 border border-risk-high/30 rounded-lg"
             >
-              <p className="text-risk-high text-sm">{error}</p>
+              <p className="text-risk-high text-sm">{error || oidcError}</p>
             </motion.div>
           )}
 
@@ -126,17 +139,12 @@ const Login = () => {
 
           {/* Forgot password */}
           <div className="flex justify-end mb-6">
-            <button
-              type="button"
-              onClick={() =>
-                alert(
-                  "Password reset is not available yet. Please contact support.",
-                )
-              }
+            <Link
+              to="/forgot-password"
               className="text-sm text-accent-primary hover:underline"
             >
               Forgot password?
-            </button>
+            </Link>
           </div>
 
           {/* Submit button */}
@@ -166,6 +174,17 @@ const Login = () => {
             <div className="flex-1 h-px bg-white/10" />
           </div>
 
+          {/* Single sign-on */}
+          {oidcConfig?.enabled && (
+            <a
+              href={oidcLoginUrl()}
+              className="w-full btn-secondary py-3 mb-6 flex items-center justify-center gap-2"
+            >
+              <KeyRound className="w-5 h-5" />
+              Sign in with {oidcConfig.providerName}
+            </a>
+          )}
+
           {/* Register link */}
           <p className="text-center text-white/50">
             Don't have an account?{" "}
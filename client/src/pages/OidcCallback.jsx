@@ -0,0 +1,66 @@
+import { useEffect, useRef, useState } from "react";
+import { Link, useNavigate, useSearchParams } from "react-router-dom";
+import { motion } from "framer-motion";
+import { Loader2, XCircle } from "lucide-react";
+import useAuthStore from "../stores/authStore";
+
+// Same-app paths only (the server checks this too)
+const safeReturnTo = (path) =>
+  path && path.startsWith("/") && !path.startsWith("//") ? path : "/";
+
+// Landing page after single sign-on: the API set the refresh cookie before
+// redirecting here, so trade it for an access token and load the profile
+const OidcCallback = () => {
+  const navigate = useNavigate();
+  const [searchParams] = useSearchParams();
+  const returnTo = safeReturnTo(searchParams.get("returnTo"));
+  const [error, setError] = useState(null);
+
+  // Refresh tokens rotate, so only refresh once (StrictMode runs effects twice)
+  const started = useRef(false);
+
+  useEffect(() => {
+    if (started.current) return;
+    started.current = true;
+
+    useAuthStore
+      .getState()
+      .completeOidcLogin()
+      .then((result) => {
+        if (result.success) {
+          navigate(returnTo, { replace: true });
+        } else {
+          setError(result.error);
+        }
+      });
+  }, [navigate, returnTo]);
+
+  return (
+    <div className="min-h-screen pt-20 px-6 flex items-center justify-center">
+      <motion.div
+        className="w-full max-w-md glass p-8 text-center"
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+      >
+        {error ?
+          <>
+            <XCircle className="w-12 h-12 mx-auto mb-4 text-risk-high" />
+            <h1 className="text-2xl font-bold text-white mb-2">
+              Sign-in Failed
+            </h1>
+            <p className="text-white/50 mb-6">{error}</p>
+            <Link to="/login" className="btn-primary inline-flex">
+              Back to Sign In
+            </Link>
+          </>
+        : <>
+            <Loader2 className="w-12 h-12 mx-auto mb-4 text-accent-primary animate-spin" />
+            <p className="text-white/70">Signing you in...</p>
+          </>
+        }
+      </motion.div>
+    </div>
+  );
+};
+
+export default OidcCallback;
@@ -13,8 +13,11 @@ import {
   CheckCircle,
   Camera,
   LogOut,
+  AlertTriangle,
 } from "lucide-react";
 import useAuthStore from "../stores/authStore";
+import { authApi } from "../services/api";
+import ActiveSessions from "../components/Profile/ActiveSessions";
 import { Link, useNavigate } from "react-router-dom";
 
 const Profile = () => {
@@ -27,6 +30,19 @@ const Profile = () => {
     displayName: "",
     email: "",
   });
+  const [verificationRequiredFor, setVerificationRequiredFor] = useState([]);
+  const [isResending, setIsResending] = useState(false);
+  const [resendMessage, setResendMessage] = useState(null);
+
+  useEffect(() => {
+    if (!isAuthenticated || user?.isVerified) return;
+    authApi
+      .getVerificationPolicy()
+      .then((response) =>
+        setVerificationRequiredFor(response.data.data.requiredFor),
+      )
+      .catch(() => {});
+  }, [isAuthenticated, user?.isVerified]);
 
   useEffect(() => {
     if (user) {
@@ -48,6 +64,20 @@ const Profile = () => {
     }
   };
 
+  const handleResendVerification = async () => {
+    setIsResending(true);
+    try {
+      const response = await authApi.resendVerification();
+      setResendMessage(response.data.message);
+    } catch (error) {
+      setResendMessage(
+        error.response?.data?.message || "Could not send the verification link",
+      );
+    } finally {
+      setIsResending(false);
+    }
+  };
+
   const handleLogout = () => {
     logout();
     navigate("/");
@@ -241,7 +271,40 @@ const Profile = () => {
                   <div className="flex items-center gap-3 p-3 bg-space-800/50 rounded-xl">
                     <Mail className="w-5 h-5 text-white/40" />
                     <span className="text-white">{user?.email}</span>
+                    {user?.isVerified ?
+                      <span className="ml-auto flex items-center gap-1 text-xs text-green-400">
+                        <CheckCircle className="w-4 h-4" />
+                        Verified
+                      </span>
+                    : <span className="ml-auto flex items-center gap-1 text-xs text-risk-moderate">
+                        <AlertTriangle className="w-4 h-4" />
+                        Not verified
+                      </span>
+                    }
                   </div>
+                  {!user?.isVerified && (
+                    <div className="mt-2 text-sm text-white/50">
+                      {verificationRequiredFor.length > 0 && (
+                        <p className="mb-1">
+                          Verify your email to use{" "}
+                          {verificationRequiredFor.join(" and ")}.
+                        </p>
+                      )}
+                      {resendMessage ?
+                        <p>{resendMessage}</p>
+                      : <button
+                          onClick={handleResendVerification}
+                          disabled={isResending}
+                          className="text-accent-primary hover:underline flex items-center gap-1"
+                        >
+                          {isResending && (
+                            <Loader2 className="w-3.5 h-3.5 animate-spin" />
+                          )}
+                          Resend verification email
+                        </button>
+                      }
+                    </div>
+                  )}
                 </div>
 
                 <div>
@@ -270,6 +333,9 @@ const Profile = () => {
               </div>
             </div>
 
+            {/* Devices */}
+            <ActiveSessions onSignedOut={() => navigate("/")} />
+
             {/* Quick Links */}
             <div className="glass p-6">
               <h3 className="text-lg font-bold text-white mb-4">
@@ -0,0 +1,173 @@
+import { useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { motion } from "framer-motion";
+import {
+  Lock,
+  Eye,
+  EyeOff,
+  KeyRound,
+  Loader2,
+  CheckCircle,
+  ArrowRight,
+} from "lucide-react";
+import { authApi } from "../services/api";
+import useAuthStore from "../stores/authStore";
+
+const ResetPassword = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+
+  const [password, setPassword] = useState("");
+  const [confirmPassword, setConfirmPassword] = useState("");
+  const [showPassword, setShowPassword] = useState(false);
+  const [isLoading, setIsLoading] = useState(false);
+  const [doneMessage, setDoneMessage] = useState(null);
+  const [error, setError] = useState(
+    token ? null : "This reset link is missing its token",
+  );
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    setError(null);
+
+    if (password !== confirmPassword) {
+      setError("Passwords do not match");
+      return;
+    }
+    if (password.length < 8) {
+      setError("Password must be at least 8 characters");
+      return;
+    }
+
+    setIsLoading(true);
+    try {
+      const response = await authApi.resetPassword(token, password);
+      // Every session was signed out, including this browser's
+      if (useAuthStore.getState().isAuthenticated) {
+        useAuthStore.getState().logout();
+      }
+      setDoneMessage(response.data.message);
+    } catch (err) {
+      setError(err.response?.data?.message || "Could not reset the password");
+    } finally {
+      setIsLoading(false);
+    }
+  };
+
+  return (
+    <div className="min-h-screen pt-20 px-6 flex items-center justify-center">
+      {/* Background effects */}
+      <div className="fixed inset-0 pointer-events-none">
+        <div className="absolute top-1/4 left-1/4 w-96 h-96 bg-accent-primary/10 rounded-full blur-[120px]" />
+        <div className="absolute bottom-1/4 right-1/4 w-96 h-96 bg-accent-secondary/10 rounded-full blur-[120px]" />
+      </div>
+
+      <motion.div
+        className="w-full max-w-md relative z-10"
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+      >
+        {/* Header */}
+        <div className="text-center mb-8">
+          <div className="w-16 h-16 mx-auto mb-4 rounded-2xl bg-gradient-to-br from-accent-primary to-accent-secondary flex items-center justify-center">
+            <KeyRound className="w-8 h-8 text-white" />
+          </div>
+          <h1 className="text-3xl font-bold text-white mb-2">
+            Choose a New Password
+          </h1>
+          <p className="text-white/50">
+            You'll be signed out of every device
+          </p>
+        </div>
+
+        <div className="glass p-8">
+          {doneMessage ?
+            <div className="text-center">
+              <CheckCircle className="w-12 h-12 mx-auto mb-4 text-green-400" />
+              <p className="text-white/80 mb-6">{doneMessage}</p>
+              <Link
+                to="/login"
+                className="btn-primary inline-flex items-center gap-2"
+              >
+                Sign In
+                <ArrowRight className="w-4 h-4" />
+              </Link>
+            </div>
+            : <form onSubmit={handleSubmit}>
+                {error && (
+                  <div className="mb-6 p-4 bg-risk-high/20 border border-risk-high/30 rounded-lg">
+                    <p className="text-risk-high text-sm">{error}</p>
+                  </div>
+                )}
+
+                <div className="mb-6">
+                  <label className="block text-white/70 text-sm font-medium mb-2">
+                    New Password
+                  </label>
+                  <div className="relative">
+                    <Lock className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-white/40" />
+                    <input
+                      type={showPassword ? "text" : "password"}
+                      value={password}
+                      onChange={(e) => setPassword(e.target.value)}
+                      placeholder="••••••••"
+                      className="input-field pl-12 pr-12"
+                      required
+                      autoFocus
+                    />
+                    <button
+                      type="button"
+                      onClick={() => setShowPassword(!showPassword)}
+                      className="absolute right-4 top-1/2 -translate-y-1/2 text-white/40 hover:text-white/70"
+                    >
+                      {showPassword ?
+                        <EyeOff className="w-5 h-5" />
+                        : <Eye className="w-5 h-5" />}
+                    </button>
+                  </div>
+                </div>
+
+                <div className="mb-6">
+                  <label className="block text-white/70 text-sm font-medium mb-2">
+                    Confirm Password
+                  </label>
+                  <div className="relative">
+                    <Lock className="absolute left-4 top-1/2 -translate-y-1/2 w-5 h-5 text-white/40" />
+                    <input
+                      type={showPassword ? "text" : "password"}
+                      value={confirmPassword}
+                      onChange={(e) => setConfirmPassword(e.target.value)}
+                      placeholder="••••••••"
+                      className="input-field pl-12"
+                      required
+                    />
+                  </div>
+                </div>
+
+                <button
+                  type="submit"
+                  disabled={isLoading || !token}
+                  className="w-full btn-primary py-3 flex items-center justify-center gap-2"
+                >
+                  {isLoading && <Loader2 className="w-5 h-5 animate-spin" />}
+                  Update Password
+                </button>
+
+                <p className="text-center mt-6 text-sm text-white/50">
+                  Link expired?{" "}
+                  <Link
+                    to="/forgot-password"
+                    className="text-accent-primary hover:underline"
+                  >
+                    Request a new one
+                  </Link>
+                </p>
+              </form>
+          }
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
+export default ResetPassword;
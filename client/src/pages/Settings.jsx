@@ -14,6 +14,14 @@ import {
   AlertTriangle,
 } from "lucide-react";
 import useAuthStore from "../stores/authStore";
+import { enablePush, disablePush } from "../services/push";
+import AlertRuleSettings from "../components/Settings/AlertRuleSettings";
+import EscalationSettings from "../components/Settings/EscalationSettings";
+import WebhookSettings from "../components/Settings/WebhookSettings";
+import ApiKeySettings from "../components/Settings/ApiKeySettings";
+import { getBrowserTimezone, listTimezones } from "../utils/time";
+
+const TIMEZONES = listTimezones();
 import { Link, useNavigate } from "react-router-dom";
 
 const Settings = () => {
@@ -22,6 +30,7 @@ const Settings = () => {
   const navigate = useNavigate();
   const [isSaving, setIsSaving] = useState(false);
   const [saveSuccess, setSaveSuccess] = useState(false);
+  const [pushError, setPushError] = useState(null);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
   const [isDeleting, setIsDeleting] = useState(false);
 
@@ -30,7 +39,14 @@ const Settings = () => {
     emailAlerts: true,
     pushNotifications: true,
     alertThreshold: "moderate", // minimal, low, moderate, high
-    dailyDigest: false,
+    deliveryMode: "immediate", // immediate, daily, weekly
+    timezone: getBrowserTimezone(),
+    quietHoursEnabled: false,
+    quietHoursStart: "22:00",
+    quietHoursEnd: "07:00",
+    escalationEnabled: false,
+    escalationAfterMinutes: 30,
+    escalationContacts: "", // comma-separated emails
 
     // Display
     darkMode: true,
@@ -56,17 +72,55 @@ const Settings = () => {
         pushNotifications:
           user.alertSettings.pushNotifications ?? prev.pushNotifications,
         alertThreshold: user.alertSettings.riskThreshold ?? prev.alertThreshold,
+        deliveryMode: user.alertSettings.deliveryMode ?? prev.deliveryMode,
+        timezone: user.alertSettings.timezone ?? prev.timezone,
+        quietHoursEnabled:
+          user.alertSettings.quietHours?.enabled ?? prev.quietHoursEnabled,
+        quietHoursStart:
+          user.alertSettings.quietHours?.start ?? prev.quietHoursStart,
+        quietHoursEnd: user.alertSettings.quietHours?.end ?? prev.quietHoursEnd,
+        escalationEnabled:
+          user.alertSettings.escalation?.enabled ?? prev.escalationEnabled,
+        escalationAfterMinutes:
+          user.alertSettings.escalation?.afterMinutes ??
+          prev.escalationAfterMinutes,
+        escalationContacts:
+          user.alertSettings.escalation?.contacts?.join(", ") ??
+          prev.escalationContacts,
       }));
     }
   }, [user]);
 
   const handleSave = async () => {
     setIsSaving(true);
+    setPushError(null);
     const result = await updateSettings({
       emailNotifications: settings.emailAlerts,
       pushNotifications: settings.pushNotifications,
       riskThreshold: settings.alertThreshold,
+      deliveryMode: settings.deliveryMode,
+      timezone: settings.timezone,
+      quietHours: {
+        enabled: settings.quietHoursEnabled,
+        start: settings.quietHoursStart,
+        end: settings.quietHoursEnd,
+      },
+      escalation: {
+        enabled: settings.escalationEnabled,
+        afterMinutes: Number(settings.escalationAfterMinutes),
+        contacts: settings.escalationContacts
+          .split(",")
+          .map((email) => email.trim())
+          .filter(Boolean),
+      },
     });
+
+    // Subscribe or unsubscribe this browser to match the toggle
+    if (result.success) {
+      const pushResult =
+        settings.pushNotifications ? await enablePush() : await disablePush();
+      if (!pushResult.success) setPushError(pushResult.message);
+    }
     setIsSaving(false);
     if (result.success) {
       setSaveSuccess(true);
@@ -154,6 +208,18 @@ const Settings = () => {
           </motion.div>
         )}
 
+        {/* Push subscription problem (permission denied, unsupported...) */}
+        {pushError && (
+          <motion.div
+            initial={{ opacity: 0, y: -10 }}
+            animate={{ opacity: 1, y: 0 }}
+            className="glass p-4 mb-6 flex items-center gap-3 border-l-4 border-risk-moderate"
+          >
+            <AlertTriangle className="w-5 h-5 text-risk-moderate" />
+            <p className="text-white">{pushError}</p>
+          </motion.div>
+        )}
+
         <div className="space-y-6">
           {/* Notifications */}
           <motion.div
@@ -183,16 +249,126 @@ const Settings = () => {
               />
               <ToggleSetting
                 label="Push Notifications"
-                description="Get real-time browser notifications"
+                description="Get browser notifications, even with Astral closed"
                 checked={settings.pushNotifications}
                 onChange={(v) => handleChange("pushNotifications", v)}
               />
+              <div>
+                <label className="block text-sm text-white mb-2">
+                  Alert Delivery
+                </label>
+                <p className="text-xs text-white/50 mb-2">
+                  Get each alert as it happens, or one summary grouped by
+                  severity and approach date
+                </p>
+                <select
+                  value={settings.deliveryMode}
+                  onChange={(e) => handleChange("deliveryMode", e.target.value)}
+                  className="input-field"
+                >
+                  <option value="immediate">Immediately</option>
+                  <option value="daily">Daily digest (08:00 your time)</option>
+                  <option value="weekly">
+                    Weekly digest (Mondays, 08:00 your time)
+                  </option>
+                </select>
+              </div>
+
+              <div>
+                <label className="block text-sm text-white mb-2 flex items-center gap-2">
+                  <Globe className="w-4 h-4 text-white/50" />
+                  Timezone
+                </label>
+                <p className="text-xs text-white/50 mb-2">
+                  Used for quiet hours, digest times and alert times
+                </p>
+                <select
+                  value={settings.timezone}
+                  onChange={(e) => handleChange("timezone", e.target.value)}
+                  className="input-field"
+                >
+                  {!TIMEZONES.includes(settings.timezone) && (
+                    <option value={settings.timezone}>
+                      {settings.timezone}
+                    </option>
+                  )}
+                  {TIMEZONES.map((tz) => (
+                    <option key={tz} value={tz}>
+                      {tz.replace(/_/g, " ")}
+                    </option>
+                  ))}
+                </select>
+              </div>
+
+              <ToggleSetting
+                label="Quiet Hours"
+                description="Hold alerts until the window ends (danger alerts still come through)"
+                checked={settings.quietHoursEnabled}
+                onChange={(v) => handleChange("quietHoursEnabled", v)}
+              />
+              {settings.quietHoursEnabled && (
+                <div className="flex items-center gap-3">
+                  <input
+                    type="time"
+                    value={settings.quietHoursStart}
+                    onChange={(e) =>
+                      handleChange("quietHoursStart", e.target.value)
+                    }
+                    className="input-field w-auto"
+                  />
+                  <span className="text-white/50 text-sm">to</span>
+                  <input
+                    type="time"
+                    value={settings.quietHoursEnd}
+                    onChange={(e) =>
+                      handleChange("quietHoursEnd", e.target.value)
+                    }
+                    className="input-field w-auto"
+                  />
+                </div>
+              )}
+
               <ToggleSetting
-                label="Daily Digest"
-                description="Receive a daily summary of asteroid activity"
-                checked={settings.dailyDigest}
-                onChange={(v) => handleChange("dailyDigest", v)}
+                label="Escalation"
+                description="Send danger alerts to teammates if you don't acknowledge them in time"
+                checked={settings.escalationEnabled}
+                onChange={(v) => handleChange("escalationEnabled", v)}
               />
+              {settings.escalationEnabled && (
+                <div className="space-y-3">
+                  <div className="flex items-center gap-3">
+                    <span className="text-white/50 text-sm">Escalate after</span>
+                    <select
+                      value={settings.escalationAfterMinutes}
+                      onChange={(e) =>
+                        handleChange("escalationAfterMinutes", e.target.value)
+                      }
+                      className="input-field w-auto"
+                    >
+                      <option value={5}>5 minutes</option>
+                      <option value={15}>15 minutes</option>
+                      <option value={30}>30 minutes</option>
+                      <option value={60}>1 hour</option>
+                      <option value={120}>2 hours</option>
+                      <option value={240}>4 hours</option>
+                    </select>
+                  </div>
+                  <input
+                    type="text"
+                    value={settings.escalationContacts}
+                    onChange={(e) =>
+                      handleChange("escalationContacts", e.target.value)
+                    }
+                    placeholder="teammate@example.com, oncall@example.com"
+                    className="input-field"
+                  />
+                  <p className="text-xs text-white/50">
+                    Up to 5 emails. Each contact must accept your request in
+                    their own settings before they get copies of your alerts.
+                    Whoever acknowledges first acknowledges for everyone.
+                  </p>
+                </div>
+              )}
 
               <div>
                 <label className="block text-sm text-white mb-2">
@@ -217,6 +393,20 @@ const Settings = () => {
             </div>
           </motion.div>
 
+          {/* Escalation contacts and requests */}
+          <EscalationSettings
+            contactsKey={user?.alertSettings?.escalation?.contacts?.join(",")}
+          />
+
+          {/* Alert rules */}
+          <AlertRuleSettings timeZone={settings.timezone} />
+
+          {/* Webhooks */}
+          <WebhookSettings />
+
+          {/* API keys */}
+          <ApiKeySettings />
+
           {/* Display */}
           <motion.div
             initial={{ opacity: 0, y: 20 }}
@@ -0,0 +1,116 @@
+import { useEffect, useRef, useState } from "react";
+import { Link, useSearchParams } from "react-router-dom";
+import { motion } from "framer-motion";
+import { Loader2, CheckCircle, XCircle, ArrowRight } from "lucide-react";
+import { authApi } from "../services/api";
+import useAuthStore from "../stores/authStore";
+import useChatStore from "../stores/chatStore";
+
+const VerifyEmail = () => {
+  const [searchParams] = useSearchParams();
+  const token = searchParams.get("token");
+
+  const [status, setStatus] = useState(token ? "verifying" : "error"); // verifying | verified | error
+  const [message, setMessage] = useState(
+    token ? null : "This verification link is missing its token",
+  );
+
+  // Tokens are single-use, so post each one only once (StrictMode runs effects twice)
+  const submittedToken = useRef(null);
+
+  useEffect(() => {
+    if (!token || submittedToken.current === token) return;
+    submittedToken.current = token;
+
+    authApi
+      .verifyEmail(token)
+      .then((response) => {
+        const verified = response.data.data;
+        // Refresh the signed-in profile if the link was for this account
+        const { user } = useAuthStore.getState();
+        if (user?._id === verified._id) {
+          useAuthStore.setState({ user: { ...user, isVerified: true } });
+          useChatStore.getState().reconnect();
+        }
+        setStatus("verified");
+        setMessage(`${verified.email} is verified`);
+      })
+      .catch((err) => {
+        setStatus("error");
+        setMessage(
+          err.response?.data?.message || "Could not verify your email address",
+        );
+      });
+  }, [token]);
+
+  const isAuthenticated = useAuthStore((state) => state.isAuthenticated);
+
+  return (
+    <div className="min-h-screen pt-20 px-6 flex items-center justify-center">
+      <motion.div
+        className="w-full max-w-md glass p-8 text-center"
+        initial={{ opacity: 0, y: 20 }}
+        animate={{ opacity: 1, y: 0 }}
+      >
+        {status === "verifying" && (
+          <>
+            <Loader2 className="w-12 h-12 mx-auto mb-4 text-accent-primary animate-spin" />
+            <p className="text-white/70">Verifying your email address...</p>
+          </>
+        )}
+
+        {status === "verified" && (
+          <>
+            <CheckCircle className="w-12 h-12 mx-auto mb-4 text-green-400" />
+            <h1 className="text-2xl font-bold text-white mb-2">
+              Email Verified
+            </h1>
+            <p className="text-white/50 mb-6">{message}</p>
+            <Link
+              to={isAuthenticated ? "/" : "/login"}
+              className="btn-primary inline-flex items-center gap-2"
+            >
+              {isAuthenticated ? "Go to Dashboard" : "Sign In"}
+              <ArrowRight className="w-4 h-4" />
+            </Link>
+          </>
+        )}
+
+        {status === "error" && (
+          <>
+            <XCircle className="w-12 h-12 mx-auto mb-4 text-risk-high" />
+            <h1 className="text-2xl font-bold text-white mb-2">
+              Verification Failed
+            </h1>
+            <p className="text-white/50 mb-6">{message}</p>
+            <p className="text-white/40 text-sm">
+              {isAuthenticated ?
+                <>
+                  Send a new link from your{" "}
+                  <Link
+                    to="/profile"
+                    className="text-accent-primary hover:underline"
+                  >
+                    profile
+                  </Link>
+                  .
+                </>
+                : <>
+                    <Link
+                      to="/login"
+                      className="text-accent-primary hover:underline"
+                    >
+                      Sign in
+                    </Link>{" "}
+                    to send a new link.
+                  </>
+              }
+            </p>
+          </>
+        )}
+      </motion.div>
+    </div>
+  );
+};
+
+export default VerifyEmail;
@@ -21,11 +21,61 @@ api.interceptors.request.use((config) => {
   return config;
 });
 
+// Auth calls that must not trigger a token refresh or the login redirect
+const SESSION_PATHS = [
+  "/api/auth/login",
+  "/api/auth/register",
+  "/api/auth/refresh",
+  "/api/auth/logout",
+  "/api/auth/forgot-password",
+  "/api/auth/reset-password",
+  "/api/auth/verify-email",
+];
+
+// One refresh at a time: requests that fail together share it
+let refreshRequest = null;
+
+// Swap the httpOnly refresh cookie for a new access token
+export const refreshAccessToken = () => {
+  if (!refreshRequest) {
+    refreshRequest = api
+      .post("/api/auth/refresh")
+      .then((response) => {
+        const { token } = response.data.data;
+        localStorage.setItem("token", token);
+        return token;
+      })
+      .finally(() => {
+        refreshRequest = null;
+      });
+  }
+  return refreshRequest;
+};
+
+// Single sign-on is a full-page redirect through the API, not an XHR call
+export const oidcLoginUrl = (returnTo = "/") =>
+  `${API_BASE_URL}/api/auth/oidc/login?returnTo=${encodeURIComponent(returnTo)}`;
+
 // Handle response errors
 api.interceptors.response.use(
   (response) => response,
-  (error) => {
-    if (error.response?.status === 401) {
+  async (error) => {
+    const request = error.config;
+    const isSessionCall = SESSION_PATHS.includes(request?.url);
+
+    // Access tokens are short-lived: refresh once and retry
+    if (error.response?.status === 401 && !isSessionCall && !request._retried) {
+      request._retried = true;
+      try {
+        const token = await refreshAccessToken();
+        request.headers.Authorization = `Bearer ${token}`;
+        return api(request);
+      } catch {
+        // Refresh failed too: the session is over
+      }
+    }
+
+    if (error.response?.status === 401 && !isSessionCall) {
       localStorage.removeItem("token");
       window.location.href = "/login";
     }
@@ -38,8 +88,18 @@ export const asteroidApi = {
   getAll: (params) => api.get("/api/asteroids", { params }),
   getStats: () => api.get("/api/asteroids/stats"),
   getToday: () => api.get("/api/asteroids/today"),
+  getHistory: (params) => api.get("/api/asteroids/history", { params }),
   getById: (id) => api.get(`/api/asteroids/${id}`),
+  getApproaches: (id, params) =>
+    api.get(`/api/asteroids/${id}/approaches`, { params }),
   getHazardous: () => api.get("/api/asteroids/hazardous/all"),
+  getAnnotations: (id) => api.get(`/api/asteroids/${id}/annotations`),
+  addAnnotation: (id, body) =>
+    api.post(`/api/asteroids/${id}/annotations`, { body }),
+  deleteAnnotation: (id, annotationId) =>
+    api.delete(`/api/asteroids/${id}/annotations/${annotationId}`),
+  exportData: (params) =>
+    api.get("/api/asteroids/export", { params, responseType: "blob" }),
 };
 
 // Auth endpoints
@@ -49,10 +109,29 @@ export const authApi = {
   getProfile: () => api.get("/api/auth/me"),
   updateProfile: (data) => api.put("/api/auth/profile", data),
   deleteAccount: () => api.delete("/api/auth/account"),
+  logout: () => api.post("/api/auth/logout"),
+  getSessions: () => api.get("/api/auth/sessions"),
+  revokeSession: (id) => api.delete(`/api/auth/sessions/${id}`),
+  revokeAllSessions: (keepCurrent = false, revokeApiKeys = false) =>
+    api.delete("/api/auth/sessions", {
+      params: { keepCurrent, revokeApiKeys },
+    }),
+  forgotPassword: (email) => api.post("/api/auth/forgot-password", { email }),
+  resetPassword: (token, password) =>
+    api.post("/api/auth/reset-password", { token, password }),
+  verifyEmail: (token) => api.post("/api/auth/verify-email", { token }),
+  resendVerification: () => api.post("/api/auth/resend-verification"),
+  getVerificationPolicy: () => api.get("/api/auth/verification-policy"),
+  getOidcConfig: () => api.get("/api/auth/oidc/config"),
   getWatchlist: () => api.get("/api/auth/watchlist"),
   addToWatchlist: (asteroidId) => api.post(`/api/auth/watchlist/${asteroidId}`),
   removeFromWatchlist: (asteroidId) =>
     api.delete(`/api/auth/watchlist/${asteroidId}`),
+  getPushPublicKey: () => api.get("/api/auth/push/public-key"),
+  subscribePush: (subscription) =>
+    api.post("/api/auth/push/subscribe", { subscription }),
+  unsubscribePush: (endpoint) =>
+    api.delete("/api/auth/push/subscribe", { data: { endpoint } }),
 };
 
 // Alert endpoints
@@ -61,13 +140,68 @@ export const alertApi = {
   getUnread: () => api.get("/api/alerts/unread"),
   markRead: (id) => api.put(`/api/alerts/${id}/read`),
   markAllRead: () => api.put("/api/alerts/read-all"),
+  acknowledge: (id, note) => api.put(`/api/alerts/${id}/acknowledge`, { note }),
+  snooze: (id, minutes) => api.put(`/api/alerts/${id}/snooze`, { minutes }),
+  unsnooze: (id) => api.put(`/api/alerts/${id}/unsnooze`),
+  getEscalationContacts: () => api.get("/api/alerts/escalation/contacts"),
+  getEscalationRequests: () => api.get("/api/alerts/escalation/requests"),
+  acceptEscalation: (userId) =>
+    api.put(`/api/alerts/escalation/requests/${userId}`),
+  declineEscalation: (userId) =>
+    api.delete(`/api/alerts/escalation/requests/${userId}`),
+};
+
+// Alert rule endpoints
+export const alertRuleApi = {
+  getAll: () => api.get("/api/alert-rules"),
+  create: (data) => api.post("/api/alert-rules", data),
+  update: (id, data) => api.put(`/api/alert-rules/${id}`, data),
+  remove: (id) => api.delete(`/api/alert-rules/${id}`),
+  preview: (data) => api.post("/api/alert-rules/preview", data),
+};
+
+// Webhook endpoints
+export const webhookApi = {
+  getAll: () => api.get("/api/webhooks"),
+  create: (data) => api.post("/api/webhooks", data),
+  update: (id, data) => api.put(`/api/webhooks/${id}`, data),
+  remove: (id) => api.delete(`/api/webhooks/${id}`),
+  rotateSecret: (id) => api.post(`/api/webhooks/${id}/rotate-secret`),
+  sendTest: (id) => api.post(`/api/webhooks/${id}/test`),
+  getDeliveries: (id, params) =>
+    api.get(`/api/webhooks/${id}/deliveries`, { params }),
+};
+
+// Personal API key endpoints
+export const apiKeyApi = {
+  getAll: () => api.get("/api/api-keys"),
+  create: (data) => api.post("/api/api-keys", data),
+  update: (id, data) => api.put(`/api/api-keys/${id}`, data),
+  remove: (id) => api.delete(`/api/api-keys/${id}`),
 };
 
 // Admin endpoints
 export const adminApi = {
   testNasa: () => api.get("/api/admin/test-nasa"),
+  getNasaStatus: () => api.get("/api/admin/nasa-status"),
+  clearNasaCache: () => api.delete("/api/admin/nasa-cache"),
   triggerFetch: (type = "today") => api.post("/api/admin/fetch", { type }),
   getStats: () => api.get("/api/admin/stats"),
+  startBackfill: (data) => api.post("/api/admin/backfill", data),
+  getBackfills: () => api.get("/api/admin/backfill"),
+  getBackfill: (id) => api.get(`/api/admin/backfill/${id}`),
+  resumeBackfill: (id) => api.post(`/api/admin/backfill/${id}/resume`),
+  cancelBackfill: (id) => api.post(`/api/admin/backfill/${id}/cancel`),
+  getRiskModels: () => api.get("/api/admin/risk-models"),
+  createRiskModel: (data) => api.post("/api/admin/risk-models", data),
+  activateRiskModel: (version, rescore = false) =>
+    api.post(`/api/admin/risk-models/${version}/activate`, { rescore }),
+  rescoreCatalog: () => api.post("/api/admin/risk-models/rescore"),
+  runDigests: (period = "daily") =>
+    api.post("/api/admin/digests/run", { period }),
+  getPermissions: () => api.get("/api/admin/permissions"),
+  getUsers: (params) => api.get("/api/admin/users", { params }),
+  setUserRole: (id, role) => api.put(`/api/admin/users/${id}/role`, { role }),
 };
 
 export default api;
@@ -0,0 +1,101 @@
+import { authApi } from "./api";
+
+// Browser side of Web Push: registers public/sw.js and keeps the server's
+// copy of this browser's subscription in sync with the Settings toggle.
+
+export const isPushSupported = () =>
+  "serviceWorker" in navigator &&
+  "PushManager" in window &&
+  "Notification" in window;
+
+// VAPID keys are base64url; PushManager wants the raw bytes
+const urlBase64ToUint8Array = (base64String) => {
+  const padding = "=".repeat((4 - (base64String.length % 4)) % 4);
+  const base64 = (base64String + padding).replace(/-/g, "+").replace(/_/g, "/");
+  const raw = window.atob(base64);
+  return Uint8Array.from(raw, (char) => char.charCodeAt(0));
+};
+
+const getRegistration = async () => {
+  await navigator.serviceWorker.register("/sw.js");
+  return navigator.serviceWorker.ready;
+};
+
+/**
+ * Ask for permission, subscribe this browser and register it with the server.
+ * Resolves { success, message }.
+ */
+export const enablePush = async () => {
+  if (!isPushSupported()) {
+    return {
+      success: false,
+      message: "This browser does not support push notifications",
+    };
+  }
+
+  try {
+    const permission = await Notification.requestPermission();
+    if (permission !== "granted") {
+      return {
+        success: false,
+        message: "Notifications are blocked for this site in your browser",
+      };
+    }
+
+    const keyRes = await authApi.getPushPublicKey();
+    const registration = await getRegistration();
+
+    let subscription = await registration.pushManager.getSubscription();
+    if (!subscription) {
+      subscription = await registration.pushManager.subscribe({
+        userVisibleOnly: true,
+        applicationServerKey: urlBase64ToUint8Array(
+          keyRes.data.data.publicKey,
+        ),
+      });
+    }
+
+    await authApi.subscribePush(subscription.toJSON());
+    return { success: true };
+  } catch (error) {
+    return {
+      success: false,
+      message:
+        error.response?.data?.message || "Failed to enable push notifications",
+    };
+  }
+};
+
+/**
+ * Unsubscribe this browser and forget it on the server.
+ */
+export const disablePush = async () => {
+  if (!isPushSupported()) return { success: true };
+
+  try {
+    const registration = await navigator.serviceWorker.getRegistration();
+    const subscription = await registration?.pushManager.getSubscription();
+    if (!subscription) return { success: true };
+
+    await authApi.unsubscribePush(subscription.endpoint);
+    await subscription.unsubscribe();
+    return { success: true };
+  } catch (error) {
+    return {
+      success: false,
+      message:
+        error.response?.data?.message || "Failed to disable push notifications",
+    };
+  }
+};
+
+/**
+ * Drop this browser's subscription without calling the API (used on logout,
+ * when there may be no token left). The server prunes it on the next push.
+ */
+export const clearPushSubscription = async () => {
+  if (!isPushSupported()) return;
+  const registration = await navigator.serviceWorker.getRegistration();
+  const subscription = await registration?.pushManager.getSubscription();
+  await subscription?.unsubscribe();
+};
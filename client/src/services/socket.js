@@ -1,4 +1,5 @@
 import { io } from "socket.io-client";
+import { refreshAccessToken } from "./api";
 
 const SOCKET_URL = (
   import.meta.env.VITE_SOCKET_URL || "http://localhost:5000"
@@ -10,6 +11,10 @@ class SocketService {
     this.listeners = new Map();
     this.retryCount = 0;
     this.maxRetries = 3;
+    // Asteroid rooms to (re)join whenever the socket connects
+    this.watchedAsteroids = new Set();
+    // Whether to (re)join the signed-in user's room on connect
+    this.inUserRoom = false;
   }
 
   connect() {
@@ -29,6 +34,11 @@ class SocketService {
       this.socket.on("connect", () => {
         console.log("🔌 Socket connected:", this.socket.id);
         this.retryCount = 0;
+        // Rooms don't survive a reconnect
+        this.watchedAsteroids.forEach((asteroidId) =>
+          this.socket.emit("watch_asteroid", asteroidId),
+        );
+        if (this.inUserRoom) this.emitJoinUserRoom();
       });
 
       this.socket.on("disconnect", (reason) => {
@@ -63,15 +73,39 @@ class SocketService {
     }
   }
 
-  // Join user's personal notification room
-  joinUserRoom(userId) {
+  // Join the signed-in user's notification room. The server picks the room
+  // from the access token, refreshing it once if it has expired.
+  joinUserRoom() {
+    this.inUserRoom = true;
+    if (this.socket?.connected) this.emitJoinUserRoom();
+  }
+
+  emitJoinUserRoom(retried = false) {
+    this.socket.emit(
+      "join_user_room",
+      localStorage.getItem("token"),
+      (result) => {
+        if (result?.success || retried || !this.inUserRoom) return;
+        refreshAccessToken()
+          .then(() => {
+            if (this.socket?.connected) this.emitJoinUserRoom(true);
+          })
+          .catch(() => {});
+      },
+    );
+  }
+
+  // Stop receiving the user's notifications (on logout)
+  leaveUserRoom() {
+    this.inUserRoom = false;
     if (this.socket?.connected) {
-      this.socket.emit("join_user_room", userId);
+      this.socket.emit("leave_user_room");
     }
   }
 
-  // Watch a specific asteroid
+  // Watch a specific asteroid (its room receives ASTEROID_UPDATED)
   watchAsteroid(asteroidId) {
+    this.watchedAsteroids.add(asteroidId);
     if (this.socket?.connected) {
       this.socket.emit("watch_asteroid", asteroidId);
     }
@@ -79,11 +113,19 @@ class SocketService {
 
   // Unwatch a specific asteroid
   unwatchAsteroid(asteroidId) {
+    this.watchedAsteroids.delete(asteroidId);
     if (this.socket?.connected) {
       this.socket.emit("unwatch_asteroid", asteroidId);
     }
   }
 
+  // Leave every asteroid room (on logout)
+  unwatchAll() {
+    [...this.watchedAsteroids].forEach((asteroidId) =>
+      this.unwatchAsteroid(asteroidId),
+    );
+  }
+
   // Listen for events
   on(event, callback) {
     if (this.socket) {
@@ -64,11 +64,68 @@ export const useAlertStore = create((set, get) => ({
         }
     },
 
-    // Add new alert (from socket)
+    // Acknowledge an alert (optionally with a note)
+    acknowledge: async (alertId, note) => {
+        try {
+            const response = await alertApi.acknowledge(alertId, note);
+            get().replaceAlert(response.data.data);
+            return { success: true };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.response?.data?.message || 'Failed to acknowledge alert',
+            };
+        }
+    },
+
+    // Snooze an alert for a number of minutes
+    snooze: async (alertId, minutes) => {
+        try {
+            const response = await alertApi.snooze(alertId, minutes);
+            get().replaceAlert(response.data.data);
+            return { success: true };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.response?.data?.message || 'Failed to snooze alert',
+            };
+        }
+    },
+
+    // End a snooze early
+    unsnooze: async (alertId) => {
+        try {
+            const response = await alertApi.unsnooze(alertId);
+            get().replaceAlert(response.data.data);
+            return { success: true };
+        } catch (error) {
+            return {
+                success: false,
+                error: error.response?.data?.message || 'Failed to unsnooze alert',
+            };
+        }
+    },
+
+    // Swap in an alert returned by the API, keeping the unread count in step
+    replaceAlert: (updated) => {
+        const previous = get().alerts.find((a) => a._id === updated._id);
+        const wasUnread = previous && !previous.isRead && previous.status !== 'snoozed';
+        const isUnread = !updated.isRead && updated.status !== 'snoozed';
+        set({
+            alerts: get().alerts.map((a) => (a._id === updated._id ? updated : a)),
+            unreadCount: Math.max(0, get().unreadCount + (isUnread ? 1 : 0) - (wasUnread ? 1 : 0)),
+        });
+    },
+
+    // Add new alert (from socket). A re-sent alert (severity raised)
+    // replaces its earlier copy.
     addAlert: (alert) => {
+        const id = alert._id || alert.alertId;
+        const previous = id && get().alerts.find((a) => (a._id || a.alertId) === id);
+        const wasUnread = previous && !previous.isRead && previous.status !== 'snoozed';
         set({
-            alerts: [alert, ...get().alerts],
-            unreadCount: get().unreadCount + 1,
+            alerts: [alert, ...get().alerts.filter((a) => a !== previous)],
+            unreadCount: get().unreadCount + (wasUnread ? 0 : 1),
         });
     },
 }));
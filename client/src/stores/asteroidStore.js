@@ -1,5 +1,6 @@
 import { create } from 'zustand';
 import { asteroidApi, authApi } from '../services/api';
+import socketService from '../services/socket';
 
 export const useAsteroidStore = create((set, get) => ({
     asteroids: [],
@@ -95,6 +96,7 @@ export const useAsteroidStore = create((set, get) => ({
     addToWatchlist: async (asteroidId) => {
         try {
             await authApi.addToWatchlist(asteroidId);
+            socketService.watchAsteroid(asteroidId);
             await get().fetchWatchlist();
             return { success: true };
         } catch (error) {
@@ -109,6 +111,7 @@ export const useAsteroidStore = create((set, get) => ({
     removeFromWatchlist: async (asteroidId) => {
         try {
             await authApi.removeFromWatchlist(asteroidId);
+            socketService.unwatchAsteroid(asteroidId);
             set({
                 watchlist: get().watchlist.filter((a) => a.neo_reference_id !== asteroidId),
             });
@@ -1,6 +1,8 @@
 import { create } from "zustand";
 import { persist } from "zustand/middleware";
-import { authApi } from "../services/api";
+import { authApi, refreshAccessToken } from "../services/api";
+import { clearPushSubscription } from "../services/push";
+import socketService from "../services/socket";
 
 export const useAuthStore = create(
   persist(
@@ -64,8 +66,37 @@ export const useAuthStore = create(
         }
       },
 
+      // Finish single sign-on: the server already set the refresh cookie
+      completeOidcLogin: async () => {
+        set({ isLoading: true, error: null });
+        try {
+          const token = await refreshAccessToken();
+          const response = await authApi.getProfile();
+
+          set({
+            user: response.data.data,
+            token,
+            isAuthenticated: true,
+            isLoading: false,
+          });
+
+          return { success: true };
+        } catch (error) {
+          const message =
+            error.response?.data?.message || "Single sign-on failed";
+          set({ error: message, isLoading: false });
+          return { success: false, error: message };
+        }
+      },
+
       // Logout
       logout: () => {
+        // Stop this browser receiving the signed-out user's alerts
+        clearPushSubscription().catch(() => {});
+        socketService.unwatchAll();
+        socketService.leaveUserRoom();
+        // End the session server-side so its refresh token stops working
+        authApi.logout().catch(() => {});
         localStorage.removeItem("token");
         set({
           user: null,
@@ -75,6 +106,20 @@ export const useAuthStore = create(
         });
       },
 
+      // Sign out every device, this one included (optionally deleting API keys too)
+      logoutEverywhere: async (revokeApiKeys = false) => {
+        try {
+          await authApi.revokeAllSessions(false, revokeApiKeys);
+        } catch (error) {
+          const message =
+            error.response?.data?.message || "Failed to sign out devices";
+          set({ error: message });
+          return { success: false, error: message };
+        }
+        get().logout();
+        return { success: true };
+      },
+
       // Check auth status
       checkAuth: async () => {
         const token = localStorage.getItem("token");
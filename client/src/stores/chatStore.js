@@ -1,6 +1,6 @@
 import { create } from "zustand";
 import { io } from "socket.io-client";
-import api from "../services/api";
+import api, { refreshAccessToken } from "../services/api";
 
 const SOCKET_URL = (
   import.meta.env.VITE_SOCKET_URL || "http://localhost:5000"
@@ -10,6 +10,8 @@ export const useChatStore = create((set, get) => ({
   // Per-room state: { [room]: { messages, hasMore, isLoadingHistory, typingUsers, unreadCount, usersOnline } }
   rooms: {},
   isConnected: false,
+  // Why the server refused the connection, e.g. an unverified email
+  authError: null,
   isOpen: false,
   activeRoom: "global",
   socket: null,
@@ -77,7 +79,8 @@ export const useChatStore = create((set, get) => ({
     if (!token) return;
 
     const socket = io(`${SOCKET_URL}/chat`, {
-      auth: { token },
+      // Read the token on every (re)connect: access tokens are refreshed often
+      auth: (cb) => cb({ token: localStorage.getItem("token") }),
       transports: ["polling", "websocket"],
       reconnection: true,
       reconnectionAttempts: 5,
@@ -85,9 +88,13 @@ export const useChatStore = create((set, get) => ({
       withCredentials: true,
     });
 
+    // The server rejects expired access tokens without retrying, so refresh once and reconnect
+    let retriedAuth = false;
+
     socket.on("connect", () => {
       console.log("💬 Chat connected");
-      set({ isConnected: true });
+      retriedAuth = false;
+      set({ isConnected: true, authError: null });
     });
 
     socket.on("disconnect", () => {
@@ -97,6 +104,15 @@ export const useChatStore = create((set, get) => ({
     socket.on("connect_error", (err) => {
       console.log("💬 Chat auth error:", err.message);
       set({ isConnected: false });
+      if (!socket.active) {
+        set({ authError: err.message });
+      }
+      if (!socket.active && !retriedAuth) {
+        retriedAuth = true;
+        refreshAccessToken()
+          .then(() => socket.connect())
+          .catch(() => {});
+      }
     });
 
     socket.on("chat:message", (msg) => {
@@ -125,6 +141,14 @@ export const useChatStore = create((set, get) => ({
       });
     });
 
+    socket.on("chat:message_deleted", ({ _id, room }) => {
+      const roomState = get().rooms[room];
+      if (!roomState) return;
+      get()._updateRoom(room, {
+        messages: roomState.messages.filter((m) => m._id !== _id),
+      });
+    });
+
     socket.on("chat:users_online", (count) => {
       get()._updateRoom("global", { usersOnline: count });
     });
@@ -175,11 +199,17 @@ export const useChatStore = create((set, get) => ({
     set({ socket });
   },
 
+  // Try again after the server refused the connection, e.g. once the email is verified
+  reconnect: () => {
+    const socket = get().socket;
+    if (socket && !socket.connected) socket.connect();
+  },
+
   disconnect: () => {
     const socket = get().socket;
     if (socket) {
       socket.disconnect();
-      set({ socket: null, isConnected: false, rooms: {} });
+      set({ socket: null, isConnected: false, authError: null, rooms: {} });
     }
   },
 
@@ -208,6 +238,16 @@ export const useChatStore = create((set, get) => ({
     }
   },
 
+  // Remove a message for everyone (moderators only; the server checks)
+  deleteMessage: (messageId) => {
+    const socket = get().socket;
+    if (socket?.connected) {
+      socket.emit("chat:delete", messageId, (res) => {
+        if (!res?.success) console.error("💬 Delete failed:", res?.message);
+      });
+    }
+  },
+
   // Typing indicators
   emitTyping: (room) => {
     const targetRoom = room || get().activeRoom;
@@ -13,6 +13,32 @@ const VIS_SCALE = 0.00004; // visual compression factor for km distances
 
 export { AU_KM, EARTH_RADIUS_KM, SCENE_SCALE, KM_TO_SCENE, VIS_SCALE };
 
+const MS_PER_DAY = 86_400_000;
+const JD_UNIX_EPOCH = 2440587.5; // Julian Date of 1970-01-01T00:00Z
+const GAUSS_MEAN_MOTION = 0.9856076686; // deg/day for a = 1 AU
+
+const LUNAR_DISTANCE_KM = 384_400;
+
+// Half-width of the geocentric trajectory drawn for Keplerian orbits
+const KEPLER_WINDOW_HOURS = 24 * 30;
+
+// Real Earth-relative distances span ~0.1 LD to several AU, so Keplerian
+// positions use a log compression that keeps them all inside the camera range
+const KEPLER_LOG_SCALE = 4; // scene units per decade of lunar distances
+
+// Earth's mean J2000 elements (Standish, JPL) — enough to turn a heliocentric
+// asteroid position into an Earth-relative one for the visualization
+const EARTH_ELEMENTS = {
+  epochOsculation: 2451545.0,
+  semiMajorAxis: 1.00000261,
+  eccentricity: 0.01671123,
+  inclination: 0,
+  ascendingNodeLongitude: 0,
+  perihelionArgument: 102.93768193,
+  meanAnomaly: 100.46457166 - 102.93768193,
+  meanMotion: 35999.37244981 / 36525,
+};
+
 // ─── Orbital Elements Estimator ──────────────────────────────────────
 // When we don't have full Keplerian elements from NASA, we estimate a
 // plausible elliptical orbit from the close-approach data we DO have.
@@ -58,14 +84,168 @@ export function estimateOrbit(asteroid) {
   };
 }
 
+// ─── Keplerian Propagation ───────────────────────────────────────────
+// When the server has JPL orbital elements (a, e, i, Ω, ω, M at epoch) we
+// propagate the real heliocentric orbit and render it relative to Earth.
+
+/** Convert a JS timestamp (ms) to a Julian Date */
+export function julianDate(ms) {
+  return ms / MS_PER_DAY + JD_UNIX_EPOCH;
+}
+
+/**
+ * Solve Kepler's equation M = E - e·sin(E) for the eccentric anomaly.
+ * Newton-Raphson, starting at E = π for high eccentricities.
+ * @param {number} meanAnomaly - radians
+ * @param {number} e - eccentricity (0 ≤ e < 1)
+ * @returns {number} eccentric anomaly in radians
+ */
+export function solveKepler(meanAnomaly, e, tolerance = 1e-10) {
+  const M = THREE.MathUtils.euclideanModulo(meanAnomaly, Math.PI * 2);
+  let E = e < 0.8 ? M : Math.PI;
+  for (let iter = 0; iter < 50; iter++) {
+    const delta = (E - e * Math.sin(E) - M) / (1 - e * Math.cos(E));
+    E -= delta;
+    if (Math.abs(delta) < tolerance) break;
+  }
+  return E;
+}
+
+/** True when an asteroid carries a usable, bound (e < 1) element set */
+export function hasOrbitalElements(asteroid) {
+  const el = asteroid?.orbitalData;
+  return Boolean(
+    el &&
+      [
+        el.epochOsculation,
+        el.semiMajorAxis,
+        el.eccentricity,
+        el.inclination,
+        el.ascendingNodeLongitude,
+        el.perihelionArgument,
+        el.meanAnomaly,
+      ].every(Number.isFinite) &&
+      el.semiMajorAxis > 0 &&
+      el.eccentricity < 1,
+  );
+}
+
+/**
+ * Heliocentric ecliptic (J2000) position for a set of orbital elements.
+ * @param {Object} elements - orbitalData as stored on the Asteroid model
+ * @param {number} jd - Julian Date
+ * @returns {THREE.Vector3} position in AU
+ */
+export function heliocentricPosition(elements, jd) {
+  const {
+    epochOsculation,
+    semiMajorAxis: a,
+    eccentricity: e,
+    inclination,
+    ascendingNodeLongitude,
+    perihelionArgument,
+    meanAnomaly,
+  } = elements;
+
+  const n = elements.meanMotion || GAUSS_MEAN_MOTION / Math.pow(a, 1.5);
+  const M = THREE.MathUtils.degToRad(meanAnomaly + n * (jd - epochOsculation));
+  const E = solveKepler(M, e);
+
+  const trueAnomaly =
+    2 *
+    Math.atan2(
+      Math.sqrt(1 + e) * Math.sin(E / 2),
+      Math.sqrt(1 - e) * Math.cos(E / 2),
+    );
+  const r = a * (1 - e * Math.cos(E));
+
+  const i = THREE.MathUtils.degToRad(inclination);
+  const node = THREE.MathUtils.degToRad(ascendingNodeLongitude);
+  const u = THREE.MathUtils.degToRad(perihelionArgument) + trueAnomaly;
+
+  return new THREE.Vector3(
+    r * (Math.cos(node) * Math.cos(u) - Math.sin(node) * Math.sin(u) * Math.cos(i)),
+    r * (Math.sin(node) * Math.cos(u) + Math.cos(node) * Math.sin(u) * Math.cos(i)),
+    r * Math.sin(u) * Math.sin(i),
+  );
+}
+
+/**
+ * Earth-relative position at a Julian Date, mapped into scene units.
+ * Direction is preserved; distance is log-compressed (1 LD ≈ 3.7, 1 AU ≈ 13).
+ */
+function geocentricScenePosition(elements, jd) {
+  const rel = heliocentricPosition(elements, jd).sub(
+    heliocentricPosition(EARTH_ELEMENTS, jd),
+  );
+  const lunarDistances = (rel.length() * AU_KM) / LUNAR_DISTANCE_KM;
+  if (lunarDistances === 0) return rel;
+  return rel.setLength(
+    2.5 + KEPLER_LOG_SCALE * Math.log10(1 + lunarDistances),
+  );
+}
+
+/**
+ * Build a propagating orbit from real orbital elements.
+ * Returns null when the asteroid has no usable elements.
+ */
+export function keplerianOrbit(asteroid, referenceTime = Date.now()) {
+  if (!hasOrbitalElements(asteroid)) return null;
+
+  return {
+    keplerian: true,
+    elements: asteroid.orbitalData,
+    referenceJd: julianDate(referenceTime),
+    windowHours: KEPLER_WINDOW_HOURS,
+    periodHours: KEPLER_WINDOW_HOURS * 2,
+  };
+}
+
+/**
+ * Real orbit when JPL elements are available, estimated orbit otherwise.
+ */
+export function buildOrbit(asteroid) {
+  return keplerianOrbit(asteroid) || estimateOrbit(asteroid);
+}
+
+/**
+ * Fraction (0–1) of the drawn path reached at a time offset, used for trails.
+ */
+export function getOrbitProgress(orbital, hoursOffset = 0) {
+  if (orbital.keplerian) {
+    const { windowHours } = orbital;
+    return THREE.MathUtils.clamp(
+      (hoursOffset + windowHours) / (windowHours * 2),
+      0,
+      1,
+    );
+  }
+  const total = orbital.periodHours;
+  return (((hoursOffset % total) + total) % total) / total;
+}
+
 // ─── Orbit Geometry ──────────────────────────────────────────────────
 
 /**
  * Generate an array of THREE.Vector3 points tracing an elliptical orbit.
- * @param {Object} orbital - orbital elements from estimateOrbit
+ * For Keplerian orbits this is the Earth-relative trajectory across the
+ * propagation window rather than a closed ellipse.
+ * @param {Object} orbital - orbit from buildOrbit / estimateOrbit
  * @param {number} segments - number of points (default 256)
  */
 export function computeOrbitPoints(orbital, segments = 256) {
+  if (orbital.keplerian) {
+    const { elements, referenceJd, windowHours } = orbital;
+    const points = [];
+    for (let i = 0; i <= segments; i++) {
+      const hours = -windowHours + (i / segments) * windowHours * 2;
+      points.push(
+        geocentricScenePosition(elements, referenceJd + hours / 24),
+      );
+    }
+    return points;
+  }
+
   const {
     semiMajor: a,
     eccentricity: e,
@@ -109,6 +289,13 @@ export function computeOrbitPoints(orbital, segments = 256) {
  * @returns {THREE.Vector3}
  */
 export function getPositionAtTime(orbital, hoursOffset = 0) {
+  if (orbital.keplerian) {
+    return geocentricScenePosition(
+      orbital.elements,
+      orbital.referenceJd + hoursOffset / 24,
+    );
+  }
+
   const {
     semiMajor: a,
     eccentricity: e,
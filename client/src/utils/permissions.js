@@ -0,0 +1,5 @@
+// Permissions come from the server with the user (see server/src/utils/permissions.js).
+// Only used to hide controls; the server checks every request itself.
+
+export const can = (user, permission) =>
+  Boolean(user?.permissions?.includes(permission));
@@ -0,0 +1,81 @@
+// Time formatting in the signed-in user's timezone (alertSettings.timezone).
+// Falls back to the browser's timezone when the user has none or it's invalid.
+
+export const getBrowserTimezone = () =>
+  Intl.DateTimeFormat().resolvedOptions().timeZone || "UTC";
+
+const isValidTimezone = (timeZone) => {
+  try {
+    new Intl.DateTimeFormat("en-US", { timeZone });
+    return true;
+  } catch {
+    return false;
+  }
+};
+
+export const resolveTimezone = (timeZone) =>
+  timeZone && isValidTimezone(timeZone) ? timeZone : getBrowserTimezone();
+
+// IANA names for the timezone picker (short fallback list on older browsers)
+export const listTimezones = () => {
+  if (typeof Intl.supportedValuesOf === "function") {
+    return ["UTC", ...Intl.supportedValuesOf("timeZone")];
+  }
+  return [
+    "UTC",
+    "America/Los_Angeles",
+    "America/Denver",
+    "America/Chicago",
+    "America/New_York",
+    "America/Sao_Paulo",
+    "Europe/London",
+    "Europe/Berlin",
+    "Europe/Moscow",
+    "Africa/Johannesburg",
+    "Asia/Dubai",
+    "Asia/Kolkata",
+    "Asia/Shanghai",
+    "Asia/Tokyo",
+    "Australia/Sydney",
+    "Pacific/Auckland",
+  ];
+};
+
+// e.g. "Oct 20, 2026, 7:31 AM"
+export const formatDateTime = (dateStr, timeZone, options = {}) => {
+  if (!dateStr) return "N/A";
+  return new Date(dateStr).toLocaleString("en-US", {
+    timeZone: resolveTimezone(timeZone),
+    month: "short",
+    day: "numeric",
+    year: "numeric",
+    hour: "numeric",
+    minute: "2-digit",
+    ...options,
+  });
+};
+
+// e.g. "Oct 20"
+export const formatShortDate = (dateStr, timeZone) =>
+  formatDateTime(dateStr, timeZone, {
+    year: undefined,
+    hour: undefined,
+    minute: undefined,
+  });
+
+// e.g. "7:31 AM"
+export const formatTime = (dateStr, timeZone) =>
+  formatDateTime(dateStr, timeZone, {
+    month: undefined,
+    day: undefined,
+    year: undefined,
+  });
+
+// Short zone label for display, e.g. "GMT+2" or "PDT"
+export const timezoneLabel = (timeZone, date = new Date()) =>
+  new Intl.DateTimeFormat("en-US", {
+    timeZone: resolveTimezone(timeZone),
+    timeZoneName: "short",
+  })
+    .formatToParts(date)
+    .find((part) => part.type === "timeZoneName")?.value || timeZone;
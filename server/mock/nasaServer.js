@@ -0,0 +1,80 @@
+/**
+ * Mock NASA NeoWs Server
+ * Serves the recorded fixtures in server/fixtures/nasa over HTTP with the
+ * same paths, errors and X-RateLimit-* headers as api.nasa.gov.
+ *
+ * Usage:
+ *   npm run mock:nasa
+ *   NASA_API_BASE_URL=http://localhost:5055/neo/rest/v1 npm run dev
+ *
+ * MOCK_NASA_RATE_LIMIT   requests per rolling hour before 429s (default 1000)
+ * MOCK_NASA_FAIL_RATE    share of requests answered with 503, 0-1 (default 0)
+ */
+
+import express from 'express';
+import { fixtureResponse, FIXTURES_DIR } from '../src/services/nasaFixtures.js';
+
+const PORT = parseInt(process.env.MOCK_NASA_PORT) || 5055;
+const RATE_LIMIT = parseInt(process.env.MOCK_NASA_RATE_LIMIT) || 1000;
+const FAIL_RATE = parseFloat(process.env.MOCK_NASA_FAIL_RATE) || 0;
+const WINDOW_MS = 60 * 60 * 1000;
+
+const app = express();
+
+// Request times in the current rolling hour, per API key
+const requestLog = new Map();
+
+const consumeQuota = (apiKey) => {
+    const now = Date.now();
+    const recent = (requestLog.get(apiKey) || []).filter((time) => now - time < WINDOW_MS);
+    recent.push(now);
+    requestLog.set(apiKey, recent);
+    return {
+        remaining: Math.max(0, RATE_LIMIT - recent.length),
+        exceeded: recent.length > RATE_LIMIT,
+        retryAfterSeconds: Math.ceil((recent[0] + WINDOW_MS - now) / 1000),
+    };
+};
+
+app.use('/neo/rest/v1', async (req, res) => {
+    const apiKey = req.query.api_key;
+    if (!apiKey) {
+        return res.status(403).json({
+            error: { code: 'API_KEY_MISSING', message: 'No api_key was supplied.' },
+        });
+    }
+
+    const quota = consumeQuota(apiKey);
+    res.set('X-RateLimit-Limit', String(RATE_LIMIT));
+    res.set('X-RateLimit-Remaining', String(quota.remaining));
+
+    if (quota.exceeded) {
+        res.set('Retry-After', String(quota.retryAfterSeconds));
+        return res.status(429).json({
+            error: { code: 'OVER_RATE_LIMIT', message: 'You have exceeded your rate limit.' },
+        });
+    }
+
+    if (Math.random() < FAIL_RATE) {
+        return res.status(503).json({ error: { code: 'SERVICE_UNAVAILABLE' } });
+    }
+
+    try {
+        const { api_key: _apiKey, ...params } = req.query;
+        res.json(await fixtureResponse(req.path, params));
+    } catch (error) {
+        res.status(error.status || 500).json({
+            code: error.status || 500,
+            error_message: error.message,
+        });
+    }
+});
+
+app.use((req, res) => {
+    res.status(404).json({ code: 404, error_message: `Unknown path ${req.path}` });
+});
+
+app.listen(PORT, () => {
+    console.log(`🛰️  Mock NASA NeoWs on http://localhost:${PORT}/neo/rest/v1`);
+    console.log(`📁 Fixtures: ${FIXTURES_DIR}`);
+});
@@ -0,0 +1,213 @@
+/**
+ * Mock OpenID Connect Provider
+ * A stand-in identity provider for trying single sign-on offline. It serves
+ * discovery, JWKS, an authorize page where you type the identity to sign in
+ * as, and a token endpoint that checks PKCE and returns an RS256 ID token.
+ * Keys are generated at startup; nothing is stored.
+ *
+ * Usage:
+ *   npm run mock:oidc
+ *   OIDC_ISSUER=http://localhost:5056 OIDC_CLIENT_ID=astral-local npm run dev
+ *
+ * MOCK_OIDC_PORT           port (default 5056)
+ * MOCK_OIDC_CLIENT_ID      the only client id accepted (default astral-local)
+ * MOCK_OIDC_CLIENT_SECRET  require this client secret as well (default: public client)
+ */
+
+import crypto from 'crypto';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+
+const PORT = parseInt(process.env.MOCK_OIDC_PORT) || 5056;
+const ISSUER = `http://localhost:${PORT}`;
+const CLIENT_ID = process.env.MOCK_OIDC_CLIENT_ID || 'astral-local';
+const CLIENT_SECRET = process.env.MOCK_OIDC_CLIENT_SECRET;
+const CODE_TTL_MS = 60 * 1000;
+const ID_TOKEN_TTL_SECONDS = 5 * 60;
+
+const { privateKey, publicKey } = crypto.generateKeyPairSync('rsa', { modulusLength: 2048 });
+const KEY_ID = crypto.randomBytes(8).toString('hex');
+
+// code -> { clientId, redirectUri, codeChallenge, nonce, identity, expiresAt }
+const codes = new Map();
+
+const app = express();
+app.use(express.urlencoded({ extended: false }));
+
+const escapeHtml = (value) =>
+    String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+
+// Same email, same subject, so repeat sign-ins find the linked account
+const subjectFor = (email) => `mock-${crypto.createHash('sha256').update(email).digest('hex').slice(0, 16)}`;
+
+const redirectWith = (res, redirectUri, params) => {
+    const url = new URL(redirectUri);
+    for (const [key, value] of Object.entries(params)) {
+        if (value) url.searchParams.set(key, value);
+    }
+    res.redirect(url.toString());
+};
+
+const tokenError = (res, status, error, description) =>
+    res.status(status).json({ error, error_description: description });
+
+app.get('/.well-known/openid-configuration', (req, res) => {
+    res.json({
+        issuer: ISSUER,
+        authorization_endpoint: `${ISSUER}/authorize`,
+        token_endpoint: `${ISSUER}/token`,
+        jwks_uri: `${ISSUER}/jwks`,
+        response_types_supported: ['code'],
+        subject_types_supported: ['public'],
+        id_token_signing_alg_values_supported: ['RS256'],
+        code_challenge_methods_supported: ['S256'],
+        token_endpoint_auth_methods_supported: ['none', 'client_secret_basic', 'client_secret_post'],
+        scopes_supported: ['openid', 'email', 'profile'],
+        claims_supported: ['sub', 'email', 'email_verified', 'name'],
+    });
+});
+
+app.get('/jwks', (req, res) => {
+    res.json({
+        keys: [{ ...publicKey.export({ format: 'jwk' }), kid: KEY_ID, use: 'sig', alg: 'RS256' }],
+    });
+});
+
+// Sign-in page: pick the identity the provider should vouch for
+app.get('/authorize', (req, res) => {
+    const { client_id: clientId, redirect_uri: redirectUri, response_type: responseType } = req.query;
+    const { code_challenge: codeChallenge, code_challenge_method: challengeMethod } = req.query;
+
+    if (clientId !== CLIENT_ID) {
+        return res.status(400).send(`Unknown client_id ${escapeHtml(clientId)}`);
+    }
+    if (!redirectUri) {
+        return res.status(400).send('redirect_uri is required');
+    }
+    if (responseType !== 'code') {
+        return redirectWith(res, redirectUri, { error: 'unsupported_response_type', state: req.query.state });
+    }
+    if (!codeChallenge || challengeMethod !== 'S256') {
+        return redirectWith(res, redirectUri, {
+            error: 'invalid_request',
+            error_description: 'PKCE with code_challenge_method=S256 is required',
+            state: req.query.state,
+        });
+    }
+
+    const hidden = ['client_id', 'redirect_uri', 'state', 'nonce', 'code_challenge']
+        .map((name) => `<input type="hidden" name="${name}" value="${escapeHtml(req.query[name])}">`)
+        .join('\n');
+
+    res.send(`<!DOCTYPE html>
+<html>
+<head><title>Mock identity provider</title></head>
+<body style="font-family: sans-serif; max-width: 420px; margin: 60px auto;">
+  <h2>Mock identity provider</h2>
+  <p>Sign in to <strong>${escapeHtml(clientId)}</strong> as:</p>
+  <form method="post" action="/authorize">
+    ${hidden}
+    <p><label>Email<br><input name="email" type="email" required value="astronaut@example.com" style="width: 100%"></label></p>
+    <p><label>Name<br><input name="name" value="Test Astronaut" style="width: 100%"></label></p>
+    <p><label><input name="email_verified" type="checkbox" value="true" checked> Email is verified</label></p>
+    <p>
+      <button type="submit" name="decision" value="allow">Sign in</button>
+      <button type="submit" name="decision" value="deny" formnovalidate>Cancel</button>
+    </p>
+  </form>
+</body>
+</html>`);
+});
+
+app.post('/authorize', (req, res) => {
+    const { redirect_uri: redirectUri, state, nonce, code_challenge: codeChallenge } = req.body;
+    if (req.body.client_id !== CLIENT_ID || !redirectUri) {
+        return res.status(400).send('Invalid sign-in request');
+    }
+
+    if (req.body.decision !== 'allow') {
+        return redirectWith(res, redirectUri, { error: 'access_denied', state });
+    }
+
+    const email = String(req.body.email || '').trim().toLowerCase();
+    const code = crypto.randomBytes(24).toString('base64url');
+    codes.set(code, {
+        clientId: CLIENT_ID,
+        redirectUri,
+        codeChallenge,
+        nonce,
+        identity: {
+            sub: subjectFor(email),
+            email,
+            email_verified: req.body.email_verified === 'true',
+            name: String(req.body.name || '').trim() || undefined,
+        },
+        expiresAt: Date.now() + CODE_TTL_MS,
+    });
+
+    console.log(`🔑 Issued code for ${email}`);
+    redirectWith(res, redirectUri, { code, state });
+});
+
+app.post('/token', (req, res) => {
+    // client_secret_basic or client_secret_post; public clients send only client_id
+    let clientId = req.body.client_id;
+    let clientSecret = req.body.client_secret;
+    const basic = req.get('authorization');
+    if (basic?.startsWith('Basic ')) {
+        const [id, secret] = Buffer.from(basic.slice(6), 'base64').toString().split(':');
+        clientId = decodeURIComponent(id);
+        clientSecret = decodeURIComponent(secret || '');
+    }
+
+    if (clientId !== CLIENT_ID || (CLIENT_SECRET && clientSecret !== CLIENT_SECRET)) {
+        return tokenError(res, 401, 'invalid_client', 'Unknown client or wrong secret');
+    }
+    if (req.body.grant_type !== 'authorization_code') {
+        return tokenError(res, 400, 'unsupported_grant_type', 'Only authorization_code is supported');
+    }
+
+    // Codes work once
+    const grant = codes.get(req.body.code);
+    codes.delete(req.body.code);
+
+    if (!grant || grant.expiresAt < Date.now() || grant.clientId !== clientId) {
+        return tokenError(res, 400, 'invalid_grant', 'Code is invalid, expired or already used');
+    }
+    if (grant.redirectUri !== req.body.redirect_uri) {
+        return tokenError(res, 400, 'invalid_grant', 'redirect_uri does not match the authorization request');
+    }
+
+    const challenge = crypto.createHash('sha256').update(String(req.body.code_verifier || '')).digest('base64url');
+    if (challenge !== grant.codeChallenge) {
+        return tokenError(res, 400, 'invalid_grant', 'PKCE verification failed');
+    }
+
+    const idToken = jwt.sign({ ...grant.identity, nonce: grant.nonce }, privateKey, {
+        algorithm: 'RS256',
+        keyid: KEY_ID,
+        issuer: ISSUER,
+        audience: clientId,
+        expiresIn: ID_TOKEN_TTL_SECONDS,
+    });
+
+    res.json({
+        access_token: crypto.randomBytes(24).toString('base64url'),
+        token_type: 'Bearer',
+        expires_in: ID_TOKEN_TTL_SECONDS,
+        id_token: idToken,
+    });
+});
+
+app.use((req, res) => {
+    res.status(404).json({ error: 'not_found', error_description: `Unknown path ${req.path}` });
+});
+
+app.listen(PORT, () => {
+    console.log(`🪪 Mock OIDC provider on ${ISSUER}`);
+    console.log(`   client_id: ${CLIENT_ID}${CLIENT_SECRET ? ' (client secret required)' : ' (public client, PKCE only)'}`);
+});
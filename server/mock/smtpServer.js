@@ -0,0 +1,169 @@
+/**
+ * Mock SMTP Server
+ * A stand-in mail server for trying the smtp transport offline. It speaks
+ * enough SMTP for nodemailer (EHLO, AUTH, MAIL, RCPT, DATA), accepts any
+ * login and writes each message to MOCK_SMTP_DIR as an .eml file that mail
+ * clients can open. Nothing is relayed.
+ *
+ * Usage:
+ *   npm run mock:smtp
+ *   SMTP_HOST=localhost SMTP_PORT=2525 npm run dev
+ *
+ * MOCK_SMTP_PORT        port (default 2525)
+ * MOCK_SMTP_DIR         where messages are written (default ./mail-outbox/smtp)
+ * MOCK_SMTP_FAIL_RATE   share of messages rejected with 451, 0-1 (default 0)
+ */
+
+import net from 'net';
+import path from 'path';
+import { mkdir, writeFile } from 'fs/promises';
+import { randomUUID } from 'crypto';
+
+const PORT = parseInt(process.env.MOCK_SMTP_PORT) || 2525;
+const DIRECTORY = path.resolve(process.env.MOCK_SMTP_DIR || './mail-outbox/smtp');
+const FAIL_RATE = parseFloat(process.env.MOCK_SMTP_FAIL_RATE) || 0;
+const MAX_MESSAGE_BYTES = 10 * 1024 * 1024;
+
+const headerValue = (message, name) =>
+    message.match(new RegExp(`^${name}:[ \\t]*(.*)$`, 'im'))?.[1].trim() || '';
+
+const saveMessage = async (envelope, message) => {
+    const messageId = `${Date.now()}-${randomUUID()}`;
+    await mkdir(DIRECTORY, { recursive: true });
+    await writeFile(path.join(DIRECTORY, `${messageId}.eml`), message);
+    console.log(`✉️  ${envelope.from} → ${envelope.to.join(', ')}: ${headerValue(message, 'Subject')} (${messageId}.eml)`);
+    return messageId;
+};
+
+const handleConnection = (socket) => {
+    let envelope = { from: null, to: [] };
+    let buffer = '';
+    let data = null; // message lines while in DATA, otherwise null
+    let dataBytes = 0;
+    let authStep = null; // pending AUTH LOGIN prompt
+
+    const reply = (line) => socket.write(`${line}\r\n`);
+
+    const finishData = async () => {
+        const message = data.join('\r\n');
+        data = null;
+        const current = envelope;
+        envelope = { from: null, to: [] };
+
+        if (dataBytes > MAX_MESSAGE_BYTES) {
+            reply('552 Message too large');
+            return;
+        }
+        if (Math.random() < FAIL_RATE) {
+            console.log(`⚠️  Rejected message to ${current.to.join(', ')} (MOCK_SMTP_FAIL_RATE)`);
+            reply('451 Temporary failure, try again later');
+            return;
+        }
+
+        try {
+            const messageId = await saveMessage(current, message);
+            reply(`250 OK queued as ${messageId}`);
+        } catch (error) {
+            console.error('❌ Could not save message:', error.message);
+            reply('451 Could not store message');
+        }
+    };
+
+    const handleCommand = (line) => {
+        if (authStep) {
+            authStep = authStep === 'username' ? 'password' : null;
+            reply(authStep ? '334 UGFzc3dvcmQ6' : '235 Authentication successful');
+            return;
+        }
+
+        const [verb, ...rest] = line.split(' ');
+        const argument = rest.join(' ');
+
+        switch (verb.toUpperCase()) {
+            case 'EHLO':
+                reply('250-localhost');
+                reply(`250-SIZE ${MAX_MESSAGE_BYTES}`);
+                reply('250-8BITMIME');
+                reply('250 AUTH PLAIN LOGIN');
+                break;
+            case 'HELO':
+                reply('250 localhost');
+                break;
+            case 'AUTH':
+                if (/^LOGIN$/i.test(argument)) {
+                    authStep = 'username';
+                    reply('334 VXNlcm5hbWU6');
+                } else if (/^PLAIN\s*$/i.test(argument)) {
+                    authStep = 'password';
+                    reply('334 ');
+                } else {
+                    reply('235 Authentication successful');
+                }
+                break;
+            case 'MAIL':
+                envelope = { from: argument.replace(/^FROM:\s*/i, '').split(' ')[0], to: [] };
+                reply('250 OK');
+                break;
+            case 'RCPT':
+                if (!envelope.from) {
+                    reply('503 MAIL first');
+                    break;
+                }
+                envelope.to.push(argument.replace(/^TO:\s*/i, '').split(' ')[0]);
+                reply('250 OK');
+                break;
+            case 'DATA':
+                if (envelope.to.length === 0) {
+                    reply('503 RCPT first');
+                    break;
+                }
+                data = [];
+                dataBytes = 0;
+                reply('354 End data with <CR><LF>.<CR><LF>');
+                break;
+            case 'RSET':
+                envelope = { from: null, to: [] };
+                reply('250 OK');
+                break;
+            case 'NOOP':
+                reply('250 OK');
+                break;
+            case 'QUIT':
+                reply('221 Bye');
+                socket.end();
+                break;
+            default:
+                reply('502 Command not implemented');
+        }
+    };
+
+    socket.setEncoding('utf8');
+    socket.on('data', (chunk) => {
+        buffer += chunk;
+        let newline;
+        while ((newline = buffer.indexOf('\r\n')) !== -1) {
+            const line = buffer.slice(0, newline);
+            buffer = buffer.slice(newline + 2);
+
+            if (data) {
+                if (line === '.') {
+                    finishData();
+                } else {
+                    // Undo dot-stuffing
+                    data.push(line.startsWith('.') ? line.slice(1) : line);
+                    dataBytes += line.length + 2;
+                }
+            } else {
+                handleCommand(line);
+            }
+        }
+    });
+    socket.on('error', (error) => console.error('❌ SMTP connection error:', error.message));
+
+    reply('220 localhost Astral mock SMTP');
+};
+
+net.createServer(handleConnection).listen(PORT, () => {
+    console.log(`📮 Mock SMTP on localhost:${PORT}`);
+    console.log(`📁 Messages: ${DIRECTORY}`);
+});
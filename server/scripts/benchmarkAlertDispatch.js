@@ -0,0 +1,175 @@
+/**
+ * Alert Dispatch Benchmark
+ * Seeds a throwaway database with users, watchlists, alert rules and
+ * upcoming asteroids, then times checkAndDispatchAlerts(): a cold run that
+ * creates every alert and a warm run where every alert is already sent.
+ *
+ * Usage:
+ *   npm run bench:alerts
+ *   BENCH_USERS=50000 npm run bench:alerts
+ *
+ * BENCH_MONGODB_URI   database to seed (default mongodb://localhost:27017/astral-bench)
+ * BENCH_USERS         users to seed (default 10000)
+ * BENCH_ASTEROIDS     asteroids approaching in the next day (default 200)
+ * BENCH_KEEP          set to 1 to keep the seeded data afterwards
+ *
+ * The script refuses to run against a database with non-benchmark users,
+ * because the dispatcher alerts everyone it finds. Push and email are off
+ * for seeded users, so the numbers cover matching and storage only.
+ */
+
+import mongoose from 'mongoose';
+import { User, Asteroid, Alert, AlertRule } from '../src/models/index.js';
+import { checkAndDispatchAlerts } from '../src/services/alertDispatcher.js';
+
+const MONGODB_URI = process.env.BENCH_MONGODB_URI || 'mongodb://localhost:27017/astral-bench';
+const USER_COUNT = parseInt(process.env.BENCH_USERS) || 10000;
+const ASTEROID_COUNT = parseInt(process.env.BENCH_ASTEROIDS) || 200;
+const KEEP = process.env.BENCH_KEEP === '1';
+
+const BENCH_EMAIL = /@bench\.astral\.test$/;
+const ID_PREFIX = 'bench-';
+const RULE_SHARE = 0.02; // users who also own an alert rule
+const DIGEST_SHARE = 0.1; // users on daily digests
+const SEED_BATCH_SIZE = 2000;
+
+// Deterministic pseudo-random numbers, so runs are comparable
+let seed = 42;
+const random = () => {
+    seed = (seed * 1103515245 + 12345) % 2147483648;
+    return seed / 2147483648;
+};
+const randomInt = (min, max) => min + Math.floor(random() * (max - min + 1));
+
+const cleanUp = async () => {
+    const users = await User.find({ email: BENCH_EMAIL }).select('_id').lean();
+    const userIds = users.map((u) => u._id);
+    await Promise.all([
+        Alert.deleteMany({ userId: { $in: userIds } }),
+        AlertRule.deleteMany({ userId: { $in: userIds } }),
+        Asteroid.deleteMany({ neo_reference_id: new RegExp(`^${ID_PREFIX}`) }),
+    ]);
+    await User.deleteMany({ _id: { $in: userIds } });
+};
+
+const seedAsteroids = async () => {
+    const now = Date.now();
+    const asteroids = Array.from({ length: ASTEROID_COUNT }, (_, i) => {
+        const riskScore = randomInt(1, 100);
+        return {
+            neo_reference_id: `${ID_PREFIX}${i}`,
+            name: `(BENCH ${i})`,
+            riskScore,
+            riskCategory: riskScore >= 75 ? 'high' : riskScore >= 50 ? 'moderate' : riskScore >= 25 ? 'low' : 'minimal',
+            isPotentiallyHazardous: random() < 0.2,
+            estimatedDiameterMax: randomInt(10, 2000),
+            missDistanceLunar: randomInt(1, 100) / 2,
+            missDistanceKm: randomInt(1, 100) * 192200,
+            relativeVelocityKmS: randomInt(5, 40),
+            closeApproachDate: new Date(now + randomInt(10, 20 * 60) * 60 * 1000),
+            orbitingBody: 'Earth',
+        };
+    });
+    await Asteroid.insertMany(asteroids);
+    return asteroids;
+};
+
+const seedUsers = async (asteroids) => {
+    let rules = 0;
+
+    for (let start = 0; start < USER_COUNT; start += SEED_BATCH_SIZE) {
+        const users = [];
+        for (let i = start; i < Math.min(start + SEED_BATCH_SIZE, USER_COUNT); i++) {
+            users.push({
+                email: `user${i}@bench.astral.test`,
+                passwordHash: 'not-a-real-hash',
+                displayName: `Bench User ${i}`,
+                watched_asteroid_ids: Array.from(
+                    { length: randomInt(0, 5) },
+                    () => asteroids[randomInt(0, asteroids.length - 1)].neo_reference_id
+                ),
+                alertSettings: {
+                    enabled: true,
+                    minDiameter: randomInt(100, 1000),
+                    maxDistance: randomInt(1, 20),
+                    riskThreshold: randomInt(50, 100),
+                    deliveryMode: random() < DIGEST_SHARE ? 'daily' : 'immediate',
+                    emailNotifications: false,
+                    pushNotifications: false,
+                },
+            });
+        }
+
+        const inserted = await User.insertMany(users);
+        const ruleDocs = inserted
+            .filter(() => random() < RULE_SHARE)
+            .map((user) => ({
+                userId: user._id,
+                name: 'Bench rule',
+                criteria: {
+                    logic: 'and',
+                    conditions: [
+                        { field: 'riskScore', operator: 'gte', value: randomInt(20, 80) },
+                        { field: 'missDistanceLunar', operator: 'lte', value: randomInt(5, 50) },
+                    ],
+                },
+            }));
+        if (ruleDocs.length > 0) await AlertRule.insertMany(ruleDocs);
+        rules += ruleDocs.length;
+    }
+
+    return rules;
+};
+
+// Counted from the database rather than the dispatcher's stats, so the same
+// numbers come out of dispatchers that don't report them (see GUIDE.md)
+const countBenchAlerts = () => Alert.countDocuments({ asteroidId: new RegExp(`^${ID_PREFIX}`) });
+
+const timeRun = async (label) => {
+    const alertsBefore = await countBenchAlerts();
+    const startedAt = process.hrtime.bigint();
+    const result = await checkAndDispatchAlerts(null, 1);
+    const seconds = Number(process.hrtime.bigint() - startedAt) / 1e9;
+    if (result.error) throw new Error(result.error);
+    const alertsCreated = (await countBenchAlerts()) - alertsBefore;
+
+    return {
+        run: label,
+        seconds: Number(seconds.toFixed(2)),
+        candidateUsers: result.usersScanned ?? USER_COUNT,
+        alertsCreated,
+        alreadySent: result.skipped ?? '-',
+        'users/s': Math.round((result.usersScanned ?? USER_COUNT) / seconds),
+        'alerts/s': Math.round(alertsCreated / seconds),
+    };
+};
+
+const main = async () => {
+    await mongoose.connect(MONGODB_URI);
+    console.log(`✅ Connected to ${mongoose.connection.name}`);
+
+    const otherUsers = await User.countDocuments({ email: { $not: BENCH_EMAIL } });
+    if (otherUsers > 0) {
+        throw new Error(`${mongoose.connection.name} has ${otherUsers} real users. Point BENCH_MONGODB_URI at an empty database.`);
+    }
+
+    await cleanUp();
+    await Promise.all([User.init(), Alert.init(), AlertRule.init(), Asteroid.init()]);
+
+    console.log(`🌱 Seeding ${USER_COUNT} users and ${ASTEROID_COUNT} asteroids...`);
+    const asteroids = await seedAsteroids();
+    const rules = await seedUsers(asteroids);
+    console.log(`🌱 Seeded (${rules} alert rules)`);
+
+    const results = [await timeRun('cold'), await timeRun('warm')];
+    console.table(results);
+
+    if (!KEEP) await cleanUp();
+};
+
+main()
+    .catch((error) => {
+        console.error('❌ Benchmark failed:', error.message);
+        process.exitCode = 1;
+    })
+    .finally(() => mongoose.disconnect());
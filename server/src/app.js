@@ -1,6 +1,7 @@
 import "dotenv/config";
 import express from "express";
 import cors from "cors";
+import mongoose from "mongoose";
 import { createServer } from "http";
 import { Server } from "socket.io";
 
@@ -10,10 +11,16 @@ import authRoutes from "./routes/authRoutes.js";
 import alertRoutes from "./routes/alertRoutes.js";
 import adminRoutes from "./routes/adminRoutes.js";
 import chatRoutes from "./routes/chatRoutes.js";
+import webhookRoutes from "./routes/webhookRoutes.js";
+import alertRuleRoutes from "./routes/alertRuleRoutes.js";
+import apiKeyRoutes from "./routes/apiKeyRoutes.js";
 import { initScheduler, runDailyFetch } from "./services/scheduler.js";
+import { resumeInterruptedBackfills } from "./services/backfillService.js";
+import { loadActiveRiskModel } from "./services/riskModelService.js";
+import { authenticateAccessToken } from "./services/sessionService.js";
+import { canUseFeature } from "./utils/verification.js";
+import { requireSocketPermission } from "./middleware/requirePermission.js";
 import ChatMessage from "./models/ChatMessage.js";
-import jwt from "jsonwebtoken";
-import { User } from "./models/index.js";
 
 // Initialize Express app
 const app = express();
@@ -69,7 +76,7 @@ app.use(
     origin: checkOrigin,
     credentials: true,
     methods: ["GET", "POST", "PUT", "DELETE", "PATCH", "OPTIONS"],
-    allowedHeaders: ["Content-Type", "Authorization"],
+    allowedHeaders: ["Content-Type", "Authorization", "X-API-Key"],
   }),
 );
 
@@ -111,12 +118,20 @@ app.get("/", (req, res) => {
         list: "GET /api/asteroids",
         stats: "GET /api/asteroids/stats",
         today: "GET /api/asteroids/today",
+        history: "GET /api/asteroids/history",
         single: "GET /api/asteroids/:id",
+        approaches: "GET /api/asteroids/:id/approaches",
+        annotations: "GET /api/asteroids/:id/annotations",
+        export: "GET /api/asteroids/export",
         hazardous: "GET /api/asteroids/hazardous/all",
       },
       auth: {
         register: "POST /api/auth/register",
         login: "POST /api/auth/login",
+        oidcLogin: "GET /api/auth/oidc/login",
+        refresh: "POST /api/auth/refresh",
+        logout: "POST /api/auth/logout",
+        sessions: "GET /api/auth/sessions",
         profile: "GET /api/auth/me",
         watchlist: "GET /api/auth/watchlist",
       },
@@ -126,10 +141,32 @@ app.get("/", (req, res) => {
         markRead: "PUT /api/alerts/:id/read",
         markAllRead: "PUT /api/alerts/read-all",
       },
+      alertRules: {
+        list: "GET /api/alert-rules",
+        create: "POST /api/alert-rules",
+        preview: "POST /api/alert-rules/preview",
+      },
+      webhooks: {
+        list: "GET /api/webhooks",
+        create: "POST /api/webhooks",
+        test: "POST /api/webhooks/:id/test",
+        deliveries: "GET /api/webhooks/:id/deliveries",
+      },
+      apiKeys: {
+        list: "GET /api/api-keys",
+        create: "POST /api/api-keys",
+        revoke: "DELETE /api/api-keys/:id",
+      },
       admin: {
         testNasa: "GET /api/admin/test-nasa",
+        nasaStatus: "GET /api/admin/nasa-status",
         triggerFetch: "POST /api/admin/fetch",
+        backfill: "POST /api/admin/backfill",
+        sources: "GET /api/admin/sources",
+        riskModels: "GET /api/admin/risk-models",
         stats: "GET /api/admin/stats",
+        users: "GET /api/admin/users",
+        permissions: "GET /api/admin/permissions",
       },
     },
   });
@@ -141,6 +178,9 @@ app.use("/api/auth", authRoutes);
 app.use("/api/alerts", alertRoutes);
 app.use("/api/admin", adminRoutes);
 app.use("/api/chat", chatRoutes);
+app.use("/api/webhooks", webhookRoutes);
+app.use("/api/alert-rules", alertRuleRoutes);
+app.use("/api/api-keys", apiKeyRoutes);
 
 // 404 handler
 app.use((req, res) => {
@@ -166,6 +206,12 @@ app.use((err, req, res, next) => {
 
 // ========== SOCKET.IO EVENTS ==========
 
+const leavePersonalRooms = (socket) => {
+  [...socket.rooms]
+    .filter((room) => /^(user|session):/.test(room))
+    .forEach((room) => socket.leave(room));
+};
+
 io.on("connection", (socket) => {
   console.log(`🔌 Client connected: ${socket.id}`);
 
@@ -181,10 +227,28 @@ io.on("connection", (socket) => {
     console.log(`👁️ ${socket.id} stopped watching asteroid: ${asteroidId}`);
   });
 
-  // Join user's personal notification room
-  socket.on("join_user_room", (userId) => {
-    socket.join(`user:${userId}`);
-    console.log(`👤 ${socket.id} joined user room: ${userId}`);
+  // Join the personal notification room of the user the access token belongs
+  // to (never an id the client names). Joining the session room lets sign-out
+  // and session revocation take this socket out of the user room again.
+  socket.on("join_user_room", async (token, ack) => {
+    const reply = typeof ack === "function" ? ack : () => {};
+    try {
+      if (typeof token !== "string") throw new Error("Authentication required");
+      const { user, session } = await authenticateAccessToken(token);
+
+      leavePersonalRooms(socket);
+      socket.join(`user:${user._id}`);
+      socket.join(`session:${session._id}`);
+      console.log(`👤 ${socket.id} joined user room: ${user._id}`);
+      reply({ success: true });
+    } catch (err) {
+      reply({ success: false, message: "Invalid token" });
+    }
+  });
+
+  // Stop receiving the signed-in user's notifications (on logout)
+  socket.on("leave_user_room", () => {
+    leavePersonalRooms(socket);
   });
 
   socket.on("disconnect", () => {
@@ -202,16 +266,17 @@ chatNsp.use(async (socket, next) => {
     const token = socket.handshake.auth?.token;
     if (!token) return next(new Error("Authentication required"));
 
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
-    const user = await User.findById(decoded.id).select(
-      "displayName email role",
-    );
-    if (!user) return next(new Error("User not found"));
+    // Same checks as the auth middleware, including revoked sessions
+    const { user, session } = await authenticateAccessToken(token);
+    if (!canUseFeature(user, "chat")) {
+      return next(new Error("Verify your email address to join the chat"));
+    }
 
     socket.user = {
       id: user._id.toString(),
       displayName: user.displayName,
       role: user.role,
+      sessionId: session._id.toString(),
     };
     next();
   } catch (err) {
@@ -229,6 +294,9 @@ chatNsp.on("connection", (socket) => {
   chatNsp.emit("chat:users_online", chatUsers.size);
 
   socket.join("global");
+  // Lets sign-out and session revocation disconnect this socket
+  socket.join(`user:${socket.user.id}`);
+  socket.join(`session:${socket.user.sessionId}`);
 
   // Join an asteroid-specific chat room
   socket.on("chat:join_room", (room) => {
@@ -288,6 +356,34 @@ chatNsp.on("connection", (socket) => {
     }
   });
 
+  // Moderators can remove a message for everyone in its room
+  socket.on(
+    "chat:delete",
+    requireSocketPermission(socket, "chat:moderate", async (messageId, ack) => {
+      const reply = typeof ack === "function" ? ack : () => {};
+      try {
+        const chatMsg =
+          mongoose.isValidObjectId(messageId) &&
+          (await ChatMessage.findByIdAndDelete(messageId));
+        if (!chatMsg) {
+          return reply({ success: false, message: "Message not found" });
+        }
+
+        console.log(
+          `💬 ${socket.user.displayName} deleted a message in ${chatMsg.room}`,
+        );
+        chatNsp.to(chatMsg.room).emit("chat:message_deleted", {
+          _id: chatMsg._id,
+          room: chatMsg.room,
+        });
+        reply({ success: true });
+      } catch (err) {
+        console.error("Chat delete error:", err);
+        reply({ success: false, message: "Failed to delete message" });
+      }
+    }),
+  );
+
   // Typing indicators (supports room-based)
   socket.on("chat:typing", (data) => {
     const room = data?.room || "global";
@@ -321,6 +417,9 @@ const startServer = async () => {
     // Connect to MongoDB
     await connectDB();
 
+    // Score with the admin-configured risk model (seeds v1 on first run)
+    await loadActiveRiskModel();
+
     // Start HTTP server — bind to 0.0.0.0 so cloud hosts (Render) can reach it
     httpServer.listen(PORT, "0.0.0.0", () => {
       console.log(`
@@ -339,9 +438,16 @@ const startServer = async () => {
       // Initialize scheduler with Socket.IO
       initScheduler(io);
 
+      if (process.env.NASA_MODE === "fixture") {
+        console.log("🧪 NASA_MODE=fixture: replaying recorded NASA/JPL responses");
+      }
+
       // Fetch initial data on startup (in background)
       console.log("📡 Running initial asteroid fetch...");
       runDailyFetch();
+
+      // Pick up backfills interrupted by the last shutdown
+      resumeInterruptedBackfills(io);
     });
   } catch (error) {
     console.error("❌ Failed to start server:", error);
@@ -1,20 +1,65 @@
-import jwt from 'jsonwebtoken';
-import { User } from '../models/index.js';
+import { authenticateAccessToken } from '../services/sessionService.js';
+import { isApiKey, authenticateApiKey, consumeRateLimit } from '../services/apiKeyService.js';
 
-const auth = async (req, res, next) => {
-    try {
-        // Get token from header
-        const authHeader = req.headers.authorization;
+// API keys may come as "X-API-Key: <key>" or "Authorization: Bearer <key>"
+const readCredentials = (req) => {
+    const apiKeyHeader = req.headers['x-api-key'];
+    if (apiKeyHeader) return apiKeyHeader;
 
-        if (!authHeader || !authHeader.startsWith('Bearer ')) {
-            return res.status(401).json({
-                success: false,
-                message: 'No token provided. Authorization denied.',
-            });
-        }
+    const authHeader = req.headers.authorization;
+    if (!authHeader || !authHeader.startsWith('Bearer ')) return null;
+    return authHeader.split(' ')[1] || null;
+};
+
+/**
+ * Authenticate with an API key. Rejects keys on routes that don't accept
+ * them, keys without the route's scope, and keys over their rate limit.
+ */
+const authenticateWithApiKey = async (req, res, next, key, scope) => {
+    if (!scope) {
+        return res.status(401).json({
+            success: false,
+            message: 'API keys cannot be used for this endpoint.',
+        });
+    }
+
+    const { user, apiKey } = await authenticateApiKey(key, req.ip);
+
+    const rate = consumeRateLimit(apiKey);
+    res.set({
+        'X-RateLimit-Limit': rate.limit,
+        'X-RateLimit-Remaining': rate.remaining,
+        'X-RateLimit-Reset': Math.ceil(rate.resetAt.getTime() / 1000),
+    });
+    if (!rate.allowed) {
+        res.set('Retry-After', Math.max(Math.ceil((rate.resetAt - Date.now()) / 1000), 1));
+        return res.status(429).json({
+            success: false,
+            message: `Rate limit of ${rate.limit} requests per minute exceeded for this API key.`,
+        });
+    }
 
-        // Extract token
-        const token = authHeader.split(' ')[1];
+    if (!apiKey.scopes.includes(scope)) {
+        return res.status(403).json({
+            success: false,
+            message: `This API key lacks the ${scope} scope.`,
+        });
+    }
+
+    req.user = {
+        id: user._id,
+        email: user.email,
+        displayName: user.displayName,
+        role: user.role,
+        apiKeyId: apiKey._id,
+    };
+
+    next();
+};
+
+const authenticate = async (req, res, next, apiKeyScope) => {
+    try {
+        const token = readCredentials(req);
 
         if (!token) {
             return res.status(401).json({
@@ -23,25 +68,21 @@ const auth = async (req, res, next) => {
             });
         }
 
-        // Verify token
-        const decoded = jwt.verify(token, process.env.JWT_SECRET);
-
-        // Check if user still exists
-        const user = await User.findById(decoded.id);
-
-        if (!user) {
-            return res.status(401).json({
-                success: false,
-                message: 'User no longer exists.',
-            });
+        if (isApiKey(token)) {
+            return await authenticateWithApiKey(req, res, next, token, apiKeyScope);
         }
 
+        // Verify token, and check the session behind it hasn't been revoked
+        // and the user still exists
+        const { user, session } = await authenticateAccessToken(token);
+
         // Attach user to request
         req.user = {
             id: user._id,
             email: user.email,
             displayName: user.displayName,
             role: user.role,
+            sessionId: session._id,
         };
 
         next();
@@ -60,8 +101,25 @@ const auth = async (req, res, next) => {
             });
         }
 
+        if (error.status === 401) {
+            return res.status(401).json({
+                success: false,
+                message: error.message,
+            });
+        }
+
         next(error);
     }
 };
 
+// Signed-in users only (Bearer access token)
+const auth = (req, res, next) => authenticate(req, res, next, null);
+
+/**
+ * Like auth, but also accepts a personal API key that has `scope`
+ * (see API_KEY_SCOPES in models/ApiKey.js)
+ * @example router.get('/watchlist', allowApiKey('read'), handler)
+ */
+export const allowApiKey = (scope) => (req, res, next) => authenticate(req, res, next, scope);
+
 export default auth;
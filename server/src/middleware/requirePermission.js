@@ -0,0 +1,55 @@
+import { hasPermission } from "../utils/permissions.js";
+
+/**
+ * Permission middleware factory.
+ * Must be used AFTER the auth middleware.
+ * Checks that the authenticated user's role grants every listed permission
+ * (see utils/permissions.js).
+ */
+const requirePermission =
+  (...permissions) =>
+  (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: "Authentication required.",
+      });
+    }
+
+    const missing = permissions.find(
+      (permission) => !hasPermission(req.user.role, permission),
+    );
+    if (missing) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Requires the ${missing} permission.`,
+      });
+    }
+
+    next();
+  };
+
+/**
+ * The same check for a Socket.IO event handler. `socket.user` is set by the
+ * namespace's auth middleware. Denied events get { success: false, message }
+ * through the acknowledgement callback when there is one, otherwise an
+ * "error:permission" event.
+ * @example socket.on("chat:delete", requireSocketPermission(socket, "chat:moderate", handler))
+ */
+export const requireSocketPermission =
+  (socket, permission, handler) =>
+  (...args) => {
+    if (hasPermission(socket.user?.role, permission)) {
+      return handler(...args);
+    }
+
+    const message = `Access denied. Requires the ${permission} permission.`;
+    const ack = args[args.length - 1];
+    if (typeof ack === "function") {
+      ack({ success: false, message });
+    } else {
+      socket.emit("error:permission", { permission, message });
+    }
+  };
+
+export default requirePermission;
@@ -1,5 +1,19 @@
 import mongoose from 'mongoose';
 
+// Workflow states: open -> acknowledged, or snoozed/escalated on the way there
+export const ALERT_STATUSES = ['open', 'acknowledged', 'snoozed', 'escalated'];
+
+// Allowed moves: action -> statuses it can start from
+export const ALERT_TRANSITIONS = {
+    acknowledge: ['open', 'snoozed', 'escalated'],
+    snooze: ['open', 'snoozed'],
+    unsnooze: ['snoozed'],
+    escalate: ['open', 'snoozed'],
+};
+
+// Least to most severe
+export const SEVERITY_ORDER = ['info', 'warning', 'danger'];
+
 const alertSchema = new mongoose.Schema(
     {
         // User who should receive this alert
@@ -9,20 +23,24 @@ const alertSchema = new mongoose.Schema(
             required: true,
             index: true,
         },
-        // Asteroid that triggered the alert
+        // Asteroid that triggered the alert (digests cover many, so have none)
         asteroidId: {
             type: String, // neo_reference_id
-            required: true,
+            required: function () {
+                return this.type !== 'digest';
+            },
             index: true,
         },
         asteroidName: {
             type: String,
-            required: true,
+            required: function () {
+                return this.type !== 'digest';
+            },
         },
         // Alert type
         type: {
             type: String,
-            enum: ['close_approach', 'high_risk', 'watched_update', 'new_hazardous'],
+            enum: ['close_approach', 'high_risk', 'watched_update', 'new_hazardous', 'digest'],
             required: true,
         },
         // Alert severity
@@ -49,6 +67,30 @@ const alertSchema = new mongoose.Schema(
             velocity: Number,
             diameter: Number,
         },
+        // What re-ingestion changed, for 'watched_update' alerts
+        changes: [
+            {
+                _id: false,
+                field: String,
+                label: String,
+                from: mongoose.Schema.Types.Mixed,
+                to: mongoose.Schema.Types.Mixed,
+            },
+        ],
+        // Alert rule that matched (unset for watchlist and threshold alerts)
+        rule: {
+            id: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'AlertRule',
+            },
+            name: String,
+        },
+        // One alert per user, asteroid, approach day and type (see dedupKeyFor).
+        // The unique index keeps overlapping dispatch runs from sending it twice.
+        dedupKey: {
+            type: String,
+            index: { unique: true, sparse: true },
+        },
         // Read status
         isRead: {
             type: Boolean,
@@ -66,6 +108,103 @@ const alertSchema = new mongoose.Schema(
             type: Date,
             index: true,
         },
+        // Acknowledgement workflow (see ALERT_TRANSITIONS)
+        status: {
+            type: String,
+            enum: ALERT_STATUSES,
+            default: 'open',
+            index: true,
+        },
+        snoozedUntil: Date,
+        // When an unacknowledged danger alert goes to the owner's escalation contacts
+        escalateAt: {
+            type: Date,
+            index: { sparse: true },
+        },
+        acknowledgement: {
+            at: Date,
+            by: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+            },
+            byName: String,
+            note: String,
+        },
+        // On the original: when it was escalated. On a contact's copy: where it came from.
+        escalation: {
+            escalatedAt: Date,
+            sourceAlertId: {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'Alert',
+                index: { sparse: true },
+            },
+            fromName: String,
+        },
+        // Workflow audit trail
+        history: [
+            {
+                _id: false,
+                action: {
+                    type: String,
+                    enum: ['acknowledged', 'snoozed', 'unsnoozed', 'escalated', 'severity_raised'],
+                },
+                at: { type: Date, default: Date.now },
+                by: {
+                    type: mongoose.Schema.Types.ObjectId,
+                    ref: 'User',
+                },
+                byName: String,
+                note: String,
+            },
+        ],
+        // Real-time delivery postponed until the user's quiet hours end
+        deferredUntil: {
+            type: Date,
+            index: { sparse: true },
+        },
+        // Set on alerts held for a daily/weekly digest instead of being sent
+        digestStatus: {
+            type: String,
+            enum: ['pending', 'sent'],
+        },
+        // Digest alert that delivered this one
+        digestId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Alert',
+        },
+        // Contents of a 'digest' alert, grouped by severity then approach day
+        digest: {
+            period: {
+                type: String,
+                enum: ['daily', 'weekly'],
+            },
+            periodStart: Date,
+            periodEnd: Date,
+            alertCount: Number,
+            counts: {
+                danger: Number,
+                warning: Number,
+                info: Number,
+            },
+            groups: [
+                {
+                    _id: false,
+                    severity: String,
+                    date: String, // YYYY-MM-DD approach day in the user's timezone
+                    alerts: [
+                        {
+                            _id: false,
+                            alertId: mongoose.Schema.Types.ObjectId,
+                            asteroidId: String,
+                            asteroidName: String,
+                            riskScore: Number,
+                            missDistanceLunar: Number,
+                            closeApproachDate: Date,
+                        },
+                    ],
+                },
+            ],
+        },
     },
     {
         timestamps: true,
@@ -75,23 +214,113 @@ const alertSchema = new mongoose.Schema(
 // Compound indexes
 alertSchema.index({ userId: 1, isRead: 1, createdAt: -1 });
 alertSchema.index({ userId: 1, type: 1, createdAt: -1 });
+alertSchema.index({ userId: 1, digestStatus: 1 });
 
-// Static method to create a close approach alert
-alertSchema.statics.createCloseApproachAlert = async function (user, asteroid) {
+// Alerts shown on their own (held or digested alerts appear inside their digest)
+alertSchema.statics.VISIBLE = { digestStatus: null };
+
+// Dedup key for an alert: user, asteroid, UTC approach day and type
+alertSchema.statics.dedupKeyFor = function (userId, asteroidId, approachDate, type) {
+    const day = approachDate ? new Date(approachDate).toISOString().slice(0, 10) : 'unknown';
+    return `${userId}:${asteroidId}:${day}:${type}`;
+};
+
+// Whether severity a ranks above severity b
+alertSchema.statics.isMoreSevere = function (a, b) {
+    return SEVERITY_ORDER.indexOf(a) > SEVERITY_ORDER.indexOf(b);
+};
+
+// Severity of a close approach alert, from the asteroid's risk score
+alertSchema.statics.closeApproachSeverity = function (asteroid) {
+    if (asteroid.riskScore >= 75) return 'danger';
+    if (asteroid.riskScore >= 50) return 'warning';
+    return 'info';
+};
+
+// Fields of a close approach alert (shared by create and raiseSeverity)
+alertSchema.statics.buildCloseApproachAlert = function (user, asteroid, extra = {}) {
+    const { rule, ...rest } = extra;
     const lunarDist = asteroid.missDistanceLunar?.toFixed(2) || 'N/A';
 
-    let severity = 'info';
-    if (asteroid.riskScore >= 75) severity = 'danger';
-    else if (asteroid.riskScore >= 50) severity = 'warning';
+    return {
+        userId: user._id,
+        asteroidId: asteroid.neo_reference_id,
+        asteroidName: asteroid.name,
+        type: 'close_approach',
+        severity: this.closeApproachSeverity(asteroid),
+        title: `🚨 Close Approach Alert: ${asteroid.name}`,
+        message: `Asteroid ${asteroid.name} will pass within ${lunarDist} lunar distances of Earth. Risk Score: ${asteroid.riskScore}/100`
+            + (rule ? ` Matched rule "${rule.name}".` : ''),
+        data: {
+            riskScore: asteroid.riskScore,
+            missDistanceKm: asteroid.missDistanceKm,
+            missDistanceLunar: asteroid.missDistanceLunar,
+            closeApproachDate: asteroid.closeApproachDate,
+            velocity: asteroid.relativeVelocityKmS,
+            diameter: asteroid.estimatedDiameterMax,
+        },
+        eventDate: asteroid.closeApproachDate,
+        ...(rule && { rule: { id: rule._id, name: rule.name } }),
+        ...rest,
+    };
+};
+
+// Static method to create a close approach alert
+alertSchema.statics.createCloseApproachAlert = async function (user, asteroid, extra = {}) {
+    return this.create(this.buildCloseApproachAlert(user, asteroid, extra));
+};
+
+// Re-open an existing alert with newer, more severe fields. Matching on the
+// old severity makes this a compare-and-set, so concurrent runs raise it once.
+// Returns null when the alert is gone or was already raised.
+alertSchema.statics.raiseSeverity = async function (existing, fields) {
+    const { digestStatus, ...rest } = fields;
+    const note = `Severity raised from ${existing.severity} to ${fields.severity}`;
+
+    return this.findOneAndUpdate(
+        { _id: existing._id, severity: existing.severity },
+        {
+            $set: {
+                ...rest,
+                message: `${fields.message} ${note}.`,
+                status: 'open',
+                isRead: false,
+                deliveredVia: { dashboard: false, push: false, email: false },
+                ...(digestStatus && { digestStatus }),
+            },
+            $unset: {
+                snoozedUntil: 1,
+                acknowledgement: 1,
+                deferredUntil: 1,
+                digestId: 1,
+                ...(!digestStatus && { digestStatus: 1 }),
+                ...(!fields.rule && { rule: 1 }),
+                ...(!fields.escalateAt && { escalateAt: 1 }),
+            },
+            $push: { history: { action: 'severity_raised', note } },
+        },
+        { new: true }
+    );
+};
+
+// Title and message for a 'watched_update' alert
+// changes: [{ field, label, from, to, summary }] (see describeAsteroidChanges in alertDispatcher)
+alertSchema.statics.describeWatchedUpdate = function (asteroid, changes) {
+    return {
+        title: `🔄 Watched Asteroid Updated: ${asteroid.name}`,
+        message: `New data for ${asteroid.name}: ${changes.map((c) => c.summary).join('; ')}.`,
+    };
+};
 
+// Static method to create an alert about changed data for a watched asteroid
+alertSchema.statics.createWatchedUpdateAlert = async function (user, asteroid, changes, severity, extra = {}) {
     return this.create({
         userId: user._id,
         asteroidId: asteroid.neo_reference_id,
         asteroidName: asteroid.name,
-        type: 'close_approach',
+        type: 'watched_update',
         severity,
-        title: `🚨 Close Approach Alert: ${asteroid.name}`,
-        message: `Asteroid ${asteroid.name} will pass within ${lunarDist} lunar distances of Earth. Risk Score: ${asteroid.riskScore}/100`,
+        ...this.describeWatchedUpdate(asteroid, changes),
         data: {
             riskScore: asteroid.riskScore,
             missDistanceKm: asteroid.missDistanceKm,
@@ -100,10 +329,17 @@ alertSchema.statics.createCloseApproachAlert = async function (user, asteroid) {
             velocity: asteroid.relativeVelocityKmS,
             diameter: asteroid.estimatedDiameterMax,
         },
+        changes: changes.map(({ field, label, from, to }) => ({ field, label, from, to })),
         eventDate: asteroid.closeApproachDate,
+        ...extra,
     });
 };
 
+// Whether the workflow allows an action from the alert's current status
+alertSchema.methods.canTransition = function (action) {
+    return Boolean(ALERT_TRANSITIONS[action]?.includes(this.status || 'open'));
+};
+
 // Instance method to mark as read
 alertSchema.methods.markAsRead = function () {
     this.isRead = true;
@@ -0,0 +1,48 @@
+import mongoose from 'mongoose';
+import { validateCriteria } from '../utils/ruleEngine.js';
+
+const alertRuleSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true,
+        },
+        name: {
+            type: String,
+            required: [true, 'Rule name is required'],
+            trim: true,
+            maxlength: [60, 'Rule name cannot exceed 60 characters'],
+        },
+        isActive: {
+            type: Boolean,
+            default: true,
+            index: true,
+        },
+        // Group/condition tree evaluated by utils/ruleEngine.js
+        criteria: {
+            type: mongoose.Schema.Types.Mixed,
+            required: [true, 'Rule criteria are required'],
+            validate: {
+                validator: (criteria) => validateCriteria(criteria) === null,
+                message: (props) => validateCriteria(props.value),
+            },
+        },
+        // Alerts this rule has produced
+        matchCount: {
+            type: Number,
+            default: 0,
+        },
+        lastMatchedAt: Date,
+    },
+    {
+        timestamps: true,
+    }
+);
+
+alertRuleSchema.index({ userId: 1, name: 1 }, { unique: true });
+
+const AlertRule = mongoose.model('AlertRule', alertRuleSchema);
+
+export default AlertRule;
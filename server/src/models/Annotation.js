@@ -0,0 +1,38 @@
+import mongoose from 'mongoose';
+
+// A researcher's note on an asteroid, shown on its detail page
+const annotationSchema = new mongoose.Schema(
+    {
+        asteroidId: {
+            type: String, // NASA's neo_reference_id
+            required: true,
+            index: true,
+        },
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true, // account deletion removes a user's notes
+        },
+        authorName: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        body: {
+            type: String,
+            required: [true, 'Note cannot be empty'],
+            trim: true,
+            maxlength: [2000, 'Note cannot exceed 2000 characters'],
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+annotationSchema.index({ asteroidId: 1, createdAt: -1 });
+
+const Annotation = mongoose.model('Annotation', annotationSchema);
+
+export default Annotation;
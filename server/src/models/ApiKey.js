@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+
+// What a personal API key may be used for (see middleware/auth.js allowApiKey)
+export const API_KEY_SCOPES = {
+    read: 'Read your profile, watchlist and catalog exports',
+    'watchlist:write': 'Add and remove watchlist asteroids',
+    'alerts:read': 'Read your alerts',
+};
+
+export const DEFAULT_RATE_LIMIT_PER_MINUTE = 60;
+export const MAX_RATE_LIMIT_PER_MINUTE = 600;
+
+const apiKeySchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true,
+        },
+        name: {
+            type: String,
+            required: [true, 'Key name is required'],
+            trim: true,
+            maxlength: [60, 'Key name cannot exceed 60 characters'],
+        },
+        // First characters of the key, so users can tell keys apart
+        prefix: {
+            type: String,
+            required: true,
+        },
+        // SHA-256 of the key; the key itself is only returned when created
+        keyHash: {
+            type: String,
+            required: true,
+            unique: true,
+            select: false,
+        },
+        scopes: {
+            type: [{ type: String, enum: Object.keys(API_KEY_SCOPES) }],
+            validate: {
+                validator: (scopes) => scopes.length > 0,
+                message: 'Choose at least one scope',
+            },
+        },
+        rateLimitPerMinute: {
+            type: Number,
+            default: DEFAULT_RATE_LIMIT_PER_MINUTE,
+            min: [1, 'Rate limit must be at least 1 request per minute'],
+            max: [MAX_RATE_LIMIT_PER_MINUTE, `Rate limit cannot exceed ${MAX_RATE_LIMIT_PER_MINUTE} requests per minute`],
+        },
+        lastUsedAt: Date,
+        lastUsedIp: String,
+    },
+    {
+        timestamps: true,
+    }
+);
+
+apiKeySchema.index({ userId: 1, name: 1 }, { unique: true });
+
+apiKeySchema.methods.toJSON = function () {
+    const apiKey = this.toObject();
+    delete apiKey.keyHash;
+    delete apiKey.__v;
+    return apiKey;
+};
+
+const ApiKey = mongoose.model('ApiKey', apiKeySchema);
+
+export default ApiKey;
@@ -1,4 +1,6 @@
 import mongoose from 'mongoose';
+import { selectPrimaryApproach } from '../utils/approaches.js';
+import { designationFromName } from '../utils/designation.js';
 
 const asteroidSchema = new mongoose.Schema(
     {
@@ -14,6 +16,16 @@ const asteroidSchema = new mongoose.Schema(
             required: true,
             trim: true,
         },
+        // MPC designation ('433', '2024 AB') for matching across data sources
+        designation: {
+            type: String,
+            index: true,
+        },
+        // Data source adapter that last wrote this record (neows, sbdb, cad)
+        source: {
+            type: String,
+            default: 'neows',
+        },
         nasa_jpl_url: {
             type: String,
         },
@@ -38,6 +50,28 @@ const asteroidSchema = new mongoose.Schema(
             default: 'minimal',
             index: true,
         },
+        // Risk model version that produced riskScore (see RiskModel)
+        riskModelVersion: {
+            type: Number,
+            index: true,
+        },
+        // Scores at the min/likely/max diameter (riskScore uses the model's basis)
+        riskScoreRange: {
+            min: Number,
+            likely: Number,
+            max: Number,
+        },
+        // Weighted factor contributions to riskScore
+        riskBreakdown: {
+            hazardWeight: Number,
+            diameterScore: Number,
+            diameterScoreRange: {
+                min: Number,
+                max: Number,
+            },
+            distanceScore: Number,
+            velocityScore: Number,
+        },
 
         // Is this asteroid potentially hazardous? (from NASA)
         isPotentiallyHazardous: {
@@ -54,8 +88,18 @@ const asteroidSchema = new mongoose.Schema(
             type: Number, // meters
             index: true,
         },
+        // Diameter band used for scoring (meters), from H and the risk model's albedo range
+        diameterEstimate: {
+            min: Number,
+            likely: Number,
+            max: Number,
+            source: {
+                type: String,
+                enum: ['measured', 'absolute-magnitude', 'nasa-estimate'],
+            },
+        },
 
-        // Close approach data (most recent/relevant)
+        // Close approach data (next approach to Earth; see CloseApproach for history)
         closeApproachDate: {
             type: Date,
             index: true,
@@ -92,6 +136,25 @@ const asteroidSchema = new mongoose.Schema(
             default: 'Earth',
         },
 
+        // ========== KEPLERIAN ORBITAL ELEMENTS ==========
+        // From JPL's orbit solution (NeoWs /neo/{id} orbital_data).
+        // Angles in degrees, distances in AU, epoch as Julian Date.
+        orbitalData: {
+            orbitId: String,
+            epochOsculation: Number, // JD
+            semiMajorAxis: Number, // AU
+            eccentricity: Number,
+            inclination: Number, // deg
+            ascendingNodeLongitude: Number, // deg (Ω)
+            perihelionArgument: Number, // deg (ω)
+            meanAnomaly: Number, // deg at epoch
+            meanMotion: Number, // deg/day
+            orbitalPeriod: Number, // days
+            perihelionDistance: Number, // AU
+            aphelionDistance: Number, // AU
+            orbitClass: String, // e.g. APO, ATE, AMO
+        },
+
         // ========== RAW NASA DATA ==========
         // Store the complete NASA response for reference
         raw_data: {
@@ -122,21 +185,74 @@ asteroidSchema.index({ closeApproachDate: 1, riskScore: -1 });
 asteroidSchema.index({ isPotentiallyHazardous: 1, closeApproachDate: 1 });
 asteroidSchema.index({ riskCategory: 1, closeApproachDate: 1 });
 
-// Static method to create/update asteroid from NASA data
-asteroidSchema.statics.upsertFromNASA = async function (nasaData, riskScore, riskCategory) {
-    const closeApproach = nasaData.close_approach_data?.[0] || {};
+/**
+ * Parse NeoWs orbital_data (all string values) into numeric Keplerian elements.
+ * Returns null when the core elements needed for propagation are missing.
+ */
+const parseOrbitalData = (orbitalData) => {
+    if (!orbitalData) return null;
+
+    const num = (value) => {
+        const parsed = parseFloat(value);
+        return Number.isFinite(parsed) ? parsed : undefined;
+    };
+
+    const elements = {
+        orbitId: orbitalData.orbit_id,
+        epochOsculation: num(orbitalData.epoch_osculation),
+        semiMajorAxis: num(orbitalData.semi_major_axis),
+        eccentricity: num(orbitalData.eccentricity),
+        inclination: num(orbitalData.inclination),
+        ascendingNodeLongitude: num(orbitalData.ascending_node_longitude),
+        perihelionArgument: num(orbitalData.perihelion_argument),
+        meanAnomaly: num(orbitalData.mean_anomaly),
+        meanMotion: num(orbitalData.mean_motion),
+        orbitalPeriod: num(orbitalData.orbital_period),
+        perihelionDistance: num(orbitalData.perihelion_distance),
+        aphelionDistance: num(orbitalData.aphelion_distance),
+        orbitClass: orbitalData.orbit_class?.orbit_class_type,
+    };
+
+    const required = [
+        'epochOsculation',
+        'semiMajorAxis',
+        'eccentricity',
+        'inclination',
+        'ascendingNodeLongitude',
+        'perihelionArgument',
+        'meanAnomaly',
+    ];
+    if (required.some((key) => elements[key] === undefined)) return null;
+
+    return elements;
+};
+
+// Static method to map NASA data to our schema fields (without saving)
+// riskDetails: { modelVersion, scoreRange, breakdown, factors } from calculateRiskScore
+asteroidSchema.statics.fromNASA = function (nasaData, riskScore, riskCategory, riskDetails = {}) {
+    const closeApproach = selectPrimaryApproach(nasaData.close_approach_data) || {};
     const diameter = nasaData.estimated_diameter?.meters || {};
+    const orbitalData = parseOrbitalData(nasaData.orbital_data);
 
-    const asteroidData = {
+    return {
         neo_reference_id: nasaData.neo_reference_id || nasaData.id,
         name: nasaData.name,
+        designation: nasaData.designation || designationFromName(nasaData.name),
+        source: nasaData.source || 'neows',
         nasa_jpl_url: nasaData.nasa_jpl_url,
         absolute_magnitude_h: nasaData.absolute_magnitude_h,
 
         // Risk data
         riskScore,
         riskCategory,
-        isPotentiallyHazardous: nasaData.is_potentially_hazardous_asteroid || false,
+        riskModelVersion: riskDetails.modelVersion,
+        riskScoreRange: riskDetails.scoreRange,
+        riskBreakdown: riskDetails.breakdown,
+        diameterEstimate: riskDetails.factors?.diameterRange,
+        // Some sources (CNEOS) don't report the PHA flag; keep the stored one
+        ...(nasaData.is_potentially_hazardous_asteroid !== undefined && {
+            isPotentiallyHazardous: Boolean(nasaData.is_potentially_hazardous_asteroid),
+        }),
 
         // Diameter
         estimatedDiameterMin: diameter.estimated_diameter_min,
@@ -159,6 +275,9 @@ asteroidSchema.statics.upsertFromNASA = async function (nasaData, riskScore, ris
 
         orbitingBody: closeApproach.orbiting_body || 'Earth',
 
+        // Orbital elements (feed results don't carry them; keep existing ones)
+        ...(orbitalData && { orbitalData }),
+
         // Raw data
         raw_data: nasaData,
 
@@ -166,6 +285,11 @@ asteroidSchema.statics.upsertFromNASA = async function (nasaData, riskScore, ris
         expiresAt: new Date(Date.now() + 24 * 60 * 60 * 1000),
         lastFetchedAt: new Date(),
     };
+};
+
+// Static method to create/update asteroid from NASA data
+asteroidSchema.statics.upsertFromNASA = async function (nasaData, riskScore, riskCategory, riskDetails) {
+    const asteroidData = this.fromNASA(nasaData, riskScore, riskCategory, riskDetails);
 
     return this.findOneAndUpdate(
         { neo_reference_id: asteroidData.neo_reference_id },
@@ -0,0 +1,97 @@
+import mongoose from 'mongoose';
+
+/**
+ * Daily snapshot of an asteroid as it was ingested.
+ * Asteroid documents expire after 24 hours; snapshots are kept so past
+ * approaches can be looked up and risk can be trended over time.
+ * Holds only the indexed summary fields — no raw NASA payload.
+ */
+const asteroidSnapshotSchema = new mongoose.Schema(
+    {
+        // NASA's neo_reference_id
+        asteroidId: {
+            type: String,
+            required: true,
+            index: true,
+        },
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+        },
+        // UTC day the snapshot was taken (one snapshot per asteroid per day)
+        snapshotDate: {
+            type: Date,
+            required: true,
+            index: true,
+        },
+        absolute_magnitude_h: Number,
+
+        // Risk at time of ingestion
+        riskScore: Number,
+        riskCategory: {
+            type: String,
+            enum: ['minimal', 'low', 'moderate', 'high'],
+        },
+        riskModelVersion: Number,
+        isPotentiallyHazardous: {
+            type: Boolean,
+            default: false,
+        },
+
+        // Size
+        estimatedDiameterMin: Number, // meters
+        estimatedDiameterMax: Number, // meters
+
+        // Approach
+        closeApproachDate: {
+            type: Date,
+            index: true,
+        },
+        missDistanceKm: Number,
+        missDistanceLunar: Number,
+        relativeVelocityKmS: Number,
+        orbitingBody: String,
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// One snapshot per asteroid per day; later runs that day overwrite it
+asteroidSnapshotSchema.index({ asteroidId: 1, snapshotDate: 1 }, { unique: true });
+asteroidSnapshotSchema.index({ closeApproachDate: 1, riskScore: -1 });
+
+// Static method to record today's snapshot from a stored Asteroid document
+asteroidSnapshotSchema.statics.recordFromAsteroid = async function (asteroid, takenAt = new Date()) {
+    const snapshotDate = new Date(takenAt);
+    snapshotDate.setUTCHours(0, 0, 0, 0);
+
+    const snapshot = {
+        asteroidId: asteroid.neo_reference_id,
+        name: asteroid.name,
+        snapshotDate,
+        absolute_magnitude_h: asteroid.absolute_magnitude_h,
+        riskScore: asteroid.riskScore,
+        riskCategory: asteroid.riskCategory,
+        riskModelVersion: asteroid.riskModelVersion,
+        isPotentiallyHazardous: asteroid.isPotentiallyHazardous,
+        estimatedDiameterMin: asteroid.estimatedDiameterMin,
+        estimatedDiameterMax: asteroid.estimatedDiameterMax,
+        closeApproachDate: asteroid.closeApproachDate,
+        missDistanceKm: asteroid.missDistanceKm,
+        missDistanceLunar: asteroid.missDistanceLunar,
+        relativeVelocityKmS: asteroid.relativeVelocityKmS,
+        orbitingBody: asteroid.orbitingBody,
+    };
+
+    return this.findOneAndUpdate(
+        { asteroidId: snapshot.asteroidId, snapshotDate },
+        snapshot,
+        { upsert: true, new: true, runValidators: true }
+    );
+};
+
+const AsteroidSnapshot = mongoose.model('AsteroidSnapshot', asteroidSnapshotSchema);
+
+export default AsteroidSnapshot;
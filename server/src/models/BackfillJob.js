@@ -0,0 +1,94 @@
+import mongoose from 'mongoose';
+
+// One NeoWs feed request (max 7 days)
+const backfillChunkSchema = new mongoose.Schema(
+    {
+        startDate: {
+            type: Date,
+            required: true,
+        },
+        endDate: {
+            type: Date,
+            required: true,
+        },
+        status: {
+            type: String,
+            enum: ['pending', 'completed', 'failed'],
+            default: 'pending',
+        },
+        attempts: {
+            type: Number,
+            default: 0,
+        },
+        asteroidCount: Number,
+        error: String,
+        completedAt: Date,
+    },
+    { _id: false }
+);
+
+const backfillJobSchema = new mongoose.Schema(
+    {
+        // Requested date range (inclusive, UTC days)
+        startDate: {
+            type: Date,
+            required: true,
+        },
+        endDate: {
+            type: Date,
+            required: true,
+        },
+        status: {
+            type: String,
+            enum: ['pending', 'running', 'completed', 'failed', 'cancelled'],
+            default: 'pending',
+            index: true,
+        },
+        // Admin who started the job (receives progress events)
+        requestedBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+        options: {
+            // Look up orbital elements / approach history per asteroid (costs one request each)
+            lookupDetails: {
+                type: Boolean,
+                default: false,
+            },
+        },
+        // 7-day windows; completed ones are skipped when the job resumes
+        chunks: [backfillChunkSchema],
+        stats: {
+            asteroidsProcessed: { type: Number, default: 0 },
+            archived: { type: Number, default: 0 },
+            hazardous: { type: Number, default: 0 },
+            errors: { type: Number, default: 0 },
+        },
+        lastError: String,
+        startedAt: Date,
+        finishedAt: Date,
+    },
+    {
+        timestamps: true,
+    }
+);
+
+backfillJobSchema.index({ createdAt: -1 });
+
+// Virtual for progress summary
+backfillJobSchema.virtual('progress').get(function () {
+    const total = this.chunks.length;
+    const completed = this.chunks.filter((chunk) => chunk.status === 'completed').length;
+    return {
+        windowsTotal: total,
+        windowsCompleted: completed,
+        percent: total ? Math.round((completed / total) * 100) : 0,
+    };
+});
+
+backfillJobSchema.set('toJSON', { virtuals: true });
+backfillJobSchema.set('toObject', { virtuals: true });
+
+const BackfillJob = mongoose.model('BackfillJob', backfillJobSchema);
+
+export default BackfillJob;
@@ -0,0 +1,114 @@
+import mongoose from 'mongoose';
+import { parseApproachDate } from '../utils/approaches.js';
+
+/**
+ * One document per asteroid / approach date / orbiting body.
+ * Unlike Asteroid documents these are not TTL'd, so the full encounter
+ * history NASA returns (past and future) is kept.
+ */
+const closeApproachSchema = new mongoose.Schema(
+    {
+        // NASA's neo_reference_id
+        asteroidId: {
+            type: String,
+            required: true,
+            index: true,
+        },
+        asteroidName: {
+            type: String,
+            trim: true,
+        },
+        approachDate: {
+            type: Date,
+            required: true,
+            index: true,
+        },
+        approachDateFull: {
+            type: String, // Full timestamp string from NASA
+        },
+        orbitingBody: {
+            type: String,
+            default: 'Earth',
+        },
+
+        // Miss distance
+        missDistanceKm: Number,
+        missDistanceAu: Number,
+        missDistanceLunar: Number,
+
+        // Relative velocity
+        relativeVelocityKmS: Number,
+        relativeVelocityKmH: Number,
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// One record per encounter
+closeApproachSchema.index(
+    { asteroidId: 1, approachDate: 1, orbitingBody: 1 },
+    { unique: true }
+);
+
+/**
+ * Map a NeoWs close_approach_data entry to our schema
+ */
+const fromNASAApproach = (asteroidId, asteroidName, approach) => ({
+    asteroidId,
+    asteroidName,
+    approachDate: parseApproachDate(approach),
+    approachDateFull: approach.close_approach_date_full,
+    orbitingBody: approach.orbiting_body || 'Earth',
+    missDistanceKm: parseFloat(approach.miss_distance?.kilometers) || 0,
+    missDistanceAu: parseFloat(approach.miss_distance?.astronomical) || 0,
+    missDistanceLunar: parseFloat(approach.miss_distance?.lunar) || 0,
+    relativeVelocityKmS: parseFloat(approach.relative_velocity?.kilometers_per_second) || 0,
+    relativeVelocityKmH: parseFloat(approach.relative_velocity?.kilometers_per_hour) || 0,
+});
+
+// Static method to store every approach NASA returned for an asteroid
+closeApproachSchema.statics.upsertFromNASA = async function (nasaData, closeApproachData) {
+    const approaches = closeApproachData || nasaData.close_approach_data || [];
+    if (approaches.length === 0) return { upserted: 0, modified: 0 };
+
+    const asteroidId = nasaData.neo_reference_id || nasaData.id;
+
+    const operations = approaches
+        .map((approach) => fromNASAApproach(asteroidId, nasaData.name, approach))
+        .filter((doc) => !isNaN(doc.approachDate))
+        .map((doc) => ({
+            updateOne: {
+                filter: {
+                    asteroidId: doc.asteroidId,
+                    approachDate: doc.approachDate,
+                    orbitingBody: doc.orbitingBody,
+                },
+                update: { $set: doc },
+                upsert: true,
+            },
+        }));
+
+    if (operations.length === 0) return { upserted: 0, modified: 0 };
+
+    const result = await this.bulkWrite(operations, { ordered: false });
+    return { upserted: result.upsertedCount, modified: result.modifiedCount };
+};
+
+// Static method to find the next approach to a body from a given time
+closeApproachSchema.statics.findNextApproach = function (asteroidId, orbitingBody = 'Earth', from = new Date()) {
+    const startOfDay = new Date(from);
+    startOfDay.setUTCHours(0, 0, 0, 0);
+
+    return this.findOne({
+        asteroidId,
+        orbitingBody,
+        approachDate: { $gte: startOfDay },
+    })
+        .sort({ approachDate: 1 })
+        .lean();
+};
+
+const CloseApproach = mongoose.model('CloseApproach', closeApproachSchema);
+
+export default CloseApproach;
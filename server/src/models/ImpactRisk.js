@@ -0,0 +1,71 @@
+import mongoose from 'mongoose';
+
+/**
+ * Impact-risk entries from JPL's Sentry system.
+ * Keyed by designation and kept without TTL; objects drop off when
+ * Sentry removes them (see replaceFromSource).
+ */
+const impactRiskSchema = new mongoose.Schema(
+    {
+        designation: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        fullname: {
+            type: String,
+            trim: true,
+        },
+        sentryId: String,
+        // Cumulative impact probability over all potential impacts
+        impactProbability: Number,
+        palermoScaleCumulative: Number,
+        palermoScaleMax: Number,
+        torinoScaleMax: Number,
+        impactCount: Number,
+        yearRange: String, // e.g. '2069-2122'
+        diameterKm: Number,
+        absoluteMagnitudeH: Number,
+        vInfinityKmS: Number,
+        lastObserved: String,
+        source: {
+            type: String,
+            default: 'sentry',
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Static method to replace the catalog with the latest Sentry table
+impactRiskSchema.statics.replaceFromSource = async function (records, source = 'sentry') {
+    if (records.length === 0) return { upserted: 0, modified: 0, removed: 0 };
+
+    const result = await this.bulkWrite(
+        records.map((record) => ({
+            updateOne: {
+                filter: { designation: record.designation },
+                update: { $set: { ...record, source } },
+                upsert: true,
+            },
+        })),
+        { ordered: false }
+    );
+
+    // Objects Sentry no longer lists have been ruled out
+    const removed = await this.deleteMany({
+        source,
+        designation: { $nin: records.map((record) => record.designation) },
+    });
+
+    return {
+        upserted: result.upsertedCount,
+        modified: result.modifiedCount,
+        removed: removed.deletedCount,
+    };
+};
+
+const ImpactRisk = mongoose.model('ImpactRisk', impactRiskSchema);
+
+export default ImpactRisk;
@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+/**
+ * Cached NASA API responses keyed by request URL (without the api_key),
+ * so repeated lookups don't spend rate-limit quota.
+ */
+const nasaCacheSchema = new mongoose.Schema(
+    {
+        key: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        body: {
+            type: mongoose.Schema.Types.Mixed,
+            required: true,
+        },
+        // TTL index - MongoDB removes entries once they expire
+        expiresAt: {
+            type: Date,
+            required: true,
+            index: { expires: 0 },
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+const NasaCache = mongoose.model('NasaCache', nasaCacheSchema);
+
+export default NasaCache;
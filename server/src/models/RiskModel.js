@@ -0,0 +1,104 @@
+import mongoose from 'mongoose';
+
+/**
+ * Versioned risk model profiles.
+ * Versions are never edited in place: a change creates the next version,
+ * so every stored score can be traced back to the parameters that made it.
+ */
+const riskModelSchema = new mongoose.Schema(
+    {
+        version: {
+            type: Number,
+            required: true,
+            unique: true,
+        },
+        name: {
+            type: String,
+            required: true,
+            trim: true,
+            maxlength: 100,
+        },
+        // What changed and why
+        notes: {
+            type: String,
+            trim: true,
+            maxlength: 1000,
+        },
+        // Percent of the final score per factor (must sum to 100)
+        weights: {
+            hazard: { type: Number, required: true, min: 0, max: 100 },
+            diameter: { type: Number, required: true, min: 0, max: 100 },
+            distance: { type: Number, required: true, min: 0, max: 100 },
+            velocity: { type: Number, required: true, min: 0, max: 100 },
+        },
+        // Normalization limits for each factor score
+        limits: {
+            maxDiameterMeters: { type: Number, required: true, min: 1 },
+            maxVelocityKmS: { type: Number, required: true, min: 1 },
+            minSafeDistanceLd: { type: Number, required: true, min: 0 },
+            maxConcerningDistanceLd: { type: Number, required: true, min: 1 },
+        },
+        // Lowest score in each category
+        thresholds: {
+            low: { type: Number, required: true, min: 1, max: 100 },
+            moderate: { type: Number, required: true, min: 1, max: 100 },
+            high: { type: Number, required: true, min: 1, max: 100 },
+        },
+        // Diameter from H: albedo range and which size sets the headline score.
+        // Versions saved before bands existed scored NASA's reported maximum.
+        diameter: {
+            basis: { type: String, enum: ['reported', 'min', 'likely', 'max'], default: 'reported' },
+            albedoMin: { type: Number, default: 0.05, min: 0.01, max: 1 },
+            albedoLikely: { type: Number, default: 0.14, min: 0.01, max: 1 },
+            albedoMax: { type: Number, default: 0.25, min: 0.01, max: 1 },
+        },
+        isActive: {
+            type: Boolean,
+            default: false,
+            index: true,
+        },
+        activatedAt: Date,
+        createdBy: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+riskModelSchema.pre('validate', function (next) {
+    const { weights, limits, thresholds } = this;
+
+    const weightSum = weights.hazard + weights.diameter + weights.distance + weights.velocity;
+    if (Math.abs(weightSum - 100) > 0.001) {
+        this.invalidate('weights', `Weights must sum to 100 (got ${weightSum})`);
+    }
+    if (!(thresholds.low < thresholds.moderate && thresholds.moderate < thresholds.high)) {
+        this.invalidate('thresholds', 'Thresholds must increase: low < moderate < high');
+    }
+    const { diameter } = this;
+    if (!(diameter.albedoMin <= diameter.albedoLikely && diameter.albedoLikely <= diameter.albedoMax)) {
+        this.invalidate('diameter', 'Albedos must satisfy albedoMin <= albedoLikely <= albedoMax');
+    }
+    if (limits.minSafeDistanceLd >= limits.maxConcerningDistanceLd) {
+        this.invalidate('limits.minSafeDistanceLd', 'minSafeDistanceLd must be below maxConcerningDistanceLd');
+    }
+    next();
+});
+
+// Static method to get the model currently used for scoring
+riskModelSchema.statics.findActive = function () {
+    return this.findOne({ isActive: true }).sort({ version: -1 });
+};
+
+// Static method to get the next free version number
+riskModelSchema.statics.nextVersion = async function () {
+    const latest = await this.findOne().sort({ version: -1 }).select('version').lean();
+    return (latest?.version || 0) + 1;
+};
+
+const RiskModel = mongoose.model('RiskModel', riskModelSchema);
+
+export default RiskModel;
@@ -0,0 +1,56 @@
+import mongoose from 'mongoose';
+
+// One signed-in device. The refresh token itself is never stored, only its
+// SHA-256 hash; it rotates on every refresh.
+const sessionSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true,
+        },
+        tokenHash: {
+            type: String,
+            required: true,
+            unique: true,
+        },
+        // Hash of the token this one replaced, accepted briefly so parallel
+        // refreshes from two tabs don't look like token theft
+        previousTokenHash: {
+            type: String,
+            index: { sparse: true },
+        },
+        rotatedAt: Date,
+        userAgent: String,
+        ip: String,
+        lastUsedAt: {
+            type: Date,
+            default: Date.now,
+        },
+        expiresAt: {
+            type: Date,
+            required: true,
+        },
+        revokedAt: Date,
+        revokedReason: {
+            type: String,
+            enum: ['logout', 'revoked', 'logout_all', 'token_reuse', 'password_reset', 'sso_link'],
+        },
+    },
+    {
+        timestamps: true,
+    }
+);
+
+// Expired sessions are removed by MongoDB; revoked ones stay until then for auditing
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+// Whether the session can still be used
+sessionSchema.methods.isActive = function (now = new Date()) {
+    return !this.revokedAt && this.expiresAt > now;
+};
+
+const Session = mongoose.model('Session', sessionSchema);
+
+export default Session;
@@ -1,5 +1,8 @@
+import crypto from 'crypto';
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import { isValidTimezone, isValidTimeOfDay } from '../utils/timezone.js';
+import { permissionsForRole } from '../utils/permissions.js';
 
 const userSchema = new mongoose.Schema(
     {
@@ -72,10 +75,113 @@ const userSchema = new mongoose.Schema(
                 type: Boolean,
                 default: true,
             },
+            // immediate = one notification per alert; daily/weekly = one digest
+            deliveryMode: {
+                type: String,
+                enum: ['immediate', 'daily', 'weekly'],
+                default: 'immediate',
+            },
+            // IANA timezone for quiet hours, digest times and times in emails
+            timezone: {
+                type: String,
+                default: 'UTC',
+                validate: {
+                    validator: isValidTimezone,
+                    message: 'Unknown timezone',
+                },
+            },
+            // Hold non-danger alerts during this local-time window (may wrap midnight)
+            quietHours: {
+                enabled: {
+                    type: Boolean,
+                    default: false,
+                },
+                start: {
+                    type: String,
+                    default: '22:00',
+                    validate: {
+                        validator: isValidTimeOfDay,
+                        message: 'Quiet hours start must be HH:MM',
+                    },
+                },
+                end: {
+                    type: String,
+                    default: '07:00',
+                    validate: {
+                        validator: isValidTimeOfDay,
+                        message: 'Quiet hours end must be HH:MM',
+                    },
+                },
+            },
+            // Hand unacknowledged danger alerts to teammates, by email; a contact
+            // only receives them after accepting (see escalationAcceptedFrom)
+            escalation: {
+                enabled: {
+                    type: Boolean,
+                    default: false,
+                },
+                afterMinutes: {
+                    type: Number,
+                    min: [5, 'Escalate after at least 5 minutes'],
+                    max: [1440, 'Escalate within 24 hours'],
+                    default: 30,
+                },
+                contacts: {
+                    type: [
+                        {
+                            type: String,
+                            lowercase: true,
+                            trim: true,
+                            match: [/^\S+@\S+\.\S+$/, 'Escalation contacts must be email addresses'],
+                        },
+                    ],
+                    validate: {
+                        validator: (contacts) => contacts.length <= 5,
+                        message: 'Add up to 5 escalation contacts',
+                    },
+                },
+            },
+        },
+        // Users whose escalated alerts this user agreed to receive. Kept outside
+        // alertSettings so only this user can grant it, and a settings save can't drop it.
+        escalationAcceptedFrom: [
+            {
+                type: mongoose.Schema.Types.ObjectId,
+                ref: 'User',
+            },
+        ],
+        // Web Push subscriptions, one per browser/device (see pushService)
+        pushSubscriptions: [
+            {
+                _id: false,
+                endpoint: { type: String, required: true },
+                keys: {
+                    p256dh: { type: String, required: true },
+                    auth: { type: String, required: true },
+                },
+                userAgent: String,
+                createdAt: { type: Date, default: Date.now },
+            },
+        ],
+        // For password reset and email verification: SHA-256 hashes of
+        // single-use tokens (the raw token is only ever emailed)
+        passwordResetToken: {
+            type: String,
+            index: { sparse: true },
         },
-        // For password reset
-        passwordResetToken: String,
         passwordResetExpires: Date,
+        emailVerificationToken: {
+            type: String,
+            index: { sparse: true },
+        },
+        emailVerificationExpires: Date,
+        // Identity at the OpenID Connect provider this account signs in with
+        // (linked on first single sign-on, see oidcService)
+        oidc: {
+            issuer: String,
+            subject: String,
+            linkedAt: Date,
+        },
         // Last login tracking
         lastLogin: Date,
     },
@@ -87,6 +193,12 @@ const userSchema = new mongoose.Schema(
 // Index for faster queries
 userSchema.index({ email: 1 });
 userSchema.index({ watched_asteroid_ids: 1 });
+userSchema.index({ 'alertSettings.riskThreshold': 1 });
+userSchema.index({ 'pushSubscriptions.endpoint': 1 });
+userSchema.index(
+    { 'oidc.issuer': 1, 'oidc.subject': 1 },
+    { unique: true, partialFilterExpression: { 'oidc.subject': { $exists: true } } }
+);
 
 // Hash password before saving
 userSchema.pre('save', async function (next) {
@@ -109,6 +221,29 @@ userSchema.methods.comparePassword = async function (candidatePassword) {
     return await bcrypt.compare(candidatePassword, this.passwordHash);
 };
 
+// Hash of a password reset / email verification token, as stored
+userSchema.statics.hashToken = function (token) {
+    return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+// Issue a single-use token: stores its hash and expiry, returns the raw token
+const issueToken = (user, tokenField, expiresField, ttlMs) => {
+    const token = crypto.randomBytes(32).toString('hex');
+    user[tokenField] = user.constructor.hashToken(token);
+    user[expiresField] = new Date(Date.now() + ttlMs);
+    return token;
+};
+
+// Method to start a password reset (token valid for 1 hour)
+userSchema.methods.createPasswordResetToken = function () {
+    return issueToken(this, 'passwordResetToken', 'passwordResetExpires', 60 * 60 * 1000);
+};
+
+// Method to start email verification (token valid for 24 hours)
+userSchema.methods.createEmailVerificationToken = function () {
+    return issueToken(this, 'emailVerificationToken', 'emailVerificationExpires', 24 * 60 * 60 * 1000);
+};
+
 // Method to check if asteroid is in watchlist
 userSchema.methods.isWatching = function (asteroidId) {
     return this.watched_asteroid_ids.includes(asteroidId);
@@ -136,7 +271,12 @@ userSchema.methods.toJSON = function () {
     delete user.passwordHash;
     delete user.passwordResetToken;
     delete user.passwordResetExpires;
+    delete user.emailVerificationToken;
+    delete user.emailVerificationExpires;
+    delete user.pushSubscriptions;
     delete user.__v;
+    // Lets the client show only what the role allows; the server still checks
+    user.permissions = permissionsForRole(user.role);
     return user;
 };
 
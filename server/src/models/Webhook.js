@@ -0,0 +1,83 @@
+import mongoose from 'mongoose';
+import crypto from 'crypto';
+
+// Events a webhook can subscribe to (same names as the Socket.IO events)
+export const WEBHOOK_EVENTS = ['CLOSE_APPROACH_ALERT', 'NEW_HAZARDOUS_ASTEROID', 'DAILY_UPDATE'];
+
+const webhookSchema = new mongoose.Schema(
+    {
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+            index: true,
+        },
+        url: {
+            type: String,
+            required: [true, 'Webhook URL is required'],
+            trim: true,
+            maxlength: [2048, 'Webhook URL is too long'],
+            validate: {
+                validator: (value) => {
+                    try {
+                        const { protocol } = new URL(value);
+                        return protocol === 'https:' || protocol === 'http:';
+                    } catch {
+                        return false;
+                    }
+                },
+                message: 'Webhook URL must be an http(s) URL',
+            },
+        },
+        description: {
+            type: String,
+            trim: true,
+            maxlength: [100, 'Description cannot exceed 100 characters'],
+        },
+        events: {
+            type: [{ type: String, enum: WEBHOOK_EVENTS }],
+            validate: {
+                validator: (events) => events.length > 0,
+                message: 'Subscribe to at least one event',
+            },
+        },
+        // HMAC-SHA256 key for X-Astral-Signature; only returned when created or rotated
+        secret: {
+            type: String,
+            select: false,
+            default: () => `whsec_${crypto.randomBytes(24).toString('hex')}`,
+        },
+        isActive: {
+            type: Boolean,
+            default: true,
+            index: true,
+        },
+        // Failed deliveries in a row; the webhook is paused past WEBHOOK_MAX_FAILURES
+        consecutiveFailures: {
+            type: Number,
+            default: 0,
+        },
+        lastDeliveryAt: Date,
+        lastDeliveryStatus: {
+            type: String,
+            enum: ['success', 'failed'],
+        },
+        disabledReason: String,
+    },
+    {
+        timestamps: true,
+    }
+);
+
+webhookSchema.index({ events: 1, isActive: 1 });
+
+webhookSchema.methods.toJSON = function () {
+    const webhook = this.toObject();
+    delete webhook.secret;
+    delete webhook.__v;
+    return webhook;
+};
+
+const Webhook = mongoose.model('Webhook', webhookSchema);
+
+export default Webhook;
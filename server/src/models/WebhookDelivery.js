@@ -0,0 +1,54 @@
+import mongoose from 'mongoose';
+
+// One event sent (or being retried) to one webhook
+const webhookDeliverySchema = new mongoose.Schema(
+    {
+        webhookId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'Webhook',
+            required: true,
+        },
+        userId: {
+            type: mongoose.Schema.Types.ObjectId,
+            ref: 'User',
+            required: true,
+        },
+        event: {
+            type: String,
+            required: true,
+        },
+        // Exact JSON body that was signed, so retries send identical bytes
+        body: {
+            type: String,
+            required: true,
+        },
+        status: {
+            type: String,
+            enum: ['pending', 'success', 'failed'],
+            default: 'pending',
+        },
+        attempts: {
+            type: Number,
+            default: 0,
+        },
+        // When the retry sweep should try again (unset once finished)
+        nextAttemptAt: Date,
+        // Only the status is kept: response bodies could leak internal services
+        responseStatus: Number,
+        error: String,
+        durationMs: Number,
+        completedAt: Date,
+    },
+    {
+        timestamps: true,
+    }
+);
+
+webhookDeliverySchema.index({ webhookId: 1, createdAt: -1 });
+webhookDeliverySchema.index({ status: 1, nextAttemptAt: 1 });
+// Keep the delivery log for 30 days
+webhookDeliverySchema.index({ createdAt: 1 }, { expireAfterSeconds: 30 * 24 * 60 * 60 });
+
+const WebhookDelivery = mongoose.model('WebhookDelivery', webhookDeliverySchema);
+
+export default WebhookDelivery;
@@ -2,5 +2,34 @@ import User from "./User.js";
 import Asteroid from "./Asteroid.js";
 import Alert from "./Alert.js";
 import ChatMessage from "./ChatMessage.js";
+import CloseApproach from "./CloseApproach.js";
+import AsteroidSnapshot from "./AsteroidSnapshot.js";
+import BackfillJob from "./BackfillJob.js";
+import NasaCache from "./NasaCache.js";
+import ImpactRisk from "./ImpactRisk.js";
+import RiskModel from "./RiskModel.js";
+import Webhook from "./Webhook.js";
+import WebhookDelivery from "./WebhookDelivery.js";
+import AlertRule from "./AlertRule.js";
+import Session from "./Session.js";
+import Annotation from "./Annotation.js";
+import ApiKey from "./ApiKey.js";
 
-export { User, Asteroid, Alert, ChatMessage };
+export {
+  User,
+  Asteroid,
+  Alert,
+  ChatMessage,
+  CloseApproach,
+  AsteroidSnapshot,
+  BackfillJob,
+  NasaCache,
+  ImpactRisk,
+  RiskModel,
+  Webhook,
+  WebhookDelivery,
+  AlertRule,
+  Session,
+  Annotation,
+  ApiKey,
+};
@@ -1,19 +1,65 @@
 import express from "express";
+import mongoose from "mongoose";
 import auth from "../middleware/auth.js";
-import adminAuth from "../middleware/adminAuth.js";
-import { triggerManualFetch } from "../services/scheduler.js";
-import { fetchTodayNeos, fetchAsteroidById } from "../services/nasaService.js";
+import requirePermission from "../middleware/requirePermission.js";
+import { ROLES, describePermissions } from "../utils/permissions.js";
+import {
+  triggerManualFetch,
+  ingestFromSource,
+} from "../services/scheduler.js";
+import { getSource, listSources } from "../services/sources/index.js";
+import {
+  createBackfillJob,
+  runBackfillJob,
+  cancelBackfillJob,
+  getActiveBackfillJobId,
+  MAX_BACKFILL_DAYS,
+} from "../services/backfillService.js";
+import {
+  loadActiveRiskModel,
+  createRiskModelVersion,
+  activateRiskModel,
+  rescoreCatalog,
+} from "../services/riskModelService.js";
+import { sendDigests } from "../services/digestService.js";
+import { BackfillJob, RiskModel, User } from "../models/index.js";
+import {
+  fetchTodayNeos,
+  fetchAsteroidById,
+  getRateLimitStatus,
+  clearNasaCache,
+  NASA_ERRORS,
+} from "../services/nasaService.js";
 import {
   calculateRiskScore,
   getRiskLevelInfo,
+  getActiveRiskModel,
 } from "../services/riskEngine.js";
 
 const router = express.Router();
 
+// Permission checks (see utils/permissions.js)
+const canIngest = requirePermission("ingest:run");
+const canRunBackfills = requirePermission("backfill:run");
+const canRunDigests = requirePermission("digests:run");
+const canViewSystem = requirePermission("system:view");
+const canViewRiskModels = requirePermission("risk-models:view");
+const canManageRiskModels = requirePermission("risk-models:manage");
+const canManageUsers = requirePermission("users:manage");
+
+// 429 while NASA's quota is exhausted, 502 for any other upstream failure
+const nasaFailure = (res, error) =>
+  res.status(error.code === NASA_ERRORS.QUOTA ? 429 : 502).json({
+    success: false,
+    message: `NASA API request failed: ${error.message}`,
+    code: error.code,
+    rateLimit: getRateLimitStatus(),
+  });
+
 // @route   POST /api/admin/fetch
 // @desc    Manually trigger asteroid data fetch
-// @access  Private (Admin only)
-router.post("/fetch", auth, adminAuth, async (req, res, next) => {
+// @access  Private (ingest:run)
+router.post("/fetch", auth, canIngest, async (req, res, next) => {
   try {
     const { type = "today" } = req.body;
 
@@ -33,13 +79,236 @@ router.post("/fetch", auth, adminAuth, async (req, res, next) => {
   }
 });
 
+// @route   POST /api/admin/digests/run
+// @desc    Send daily or weekly alert digests now instead of waiting for cron
+// @access  Private (digests:run)
+router.post("/digests/run", auth, canRunDigests, async (req, res, next) => {
+  try {
+    const { period = "daily" } = req.body;
+
+    if (!["daily", "weekly"].includes(period)) {
+      return res.status(400).json({
+        success: false,
+        message: "period must be daily or weekly",
+      });
+    }
+
+    const stats = await sendDigests(period, req.app.get("io"));
+
+    res.json({
+      success: true,
+      message: `${stats.digestsSent} ${period} digests sent`,
+      data: stats,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/backfill
+// @desc    Ingest an arbitrary date range from NeoWs in 7-day windows
+// @access  Private (backfill:run)
+router.post("/backfill", auth, canRunBackfills, async (req, res, next) => {
+  try {
+    const { startDate, endDate, lookupDetails = false } = req.body;
+
+    const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+    if (!datePattern.test(startDate || "") || !datePattern.test(endDate || "")) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide startDate and endDate as YYYY-MM-DD",
+      });
+    }
+
+    const start = new Date(startDate);
+    const end = new Date(endDate);
+    if (isNaN(start) || isNaN(end) || start > end) {
+      return res.status(400).json({
+        success: false,
+        message: "startDate must be a valid date on or before endDate",
+      });
+    }
+
+    const days = Math.round((end - start) / (24 * 60 * 60 * 1000)) + 1;
+    if (days > MAX_BACKFILL_DAYS) {
+      return res.status(400).json({
+        success: false,
+        message: `A backfill can cover at most ${MAX_BACKFILL_DAYS} days (got ${days}); split it into several jobs`,
+      });
+    }
+
+    if (getActiveBackfillJobId()) {
+      return res.status(409).json({
+        success: false,
+        message: "A backfill is already running",
+        data: { activeJobId: getActiveBackfillJobId() },
+      });
+    }
+
+    const job = await createBackfillJob({
+      startDate: start,
+      endDate: end,
+      requestedBy: req.user.id,
+      lookupDetails: Boolean(lookupDetails),
+    });
+
+    console.log(
+      `🗄️  Backfill ${startDate} → ${endDate} requested by ${req.user.email} (${job.chunks.length} windows)`,
+    );
+
+    // Run in background; progress is reported via BACKFILL_PROGRESS events
+    runBackfillJob(job._id, req.app.get("io")).catch((error) =>
+      console.error(`❌ Backfill ${job._id} crashed:`, error.message),
+    );
+
+    res.status(202).json({
+      success: true,
+      message: `Backfill started: ${job.chunks.length} window(s). Progress is sent over Socket.IO.`,
+      data: job,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/backfill
+// @desc    List recent backfill jobs
+// @access  Private (backfill:run)
+router.get("/backfill", auth, canRunBackfills, async (req, res, next) => {
+  try {
+    const jobs = await BackfillJob.find()
+      .sort({ createdAt: -1 })
+      .limit(Math.min(parseInt(req.query.limit) || 20, 100));
+
+    res.json({
+      success: true,
+      activeJobId: getActiveBackfillJobId(),
+      data: jobs,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/backfill/:id
+// @desc    Get a backfill job with per-window status
+// @access  Private (backfill:run)
+router.get("/backfill/:id", auth, canRunBackfills, async (req, res, next) => {
+  try {
+    const job = await BackfillJob.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Backfill job not found",
+      });
+    }
+
+    res.json({
+      success: true,
+      data: job,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/backfill/:id/resume
+// @desc    Resume a failed or cancelled backfill from its first unfinished window
+// @access  Private (backfill:run)
+router.post("/backfill/:id/resume", auth, canRunBackfills, async (req, res, next) => {
+  try {
+    const job = await BackfillJob.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Backfill job not found",
+      });
+    }
+
+    if (!["failed", "cancelled", "pending"].includes(job.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `Cannot resume a ${job.status} backfill`,
+      });
+    }
+
+    if (getActiveBackfillJobId()) {
+      return res.status(409).json({
+        success: false,
+        message: "A backfill is already running",
+        data: { activeJobId: getActiveBackfillJobId() },
+      });
+    }
+
+    // Progress events go to whoever resumed it
+    job.requestedBy = req.user.id;
+    await job.save();
+
+    runBackfillJob(job._id, req.app.get("io")).catch((error) =>
+      console.error(`❌ Backfill ${job._id} crashed:`, error.message),
+    );
+
+    res.json({
+      success: true,
+      message: `Backfill resumed: ${job.chunks.length - job.progress.windowsCompleted} window(s) remaining`,
+      data: job,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/backfill/:id/cancel
+// @desc    Stop a backfill after its current window
+// @access  Private (backfill:run)
+router.post("/backfill/:id/cancel", auth, canRunBackfills, async (req, res, next) => {
+  try {
+    const job = await BackfillJob.findById(req.params.id);
+
+    if (!job) {
+      return res.status(404).json({
+        success: false,
+        message: "Backfill job not found",
+      });
+    }
+
+    if (cancelBackfillJob(job._id)) {
+      return res.json({
+        success: true,
+        message: "Cancellation requested; the job stops after its current window",
+      });
+    }
+
+    if (job.status === "pending" || job.status === "failed") {
+      job.status = "cancelled";
+      job.finishedAt = new Date();
+      await job.save();
+    }
+
+    res.json({
+      success: true,
+      message: `Backfill is ${job.status}`,
+      data: job,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   GET /api/admin/test-nasa
 // @desc    Test NASA API connection
-// @access  Private (Admin only)
-router.get("/test-nasa", auth, adminAuth, async (req, res, next) => {
+// @access  Private (system:view)
+router.get("/test-nasa", auth, canViewSystem, async (req, res, next) => {
   try {
     const startTime = Date.now();
-    const neos = await fetchTodayNeos();
+    let neos;
+    try {
+      neos = await fetchTodayNeos();
+    } catch (error) {
+      return nasaFailure(res, error);
+    }
     const duration = Date.now() - startTime;
 
     res.json({
@@ -48,6 +317,7 @@ router.get("/test-nasa", auth, adminAuth, async (req, res, next) => {
       data: {
         asteroidsFound: neos.length,
         responseTimeMs: duration,
+        rateLimit: getRateLimitStatus(),
         sampleAsteroid:
           neos[0] ?
             {
@@ -63,20 +333,285 @@ router.get("/test-nasa", auth, adminAuth, async (req, res, next) => {
   }
 });
 
-// @route   GET /api/admin/test-risk/:id
-// @desc    Test risk calculation for a specific asteroid
-// @access  Private (Admin only)
-router.get("/test-risk/:id", auth, adminAuth, async (req, res, next) => {
+// @route   GET /api/admin/nasa-status
+// @desc    NASA quota (X-RateLimit headers), request queue and cache counters
+// @access  Private (system:view)
+router.get("/nasa-status", auth, canViewSystem, async (req, res, next) => {
+  try {
+    const { NasaCache } = await import("../models/index.js");
+    const cachedResponses = await NasaCache.countDocuments({
+      expiresAt: { $gt: new Date() },
+    });
+
+    res.json({
+      success: true,
+      data: {
+        ...getRateLimitStatus(),
+        cachedResponses,
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/admin/nasa-cache
+// @desc    Clear cached NASA responses
+// @access  Private (ingest:run)
+router.delete("/nasa-cache", auth, canIngest, async (req, res, next) => {
   try {
-    const asteroid = await fetchAsteroidById(req.params.id);
+    const removed = await clearNasaCache();
+
+    res.json({
+      success: true,
+      message: `Cleared ${removed} cached NASA responses`,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/sources
+// @desc    List registered data source adapters
+// @access  Private (ingest:run)
+router.get("/sources", auth, canIngest, (req, res) => {
+  res.json({
+    success: true,
+    data: listSources(),
+  });
+});
 
-    if (!asteroid) {
+// @route   POST /api/admin/sources/:name/ingest
+// @desc    Pull from one data source: a date range (startDate/endDate) or objects by id (ids)
+// @access  Private (ingest:run)
+router.post("/sources/:name/ingest", auth, canIngest, async (req, res, next) => {
+  try {
+    const adapter = getSource(req.params.name);
+    if (!adapter) {
       return res.status(404).json({
         success: false,
-        message: "Asteroid not found",
+        message: `Unknown data source: ${req.params.name}`,
       });
     }
 
+    const { startDate, endDate, ids = [] } = req.body;
+    const options = { ids: Array.isArray(ids) ? ids.map(String) : [] };
+
+    if (options.ids.length === 0) {
+      if (!adapter.fetchRange) {
+        return res.status(400).json({
+          success: false,
+          message: `${adapter.label} needs a list of ids to look up`,
+        });
+      }
+
+      const datePattern = /^\d{4}-\d{2}-\d{2}$/;
+      if (startDate && !datePattern.test(startDate)) {
+        return res.status(400).json({
+          success: false,
+          message: "startDate must be YYYY-MM-DD",
+        });
+      }
+      if (endDate && !datePattern.test(endDate)) {
+        return res.status(400).json({
+          success: false,
+          message: "endDate must be YYYY-MM-DD",
+        });
+      }
+
+      options.startDate = startDate ? new Date(startDate) : new Date();
+      options.endDate = endDate ? new Date(endDate) : options.startDate;
+      if (options.startDate > options.endDate) {
+        return res.status(400).json({
+          success: false,
+          message: "startDate must be on or before endDate",
+        });
+      }
+    } else if (!adapter.fetchObject) {
+      return res.status(400).json({
+        success: false,
+        message: `${adapter.label} does not support lookups by id`,
+      });
+    } else if (options.ids.length > 50) {
+      return res.status(400).json({
+        success: false,
+        message: "Look up at most 50 ids per request",
+      });
+    }
+
+    const stats = await ingestFromSource(adapter.name, options);
+
+    res.json({
+      success: true,
+      message: `Ingested from ${adapter.label}`,
+      data: stats,
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(502).json({
+        success: false,
+        message: error.message,
+      });
+    }
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/risk-models
+// @desc    List risk model versions (newest first)
+// @access  Private (risk-models:view)
+router.get("/risk-models", auth, canViewRiskModels, async (req, res, next) => {
+  try {
+    const models = await RiskModel.find()
+      .sort({ version: -1 })
+      .populate("createdBy", "displayName email")
+      .lean();
+
+    res.json({
+      success: true,
+      count: models.length,
+      activeVersion: getActiveRiskModel().version,
+      data: models,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/risk-models
+// @desc    Create a new risk model version (fields left out are copied from the active model)
+// @access  Private (risk-models:manage)
+router.post("/risk-models", auth, canManageRiskModels, async (req, res, next) => {
+  try {
+    const {
+      name,
+      notes,
+      weights,
+      limits,
+      thresholds,
+      diameter,
+      activate = false,
+      rescore = false,
+    } = req.body;
+
+    let model;
+    try {
+      model = await createRiskModelVersion(
+        { name, notes, weights, limits, thresholds, diameter },
+        req.user.id,
+      );
+    } catch (error) {
+      if (error.name === "ValidationError") {
+        return res.status(400).json({
+          success: false,
+          message: Object.values(error.errors)
+            .map((e) => e.message)
+            .join("; "),
+        });
+      }
+      throw error;
+    }
+
+    console.log(`🧮 Risk model v${model.version} created by ${req.user.email}`);
+
+    let rescoreStats = null;
+    if (activate) {
+      model = await activateRiskModel(model.version);
+      if (rescore) {
+        rescoreStats = await rescoreCatalog();
+      }
+    }
+
+    res.status(201).json({
+      success: true,
+      message: `Risk model v${model.version} created${activate ? " and activated" : ""}`,
+      data: model,
+      rescore: rescoreStats,
+    });
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({ success: false, message: error.message });
+    }
+    next(error);
+  }
+});
+
+// @route   POST /api/admin/risk-models/:version/activate
+// @desc    Score with a stored version; pass { rescore: true } to update the catalog now
+// @access  Private (risk-models:manage)
+router.post(
+  "/risk-models/:version/activate",
+  auth,
+  canManageRiskModels,
+  async (req, res, next) => {
+    try {
+      const version = parseInt(req.params.version);
+      const model = await activateRiskModel(version);
+
+      if (!model) {
+        return res.status(404).json({
+          success: false,
+          message: `Risk model v${req.params.version} not found`,
+        });
+      }
+
+      const rescoreStats = req.body?.rescore ? await rescoreCatalog() : null;
+
+      res.json({
+        success: true,
+        message: `Risk model v${model.version} is now active`,
+        data: model,
+        rescore: rescoreStats,
+      });
+    } catch (error) {
+      if (error.status === 409) {
+        return res.status(409).json({ success: false, message: error.message });
+      }
+      next(error);
+    }
+  },
+);
+
+// @route   POST /api/admin/risk-models/rescore
+// @desc    Re-score every stored asteroid with the active risk model
+// @access  Private (risk-models:manage)
+router.post("/risk-models/rescore", auth, canManageRiskModels, async (req, res, next) => {
+  try {
+    // Pick up versions activated by another server instance
+    await loadActiveRiskModel();
+    const stats = await rescoreCatalog();
+
+    res.json({
+      success: true,
+      message: `Re-scored ${stats.total} asteroids with risk model v${stats.modelVersion}`,
+      data: stats,
+    });
+  } catch (error) {
+    if (error.status === 409) {
+      return res.status(409).json({ success: false, message: error.message });
+    }
+    next(error);
+  }
+});
+
+// @route   GET /api/admin/test-risk/:id
+// @desc    Test risk calculation for a specific asteroid
+// @access  Private (risk-models:view)
+router.get("/test-risk/:id", auth, canViewRiskModels, async (req, res, next) => {
+  try {
+    let asteroid;
+    try {
+      asteroid = await fetchAsteroidById(req.params.id);
+    } catch (error) {
+      if (error.code === NASA_ERRORS.NOT_FOUND) {
+        return res.status(404).json({
+          success: false,
+          message: "Asteroid not found",
+        });
+      }
+      return nasaFailure(res, error);
+    }
+
     const risk = calculateRiskScore(asteroid);
     const levelInfo = getRiskLevelInfo(risk.category);
 
@@ -99,10 +634,125 @@ router.get("/test-risk/:id", auth, adminAuth, async (req, res, next) => {
   }
 });
 
+// @route   GET /api/admin/permissions
+// @desc    The role/permission matrix
+// @access  Private (users:manage)
+router.get("/permissions", auth, canManageUsers, (req, res) => {
+  res.json({
+    success: true,
+    roles: ROLES,
+    data: describePermissions(),
+  });
+});
+
+// @route   GET /api/admin/users
+// @desc    Search users by email or name, optionally by role
+// @access  Private (users:manage)
+router.get("/users", auth, canManageUsers, async (req, res, next) => {
+  try {
+    const { search, role } = req.query;
+    const page = Math.max(parseInt(req.query.page) || 1, 1);
+    const limit = Math.min(parseInt(req.query.limit) || 25, 100);
+
+    const query = {};
+    if (role && ROLES.includes(role)) {
+      query.role = role;
+    }
+    if (search) {
+      const pattern = new RegExp(
+        String(search).replace(/[.*+?^${}()|[\]\\]/g, "\\$&"),
+        "i",
+      );
+      query.$or = [{ email: pattern }, { displayName: pattern }];
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(query)
+        .select("email displayName role isVerified createdAt")
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit)
+        .lean(),
+      User.countDocuments(query),
+    ]);
+
+    res.json({
+      success: true,
+      data: users,
+      pagination: {
+        page,
+        limit,
+        total,
+        pages: Math.ceil(total / limit),
+      },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/admin/users/:id/role
+// @desc    Assign a role
+// @access  Private (users:manage)
+router.put("/users/:id/role", auth, canManageUsers, async (req, res, next) => {
+  try {
+    const { role } = req.body;
+
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({
+        success: false,
+        message: `role must be one of: ${ROLES.join(", ")}`,
+      });
+    }
+
+    // Keeps at least one admin able to assign roles
+    if (String(req.params.id) === String(req.user.id)) {
+      return res.status(400).json({
+        success: false,
+        message: "You cannot change your own role",
+      });
+    }
+
+    const user =
+      mongoose.isValidObjectId(req.params.id) &&
+      (await User.findById(req.params.id));
+    if (!user) {
+      return res.status(404).json({
+        success: false,
+        message: "User not found",
+      });
+    }
+
+    const previousRole = user.role;
+    user.role = role;
+    await user.save({ validateBeforeSave: false });
+
+    // HTTP requests read the role on every call; connected chat sockets
+    // cached it at handshake
+    for (const socket of req.app.get("io").of("/chat").sockets.values()) {
+      if (socket.user?.id === String(user._id)) {
+        socket.user.role = role;
+      }
+    }
+
+    console.log(
+      `🛡️  ${req.user.email} changed ${user.email} from ${previousRole} to ${role}`,
+    );
+
+    res.json({
+      success: true,
+      message: `${user.displayName} is now ${role === "admin" ? "an" : "a"} ${role}`,
+      data: user,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   GET /api/admin/stats
 // @desc    Get system stats
-// @access  Private (Admin only)
-router.get("/stats", auth, adminAuth, async (req, res, next) => {
+// @access  Private (system:view)
+router.get("/stats", auth, canViewSystem, async (req, res, next) => {
   try {
     const { Asteroid, User, Alert } = await import("../models/index.js");
 
@@ -1,22 +1,68 @@
 import express from 'express';
-import auth from '../middleware/auth.js';
+import mongoose from 'mongoose';
+import auth, { allowApiKey } from '../middleware/auth.js';
 import { getUnreadAlerts, markAlertRead, markAllAlertsRead } from '../services/alertDispatcher.js';
-import { Alert } from '../models/index.js';
+import {
+    acknowledgeAlert,
+    snoozeAlert,
+    unsnoozeAlert,
+    MAX_SNOOZE_MINUTES,
+    MAX_NOTE_LENGTH,
+    listEscalationContacts,
+    listEscalationRequests,
+    setEscalationAcceptance,
+} from '../services/escalationService.js';
+import { Alert, User } from '../models/index.js';
+import { ALERT_STATUSES } from '../models/Alert.js';
 
 const router = express.Router();
 
+const findOwnAlert = (id, userId) => {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return Alert.findOne({ _id: id, userId });
+};
+
+// Run a workflow action on the user's alert; invalid moves come back as 409
+const runTransition = (action) => async (req, res, next) => {
+    try {
+        const alert = await findOwnAlert(req.params.id, req.user.id);
+        if (!alert) {
+            return res.status(404).json({
+                success: false,
+                message: 'Alert not found',
+            });
+        }
+
+        const updated = await action(req, res, alert, req.user);
+        if (!updated) return;
+
+        res.json({
+            success: true,
+            data: updated,
+        });
+    } catch (error) {
+        if (error.status === 409) {
+            return res.status(409).json({ success: false, message: error.message });
+        }
+        next(error);
+    }
+};
+
 // @route   GET /api/alerts
 // @desc    Get user's alerts (paginated)
-// @access  Private
-router.get('/', auth, async (req, res, next) => {
+// @access  Private (API key: alerts:read)
+router.get('/', allowApiKey('alerts:read'), async (req, res, next) => {
     try {
-        const { page = 1, limit = 20, unreadOnly = false } = req.query;
+        const { page = 1, limit = 20, unreadOnly = false, status } = req.query;
         const skip = (parseInt(page) - 1) * parseInt(limit);
 
-        const query = { userId: req.user.id };
+        const query = { userId: req.user.id, ...Alert.VISIBLE };
         if (unreadOnly === 'true') {
             query.isRead = false;
         }
+        if (ALERT_STATUSES.includes(status)) {
+            query.status = status;
+        }
 
         const [alerts, total, unreadCount] = await Promise.all([
             Alert.find(query)
@@ -25,7 +71,12 @@ router.get('/', auth, async (req, res, next) => {
                 .limit(parseInt(limit))
                 .lean(),
             Alert.countDocuments(query),
-            Alert.countDocuments({ userId: req.user.id, isRead: false }),
+            Alert.countDocuments({
+                userId: req.user.id,
+                isRead: false,
+                status: { $ne: 'snoozed' },
+                ...Alert.VISIBLE,
+            }),
         ]);
 
         res.json({
@@ -46,8 +97,8 @@ router.get('/', auth, async (req, res, next) => {
 
 // @route   GET /api/alerts/unread
 // @desc    Get user's unread alerts
-// @access  Private
-router.get('/unread', auth, async (req, res, next) => {
+// @access  Private (API key: alerts:read)
+router.get('/unread', allowApiKey('alerts:read'), async (req, res, next) => {
     try {
         const alerts = await getUnreadAlerts(req.user.id);
 
@@ -100,6 +151,46 @@ router.put('/read-all', auth, async (req, res, next) => {
     }
 });
 
+// @route   PUT /api/alerts/:id/acknowledge
+// @desc    Acknowledge an alert, with an optional note (also acknowledges escalated copies)
+// @access  Private
+router.put('/:id/acknowledge', auth, runTransition(async (req, res, alert, user) => {
+    const { note } = req.body;
+    if (note !== undefined && (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH)) {
+        res.status(400).json({
+            success: false,
+            message: `Note must be text of at most ${MAX_NOTE_LENGTH} characters`,
+        });
+        return null;
+    }
+    return acknowledgeAlert(alert, user, note);
+}));
+
+// @route   PUT /api/alerts/:id/snooze
+// @desc    Snooze an alert for `minutes` or until `until` (ISO date)
+// @access  Private
+router.put('/:id/snooze', auth, runTransition(async (req, res, alert, user) => {
+    const { minutes, until } = req.body;
+    const snoozeUntil = until !== undefined
+        ? new Date(until)
+        : new Date(Date.now() + Number(minutes) * 60 * 1000);
+
+    const maxUntil = Date.now() + MAX_SNOOZE_MINUTES * 60 * 1000;
+    if (Number.isNaN(snoozeUntil.getTime()) || snoozeUntil <= new Date() || snoozeUntil > maxUntil) {
+        res.status(400).json({
+            success: false,
+            message: 'Snooze needs a time in the future, at most 7 days ahead',
+        });
+        return null;
+    }
+    return snoozeAlert(alert, user, snoozeUntil);
+}));
+
+// @route   PUT /api/alerts/:id/unsnooze
+// @desc    End a snooze early
+// @access  Private
+router.put('/:id/unsnooze', auth, runTransition((req, res, alert, user) => unsnoozeAlert(alert, user)));
+
 // @route   DELETE /api/alerts/:id
 // @desc    Delete an alert
 // @access  Private
@@ -126,4 +217,71 @@ router.delete('/:id', auth, async (req, res, next) => {
     }
 });
 
+// @route   GET /api/alerts/escalation/contacts
+// @desc    Your escalation contacts and whether each has accepted
+// @access  Private
+router.get('/escalation/contacts', auth, async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.id);
+
+        res.json({
+            success: true,
+            data: await listEscalationContacts(user),
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/alerts/escalation/requests
+// @desc    People who listed you as an escalation contact
+// @access  Private
+router.get('/escalation/requests', auth, async (req, res, next) => {
+    try {
+        const user = await User.findById(req.user.id);
+
+        res.json({
+            success: true,
+            data: await listEscalationRequests(user),
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// Accept (PUT) or decline / stop receiving (DELETE) someone's escalations
+const respondToEscalation = (accept) => async (req, res, next) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.userId)) {
+            return res.status(404).json({
+                success: false,
+                message: 'Escalation request not found',
+            });
+        }
+
+        const user = await User.findById(req.user.id);
+        await setEscalationAcceptance(user, req.params.userId, accept);
+
+        res.json({
+            success: true,
+            message: accept ? 'Escalations accepted' : 'Escalations declined',
+        });
+    } catch (error) {
+        if (error.status === 403 || error.status === 404) {
+            return res.status(error.status).json({ success: false, message: error.message });
+        }
+        next(error);
+    }
+};
+
+// @route   PUT /api/alerts/escalation/requests/:userId
+// @desc    Agree to receive a user's escalated danger alerts
+// @access  Private
+router.put('/escalation/requests/:userId', auth, respondToEscalation(true));
+
+// @route   DELETE /api/alerts/escalation/requests/:userId
+// @desc    Decline, or stop receiving, a user's escalated alerts
+// @access  Private
+router.delete('/escalation/requests/:userId', auth, respondToEscalation(false));
+
 export default router;
@@ -0,0 +1,170 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import auth from '../middleware/auth.js';
+import { AlertRule, Asteroid } from '../models/index.js';
+import { validateCriteria, evaluateCriteria, describeRuleFields } from '../utils/ruleEngine.js';
+
+const router = express.Router();
+
+router.use(auth);
+
+const MAX_RULES_PER_USER = 25;
+const MAX_PREVIEW_DAYS = 30;
+const PREVIEW_LIMIT = 50;
+
+const validationMessage = (error) => Object.values(error.errors).map((e) => e.message).join('; ');
+
+// Turn save errors into a 400 response, or return false to pass them on
+const sendSaveError = (res, error) => {
+    if (error.name === 'ValidationError') {
+        res.status(400).json({ success: false, message: validationMessage(error) });
+        return true;
+    }
+    if (error.code === 11000) {
+        res.status(400).json({ success: false, message: 'You already have a rule with that name' });
+        return true;
+    }
+    return false;
+};
+
+const findOwnRule = (id, userId) => {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return AlertRule.findOne({ _id: id, userId });
+};
+
+// @route   GET /api/alert-rules
+// @desc    List the user's alert rules and the fields rules can test
+// @access  Private
+router.get('/', async (req, res, next) => {
+    try {
+        const rules = await AlertRule.find({ userId: req.user.id }).sort({ createdAt: 1 }).lean();
+
+        res.json({
+            success: true,
+            count: rules.length,
+            fields: describeRuleFields(),
+            data: rules,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/alert-rules
+// @desc    Create an alert rule
+// @access  Private
+router.post('/', async (req, res, next) => {
+    try {
+        const { name, criteria, isActive } = req.body;
+
+        const count = await AlertRule.countDocuments({ userId: req.user.id });
+        if (count >= MAX_RULES_PER_USER) {
+            return res.status(400).json({
+                success: false,
+                message: `You can create up to ${MAX_RULES_PER_USER} alert rules`,
+            });
+        }
+
+        const rule = await AlertRule.create({
+            userId: req.user.id,
+            name,
+            criteria,
+            isActive: isActive !== false,
+        });
+
+        res.status(201).json({
+            success: true,
+            data: rule,
+        });
+    } catch (error) {
+        if (sendSaveError(res, error)) return;
+        next(error);
+    }
+});
+
+// @route   POST /api/alert-rules/preview
+// @desc    Dry run: list upcoming asteroids a rule would match, without saving or alerting
+// @access  Private
+router.post('/preview', async (req, res, next) => {
+    try {
+        const { criteria } = req.body;
+        const days = Math.min(Math.max(parseInt(req.body.days) || 7, 1), MAX_PREVIEW_DAYS);
+
+        const criteriaError = validateCriteria(criteria);
+        if (criteriaError) {
+            return res.status(400).json({ success: false, message: criteriaError });
+        }
+
+        const now = new Date();
+        const until = new Date(now.getTime() + days * 24 * 60 * 60 * 1000);
+
+        const asteroids = await Asteroid.find({
+            closeApproachDate: { $gte: now, $lte: until },
+        })
+            .select('neo_reference_id name absolute_magnitude_h riskScore riskCategory isPotentiallyHazardous estimatedDiameterMax closeApproachDate missDistanceKm missDistanceLunar relativeVelocityKmS orbitingBody')
+            .sort({ closeApproachDate: 1 })
+            .lean();
+
+        const matches = asteroids.filter((asteroid) => evaluateCriteria(criteria, asteroid, now));
+
+        res.json({
+            success: true,
+            days,
+            scanned: asteroids.length,
+            count: matches.length,
+            data: matches.slice(0, PREVIEW_LIMIT),
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   PUT /api/alert-rules/:id
+// @desc    Rename, edit criteria or pause/resume a rule
+// @access  Private
+router.put('/:id', async (req, res, next) => {
+    try {
+        const rule = await findOwnRule(req.params.id, req.user.id);
+        if (!rule) {
+            return res.status(404).json({ success: false, message: 'Alert rule not found' });
+        }
+
+        const { name, criteria, isActive } = req.body;
+        if (name !== undefined) rule.name = name;
+        if (criteria !== undefined) rule.criteria = criteria;
+        if (typeof isActive === 'boolean') rule.isActive = isActive;
+
+        await rule.save();
+
+        res.json({
+            success: true,
+            data: rule,
+        });
+    } catch (error) {
+        if (sendSaveError(res, error)) return;
+        next(error);
+    }
+});
+
+// @route   DELETE /api/alert-rules/:id
+// @desc    Delete an alert rule (alerts it produced are kept)
+// @access  Private
+router.delete('/:id', async (req, res, next) => {
+    try {
+        const rule = await findOwnRule(req.params.id, req.user.id);
+        if (!rule) {
+            return res.status(404).json({ success: false, message: 'Alert rule not found' });
+        }
+
+        await rule.deleteOne();
+
+        res.json({
+            success: true,
+            message: 'Alert rule deleted',
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
@@ -0,0 +1,130 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import auth from '../middleware/auth.js';
+import { ApiKey } from '../models/index.js';
+import { API_KEY_SCOPES, MAX_RATE_LIMIT_PER_MINUTE } from '../models/ApiKey.js';
+import { createApiKey, clearRateLimit, MAX_API_KEYS_PER_USER } from '../services/apiKeyService.js';
+
+const router = express.Router();
+
+// Keys are managed from a signed-in session, never with another key
+router.use(auth);
+
+const validationMessage = (error) => Object.values(error.errors).map((e) => e.message).join('; ');
+
+const findOwnApiKey = (id, userId) => {
+    if (!mongoose.isValidObjectId(id)) return null;
+    return ApiKey.findOne({ _id: id, userId });
+};
+
+// @route   GET /api/api-keys
+// @desc    List the user's API keys and the scopes they can have
+// @access  Private
+router.get('/', async (req, res, next) => {
+    try {
+        const apiKeys = await ApiKey.find({ userId: req.user.id }).sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            count: apiKeys.length,
+            scopes: API_KEY_SCOPES,
+            limits: {
+                maxKeys: MAX_API_KEYS_PER_USER,
+                maxRateLimitPerMinute: MAX_RATE_LIMIT_PER_MINUTE,
+            },
+            data: apiKeys,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/api-keys
+// @desc    Create an API key (the key is only returned here)
+// @access  Private
+router.post('/', async (req, res, next) => {
+    try {
+        const { name, scopes, rateLimitPerMinute } = req.body;
+
+        const count = await ApiKey.countDocuments({ userId: req.user.id });
+        if (count >= MAX_API_KEYS_PER_USER) {
+            return res.status(400).json({
+                success: false,
+                message: `You can create up to ${MAX_API_KEYS_PER_USER} API keys`,
+            });
+        }
+
+        const { apiKey, key } = await createApiKey(req.user.id, { name, scopes, rateLimitPerMinute });
+
+        res.status(201).json({
+            success: true,
+            message: 'API key created. Store the key now, it will not be shown again.',
+            data: { ...apiKey.toJSON(), key },
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ success: false, message: validationMessage(error) });
+        }
+        if (error.code === 11000) {
+            return res.status(400).json({ success: false, message: 'You already have a key with that name' });
+        }
+        next(error);
+    }
+});
+
+// @route   PUT /api/api-keys/:id
+// @desc    Rename a key or change its scopes or rate limit
+// @access  Private
+router.put('/:id', async (req, res, next) => {
+    try {
+        const apiKey = await findOwnApiKey(req.params.id, req.user.id);
+        if (!apiKey) {
+            return res.status(404).json({ success: false, message: 'API key not found' });
+        }
+
+        const { name, scopes, rateLimitPerMinute } = req.body;
+
+        if (name !== undefined) apiKey.name = name;
+        if (Array.isArray(scopes)) apiKey.scopes = [...new Set(scopes)];
+        if (rateLimitPerMinute !== undefined) apiKey.rateLimitPerMinute = rateLimitPerMinute;
+
+        await apiKey.save();
+
+        res.json({
+            success: true,
+            data: apiKey,
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ success: false, message: validationMessage(error) });
+        }
+        if (error.code === 11000) {
+            return res.status(400).json({ success: false, message: 'You already have a key with that name' });
+        }
+        next(error);
+    }
+});
+
+// @route   DELETE /api/api-keys/:id
+// @desc    Revoke an API key; requests using it fail right away
+// @access  Private
+router.delete('/:id', async (req, res, next) => {
+    try {
+        const apiKey = await findOwnApiKey(req.params.id, req.user.id);
+        if (!apiKey) {
+            return res.status(404).json({ success: false, message: 'API key not found' });
+        }
+
+        await apiKey.deleteOne();
+        clearRateLimit(apiKey._id);
+
+        res.json({
+            success: true,
+            message: 'API key revoked',
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
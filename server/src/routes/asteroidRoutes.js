@@ -1,8 +1,46 @@
 import express from 'express';
-import { Asteroid } from '../models/index.js';
+import mongoose from 'mongoose';
+import { Readable } from 'stream';
+import { pipeline } from 'stream/promises';
+import auth, { allowApiKey } from '../middleware/auth.js';
+import requirePermission from '../middleware/requirePermission.js';
+import { Asteroid, CloseApproach, AsteroidSnapshot, ImpactRisk, Annotation } from '../models/index.js';
+import { calculateImpactScales } from '../services/riskEngine.js';
+import { designationFromName } from '../utils/designation.js';
+import { hasPermission } from '../utils/permissions.js';
 
 const router = express.Router();
 
+const MAX_EXPORT_ROWS = 100000;
+
+// Columns shared by the live catalog and archived snapshots
+const EXPORT_COLUMNS = [
+    'name',
+    'closeApproachDate',
+    'missDistanceKm',
+    'missDistanceLunar',
+    'relativeVelocityKmS',
+    'orbitingBody',
+    'estimatedDiameterMin',
+    'estimatedDiameterMax',
+    'absolute_magnitude_h',
+    'isPotentiallyHazardous',
+    'riskScore',
+    'riskCategory',
+    'riskModelVersion',
+];
+
+const EXPORT_DATASETS = {
+    catalog: { model: Asteroid, idField: 'neo_reference_id', columns: EXPORT_COLUMNS },
+    history: { model: AsteroidSnapshot, idField: 'asteroidId', columns: [...EXPORT_COLUMNS, 'snapshotDate'] },
+};
+
+const csvCell = (value) => {
+    if (value === undefined || value === null) return '';
+    const text = value instanceof Date ? value.toISOString() : String(value);
+    return /[",\n\r]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+};
+
 // @route   GET /api/asteroids
 // @desc    Get all cached asteroids with optional filters
 // @access  Public
@@ -166,6 +204,225 @@ router.get('/today', async (req, res, next) => {
     }
 });
 
+// @route   GET /api/asteroids/history
+// @desc    Query archived snapshots (survive the 24h TTL on live asteroids)
+// @access  Public
+router.get('/history', async (req, res, next) => {
+    try {
+        const {
+            from,
+            to,
+            dateField = 'approach',
+            asteroidId,
+            riskCategory,
+            hazardousOnly,
+            latestOnly = 'true',
+            page = 1,
+            limit = 50,
+        } = req.query;
+
+        const fieldMap = { approach: 'closeApproachDate', snapshot: 'snapshotDate' };
+        const field = Object.hasOwn(fieldMap, dateField) ? fieldMap[dateField] : null;
+        if (!field) {
+            return res.status(400).json({
+                success: false,
+                message: "dateField must be 'approach' or 'snapshot'",
+            });
+        }
+
+        // Default window: the last 7 days
+        const fromDate = from ? new Date(from) : new Date(Date.now() - 7 * 24 * 60 * 60 * 1000);
+        const toDate = to ? new Date(to) : new Date();
+        if (isNaN(fromDate) || isNaN(toDate) || fromDate > toDate) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid date range',
+            });
+        }
+
+        // Aggregation doesn't cast query values, so only plain strings and known
+        // categories reach $match (?riskCategory[$ne]=x would be an operator)
+        if (asteroidId && typeof asteroidId !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'asteroidId must be a single value',
+            });
+        }
+        const categories = AsteroidSnapshot.schema.path('riskCategory').enumValues;
+        if (riskCategory && !categories.includes(riskCategory)) {
+            return res.status(400).json({
+                success: false,
+                message: `riskCategory must be one of: ${categories.join(', ')}`,
+            });
+        }
+
+        const pageNumber = Number(page);
+        const pageLimit = Number(limit);
+        if (!Number.isInteger(pageNumber) || pageNumber < 1 || !Number.isInteger(pageLimit) || pageLimit < 1) {
+            return res.status(400).json({
+                success: false,
+                message: 'page and limit must be positive integers',
+            });
+        }
+
+        const match = { [field]: { $gte: fromDate, $lte: toDate } };
+
+        if (asteroidId) {
+            match.asteroidId = asteroidId;
+        }
+
+        if (riskCategory) {
+            match.riskCategory = riskCategory;
+        }
+
+        if (hazardousOnly === 'true') {
+            match.isPotentiallyHazardous = true;
+        }
+
+        const pageSize = Math.min(pageLimit, 500);
+        const skip = (pageNumber - 1) * pageSize;
+
+        const pipeline = [{ $match: match }, { $sort: { snapshotDate: -1 } }];
+
+        // Collapse repeated daily snapshots of the same approach to the latest one
+        if (latestOnly === 'true') {
+            pipeline.push(
+                {
+                    $group: {
+                        _id: { asteroidId: '$asteroidId', closeApproachDate: '$closeApproachDate' },
+                        snapshot: { $first: '$$ROOT' },
+                    },
+                },
+                { $replaceRoot: { newRoot: '$snapshot' } }
+            );
+        }
+
+        pipeline.push(
+            { $sort: { [field]: 1, riskScore: -1 } },
+            {
+                $facet: {
+                    data: [{ $skip: skip }, { $limit: pageSize }],
+                    total: [{ $count: 'count' }],
+                },
+            }
+        );
+
+        const [result] = await AsteroidSnapshot.aggregate(pipeline);
+        const total = result.total[0]?.count || 0;
+
+        res.json({
+            success: true,
+            data: result.data,
+            range: { from: fromDate, to: toDate, dateField },
+            pagination: {
+                page: pageNumber,
+                limit: pageSize,
+                total,
+                pages: Math.ceil(total / pageSize),
+                hasMore: skip + result.data.length < total,
+            },
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/asteroids/export
+// @desc    Download the catalog (or archived snapshots with dataset=history) as CSV or JSON
+// @access  Private (data:export, API key: read)
+router.get('/export', allowApiKey('read'), requirePermission('data:export'), async (req, res, next) => {
+    try {
+        const { dataset = 'catalog', format = 'csv', from, to, riskCategory, hazardousOnly } = req.query;
+
+        const source = Object.hasOwn(EXPORT_DATASETS, dataset) ? EXPORT_DATASETS[dataset] : null;
+        if (!source) {
+            return res.status(400).json({
+                success: false,
+                message: "dataset must be 'catalog' or 'history'",
+            });
+        }
+        if (!['csv', 'json'].includes(format)) {
+            return res.status(400).json({
+                success: false,
+                message: "format must be 'csv' or 'json'",
+            });
+        }
+
+        const query = {};
+        if (from || to) {
+            const fromDate = from ? new Date(from) : null;
+            const toDate = to ? new Date(to) : null;
+            if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+                return res.status(400).json({
+                    success: false,
+                    message: 'Invalid date range',
+                });
+            }
+            query.closeApproachDate = {
+                ...(fromDate && { $gte: fromDate }),
+                ...(toDate && { $lte: toDate }),
+            };
+        }
+        if (riskCategory) {
+            // Only known categories, so an object (?riskCategory[$ne]=x) never reaches the query
+            const categories = source.model.schema.path('riskCategory').enumValues;
+            if (!categories.includes(riskCategory)) {
+                return res.status(400).json({
+                    success: false,
+                    message: `riskCategory must be one of: ${categories.join(', ')}`,
+                });
+            }
+            query.riskCategory = riskCategory;
+        }
+        if (hazardousOnly === 'true') {
+            query.isPotentiallyHazardous = true;
+        }
+
+        const columns = ['id', ...source.columns];
+        const cursor = source.model
+            .find(query)
+            .select([source.idField, ...source.columns].join(' '))
+            .sort({ closeApproachDate: 1 })
+            .limit(MAX_EXPORT_ROWS)
+            .lean()
+            .cursor();
+
+        const filename = `astral-${dataset}-${new Date().toISOString().slice(0, 10)}.${format}`;
+        res.setHeader('Content-Disposition', `attachment; filename="${filename}"`);
+        res.type(format === 'csv' ? 'text/csv' : 'application/json');
+
+        console.log(`📤 ${req.user.email} exported the ${dataset} as ${format.toUpperCase()}`);
+
+        // Stream rows so large exports never sit in memory. pipeline() waits for
+        // the client to drain before reading more, and closes the cursor if it
+        // disconnects.
+        async function* exportLines() {
+            let rows = 0;
+            yield format === 'csv' ? `${columns.join(',')}\n` : '[';
+            for await (const doc of cursor) {
+                const row = { id: doc[source.idField], ...Object.fromEntries(source.columns.map((c) => [c, doc[c]])) };
+                yield format === 'csv'
+                    ? `${columns.map((c) => csvCell(row[c])).join(',')}\n`
+                    : `${rows > 0 ? ',' : ''}\n${JSON.stringify(row)}`;
+                rows++;
+            }
+            if (format === 'json') yield '\n]\n';
+        }
+
+        await pipeline(Readable.from(exportLines()), res);
+    } catch (error) {
+        if (res.headersSent) {
+            if (error.code === 'ERR_STREAM_PREMATURE_CLOSE') {
+                console.log(`📤 Export cancelled by ${req.user.email}`);
+                return;
+            }
+            console.error('❌ Export failed mid-stream:', error.message);
+            return res.destroy(error);
+        }
+        next(error);
+    }
+});
+
 // @route   GET /api/asteroids/:id
 // @desc    Get single asteroid by neo_reference_id
 // @access  Public
@@ -188,11 +445,18 @@ router.get('/:id', async (req, res, next) => {
         });
         const sizeComparison = asteroidDoc.getSizeComparison();
 
+        // Torino/Palermo estimates, using Sentry's impact probability when listed
+        const impactRisk = await ImpactRisk.findOne({
+            designation: asteroid.designation || designationFromName(asteroid.name),
+        }).lean();
+        const impactScales = calculateImpactScales(asteroid, impactRisk);
+
         res.json({
             success: true,
             data: {
                 ...asteroid,
                 sizeComparison,
+                impactScales,
             },
         });
     } catch (error) {
@@ -200,6 +464,181 @@ router.get('/:id', async (req, res, next) => {
     }
 });
 
+// @route   GET /api/asteroids/:id/approaches
+// @desc    Get every known close approach for an asteroid (past and future)
+// @access  Public
+router.get('/:id/approaches', async (req, res, next) => {
+    try {
+        const { orbitingBody, from, to, limit = 200 } = req.query;
+        // Full history is stored at ingestion (see withLookupData in scheduler.js);
+        // viewing never calls NASA, so made-up ids can't spend the API quota
+        const asteroidId = req.params.id;
+
+        const maxResults = Number(limit);
+        if (!Number.isInteger(maxResults) || maxResults < 1 || maxResults > 1000) {
+            return res.status(400).json({
+                success: false,
+                message: 'limit must be a whole number from 1 to 1000',
+            });
+        }
+        if (orbitingBody !== undefined && typeof orbitingBody !== 'string') {
+            return res.status(400).json({
+                success: false,
+                message: 'orbitingBody must be a single body name',
+            });
+        }
+
+        const fromDate = from ? new Date(from) : null;
+        const toDate = to ? new Date(to) : null;
+        if ((fromDate && isNaN(fromDate)) || (toDate && isNaN(toDate))) {
+            return res.status(400).json({
+                success: false,
+                message: 'Invalid date range',
+            });
+        }
+
+        const query = { asteroidId };
+
+        if (orbitingBody) {
+            query.orbitingBody = orbitingBody;
+        }
+
+        const findApproaches = async () => {
+            if (fromDate || toDate) {
+                query.approachDate = {
+                    ...(fromDate && { $gte: fromDate }),
+                    ...(toDate && { $lte: toDate }),
+                };
+                return CloseApproach.find(query).sort({ approachDate: 1 }).limit(maxResults).lean();
+            }
+
+            // No range: keep the upcoming approaches and fill the rest with the latest past ones,
+            // so a long history can't push the future off the end
+            const now = new Date();
+            const upcoming = await CloseApproach.find({ ...query, approachDate: { $gte: now } })
+                .sort({ approachDate: 1 })
+                .limit(maxResults)
+                .lean();
+            if (upcoming.length === maxResults) return upcoming;
+
+            const past = await CloseApproach.find({ ...query, approachDate: { $lt: now } })
+                .sort({ approachDate: -1 })
+                .limit(maxResults - upcoming.length)
+                .lean();
+            return [...past.reverse(), ...upcoming];
+        };
+
+        const [approaches, nextApproach] = await Promise.all([
+            findApproaches(),
+            CloseApproach.findNextApproach(asteroidId, orbitingBody || 'Earth'),
+        ]);
+
+        if (approaches.length === 0 && !nextApproach) {
+            return res.status(404).json({
+                success: false,
+                message: 'No close approaches found for this asteroid',
+            });
+        }
+
+        res.json({
+            success: true,
+            count: approaches.length,
+            next: nextApproach,
+            data: approaches,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/asteroids/:id/annotations
+// @desc    Researcher notes on an asteroid (newest first)
+// @access  Public
+router.get('/:id/annotations', async (req, res, next) => {
+    try {
+        const annotations = await Annotation.find({ asteroidId: req.params.id })
+            .sort({ createdAt: -1 })
+            .limit(100)
+            .lean();
+
+        res.json({
+            success: true,
+            count: annotations.length,
+            data: annotations,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/asteroids/:id/annotations
+// @desc    Add a note to an asteroid
+// @access  Private (asteroids:annotate)
+router.post('/:id/annotations', auth, requirePermission('asteroids:annotate'), async (req, res, next) => {
+    try {
+        const annotation = await Annotation.create({
+            asteroidId: req.params.id,
+            userId: req.user.id,
+            authorName: req.user.displayName,
+            body: req.body.body,
+        });
+
+        // Pages watching this asteroid show the note straight away
+        req.app.get('io').to(`asteroid:${req.params.id}`).emit('annotation:created', annotation);
+
+        res.status(201).json({
+            success: true,
+            data: annotation,
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({
+                success: false,
+                message: Object.values(error.errors).map((e) => e.message).join('; '),
+            });
+        }
+        next(error);
+    }
+});
+
+// @route   DELETE /api/asteroids/:id/annotations/:annotationId
+// @desc    Delete a note (its author, or anyone with annotations:moderate)
+// @access  Private
+router.delete('/:id/annotations/:annotationId', auth, async (req, res, next) => {
+    try {
+        const annotation = mongoose.isValidObjectId(req.params.annotationId)
+            && await Annotation.findOne({ _id: req.params.annotationId, asteroidId: req.params.id });
+
+        if (!annotation) {
+            return res.status(404).json({
+                success: false,
+                message: 'Note not found',
+            });
+        }
+
+        const isAuthor = String(annotation.userId) === String(req.user.id);
+        if (!isAuthor && !hasPermission(req.user.role, 'annotations:moderate')) {
+            return res.status(403).json({
+                success: false,
+                message: 'Access denied. Requires the annotations:moderate permission.',
+            });
+        }
+
+        await annotation.deleteOne();
+        req.app.get('io').to(`asteroid:${req.params.id}`).emit('annotation:deleted', {
+            _id: annotation._id,
+            asteroidId: annotation.asteroidId,
+        });
+
+        res.json({
+            success: true,
+            message: 'Note deleted',
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
 // @route   GET /api/asteroids/hazardous/all
 // @desc    Get all potentially hazardous asteroids
 // @access  Public
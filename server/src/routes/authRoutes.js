@@ -1,15 +1,92 @@
 import express from "express";
-import jwt from "jsonwebtoken";
-import { User } from "../models/index.js";
-import auth from "../middleware/auth.js";
+import mongoose from "mongoose";
+import { User, ApiKey } from "../models/index.js";
+import auth, { allowApiKey } from "../middleware/auth.js";
+import {
+  createSession,
+  refreshSession,
+  endSessionByRefreshToken,
+  revokeSession,
+  revokeAllSessions,
+  listSessions,
+  readRefreshCookie,
+  setRefreshCookie,
+  clearRefreshCookie,
+} from "../services/sessionService.js";
+import { sendAccountEmail } from "../services/email/index.js";
+import { CLIENT_URL } from "../services/email/templates.js";
+import {
+  PROVIDER_NAME as OIDC_PROVIDER_NAME,
+  isOidcEnabled,
+  startLogin as startOidcLogin,
+  finishLogin as finishOidcLogin,
+  findOrLinkUser,
+  setPendingCookie,
+  readPendingCookie,
+  clearPendingCookie,
+} from "../services/oidcService.js";
+import { verificationRequiredFor } from "../utils/verification.js";
+import {
+  getVapidPublicKey,
+  isValidSubscription,
+  addSubscription,
+  removeSubscription,
+} from "../services/pushService.js";
 
 const router = express.Router();
 
-// Generate JWT token
-const generateToken = (userId) => {
-  return jwt.sign({ id: userId }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || "7d",
-  });
+// Routes that personal API keys may also call (see models/ApiKey.js for scopes)
+const readKey = allowApiKey("read");
+const writeKey = allowApiKey("watchlist:write");
+
+// Start a session: short-lived access token in the body, refresh token in an httpOnly cookie
+const startSession = async (user, req, res) => {
+  const { accessToken, refreshToken } = await createSession(user, req);
+  setRefreshCookie(res, refreshToken);
+  return accessToken;
+};
+
+// Don't email a new reset/verification link more than once a minute
+const LINK_RESEND_COOLDOWN_MS = 60 * 1000;
+
+// Whether a token issued with this lifetime is younger than the cooldown
+const issuedRecently = (expires, ttlMs) =>
+  expires && expires.getTime() - ttlMs > Date.now() - LINK_RESEND_COOLDOWN_MS;
+
+const RESET_TOKEN_TTL_MS = 60 * 60 * 1000;
+const VERIFICATION_TOKEN_TTL_MS = 24 * 60 * 60 * 1000;
+
+// Issue a verification token and email it (failures are logged, not thrown)
+const sendVerificationLink = async (user) => {
+  const token = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
+  return sendAccountEmail("verification", user, token);
+};
+
+// Where the identity provider sends the browser back to; must be registered with it
+const oidcRedirectUri = (req) =>
+  process.env.OIDC_REDIRECT_URI ||
+  `${req.protocol}://${req.get("host")}/api/auth/oidc/callback`;
+
+// Only same-app paths, so the sign-in can't be used to redirect elsewhere
+const safeReturnTo = (path) =>
+  typeof path === "string" && path.startsWith("/") && !path.startsWith("//") ?
+    path
+  : "/";
+
+// Send a failed single sign-on back to the login page with a readable reason
+const oidcFailure = (res, message) =>
+  res.redirect(`${CLIENT_URL}/login?oidcError=${encodeURIComponent(message)}`);
+
+// Drop the user's chat sockets for revoked sessions (all of them when sessionId
+// is omitted), and take those sessions' notification sockets out of the user's
+// room. Those stay connected, since the default namespace also carries public updates.
+const disconnectUserSockets = (req, userId, sessionId) => {
+  const io = req.app.get("io");
+  if (!io) return;
+  const room = sessionId ? `session:${sessionId}` : `user:${userId}`;
+  io.of("/chat").in(room).disconnectSockets(true);
+  io.in(room).socketsLeave(`user:${userId}`);
 };
 
 // @route   POST /api/auth/register
@@ -43,8 +120,11 @@ router.post("/register", async (req, res, next) => {
       displayName,
     });
 
+    // Verification email (the account works without it unless REQUIRE_EMAIL_VERIFICATION says otherwise)
+    await sendVerificationLink(user);
+
     // Generate token
-    const token = generateToken(user._id);
+    const token = await startSession(user, req, res);
 
     res.status(201).json({
       success: true,
@@ -100,7 +180,7 @@ router.post("/login", async (req, res, next) => {
     await user.save();
 
     // Generate token
-    const token = generateToken(user._id);
+    const token = await startSession(user, req, res);
 
     res.json({
       success: true,
@@ -115,10 +195,99 @@ router.post("/login", async (req, res, next) => {
   }
 });
 
+// @route   GET /api/auth/oidc/config
+// @desc    Whether single sign-on is available, and the provider's name for the button
+// @access  Public
+router.get("/oidc/config", (req, res) => {
+  res.json({
+    success: true,
+    data: {
+      enabled: isOidcEnabled(),
+      providerName: OIDC_PROVIDER_NAME,
+    },
+  });
+});
+
+// @route   GET /api/auth/oidc/login
+// @desc    Start single sign-on: redirects to the identity provider (PKCE)
+// @access  Public
+router.get("/oidc/login", async (req, res) => {
+  try {
+    if (!isOidcEnabled()) {
+      return res.status(404).json({
+        success: false,
+        message: "Single sign-on is not configured",
+      });
+    }
+
+    const { url, pending } = await startOidcLogin(
+      oidcRedirectUri(req),
+      safeReturnTo(req.query.returnTo),
+    );
+    setPendingCookie(res, pending);
+    res.redirect(url);
+  } catch (error) {
+    console.error("❌ Could not start single sign-on:", error.message);
+    oidcFailure(res, "Single sign-on is unavailable right now.");
+  }
+});
+
+// @route   GET /api/auth/oidc/callback
+// @desc    Finish single sign-on: links or creates the account, starts a session
+//          and redirects to the client's /auth/callback page
+// @access  Public (identity provider redirect)
+router.get("/oidc/callback", async (req, res) => {
+  try {
+    if (!isOidcEnabled()) {
+      return res.status(404).json({
+        success: false,
+        message: "Single sign-on is not configured",
+      });
+    }
+
+    const pending = readPendingCookie(req);
+    clearPendingCookie(res);
+
+    if (req.query.error) {
+      return oidcFailure(
+        res,
+        req.query.error === "access_denied" ?
+          "Sign-in was cancelled."
+        : `Identity provider error: ${req.query.error_description || req.query.error}`,
+      );
+    }
+
+    if (!pending || !req.query.state || req.query.state !== pending.state) {
+      return oidcFailure(
+        res,
+        "Sign-in expired or was started in another browser. Please try again.",
+      );
+    }
+
+    const claims = await finishOidcLogin(String(req.query.code || ""), pending);
+    const { user } = await findOrLinkUser(claims);
+
+    user.lastLogin = new Date();
+    await user.save();
+
+    // The client picks up the session from the refresh cookie
+    await startSession(user, req, res);
+
+    res.redirect(
+      `${CLIENT_URL}/auth/callback?returnTo=${encodeURIComponent(pending.returnTo)}`,
+    );
+  } catch (error) {
+    if (error.status === 403) return oidcFailure(res, error.message);
+
+    console.error("❌ Single sign-on failed:", error.message);
+    oidcFailure(res, "Single sign-on failed. Please try again.");
+  }
+});
+
 // @route   GET /api/auth/me
 // @desc    Get current user
-// @access  Private
-router.get("/me", auth, async (req, res, next) => {
+// @access  Private (API key: read)
+router.get("/me", readKey, async (req, res, next) => {
   try {
     const user = await User.findById(req.user.id);
 
@@ -138,6 +307,326 @@ router.get("/me", auth, async (req, res, next) => {
   }
 });
 
+// @route   POST /api/auth/forgot-password
+// @desc    Email a single-use password reset link
+// @access  Public
+router.post("/forgot-password", async (req, res, next) => {
+  try {
+    const { email } = req.body;
+    if (!email || typeof email !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide your email address",
+      });
+    }
+
+    // Same answer whether or not the account exists, so emails can't be probed
+    const response = {
+      success: true,
+      message:
+        "If an account exists for that email, a reset link is on its way. It expires in 1 hour.",
+    };
+
+    const user = await User.findOne({ email: email.toLowerCase().trim() });
+    if (!user || issuedRecently(user.passwordResetExpires, RESET_TOKEN_TTL_MS)) {
+      return res.json(response);
+    }
+
+    const token = user.createPasswordResetToken();
+    await user.save({ validateBeforeSave: false });
+    await sendAccountEmail("passwordReset", user, token);
+
+    res.json(response);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with a reset token (signs out every device and
+//          deletes API keys, in case someone else had the account)
+// @access  Public
+router.post("/reset-password", async (req, res, next) => {
+  try {
+    const { token, password } = req.body;
+    if (!token || typeof token !== "string" || !password) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide the reset token and a new password",
+      });
+    }
+
+    const user = await User.findOne({
+      passwordResetToken: User.hashToken(token),
+      passwordResetExpires: { $gt: new Date() },
+    });
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "This reset link is invalid or has expired",
+      });
+    }
+
+    // Single use; the link also proves the user owns the email address
+    user.passwordHash = password;
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    user.isVerified = true;
+    await user.save();
+
+    await revokeAllSessions(user._id, "password_reset");
+    await ApiKey.deleteMany({ userId: user._id });
+    disconnectUserSockets(req, user._id);
+
+    res.json({
+      success: true,
+      message: "Password updated. Please sign in with your new password.",
+    });
+  } catch (error) {
+    if (error.name === "ValidationError") {
+      return res.status(400).json({
+        success: false,
+        message: Object.values(error.errors)
+          .map((e) => e.message)
+          .join("; "),
+      });
+    }
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Mark the email address verified with a verification token
+// @access  Public
+router.post("/verify-email", async (req, res, next) => {
+  try {
+    const { token } = req.body;
+    if (!token || typeof token !== "string") {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide the verification token",
+      });
+    }
+
+    const user = await User.findOneAndUpdate(
+      {
+        emailVerificationToken: User.hashToken(token),
+        emailVerificationExpires: { $gt: new Date() },
+      },
+      {
+        $set: { isVerified: true },
+        $unset: { emailVerificationToken: 1, emailVerificationExpires: 1 },
+      },
+      { new: true },
+    );
+    if (!user) {
+      return res.status(400).json({
+        success: false,
+        message: "This verification link is invalid or has expired",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: "Email verified",
+      data: user,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Email a new verification link
+// @access  Private
+router.post("/resend-verification", auth, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user.id);
+
+    if (user.isVerified) {
+      return res.status(400).json({
+        success: false,
+        message: "Your email is already verified",
+      });
+    }
+    if (issuedRecently(user.emailVerificationExpires, VERIFICATION_TOKEN_TTL_MS)) {
+      return res.status(429).json({
+        success: false,
+        message: "A link was sent less than a minute ago. Check your inbox.",
+      });
+    }
+
+    const sent = await sendVerificationLink(user);
+    if (!sent) {
+      return res.status(503).json({
+        success: false,
+        message: "Email is not available right now. Please try again later.",
+      });
+    }
+
+    res.json({
+      success: true,
+      message: `Verification link sent to ${user.email}`,
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/auth/verification-policy
+// @desc    Features that need a verified email (REQUIRE_EMAIL_VERIFICATION)
+// @access  Public
+router.get("/verification-policy", (req, res) => {
+  res.json({
+    success: true,
+    data: { requiredFor: verificationRequiredFor() },
+  });
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Swap the refresh token cookie for a new access token (the cookie rotates)
+// @access  Public (refresh token cookie)
+router.post("/refresh", async (req, res, next) => {
+  try {
+    const { user, accessToken, refreshToken } = await refreshSession(
+      readRefreshCookie(req),
+      req,
+    );
+    if (refreshToken) setRefreshCookie(res, refreshToken);
+
+    res.json({
+      success: true,
+      data: {
+        user,
+        token: accessToken,
+      },
+    });
+  } catch (error) {
+    if (error.status === 401) {
+      clearRefreshCookie(res);
+      return res.status(401).json({ success: false, message: error.message });
+    }
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    End this device's session
+// @access  Public (refresh token cookie)
+router.post("/logout", async (req, res, next) => {
+  try {
+    const session = await endSessionByRefreshToken(readRefreshCookie(req));
+    if (session) disconnectUserSockets(req, session.userId, session._id);
+
+    clearRefreshCookie(res);
+    res.json({
+      success: true,
+      message: "Logged out",
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List the devices signed in to this account
+// @access  Private
+router.get("/sessions", auth, async (req, res, next) => {
+  try {
+    const sessions = await listSessions(req.user.id);
+
+    res.json({
+      success: true,
+      count: sessions.length,
+      data: sessions.map((session) => ({
+        ...session,
+        current: String(session._id) === String(req.user.sessionId),
+      })),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/auth/sessions
+// @desc    Sign out all devices (?keepCurrent=true keeps this one,
+//          ?revokeApiKeys=true also deletes every API key)
+// @access  Private
+router.delete("/sessions", auth, async (req, res, next) => {
+  try {
+    const keepCurrent = req.query.keepCurrent === "true";
+    const revoked = await revokeAllSessions(
+      req.user.id,
+      "logout_all",
+      keepCurrent ? req.user.sessionId : null,
+    );
+    const apiKeysDeleted =
+      req.query.revokeApiKeys === "true" ?
+        (await ApiKey.deleteMany({ userId: req.user.id })).deletedCount
+      : 0;
+
+    if (keepCurrent) {
+      const io = req.app.get("io");
+      const otherSession = (socket) =>
+        !socket.rooms.has(`session:${req.user.sessionId}`);
+      const [chatSockets, userSockets] =
+        io ?
+          await Promise.all([
+            io.of("/chat").in(`user:${req.user.id}`).fetchSockets(),
+            io.in(`user:${req.user.id}`).fetchSockets(),
+          ])
+        : [[], []];
+      chatSockets
+        .filter(otherSession)
+        .forEach((socket) => socket.disconnect(true));
+      userSockets
+        .filter(otherSession)
+        .forEach((socket) => socket.leave(`user:${req.user.id}`));
+    } else {
+      disconnectUserSockets(req, req.user.id);
+      clearRefreshCookie(res);
+    }
+
+    res.json({
+      success: true,
+      message: `Signed out ${revoked} session${revoked === 1 ? "" : "s"}`,
+      data: { revoked, apiKeysDeleted },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Sign out one device
+// @access  Private
+router.delete("/sessions/:id", auth, async (req, res, next) => {
+  try {
+    const session =
+      mongoose.isValidObjectId(req.params.id) &&
+      (await revokeSession(req.params.id, req.user.id));
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: "Session not found",
+      });
+    }
+
+    disconnectUserSockets(req, req.user.id, session._id);
+    if (String(session._id) === String(req.user.sessionId)) {
+      clearRefreshCookie(res);
+    }
+
+    res.json({
+      success: true,
+      message: "Session signed out",
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   PUT /api/auth/profile
 // @desc    Update user profile
 // @access  Private
@@ -166,8 +655,8 @@ router.put("/profile", auth, async (req, res, next) => {
 
 // @route   POST /api/auth/watchlist/:asteroidId
 // @desc    Add asteroid to watchlist
-// @access  Private
-router.post("/watchlist/:asteroidId", auth, async (req, res, next) => {
+// @access  Private (API key: watchlist:write)
+router.post("/watchlist/:asteroidId", writeKey, async (req, res, next) => {
   try {
     const user = await User.findById(req.user.id);
     await user.addToWatchlist(req.params.asteroidId);
@@ -193,8 +682,8 @@ router.post("/watchlist/:asteroidId", auth, async (req, res, next) => {
 
 // @route   DELETE /api/auth/watchlist/:asteroidId
 // @desc    Remove asteroid from watchlist
-// @access  Private
-router.delete("/watchlist/:asteroidId", auth, async (req, res, next) => {
+// @access  Private (API key: watchlist:write)
+router.delete("/watchlist/:asteroidId", writeKey, async (req, res, next) => {
   try {
     const user = await User.findById(req.user.id);
     await user.removeFromWatchlist(req.params.asteroidId);
@@ -220,8 +709,8 @@ router.delete("/watchlist/:asteroidId", auth, async (req, res, next) => {
 
 // @route   GET /api/auth/watchlist
 // @desc    Get user's watchlist with asteroid details
-// @access  Private
-router.get("/watchlist", auth, async (req, res, next) => {
+// @access  Private (API key: read)
+router.get("/watchlist", readKey, async (req, res, next) => {
   try {
     const user = await User.findById(req.user.id);
 
@@ -242,15 +731,108 @@ router.get("/watchlist", auth, async (req, res, next) => {
   }
 });
 
+// @route   GET /api/auth/push/public-key
+// @desc    VAPID public key the browser needs to subscribe to Web Push
+// @access  Public
+router.get("/push/public-key", (req, res) => {
+  const publicKey = getVapidPublicKey();
+
+  if (!publicKey) {
+    return res.status(503).json({
+      success: false,
+      message: "Push notifications are not configured on this server",
+    });
+  }
+
+  res.json({
+    success: true,
+    data: { publicKey },
+  });
+});
+
+// @route   POST /api/auth/push/subscribe
+// @desc    Register this browser's push subscription
+// @access  Private
+router.post("/push/subscribe", auth, async (req, res, next) => {
+  try {
+    if (!getVapidPublicKey()) {
+      return res.status(503).json({
+        success: false,
+        message: "Push notifications are not configured on this server",
+      });
+    }
+
+    const subscription = req.body.subscription || req.body;
+    if (!isValidSubscription(subscription)) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide a valid push subscription",
+      });
+    }
+
+    const user = await addSubscription(
+      req.user.id,
+      subscription,
+      req.get("user-agent")?.slice(0, 200) || null,
+    );
+
+    res.status(201).json({
+      success: true,
+      message: "Push notifications enabled for this browser",
+      data: { devices: user.pushSubscriptions.length },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/auth/push/subscribe
+// @desc    Remove this browser's push subscription
+// @access  Private
+router.delete("/push/subscribe", auth, async (req, res, next) => {
+  try {
+    const { endpoint } = req.body;
+    if (!endpoint) {
+      return res.status(400).json({
+        success: false,
+        message: "Please provide the subscription endpoint",
+      });
+    }
+
+    const user = await removeSubscription(req.user.id, endpoint);
+
+    res.json({
+      success: true,
+      message: "Push notifications disabled for this browser",
+      data: { devices: user?.pushSubscriptions.length ?? 0 },
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
 // @route   DELETE /api/auth/account
 // @desc    Delete user account and all associated data
 // @access  Private
 router.delete("/account", auth, async (req, res, next) => {
   try {
-    const { Alert } = await import("../models/index.js");
+    const { Alert, AlertRule, Webhook, WebhookDelivery, Session, Annotation } =
+      await import("../models/index.js");
 
-    // Delete user's alerts
+    // Delete user's alerts, alert rules, webhooks, sessions, API keys and research notes
     await Alert.deleteMany({ userId: req.user.id });
+    await AlertRule.deleteMany({ userId: req.user.id });
+    await Webhook.deleteMany({ userId: req.user.id });
+    await WebhookDelivery.deleteMany({ userId: req.user.id });
+    await Session.deleteMany({ userId: req.user.id });
+    await ApiKey.deleteMany({ userId: req.user.id });
+    await Annotation.deleteMany({ userId: req.user.id });
+    await User.updateMany(
+      { escalationAcceptedFrom: req.user.id },
+      { $pull: { escalationAcceptedFrom: req.user.id } },
+    );
+    disconnectUserSockets(req, req.user.id);
+    clearRefreshCookie(res);
 
     // Delete the user
     await User.findByIdAndDelete(req.user.id);
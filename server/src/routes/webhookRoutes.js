@@ -0,0 +1,236 @@
+import express from 'express';
+import mongoose from 'mongoose';
+import auth from '../middleware/auth.js';
+import { Webhook, WebhookDelivery } from '../models/index.js';
+import { WEBHOOK_EVENTS } from '../models/Webhook.js';
+import { sendTestEvent, MAX_WEBHOOKS_PER_USER } from '../services/webhookService.js';
+import { checkOutboundUrl } from '../utils/outboundUrl.js';
+
+const router = express.Router();
+
+router.use(auth);
+
+const validationMessage = (error) => Object.values(error.errors).map((e) => e.message).join('; ');
+
+// Receivers must be public https URLs (the delivery re-checks the address)
+const checkUrl = async (url) => {
+    if (typeof url !== 'string' || !url) return 'Webhook URL is required';
+    const problem = await checkOutboundUrl(url);
+    return problem && `Webhook ${problem.charAt(0).toLowerCase()}${problem.slice(1)}`;
+};
+
+const findOwnWebhook = (id, userId, select) => {
+    if (!mongoose.isValidObjectId(id)) return null;
+    const query = Webhook.findOne({ _id: id, userId });
+    return select ? query.select(select) : query;
+};
+
+// @route   GET /api/webhooks
+// @desc    List the user's webhooks and the events they can subscribe to
+// @access  Private
+router.get('/', async (req, res, next) => {
+    try {
+        const webhooks = await Webhook.find({ userId: req.user.id }).sort({ createdAt: -1 });
+
+        res.json({
+            success: true,
+            count: webhooks.length,
+            events: WEBHOOK_EVENTS,
+            data: webhooks,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/webhooks
+// @desc    Register a webhook (the signing secret is only returned here)
+// @access  Private
+router.post('/', async (req, res, next) => {
+    try {
+        const { url, description, events } = req.body;
+
+        const urlError = await checkUrl(url);
+        if (urlError) {
+            return res.status(400).json({ success: false, message: urlError });
+        }
+
+        const count = await Webhook.countDocuments({ userId: req.user.id });
+        if (count >= MAX_WEBHOOKS_PER_USER) {
+            return res.status(400).json({
+                success: false,
+                message: `You can register up to ${MAX_WEBHOOKS_PER_USER} webhooks`,
+            });
+        }
+
+        const webhook = await Webhook.create({
+            userId: req.user.id,
+            url,
+            description,
+            events: Array.isArray(events) ? [...new Set(events)] : [],
+        });
+
+        res.status(201).json({
+            success: true,
+            message: 'Webhook created. Store the secret now, it will not be shown again.',
+            data: { ...webhook.toJSON(), secret: webhook.secret },
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ success: false, message: validationMessage(error) });
+        }
+        next(error);
+    }
+});
+
+// @route   PUT /api/webhooks/:id
+// @desc    Update URL, description, events or pause/resume a webhook
+// @access  Private
+router.put('/:id', async (req, res, next) => {
+    try {
+        const webhook = await findOwnWebhook(req.params.id, req.user.id);
+        if (!webhook) {
+            return res.status(404).json({ success: false, message: 'Webhook not found' });
+        }
+
+        const { url, description, events, isActive } = req.body;
+
+        if (url !== undefined) {
+            const urlError = await checkUrl(url);
+            if (urlError) {
+                return res.status(400).json({ success: false, message: urlError });
+            }
+            webhook.url = url;
+        }
+        if (description !== undefined) webhook.description = description;
+        if (Array.isArray(events)) webhook.events = [...new Set(events)];
+        if (typeof isActive === 'boolean') {
+            webhook.isActive = isActive;
+            // Resuming gives a paused webhook a clean slate
+            if (isActive) {
+                webhook.consecutiveFailures = 0;
+                webhook.disabledReason = undefined;
+            }
+        }
+
+        await webhook.save();
+
+        res.json({
+            success: true,
+            data: webhook,
+        });
+    } catch (error) {
+        if (error.name === 'ValidationError') {
+            return res.status(400).json({ success: false, message: validationMessage(error) });
+        }
+        next(error);
+    }
+});
+
+// @route   DELETE /api/webhooks/:id
+// @desc    Delete a webhook and its delivery log
+// @access  Private
+router.delete('/:id', async (req, res, next) => {
+    try {
+        const webhook = await findOwnWebhook(req.params.id, req.user.id);
+        if (!webhook) {
+            return res.status(404).json({ success: false, message: 'Webhook not found' });
+        }
+
+        await Promise.all([
+            webhook.deleteOne(),
+            WebhookDelivery.deleteMany({ webhookId: webhook._id }),
+        ]);
+
+        res.json({
+            success: true,
+            message: 'Webhook deleted',
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/webhooks/:id/rotate-secret
+// @desc    Issue a new signing secret (returned once)
+// @access  Private
+router.post('/:id/rotate-secret', async (req, res, next) => {
+    try {
+        const webhook = await findOwnWebhook(req.params.id, req.user.id, '+secret');
+        if (!webhook) {
+            return res.status(404).json({ success: false, message: 'Webhook not found' });
+        }
+
+        webhook.secret = Webhook.schema.path('secret').getDefault();
+        await webhook.save();
+
+        res.json({
+            success: true,
+            message: 'Secret rotated. Update your receiver, the old secret no longer verifies.',
+            data: { ...webhook.toJSON(), secret: webhook.secret },
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   POST /api/webhooks/:id/test
+// @desc    Send a TEST_EVENT right away and return the delivery result
+// @access  Private
+router.post('/:id/test', async (req, res, next) => {
+    try {
+        if (!mongoose.isValidObjectId(req.params.id)) {
+            return res.status(404).json({ success: false, message: 'Webhook not found' });
+        }
+
+        const delivery = await sendTestEvent(req.params.id, req.user.id);
+        if (!delivery) {
+            return res.status(404).json({ success: false, message: 'Webhook not found' });
+        }
+
+        res.json({
+            success: delivery.status === 'success',
+            message: delivery.status === 'success'
+                ? `Test event delivered (HTTP ${delivery.responseStatus})`
+                : `Test event failed: ${delivery.error}`,
+            data: delivery,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+// @route   GET /api/webhooks/:id/deliveries
+// @desc    Recent deliveries for a webhook (kept 30 days)
+// @access  Private
+router.get('/:id/deliveries', async (req, res, next) => {
+    try {
+        const webhook = await findOwnWebhook(req.params.id, req.user.id);
+        if (!webhook) {
+            return res.status(404).json({ success: false, message: 'Webhook not found' });
+        }
+
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        const query = { webhookId: webhook._id };
+        if (['pending', 'success', 'failed'].includes(req.query.status)) {
+            query.status = req.query.status;
+        }
+
+        const deliveries = await WebhookDelivery.find(query)
+            // Entries from before bodies stopped being stored may still carry one
+            .select('-responseBody')
+            .sort({ createdAt: -1 })
+            .limit(limit)
+            .lean();
+
+        res.json({
+            success: true,
+            count: deliveries.length,
+            data: deliveries,
+        });
+    } catch (error) {
+        next(error);
+    }
+});
+
+export default router;
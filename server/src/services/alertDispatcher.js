@@ -3,7 +3,32 @@
  * Checks for close approaches and sends alerts to watching users
  */
 
-import { User, Asteroid, Alert } from '../models/index.js';
+import { User, Asteroid, Alert, AlertRule, Webhook } from '../models/index.js';
+import { sendAlertEmail } from './email/index.js';
+import { sendAlertPush } from './pushService.js';
+import { emitWebhookEvent } from './webhookService.js';
+import { getQuietHoursEnd } from '../utils/timezone.js';
+import { evaluateCriteria } from '../utils/ruleEngine.js';
+import { verifiedUserFilter } from '../utils/verification.js';
+
+let deferredRunActive = false;
+
+// Risk score from which users' risk thresholds apply (watchlists and rules apply at any score)
+const THRESHOLD_ALERT_MIN_SCORE = 50;
+
+// Batch sizes for the bulk dispatch pipeline
+const LOOKUP_BATCH_SIZE = 5000;
+const INSERT_BATCH_SIZE = 1000;
+const DELIVERY_CONCURRENCY = 10;
+
+// Smallest re-ingestion changes worth telling watchers about
+const WATCHED_CHANGE_MIN = {
+    riskScore: 1, // points
+    missDistanceLunar: 0.01, // relative (1%)
+    closeApproachDate: 60 * 1000, // ms
+};
+
+const RISK_CATEGORY_ORDER = ['minimal', 'low', 'moderate', 'high'];
 
 /**
  * Check if an asteroid matches a user's alert thresholds
@@ -28,63 +53,255 @@ const matchesUserThresholds = (asteroid, alertSettings) => {
 };
 
 /**
- * Create alert for a user about an asteroid
+ * Send an alert through the user's real-time channels: Socket.IO, Web Push
+ * and email. Push and email are only marked delivered once accepted downstream.
+ * @param {Object} user - User document
+ * @param {Object} alert - Alert document (a close approach alert or a digest)
+ * @param {Object} io - Socket.IO instance
+ * @param {string} event - Socket.IO event name
+ * @param {Object} payload - Socket.IO event payload
+ */
+export const deliverAlert = async (user, alert, io, event, payload) => {
+    if (io) {
+        io.to(`user:${user._id}`).emit(event, payload);
+    }
+
+    if (user.alertSettings?.pushNotifications && await sendAlertPush(user, alert)) {
+        alert.deliveredVia.push = true;
+    }
+
+    if (user.alertSettings?.emailNotifications && await sendAlertEmail(user, alert)) {
+        alert.deliveredVia.email = true;
+    }
+
+    if (alert.isModified('deliveredVia')) {
+        await alert.save();
+    }
+
+    return alert;
+};
+
+/**
+ * Deliver now, or hold the alert until the user's quiet hours end.
+ * Danger alerts always go out immediately.
+ * @returns {Promise<Object>} The alert (deferredUntil set when held)
  */
-const createAlertForUser = async (user, asteroid, io) => {
+export const deliverOrDefer = async (user, alert, io, event, payload, now = new Date()) => {
+    const settings = user.alertSettings || {};
+    const quietUntil = alert.severity === 'danger'
+        ? null
+        : getQuietHoursEnd(now, settings.quietHours, settings.timezone);
+
+    if (quietUntil) {
+        alert.deferredUntil = quietUntil;
+        await alert.save();
+        console.log(`🌙 Quiet hours for ${user.email}: ${alert.title} held until ${quietUntil.toISOString()}`);
+        return alert;
+    }
+
+    return deliverAlert(user, alert, io, event, payload);
+};
+
+/**
+ * Socket.IO event and payload for a stored alert (used when a held alert is
+ * sent later, so it no longer has the asteroid document at hand)
+ * @returns {Object} { event, payload }
+ */
+export const alertEventFromAlert = (alert) => {
+    const base = {
+        alertId: alert._id,
+        type: alert.type,
+        severity: alert.severity,
+        title: alert.title,
+        message: alert.message,
+        ...(alert.rule?.id && { rule: { id: alert.rule.id, name: alert.rule.name } }),
+        timestamp: new Date(),
+    };
+
+    if (alert.type === 'digest') {
+        return { event: 'ALERT_DIGEST', payload: { ...base, digest: alert.digest } };
+    }
+
+    return {
+        event: alert.type === 'watched_update' ? 'WATCHLIST_ALERT' : 'CLOSE_APPROACH_ALERT',
+        payload: {
+            ...base,
+            asteroid: {
+                id: alert.asteroidId,
+                name: alert.asteroidName,
+                riskScore: alert.data?.riskScore,
+                missDistanceLunar: alert.data?.missDistanceLunar,
+                closeApproachDate: alert.data?.closeApproachDate || alert.eventDate,
+            },
+            ...(alert.changes?.length > 0 && { changes: alert.changes }),
+        },
+    };
+};
+
+/**
+ * Send alerts whose quiet-hours deferral has ended (run by the scheduler)
+ * @param {Object} io - Socket.IO instance
+ * @returns {Promise<number>} Alerts delivered
+ */
+export const deliverDeferredAlerts = async (io) => {
+    if (deferredRunActive) return 0;
+    deferredRunActive = true;
+
+    let delivered = 0;
     try {
-        // Check if we already sent an alert for this asteroid today
-        const existingAlert = await Alert.findOne({
-            userId: user._id,
-            asteroidId: asteroid.neo_reference_id,
-            createdAt: { $gte: new Date(Date.now() - 24 * 60 * 60 * 1000) },
-        });
+        const due = await Alert.find({ deferredUntil: { $lte: new Date() } })
+            .sort({ deferredUntil: 1 })
+            .limit(500);
+        if (due.length === 0) return 0;
 
-        if (existingAlert) {
-            console.log(`⏭️  Alert already sent to ${user.email} for ${asteroid.name}`);
-            return null;
-        }
+        const users = await User.find({ _id: { $in: [...new Set(due.map((a) => String(a.userId)))] } });
+        const userById = new Map(users.map((u) => [String(u._id), u]));
 
-        // Create the alert
-        const alert = await Alert.createCloseApproachAlert(user, asteroid);
+        for (const alert of due) {
+            alert.deferredUntil = undefined;
+            await alert.save();
 
-        console.log(`📨 Alert created for ${user.email}: ${asteroid.name}`);
+            const user = userById.get(String(alert.userId));
+            if (!user) continue;
 
-        // Send real-time notification via Socket.IO
-        if (io) {
-            io.to(`user:${user._id}`).emit('CLOSE_APPROACH_ALERT', {
-                alertId: alert._id,
-                type: alert.type,
-                severity: alert.severity,
-                title: alert.title,
-                message: alert.message,
-                asteroid: {
-                    id: asteroid.neo_reference_id,
-                    name: asteroid.name,
-                    riskScore: asteroid.riskScore,
-                    riskCategory: asteroid.riskCategory,
-                    missDistanceLunar: asteroid.missDistanceLunar,
-                    closeApproachDate: asteroid.closeApproachDate,
-                },
-                timestamp: new Date(),
-            });
+            const { event, payload } = alertEventFromAlert(alert);
+            await deliverAlert(user, alert, io, event, payload);
+            delivered++;
         }
 
-        return alert;
+        console.log(`🌅 Delivered ${delivered} alerts held during quiet hours`);
     } catch (error) {
-        console.error(`❌ Failed to create alert for ${user.email}:`, error.message);
+        console.error('❌ Deferred alert delivery failed:', error.message);
+    } finally {
+        deferredRunActive = false;
+    }
+
+    return delivered;
+};
+
+/**
+ * When a new alert should be escalated: only danger alerts, and only for
+ * users who turned escalation on and listed contacts
+ * @returns {Date|null}
+ */
+export const escalationDeadline = (user, severity, now = new Date()) => {
+    const escalation = user.alertSettings?.escalation;
+    if (severity !== 'danger' || !escalation?.enabled || !escalation.contacts?.length) {
         return null;
     }
+    return new Date(now.getTime() + (escalation.afterMinutes || 30) * 60 * 1000);
+};
+
+/**
+ * Insert alerts in batches. Alerts whose dedupKey another run stored first
+ * are skipped; any other write error is thrown.
+ * @returns {Promise<Array>} Inserted alert documents
+ */
+const insertAlerts = async (docs) => {
+    const inserted = [];
+
+    for (let i = 0; i < docs.length; i += INSERT_BATCH_SIZE) {
+        try {
+            inserted.push(...await Alert.insertMany(docs.slice(i, i + INSERT_BATCH_SIZE), { ordered: false }));
+        } catch (error) {
+            const writeErrors = error.writeErrors || [];
+            if (writeErrors.length === 0 || writeErrors.some((e) => (e.code ?? e.err?.code) !== 11000)) {
+                throw error;
+            }
+            inserted.push(...(error.insertedDocs || []));
+        }
+    }
+
+    return inserted;
 };
 
 /**
- * Check all asteroids approaching in the next N days and alert relevant users
+ * Run fn over items with at most `limit` calls in flight
+ */
+const forEachLimit = async (items, limit, fn) => {
+    let next = 0;
+    const worker = async () => {
+        while (next < items.length) {
+            await fn(items[next++]);
+        }
+    };
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, worker));
+};
+
+/**
+ * Work out which users each upcoming asteroid should alert, in memory.
+ * Each user gets at most one alert per asteroid, even if several rules match.
+ * @returns {Array} [{ user, asteroid, rule }] (rule is null for watchlist/threshold matches)
+ */
+const matchAlerts = (asteroids, users, rules, now) => {
+    const upcomingIds = new Set(asteroids.map((a) => a.neo_reference_id));
+
+    // Invert the watchlists: asteroid id -> users watching it
+    const watchersByAsteroid = new Map();
+    for (const user of users) {
+        for (const asteroidId of user.watched_asteroid_ids || []) {
+            if (!upcomingIds.has(asteroidId)) continue;
+            if (!watchersByAsteroid.has(asteroidId)) watchersByAsteroid.set(asteroidId, []);
+            watchersByAsteroid.get(asteroidId).push(user);
+        }
+    }
+
+    // Lowest threshold first, so each asteroid can stop at the first user it doesn't reach
+    const byThreshold = users
+        .filter((u) => typeof u.alertSettings?.riskThreshold === 'number')
+        .sort((a, b) => a.alertSettings.riskThreshold - b.alertSettings.riskThreshold);
+
+    const userById = new Map(users.map((u) => [String(u._id), u]));
+    const matches = [];
+
+    for (const asteroid of asteroids) {
+        const matchedUserIds = new Set();
+        const candidates = [...(watchersByAsteroid.get(asteroid.neo_reference_id) || [])];
+
+        // Users with matching thresholds (for high-risk asteroids)
+        if (asteroid.riskScore >= THRESHOLD_ALERT_MIN_SCORE) {
+            for (const user of byThreshold) {
+                if (user.alertSettings.riskThreshold > asteroid.riskScore) break;
+                candidates.push(user);
+            }
+        }
+
+        for (const user of candidates) {
+            const userId = String(user._id);
+            if (matchedUserIds.has(userId) || !matchesUserThresholds(asteroid, user.alertSettings)) continue;
+            matchedUserIds.add(userId);
+            matches.push({ user, asteroid, rule: null });
+        }
+
+        // Rules apply at any risk score
+        for (const rule of rules) {
+            const user = userById.get(String(rule.userId));
+            if (!user || matchedUserIds.has(String(user._id))) continue;
+            if (!evaluateCriteria(rule.criteria, asteroid, now)) continue;
+
+            matchedUserIds.add(String(user._id));
+            matches.push({ user, asteroid, rule });
+        }
+    }
+
+    return matches;
+};
+
+/**
+ * Check all asteroids approaching in the next N days and alert relevant users.
+ * Runs as a batch: one query for candidate users, matching in memory, one
+ * lookup of existing alerts, then bulk inserts. Each user gets one close
+ * approach alert per asteroid and approach day; it is only sent again if its
+ * severity rises.
  * @param {Object} io - Socket.IO instance
  * @param {number} daysAhead - How many days to look ahead (default: 1)
+ * @returns {Promise<Object>} { alertsSent, raised, skipped, usersScanned, durationMs }
  */
 export const checkAndDispatchAlerts = async (io, daysAhead = 1) => {
     try {
         console.log('🔔 Running alert dispatcher...');
 
+        const startedAt = Date.now();
         const now = new Date();
         const futureDate = new Date(now);
         futureDate.setDate(futureDate.getDate() + daysAhead);
@@ -101,53 +318,309 @@ export const checkAndDispatchAlerts = async (io, daysAhead = 1) => {
 
         console.log(`🌠 Found ${upcomingAsteroids.length} asteroids approaching soon`);
 
-        let totalAlertsSent = 0;
+        const rules = await AlertRule.find({ isActive: true }).lean();
+
+        // Everyone who could match, in one query: watchers of an upcoming asteroid,
+        // users whose risk threshold a high-risk asteroid reaches, and rule owners
+        const topRiskScore = Math.max(...upcomingAsteroids.map((a) => a.riskScore || 0));
+        const candidateFilters = [
+            { watched_asteroid_ids: { $in: upcomingAsteroids.map((a) => a.neo_reference_id) } },
+        ];
+        if (topRiskScore >= THRESHOLD_ALERT_MIN_SCORE) {
+            candidateFilters.push({ 'alertSettings.riskThreshold': { $lte: topRiskScore } });
+        }
+        if (rules.length > 0) {
+            candidateFilters.push({ _id: { $in: [...new Set(rules.map((r) => String(r.userId)))] } });
+        }
+
+        const users = await User.find({
+            'alertSettings.enabled': true,
+            ...verifiedUserFilter('alerts'),
+            $or: candidateFilters,
+        }).lean();
+
+        const matches = matchAlerts(upcomingAsteroids, users, rules, now);
+
+        // Build every alert up front and look up the ones already sent in one pass
+        for (const match of matches) {
+            const { user, asteroid, rule } = match;
+            const deliveryMode = user.alertSettings?.deliveryMode || 'immediate';
+            match.heldForDigest = deliveryMode !== 'immediate';
 
-        // For each asteroid, find users who are watching it or match their thresholds
-        for (const asteroid of upcomingAsteroids) {
-            // Find users watching this specific asteroid
-            const watchingUsers = await User.find({
-                watched_asteroid_ids: asteroid.neo_reference_id,
-                'alertSettings.enabled': true,
+            // Digests are for batching, so only alerts sent right away can escalate
+            const escalateAt = match.heldForDigest
+                ? null
+                : escalationDeadline(user, Alert.closeApproachSeverity(asteroid), now);
+
+            match.fields = Alert.buildCloseApproachAlert(user, asteroid, {
+                rule,
+                dedupKey: Alert.dedupKeyFor(user._id, asteroid.neo_reference_id, asteroid.closeApproachDate, 'close_approach'),
+                ...(match.heldForDigest && { digestStatus: 'pending' }),
+                ...(escalateAt && { escalateAt }),
             });
+        }
+
+        const existingByKey = new Map();
+        const keys = matches.map((m) => m.fields.dedupKey);
+        for (let i = 0; i < keys.length; i += LOOKUP_BATCH_SIZE) {
+            const existing = await Alert.find({ dedupKey: { $in: keys.slice(i, i + LOOKUP_BATCH_SIZE) } })
+                .select('dedupKey severity')
+                .lean();
+            for (const alert of existing) existingByKey.set(alert.dedupKey, alert);
+        }
 
-            // Also find users with matching thresholds (for high-risk asteroids)
-            let thresholdUsers = [];
-            if (asteroid.riskScore >= 50) {
-                thresholdUsers = await User.find({
-                    'alertSettings.enabled': true,
-                    'alertSettings.riskThreshold': { $lte: asteroid.riskScore },
-                    watched_asteroid_ids: { $ne: asteroid.neo_reference_id }, // Don't duplicate
-                });
+        const toInsert = [];
+        const toRaise = [];
+        for (const match of matches) {
+            const existing = existingByKey.get(match.fields.dedupKey);
+            if (!existing) {
+                toInsert.push(match);
+            } else if (Alert.isMoreSevere(match.fields.severity, existing.severity)) {
+                match.existing = existing;
+                toRaise.push(match);
             }
+        }
+
+        // Another run may have stored some of these since the lookup; insertAlerts skips them
+        const inserted = await insertAlerts(toInsert.map((m) => m.fields));
+        const matchByKey = new Map(toInsert.map((m) => [m.fields.dedupKey, m]));
+        const created = inserted.map((alert) => ({ ...matchByKey.get(alert.dedupKey), alert }));
 
-            const usersToAlert = [...watchingUsers, ...thresholdUsers];
+        let raised = 0;
+        for (const match of toRaise) {
+            const alert = await Alert.raiseSeverity(match.existing, match.fields);
+            if (!alert) continue; // another run raised it first
+            console.log(`⬆️  ${match.asteroid.name} alert for ${match.user.email} raised from ${match.existing.severity} to ${alert.severity}`);
+            created.push({ ...match, alert });
+            raised++;
+        }
+
+        // Only query webhooks for users who have one
+        const webhookUserIds = created.length > 0
+            ? new Set((await Webhook.distinct('userId', { events: 'CLOSE_APPROACH_ALERT', isActive: true })).map(String))
+            : new Set();
 
-            for (const user of usersToAlert) {
-                if (matchesUserThresholds(asteroid, user.alertSettings)) {
-                    const alert = await createAlertForUser(user, asteroid, io);
-                    if (alert) totalAlertsSent++;
-                }
+        await forEachLimit(created, DELIVERY_CONCURRENCY, async ({ user, asteroid, rule, alert, heldForDigest }) => {
+            const payload = {
+                alertId: alert._id,
+                type: alert.type,
+                severity: alert.severity,
+                title: alert.title,
+                message: alert.message,
+                asteroid: {
+                    id: asteroid.neo_reference_id,
+                    name: asteroid.name,
+                    riskScore: asteroid.riskScore,
+                    riskCategory: asteroid.riskCategory,
+                    missDistanceLunar: asteroid.missDistanceLunar,
+                    closeApproachDate: asteroid.closeApproachDate,
+                },
+                ...(rule && { rule: { id: rule._id, name: rule.name } }),
+                timestamp: new Date(),
+            };
+
+            // Webhooks feed other systems, so they stay per-alert in every mode
+            // (retries happen in the background)
+            if (webhookUserIds.has(String(user._id))) {
+                emitWebhookEvent('CLOSE_APPROACH_ALERT', payload, { userId: user._id });
+            }
+
+            // Digest users get this alert later, bundled with the rest (see digestService)
+            if (heldForDigest) return;
+
+            try {
+                await deliverOrDefer(user, alert, io, 'CLOSE_APPROACH_ALERT', payload);
+            } catch (error) {
+                console.error(`❌ Failed to deliver alert to ${user.email}:`, error.message);
             }
+        });
+
+        // Rule match counters, one bulk write
+        const ruleMatches = new Map();
+        for (const { rule } of created) {
+            if (rule) ruleMatches.set(String(rule._id), (ruleMatches.get(String(rule._id)) || 0) + 1);
+        }
+        if (ruleMatches.size > 0) {
+            await AlertRule.bulkWrite([...ruleMatches].map(([ruleId, count]) => ({
+                updateOne: {
+                    filter: { _id: ruleId },
+                    update: { $inc: { matchCount: count }, $set: { lastMatchedAt: now } },
+                },
+            })));
         }
 
-        console.log(`✅ Alert dispatch complete. Sent ${totalAlertsSent} alerts.`);
-        return { alertsSent: totalAlertsSent };
+        const result = {
+            alertsSent: created.length,
+            raised,
+            skipped: matches.length - created.length,
+            usersScanned: users.length,
+            durationMs: Date.now() - startedAt,
+        };
+        console.log(`✅ Alert dispatch complete. Sent ${result.alertsSent} alerts (${raised} raised, ${result.skipped} already sent) to ${users.length} candidate users in ${result.durationMs}ms.`);
+        return result;
     } catch (error) {
         console.error('❌ Alert dispatcher error:', error);
         return { alertsSent: 0, error: error.message };
     }
 };
 
+const formatChangeDate = (date) => `${new Date(date).toISOString().slice(0, 16).replace('T', ' ')} UTC`;
+
+/**
+ * Compare stored data for an asteroid with freshly ingested data
+ * @param {Object} previous - Asteroid before the upsert
+ * @param {Object} current - Asteroid after the upsert
+ * @returns {Array} [{ field, label, from, to, summary }], empty when nothing meaningful changed
+ */
+export const describeAsteroidChanges = (previous, current) => {
+    const changes = [];
+
+    const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+
+    if (isNumber(previous.riskScore) && isNumber(current.riskScore)
+        && Math.abs(current.riskScore - previous.riskScore) >= WATCHED_CHANGE_MIN.riskScore) {
+        changes.push({
+            field: 'riskScore',
+            label: 'Risk score',
+            from: previous.riskScore,
+            to: current.riskScore,
+            summary: `risk score ${previous.riskScore} → ${current.riskScore}`,
+        });
+    }
+
+    if (previous.riskCategory && current.riskCategory && previous.riskCategory !== current.riskCategory) {
+        changes.push({
+            field: 'riskCategory',
+            label: 'Risk category',
+            from: previous.riskCategory,
+            to: current.riskCategory,
+            summary: `risk category ${previous.riskCategory} → ${current.riskCategory}`,
+        });
+    }
+
+    if (isNumber(previous.missDistanceLunar) && isNumber(current.missDistanceLunar) && previous.missDistanceLunar > 0
+        && Math.abs(current.missDistanceLunar - previous.missDistanceLunar) / previous.missDistanceLunar
+            >= WATCHED_CHANGE_MIN.missDistanceLunar) {
+        changes.push({
+            field: 'missDistanceLunar',
+            label: 'Miss distance (LD)',
+            from: previous.missDistanceLunar,
+            to: current.missDistanceLunar,
+            summary: `miss distance ${previous.missDistanceLunar.toFixed(2)} → ${current.missDistanceLunar.toFixed(2)} LD`,
+        });
+    }
+
+    if (previous.closeApproachDate && current.closeApproachDate
+        && Math.abs(new Date(current.closeApproachDate) - new Date(previous.closeApproachDate))
+            >= WATCHED_CHANGE_MIN.closeApproachDate) {
+        changes.push({
+            field: 'closeApproachDate',
+            label: 'Close approach',
+            from: new Date(previous.closeApproachDate),
+            to: new Date(current.closeApproachDate),
+            summary: `approach ${formatChangeDate(previous.closeApproachDate)} → ${formatChangeDate(current.closeApproachDate)}`,
+        });
+    }
+
+    return changes;
+};
+
+/**
+ * Severity of a watched_update: danger when it became high risk,
+ * warning when the category rose or the score jumped by 10+
+ */
+const watchedUpdateSeverity = (previous, current) => {
+    const categoryRose = RISK_CATEGORY_ORDER.indexOf(current.riskCategory)
+        > RISK_CATEGORY_ORDER.indexOf(previous.riskCategory);
+
+    if (categoryRose && current.riskCategory === 'high') return 'danger';
+    if (categoryRose || current.riskScore - previous.riskScore >= 10) return 'warning';
+    return 'info';
+};
+
+/**
+ * Alert watchers when re-ingestion changed an asteroid's risk or approach.
+ * The diff goes to the asteroid:<id> room (joined with watch_asteroid) as
+ * ASTEROID_UPDATED. Each watcher's stored alert goes to their own user:<id>
+ * room as WATCHLIST_ALERT, plus push and email, following their digest and
+ * quiet hours settings.
+ * @param {Object} previous - Asteroid before the upsert
+ * @param {Object} asteroid - Asteroid after the upsert
+ * @param {Object} io - Socket.IO instance
+ * @returns {Promise<Object>} { alertsSent, changes }
+ */
+export const dispatchWatchedUpdate = async (previous, asteroid, io) => {
+    const changes = describeAsteroidChanges(previous, asteroid);
+    if (changes.length === 0) return { alertsSent: 0, changes };
+
+    const severity = watchedUpdateSeverity(previous, asteroid);
+    const watchers = await User.find({
+        watched_asteroid_ids: asteroid.neo_reference_id,
+        'alertSettings.enabled': true,
+        ...verifiedUserFilter('alerts'),
+    });
+
+    const created = [];
+    let alertsSent = 0;
+    for (const user of watchers) {
+        try {
+            const heldForDigest = (user.alertSettings?.deliveryMode || 'immediate') !== 'immediate';
+            const alert = await Alert.createWatchedUpdateAlert(
+                user,
+                asteroid,
+                changes,
+                severity,
+                heldForDigest
+                    ? { digestStatus: 'pending' }
+                    : { escalateAt: escalationDeadline(user, severity) ?? undefined }
+            );
+            alertsSent++;
+            if (!heldForDigest) created.push({ user, alert });
+        } catch (error) {
+            console.error(`❌ Failed to create watched update for ${user.email}:`, error.message);
+        }
+    }
+
+    const payload = {
+        type: 'watched_update',
+        severity,
+        ...Alert.describeWatchedUpdate(asteroid, changes),
+        asteroid: {
+            id: asteroid.neo_reference_id,
+            name: asteroid.name,
+            riskScore: asteroid.riskScore,
+            riskCategory: asteroid.riskCategory,
+            missDistanceLunar: asteroid.missDistanceLunar,
+            closeApproachDate: asteroid.closeApproachDate,
+        },
+        changes: changes.map(({ field, label, from, to }) => ({ field, label, from, to })),
+        timestamp: new Date(),
+    };
+
+    for (const { user, alert } of created) {
+        try {
+            await deliverOrDefer(user, alert, io, 'WATCHLIST_ALERT', { alertId: alert._id, ...payload });
+        } catch (error) {
+            console.error(`❌ Failed to deliver watched update to ${user.email}:`, error.message);
+        }
+    }
+
+    // The same diff without any watcher's alert, for everyone following the asteroid
+    if (io) {
+        io.to(`asteroid:${asteroid.neo_reference_id}`).emit('ASTEROID_UPDATED', payload);
+    }
+
+    console.log(`🔄 ${asteroid.name} changed (${changes.map((c) => c.field).join(', ')}): alerted ${alertsSent} watchers`);
+    return { alertsSent, changes };
+};
+
 /**
  * Send a global broadcast about a new hazardous asteroid
  * @param {Object} asteroid - Asteroid data
  * @param {Object} io - Socket.IO instance
  */
 export const broadcastNewHazardousAsteroid = (asteroid, io) => {
-    if (!io) return;
-
-    io.emit('NEW_HAZARDOUS_ASTEROID', {
+    const payload = {
         type: 'hazardous_spotted',
         asteroid: {
             id: asteroid.neo_reference_id,
@@ -160,7 +633,12 @@ export const broadcastNewHazardousAsteroid = (asteroid, io) => {
             closeApproachDate: asteroid.closeApproachDate,
         },
         timestamp: new Date(),
-    });
+    };
+
+    if (io) {
+        io.emit('NEW_HAZARDOUS_ASTEROID', payload);
+    }
+    emitWebhookEvent('NEW_HAZARDOUS_ASTEROID', payload);
 
     console.log(`📢 Broadcasted new hazardous asteroid: ${asteroid.name}`);
 };
@@ -172,6 +650,8 @@ export const getUnreadAlerts = async (userId) => {
     return Alert.find({
         userId,
         isRead: false,
+        status: { $ne: 'snoozed' },
+        ...Alert.VISIBLE,
     })
         .sort({ createdAt: -1 })
         .limit(20)
@@ -194,13 +674,18 @@ export const markAlertRead = async (alertId, userId) => {
  */
 export const markAllAlertsRead = async (userId) => {
     return Alert.updateMany(
-        { userId, isRead: false },
+        { userId, isRead: false, ...Alert.VISIBLE },
         { isRead: true }
     );
 };
 
 export default {
     checkAndDispatchAlerts,
+    dispatchWatchedUpdate,
+    deliverAlert,
+    deliverOrDefer,
+    deliverDeferredAlerts,
+    escalationDeadline,
     broadcastNewHazardousAsteroid,
     getUnreadAlerts,
     markAlertRead,
@@ -0,0 +1,132 @@
+/**
+ * API Key Service
+ * Personal API keys for scripts: named, scoped and revocable.
+ *
+ * Keys look like `astral_<random>` and are sent as `X-API-Key: <key>` or
+ * `Authorization: Bearer <key>`. Only a SHA-256 hash is stored. Each key has
+ * its own per-minute rate limit, counted in memory by this server instance.
+ */
+
+import crypto from 'crypto';
+import { User, ApiKey } from '../models/index.js';
+
+export const API_KEY_PREFIX = 'astral_';
+export const MAX_API_KEYS_PER_USER = 10;
+
+const PREFIX_LENGTH = API_KEY_PREFIX.length + 6;
+const RATE_WINDOW_MS = 60 * 1000;
+// lastUsedAt is written at most this often per key
+const LAST_USED_WRITE_INTERVAL_MS = 60 * 1000;
+
+// keyId -> { windowStart, count }
+const rateWindows = new Map();
+
+const hashKey = (key) => crypto.createHash('sha256').update(key).digest('hex');
+
+const unauthorized = (message) => {
+    const error = new Error(message);
+    error.status = 401;
+    return error;
+};
+
+/**
+ * Whether a bearer token is an API key rather than a JWT
+ */
+export const isApiKey = (token) => typeof token === 'string' && token.startsWith(API_KEY_PREFIX);
+
+/**
+ * Mint a key for a user
+ * @param {string} userId
+ * @param {Object} fields - { name, scopes, rateLimitPerMinute }
+ * @returns {Promise<Object>} { apiKey, key } - key is the only copy of the secret
+ */
+export const createApiKey = async (userId, { name, scopes, rateLimitPerMinute }) => {
+    const key = `${API_KEY_PREFIX}${crypto.randomBytes(24).toString('base64url')}`;
+
+    const apiKey = await ApiKey.create({
+        userId,
+        name,
+        prefix: key.slice(0, PREFIX_LENGTH),
+        keyHash: hashKey(key),
+        scopes: Array.isArray(scopes) ? [...new Set(scopes)] : [],
+        ...(rateLimitPerMinute !== undefined && { rateLimitPerMinute }),
+    });
+
+    return { apiKey, key };
+};
+
+/**
+ * Look up the key and its owner, and note when it was last used
+ * @param {string} key - The raw key from the request
+ * @param {string} ip - Caller's address
+ * @returns {Promise<Object>} { user, apiKey }
+ * @throws {Error} With status 401 for unknown or revoked keys
+ */
+export const authenticateApiKey = async (key, ip) => {
+    const apiKey = await ApiKey.findOne({ keyHash: hashKey(key) });
+    if (!apiKey) {
+        throw unauthorized('Invalid or revoked API key.');
+    }
+
+    const user = await User.findById(apiKey.userId);
+    if (!user) {
+        throw unauthorized('User not found.');
+    }
+
+    const now = new Date();
+    if (!apiKey.lastUsedAt || now - apiKey.lastUsedAt > LAST_USED_WRITE_INTERVAL_MS) {
+        ApiKey.updateOne({ _id: apiKey._id }, { $set: { lastUsedAt: now, lastUsedIp: ip } })
+            .catch((error) => console.error('❌ Failed to record API key use:', error.message));
+    }
+
+    return { user, apiKey };
+};
+
+/**
+ * Count one request against the key's per-minute limit
+ * @param {Object} apiKey - ApiKey document
+ * @returns {Object} { allowed, limit, remaining, resetAt }
+ */
+export const consumeRateLimit = (apiKey, now = Date.now()) => {
+    const id = String(apiKey._id);
+    const limit = apiKey.rateLimitPerMinute;
+
+    let window = rateWindows.get(id);
+    if (!window || now - window.windowStart >= RATE_WINDOW_MS) {
+        window = { windowStart: now, count: 0 };
+        rateWindows.set(id, window);
+    }
+
+    const allowed = window.count < limit;
+    if (allowed) window.count++;
+
+    return {
+        allowed,
+        limit,
+        remaining: Math.max(limit - window.count, 0),
+        resetAt: new Date(window.windowStart + RATE_WINDOW_MS),
+    };
+};
+
+/**
+ * Forget a key's rate window (after it is revoked)
+ */
+export const clearRateLimit = (apiKeyId) => {
+    rateWindows.delete(String(apiKeyId));
+};
+
+// Drop windows that have ended so the map doesn't grow with every key ever used
+setInterval(() => {
+    const now = Date.now();
+    for (const [id, window] of rateWindows) {
+        if (now - window.windowStart >= RATE_WINDOW_MS) rateWindows.delete(id);
+    }
+}, 5 * 60 * 1000).unref();
+
+export default {
+    isApiKey,
+    createApiKey,
+    authenticateApiKey,
+    consumeRateLimit,
+    clearRateLimit,
+};
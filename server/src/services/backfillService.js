@@ -0,0 +1,254 @@
+/**
+ * Backfill Service
+ * Ingests arbitrary date ranges from NeoWs in 7-day windows.
+ * Progress is persisted per window so a failed or interrupted job resumes
+ * where it stopped, and reported to the requesting admin over Socket.IO.
+ */
+
+import { fetchNeoFeed, flattenNeoFeed, formatDate } from './nasaService.js';
+import { processAndStoreAsteroids } from './scheduler.js';
+import { BackfillJob } from '../models/index.js';
+
+const WINDOW_DAYS = 7; // NeoWs feed limit
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CHUNK_DELAY_MS = parseInt(process.env.BACKFILL_DELAY_MS) || 2000;
+const RATE_LIMIT_WAIT_MS = parseInt(process.env.BACKFILL_RATE_LIMIT_WAIT_MS) || 60000;
+const MAX_ATTEMPTS = 3;
+// Longest range one job may cover (~53 windows at the default)
+export const MAX_BACKFILL_DAYS = parseInt(process.env.BACKFILL_MAX_DAYS) || 366;
+
+let activeJobId = null;
+const cancelRequests = new Set();
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Normalize a date (or YYYY-MM-DD string) to UTC midnight
+ */
+const toUTCDay = (date) => {
+    const day = new Date(date);
+    day.setUTCHours(0, 0, 0, 0);
+    return day;
+};
+
+/**
+ * Split an inclusive date range into consecutive windows of at most N days
+ * @param {Date|string} startDate - First day
+ * @param {Date|string} endDate - Last day (inclusive)
+ * @param {number} windowDays - Max days per window (default: 7)
+ * @returns {Array} [{ startDate, endDate }, ...]
+ */
+export const splitIntoWindows = (startDate, endDate, windowDays = WINDOW_DAYS) => {
+    const windows = [];
+    const last = toUTCDay(endDate);
+    let cursor = toUTCDay(startDate);
+
+    while (cursor <= last) {
+        const windowEnd = new Date(Math.min(cursor.getTime() + (windowDays - 1) * DAY_MS, last.getTime()));
+        windows.push({ startDate: cursor, endDate: windowEnd });
+        cursor = new Date(windowEnd.getTime() + DAY_MS);
+    }
+
+    return windows;
+};
+
+/**
+ * Send a progress event to the admin who requested the job
+ */
+const emitProgress = (io, job, event, extra = {}) => {
+    if (!io || !job.requestedBy) return;
+
+    io.to(`user:${job.requestedBy}`).emit('BACKFILL_PROGRESS', {
+        jobId: job._id,
+        event,
+        status: job.status,
+        range: {
+            start: formatDate(job.startDate),
+            end: formatDate(job.endDate),
+        },
+        progress: job.progress,
+        stats: job.stats,
+        error: job.lastError,
+        ...extra,
+        timestamp: new Date(),
+    });
+};
+
+/**
+ * Fetch one window, retrying with a growing wait when NASA rate-limits us
+ */
+const fetchWindow = async (io, job, chunk) => {
+    for (let attempt = 1; ; attempt++) {
+        chunk.attempts++;
+        const result = await fetchNeoFeed(chunk.startDate, chunk.endDate);
+
+        if (result.success) return result;
+
+        const rateLimited = result.status === 429;
+        if (!rateLimited || attempt >= MAX_ATTEMPTS) {
+            throw new Error(result.error);
+        }
+
+        const waitMs = RATE_LIMIT_WAIT_MS * attempt;
+        console.warn(`⏳ Backfill rate-limited, retrying ${formatDate(chunk.startDate)} in ${waitMs / 1000}s`);
+        emitProgress(io, job, 'rate_limited', { retryInMs: waitMs });
+        await sleep(waitMs);
+    }
+};
+
+/**
+ * Run (or resume) a backfill job until every window is completed
+ * @param {string} jobId - BackfillJob id
+ * @param {Object} io - Socket.IO instance
+ */
+export const runBackfillJob = async (jobId, io) => {
+    if (activeJobId) {
+        console.warn(`⚠️ Backfill ${activeJobId} already running; ${jobId} not started`);
+        return null;
+    }
+
+    // Claim the slot before any await so concurrent requests can't both start
+    activeJobId = jobId.toString();
+
+    try {
+        const job = await BackfillJob.findById(jobId);
+        if (!job || job.status === 'completed') return job;
+
+        job.status = 'running';
+        job.lastError = undefined;
+        job.startedAt = job.startedAt || new Date();
+        await job.save();
+
+        console.log(`🗄️  Backfill ${job._id}: ${formatDate(job.startDate)} → ${formatDate(job.endDate)} (${job.chunks.length} windows)`);
+        emitProgress(io, job, 'started');
+
+        const pending = job.chunks.filter((chunk) => chunk.status !== 'completed');
+
+        for (const [index, chunk] of pending.entries()) {
+            if (cancelRequests.has(activeJobId)) {
+                job.status = 'cancelled';
+                job.finishedAt = new Date();
+                await job.save();
+                emitProgress(io, job, 'cancelled');
+                console.log(`🛑 Backfill ${job._id} cancelled`);
+                return job;
+            }
+
+            try {
+                const result = await fetchWindow(io, job, chunk);
+                const neos = flattenNeoFeed(result.near_earth_objects);
+
+                const stats = await processAndStoreAsteroids(neos, {
+                    broadcast: false,
+                    lookupDetails: job.options.lookupDetails,
+                    archivePast: true,
+                });
+
+                chunk.status = 'completed';
+                chunk.asteroidCount = neos.length;
+                chunk.error = undefined;
+                chunk.completedAt = new Date();
+
+                job.stats.asteroidsProcessed += stats.processed;
+                job.stats.archived += stats.archived;
+                job.stats.hazardous += stats.hazardous;
+                job.stats.errors += stats.errors;
+                await job.save();
+
+                emitProgress(io, job, 'window_completed', {
+                    window: {
+                        start: formatDate(chunk.startDate),
+                        end: formatDate(chunk.endDate),
+                        asteroids: neos.length,
+                    },
+                });
+            } catch (error) {
+                // Stop here; completed windows are kept and the job can be resumed
+                chunk.status = 'failed';
+                chunk.error = error.message;
+                job.status = 'failed';
+                job.lastError = `${formatDate(chunk.startDate)}: ${error.message}`;
+                job.finishedAt = new Date();
+                await job.save();
+
+                console.error(`❌ Backfill ${job._id} failed at ${formatDate(chunk.startDate)}:`, error.message);
+                emitProgress(io, job, 'failed');
+                return job;
+            }
+
+            // Stay under NASA's hourly quota between windows
+            if (index < pending.length - 1) {
+                await sleep(CHUNK_DELAY_MS);
+            }
+        }
+
+        job.status = 'completed';
+        job.finishedAt = new Date();
+        await job.save();
+
+        console.log(`✅ Backfill ${job._id} complete: ${job.stats.asteroidsProcessed} asteroids`);
+        emitProgress(io, job, 'completed');
+        return job;
+    } finally {
+        cancelRequests.delete(activeJobId);
+        activeJobId = null;
+    }
+};
+
+/**
+ * Create a backfill job for a date range
+ * @param {Object} params - { startDate, endDate, requestedBy, lookupDetails }
+ * @returns {Promise<Object>} The saved BackfillJob
+ */
+export const createBackfillJob = async ({ startDate, endDate, requestedBy, lookupDetails = false }) => {
+    const windows = splitIntoWindows(startDate, endDate);
+
+    return BackfillJob.create({
+        startDate: toUTCDay(startDate),
+        endDate: toUTCDay(endDate),
+        requestedBy,
+        options: { lookupDetails },
+        chunks: windows,
+    });
+};
+
+/**
+ * Ask the running job to stop after its current window
+ * @returns {boolean} Whether the job was running
+ */
+export const cancelBackfillJob = (jobId) => {
+    if (activeJobId !== jobId.toString()) return false;
+    cancelRequests.add(activeJobId);
+    return true;
+};
+
+/**
+ * Id of the job currently running, if any
+ */
+export const getActiveBackfillJobId = () => activeJobId;
+
+/**
+ * Resume jobs left 'running' by a crash or restart
+ * @param {Object} io - Socket.IO instance
+ */
+export const resumeInterruptedBackfills = async (io) => {
+    try {
+        const interrupted = await BackfillJob.find({ status: 'running' }).sort({ createdAt: 1 });
+
+        for (const job of interrupted) {
+            console.log(`🔁 Resuming interrupted backfill ${job._id}`);
+            await runBackfillJob(job._id, io);
+        }
+    } catch (error) {
+        console.error('❌ Failed to resume backfills:', error.message);
+    }
+};
+
+export default {
+    splitIntoWindows,
+    createBackfillJob,
+    runBackfillJob,
+    cancelBackfillJob,
+    getActiveBackfillJobId,
+    resumeInterruptedBackfills,
+};
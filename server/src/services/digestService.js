@@ -0,0 +1,200 @@
+/**
+ * Alert Digest Service
+ * Users with alertSettings.deliveryMode 'daily' or 'weekly' have their
+ * close approach alerts held (digestStatus 'pending') instead of pushed one
+ * by one. The digest builder bundles them into a single 'digest' alert,
+ * grouped by severity and approach day, and sends that through the usual
+ * channels (Socket.IO, Web Push, email) at 08:00 in the user's timezone.
+ */
+
+import { User, Alert } from '../models/index.js';
+import { deliverOrDefer, alertEventFromAlert } from './alertDispatcher.js';
+import { getLocalParts } from '../utils/timezone.js';
+
+// Local hour digests go out, and the weekday for weekly ones (1 = Monday)
+const DIGEST_HOUR = 8;
+const WEEKLY_DIGEST_WEEKDAY = 1;
+
+const SEVERITY_ORDER = ['danger', 'warning', 'info'];
+
+const PERIOD_LABELS = {
+    daily: 'Daily',
+    weekly: 'Weekly',
+};
+
+const dayKey = (date, timeZone) => (date ? getLocalParts(new Date(date), timeZone).dateKey : 'unknown');
+
+/**
+ * Group held alerts by severity (danger first), then by approach day
+ * @param {Array} alerts - Alert documents
+ * @param {string} timeZone - Day boundaries for grouping (user's timezone)
+ * @returns {Object} { groups, counts, severity }
+ */
+export const buildDigestGroups = (alerts, timeZone = 'UTC') => {
+    const counts = { danger: 0, warning: 0, info: 0 };
+    const byKey = new Map();
+
+    for (const alert of alerts) {
+        const severity = SEVERITY_ORDER.includes(alert.severity) ? alert.severity : 'info';
+        const approachDate = alert.data?.closeApproachDate || alert.eventDate;
+        const date = dayKey(approachDate, timeZone);
+        const key = `${severity}|${date}`;
+
+        counts[severity]++;
+        if (!byKey.has(key)) {
+            byKey.set(key, { severity, date, alerts: [] });
+        }
+        byKey.get(key).alerts.push({
+            alertId: alert._id,
+            asteroidId: alert.asteroidId,
+            asteroidName: alert.asteroidName,
+            riskScore: alert.data?.riskScore,
+            missDistanceLunar: alert.data?.missDistanceLunar,
+            closeApproachDate: approachDate,
+        });
+    }
+
+    const groups = [...byKey.values()].sort((a, b) =>
+        SEVERITY_ORDER.indexOf(a.severity) - SEVERITY_ORDER.indexOf(b.severity) ||
+        a.date.localeCompare(b.date)
+    );
+
+    // Closest approaches first within a day
+    for (const group of groups) {
+        group.alerts.sort((a, b) => (a.missDistanceLunar ?? Infinity) - (b.missDistanceLunar ?? Infinity));
+    }
+
+    return {
+        groups,
+        counts,
+        severity: SEVERITY_ORDER.find((level) => counts[level] > 0) || 'info',
+    };
+};
+
+const describeCounts = (counts) => SEVERITY_ORDER
+    .filter((level) => counts[level] > 0)
+    .map((level) => `${counts[level]} ${level}`)
+    .join(', ');
+
+/**
+ * Bundle one user's held alerts into a digest and deliver it
+ * @param {Object} user - User document
+ * @param {string} period - 'daily' | 'weekly'
+ * @param {Object} io - Socket.IO instance
+ * @returns {Promise<Object|null>} The digest alert, or null when nothing was held
+ */
+export const sendDigestForUser = async (user, period, io) => {
+    const held = await Alert.find({ userId: user._id, digestStatus: 'pending' }).sort({ eventDate: 1 });
+    if (held.length === 0) return null;
+
+    const { groups, counts, severity } = buildDigestGroups(held, user.alertSettings?.timezone);
+    const label = PERIOD_LABELS[period] || PERIOD_LABELS.daily;
+    const plural = held.length === 1 ? 'close approach' : 'close approaches';
+
+    const digest = await Alert.create({
+        userId: user._id,
+        type: 'digest',
+        severity,
+        title: `📋 ${label} Alert Digest: ${held.length} ${plural}`,
+        message: `${held.length} ${plural} matched your alert settings (${describeCounts(counts)}).`,
+        eventDate: held[0].eventDate,
+        digest: {
+            period,
+            periodStart: held.reduce((min, a) => (a.createdAt < min ? a.createdAt : min), held[0].createdAt),
+            periodEnd: new Date(),
+            alertCount: held.length,
+            counts,
+            groups,
+        },
+    });
+
+    // Mark before delivering so a slow channel can't get them bundled twice
+    await Alert.updateMany(
+        { _id: { $in: held.map((alert) => alert._id) } },
+        { digestStatus: 'sent', digestId: digest._id }
+    );
+
+    const { event, payload } = alertEventFromAlert(digest);
+    await deliverOrDefer(user, digest, io, event, payload);
+
+    console.log(`📋 ${label} digest sent to ${user.email}: ${held.length} alerts`);
+    return digest;
+};
+
+/**
+ * Digest schedule for a user: weekly users get weekly digests; everyone else
+ * with held alerts (daily users, or users who switched back to immediate
+ * after alerts were held) gets a daily one
+ */
+const digestPeriodFor = (user) => (user.alertSettings?.deliveryMode === 'weekly' ? 'weekly' : 'daily');
+
+/**
+ * Whether a user's digest is due in the hour containing `now`, in their timezone
+ */
+export const isDigestDue = (user, now = new Date()) => {
+    const { hour, weekday } = getLocalParts(now, user.alertSettings?.timezone);
+    if (hour !== DIGEST_HOUR) return false;
+    return digestPeriodFor(user) !== 'weekly' || weekday === WEEKLY_DIGEST_WEEKDAY;
+};
+
+/**
+ * Send a digest to each user with held alerts that passes the filter
+ */
+const runDigests = async (filter, io, label) => {
+    const stats = { digestsSent: 0, alertsBundled: 0 };
+
+    try {
+        const userIds = await Alert.distinct('userId', { digestStatus: 'pending' });
+        if (userIds.length === 0) return stats;
+
+        const users = (await User.find({ _id: { $in: userIds } })).filter(filter);
+
+        for (const user of users) {
+            try {
+                const digest = await sendDigestForUser(user, digestPeriodFor(user), io);
+                if (digest) {
+                    stats.digestsSent++;
+                    stats.alertsBundled += digest.digest.alertCount;
+                }
+            } catch (error) {
+                console.error(`❌ Digest for ${user.email} failed:`, error.message);
+            }
+        }
+
+        console.log(`✅ ${label}: ${stats.digestsSent} sent, ${stats.alertsBundled} alerts bundled`);
+    } catch (error) {
+        console.error(`❌ ${label} failed:`, error);
+    }
+
+    return stats;
+};
+
+/**
+ * Hourly run: send digests to users for whom it is now 08:00 local time
+ * (Mondays only for weekly digests)
+ * @param {Object} io - Socket.IO instance
+ * @param {Date} now - Current time (for tests)
+ * @returns {Promise<Object>} { digestsSent, alertsBundled }
+ */
+export const sendScheduledDigests = async (io, now = new Date()) => {
+    return runDigests((user) => isDigestDue(user, now), io, 'Scheduled digests');
+};
+
+/**
+ * Send digests for one schedule right away, whatever the local time
+ * (admin trigger)
+ * @param {string} period - 'daily' | 'weekly'
+ * @param {Object} io - Socket.IO instance
+ * @returns {Promise<Object>} { digestsSent, alertsBundled }
+ */
+export const sendDigests = async (period, io) => {
+    return runDigests((user) => digestPeriodFor(user) === period, io, `${PERIOD_LABELS[period]} digests`);
+};
+
+export default {
+    buildDigestGroups,
+    isDigestDue,
+    sendDigestForUser,
+    sendScheduledDigests,
+    sendDigests,
+};
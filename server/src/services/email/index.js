@@ -0,0 +1,91 @@
+/**
+ * Email Service
+ * Renders templates and hands messages to the configured transport
+ * (see transports.js). Failures are logged and reported as false so a
+ * broken mail server never blocks alert dispatch.
+ */
+
+import { createTransport } from './transports.js';
+import { alertEmail, digestEmail, passwordResetEmail, verificationEmail } from './templates.js';
+
+const EMAIL_FROM = process.env.EMAIL_FROM || 'Astral Alerts <alerts@astral.local>';
+
+let transport = null;
+
+const getTransport = () => {
+    if (!transport) {
+        transport = createTransport();
+        console.log(`✉️  Email transport: ${transport.name}${transport.directory ? ` (${transport.directory})` : ''}`);
+    }
+    return transport;
+};
+
+/**
+ * Swap the transport (e.g. createTransport('memory') in tests)
+ */
+export const setEmailTransport = (nextTransport) => {
+    transport = nextTransport;
+};
+
+export const isEmailEnabled = () => getTransport().name !== 'none';
+
+/**
+ * Send one message
+ * @param {Object} message - { to, subject, text, html }
+ * @returns {Promise<Object>} { messageId }; throws when delivery fails
+ */
+export const sendEmail = async (message) => {
+    return getTransport().send({ from: EMAIL_FROM, ...message });
+};
+
+/**
+ * Email an alert to its user
+ * @param {Object} user - User document (email, displayName)
+ * @param {Object} alert - Alert document (close approach or digest)
+ * @returns {Promise<boolean>} true only when the transport accepted the message
+ */
+export const sendAlertEmail = async (user, alert) => {
+    try {
+        if (!isEmailEnabled()) return false;
+
+        const template = alert.type === 'digest' ? digestEmail : alertEmail;
+        const { messageId } = await sendEmail({ to: user.email, ...template({ user, alert }) });
+        console.log(`✉️  Alert email sent to ${user.email} (${messageId})`);
+        return true;
+    } catch (error) {
+        console.error(`❌ Alert email to ${user.email} failed:`, error.message);
+        return false;
+    }
+};
+
+/**
+ * Email a password reset or verification link
+ * @param {string} kind - 'passwordReset' | 'verification'
+ * @param {Object} user - User document (email, displayName)
+ * @param {string} token - Raw single-use token
+ * @returns {Promise<boolean>} true only when the transport accepted the message
+ */
+export const sendAccountEmail = async (kind, user, token) => {
+    try {
+        if (!isEmailEnabled()) {
+            console.warn(`⚠️  Email is off; could not send ${kind} email to ${user.email}`);
+            return false;
+        }
+
+        const template = kind === 'passwordReset' ? passwordResetEmail : verificationEmail;
+        const { messageId } = await sendEmail({ to: user.email, ...template({ user, token }) });
+        console.log(`✉️  ${kind} email sent to ${user.email} (${messageId})`);
+        return true;
+    } catch (error) {
+        console.error(`❌ ${kind} email to ${user.email} failed:`, error.message);
+        return false;
+    }
+};
+
+export default {
+    sendEmail,
+    sendAlertEmail,
+    sendAccountEmail,
+    isEmailEnabled,
+    setEmailTransport,
+};
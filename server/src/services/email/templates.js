@@ -0,0 +1,238 @@
+/**
+ * Email Templates
+ * Each template returns { subject, text, html } so every message has a
+ * plain-text part for clients that don't render HTML.
+ */
+
+// Base URL for links back into the app
+export const CLIENT_URL = (
+    process.env.CLIENT_URL ||
+    (process.env.CORS_ORIGIN || 'http://localhost:5173').split(',')[0]
+).trim().replace(/\/$/, '');
+
+const SEVERITY_COLORS = {
+    info: '#3b82f6',
+    warning: '#f59e0b',
+    danger: '#ef4444',
+};
+
+const escapeHtml = (value) =>
+    String(value ?? '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;')
+        .replace(/'/g, '&#39;');
+
+// In the recipient's timezone, e.g. 'Oct 20, 2026, 7:31 AM (Europe/Berlin)'
+const formatDateTime = (date, timeZone = 'UTC') =>
+    date
+        ? new Date(date).toLocaleString('en-US', {
+            timeZone,
+            dateStyle: 'medium',
+            timeStyle: 'short',
+        }) + ` (${timeZone})`
+        : 'N/A';
+
+const formatNumber = (value, digits = 2) =>
+    typeof value === 'number' ? value.toFixed(digits) : 'N/A';
+
+const factTable = (rows) => `<table role="presentation" width="100%" style="border-collapse:collapse;">
+        ${rows.map(([label, value]) => `<tr>
+          <td style="padding:6px 0;color:#9ca3af;">${escapeHtml(label)}</td>
+          <td style="padding:6px 0;text-align:right;color:#fff;">${escapeHtml(value)}</td>
+        </tr>`).join('')}
+      </table>`;
+
+/**
+ * Shared HTML frame: heading bar in the severity color, sections of facts, footer link
+ * @param {Array} params.sections - [{ title?, color?, rows: [[label, value]] }]
+ */
+const layout = ({ heading, color, intro, sections, actionUrl, actionLabel, footer }) => `<!DOCTYPE html>
+<html>
+<body style="margin:0;padding:24px;background:#0b0f1a;font-family:Arial,Helvetica,sans-serif;color:#e5e7eb;">
+  <table role="presentation" width="100%" style="max-width:560px;margin:0 auto;background:#111827;border-radius:12px;overflow:hidden;">
+    <tr><td style="background:${color};padding:16px 24px;color:#fff;font-size:18px;font-weight:bold;">${escapeHtml(heading)}</td></tr>
+    <tr><td style="padding:24px;">
+      <p style="margin:0 0 16px;line-height:1.5;">${escapeHtml(intro)}</p>
+      ${sections.map(({ title, color: sectionColor, rows }) => `${title
+        ? `<h3 style="margin:20px 0 4px;font-size:14px;color:${sectionColor || '#fff'};">${escapeHtml(title)}</h3>`
+        : ''}
+      ${factTable(rows)}`).join('')}
+      <p style="margin:24px 0 0;"><a href="${escapeHtml(actionUrl)}" style="display:inline-block;padding:10px 18px;background:#22d3ee;color:#0b0f1a;border-radius:8px;text-decoration:none;font-weight:bold;">${escapeHtml(actionLabel)}</a></p>
+    </td></tr>
+    <tr><td style="padding:16px 24px;color:#6b7280;font-size:12px;">${escapeHtml(footer)}</td></tr>
+  </table>
+</body>
+</html>`;
+
+const SETTINGS_FOOTER = `You receive this because email alerts are on for your Astral account. Turn them off in Settings: ${CLIENT_URL}/settings`;
+
+/**
+ * Close approach / risk alert
+ * @param {Object} params
+ * @param {Object} params.user - Recipient (displayName)
+ * @param {Object} params.alert - Alert document
+ * @returns {Object} { subject, text, html }
+ */
+export const alertEmail = ({ user, alert }) => {
+    const data = alert.data || {};
+    const asteroidUrl = `${CLIENT_URL}/asteroid/${encodeURIComponent(alert.asteroidId)}`;
+    const rows = [
+        ['Close approach', formatDateTime(data.closeApproachDate || alert.eventDate, user.alertSettings?.timezone)],
+        ['Miss distance', `${formatNumber(data.missDistanceLunar)} LD (${Math.round(data.missDistanceKm || 0).toLocaleString('en-US')} km)`],
+        ['Velocity', `${formatNumber(data.velocity)} km/s`],
+        ['Estimated diameter', `${Math.round(data.diameter || 0)} m`],
+        ['Risk score', `${data.riskScore ?? 'N/A'}/100`],
+    ];
+
+    // Subject without the emoji prefix used in the dashboard title
+    const subject = `[Astral ${alert.severity}] ${alert.title.replace(/^\W+\s*/u, '')}`;
+
+    const text = [
+        `Hi ${user.displayName},`,
+        '',
+        alert.message,
+        '',
+        ...rows.map(([label, value]) => `${label}: ${value}`),
+        '',
+        `Details: ${asteroidUrl}`,
+        '',
+        '--',
+        SETTINGS_FOOTER,
+    ].join('\n');
+
+    const html = layout({
+        heading: alert.title,
+        color: SEVERITY_COLORS[alert.severity] || SEVERITY_COLORS.info,
+        intro: `Hi ${user.displayName}, ${alert.message}`,
+        sections: [{ rows }],
+        actionUrl: asteroidUrl,
+        actionLabel: `View ${alert.asteroidName}`,
+        footer: SETTINGS_FOOTER,
+    });
+
+    return { subject, text, html };
+};
+
+const SEVERITY_LABELS = {
+    danger: 'Danger',
+    warning: 'Warning',
+    info: 'Info',
+};
+
+/**
+ * Daily/weekly digest of held alerts
+ * @param {Object} params
+ * @param {Object} params.user - Recipient (displayName)
+ * @param {Object} params.alert - Alert document of type 'digest'
+ * @returns {Object} { subject, text, html }
+ */
+export const digestEmail = ({ user, alert }) => {
+    const alertsUrl = `${CLIENT_URL}/alerts`;
+    const sections = (alert.digest?.groups || []).map((group) => ({
+        title: `${SEVERITY_LABELS[group.severity] || group.severity} · approaching ${group.date}`,
+        color: SEVERITY_COLORS[group.severity],
+        rows: group.alerts.map((item) => [
+            item.asteroidName,
+            `${formatNumber(item.missDistanceLunar)} LD · risk ${item.riskScore ?? 'N/A'}/100`,
+        ]),
+    }));
+
+    const subject = `[Astral ${alert.severity}] ${alert.title.replace(/^\W+\s*/u, '')}`;
+
+    const text = [
+        `Hi ${user.displayName},`,
+        '',
+        alert.message,
+        ...sections.flatMap((section) => [
+            '',
+            section.title,
+            ...section.rows.map(([name, value]) => `  - ${name}: ${value}`),
+        ]),
+        '',
+        `All alerts: ${alertsUrl}`,
+        '',
+        '--',
+        SETTINGS_FOOTER,
+    ].join('\n');
+
+    const html = layout({
+        heading: alert.title,
+        color: SEVERITY_COLORS[alert.severity] || SEVERITY_COLORS.info,
+        intro: `Hi ${user.displayName}, ${alert.message}`,
+        sections,
+        actionUrl: alertsUrl,
+        actionLabel: 'Open alerts',
+        footer: SETTINGS_FOOTER,
+    });
+
+    return { subject, text, html };
+};
+
+const ACCOUNT_COLOR = '#22d3ee';
+
+// Shared shape of account emails: one message and one link
+const accountEmail = ({ user, subject, intro, actionUrl, actionLabel, footer }) => {
+    const text = [
+        `Hi ${user.displayName},`,
+        '',
+        intro,
+        '',
+        `${actionLabel}: ${actionUrl}`,
+        '',
+        '--',
+        footer,
+    ].join('\n');
+
+    const html = layout({
+        heading: subject,
+        color: ACCOUNT_COLOR,
+        intro: `Hi ${user.displayName}, ${intro}`,
+        sections: [],
+        actionUrl,
+        actionLabel,
+        footer,
+    });
+
+    return { subject: `[Astral] ${subject}`, text, html };
+};
+
+/**
+ * Password reset link
+ * @param {Object} params
+ * @param {Object} params.user - Recipient (displayName)
+ * @param {string} params.token - Raw reset token
+ * @returns {Object} { subject, text, html }
+ */
+export const passwordResetEmail = ({ user, token }) => accountEmail({
+    user,
+    subject: 'Reset your password',
+    intro: 'someone asked to reset the password for your Astral account. The link below works once and expires in 1 hour.',
+    actionUrl: `${CLIENT_URL}/reset-password?token=${encodeURIComponent(token)}`,
+    actionLabel: 'Choose a new password',
+    footer: 'If you did not ask for this, ignore this email. Your password stays the same.',
+});
+
+/**
+ * Email address verification link
+ * @param {Object} params
+ * @param {Object} params.user - Recipient (displayName)
+ * @param {string} params.token - Raw verification token
+ * @returns {Object} { subject, text, html }
+ */
+export const verificationEmail = ({ user, token }) => accountEmail({
+    user,
+    subject: 'Verify your email address',
+    intro: 'please confirm this is your email address. The link expires in 24 hours.',
+    actionUrl: `${CLIENT_URL}/verify-email?token=${encodeURIComponent(token)}`,
+    actionLabel: 'Verify email',
+    footer: 'If you did not create an Astral account, ignore this email.',
+});
+
+export default {
+    alertEmail,
+    digestEmail,
+    passwordResetEmail,
+    verificationEmail,
+};
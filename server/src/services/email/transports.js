@@ -0,0 +1,110 @@
+/**
+ * Email Transports
+ *
+ * Every transport exposes:
+ *   name                                   - 'smtp', 'file', 'memory' or 'none'
+ *   send({ from, to, subject, text, html }) - resolves { messageId } or throws
+ *
+ * 'file' writes each message to EMAIL_FILE_DIR (JSON + HTML preview) and
+ * 'memory' keeps them in process, so alerts can be checked offline. To try
+ * 'smtp' offline, point it at the mock server (npm run mock:smtp).
+ */
+
+import { mkdir, writeFile } from 'fs/promises';
+import path from 'path';
+import { randomUUID } from 'crypto';
+import nodemailer from 'nodemailer';
+
+const createSmtpTransport = () => {
+    const transporter = nodemailer.createTransport({
+        host: process.env.SMTP_HOST,
+        port: parseInt(process.env.SMTP_PORT) || 587,
+        secure: process.env.SMTP_SECURE === 'true',
+        auth: process.env.SMTP_USER
+            ? { user: process.env.SMTP_USER, pass: process.env.SMTP_PASS }
+            : undefined,
+    });
+
+    return {
+        name: 'smtp',
+        send: async (message) => {
+            const info = await transporter.sendMail(message);
+            return { messageId: info.messageId };
+        },
+    };
+};
+
+const createFileTransport = () => {
+    const directory = path.resolve(process.env.EMAIL_FILE_DIR || './mail-outbox');
+
+    return {
+        name: 'file',
+        directory,
+        send: async (message) => {
+            const messageId = `${Date.now()}-${randomUUID()}`;
+            await mkdir(directory, { recursive: true });
+            await writeFile(
+                path.join(directory, `${messageId}.json`),
+                JSON.stringify({ messageId, sentAt: new Date(), ...message }, null, 2)
+            );
+            if (message.html) {
+                await writeFile(path.join(directory, `${messageId}.html`), message.html);
+            }
+            return { messageId };
+        },
+    };
+};
+
+// Messages sent through the memory transport (newest last)
+const sentMessages = [];
+
+const createMemoryTransport = () => ({
+    name: 'memory',
+    send: async (message) => {
+        const messageId = randomUUID();
+        sentMessages.push({ messageId, sentAt: new Date(), ...message });
+        return { messageId };
+    },
+});
+
+const disabledTransport = {
+    name: 'none',
+    send: async () => {
+        throw new Error('Email is not configured (set EMAIL_TRANSPORT or SMTP_HOST)');
+    },
+};
+
+/**
+ * Build the transport named by EMAIL_TRANSPORT (default: smtp when SMTP_HOST is set).
+ * An unknown name disables email rather than failing every send.
+ */
+export const createTransport = (name = process.env.EMAIL_TRANSPORT || (process.env.SMTP_HOST ? 'smtp' : 'none')) => {
+    switch (name) {
+        case 'smtp':
+            return createSmtpTransport();
+        case 'file':
+            return createFileTransport();
+        case 'memory':
+            return createMemoryTransport();
+        case 'none':
+            return disabledTransport;
+        default:
+            console.warn(`⚠️  Unknown EMAIL_TRANSPORT "${name}"; email is disabled`);
+            return disabledTransport;
+    }
+};
+
+/**
+ * Messages captured by the memory transport
+ */
+export const getSentMessages = () => [...sentMessages];
+
+export const clearSentMessages = () => {
+    sentMessages.length = 0;
+};
+
+export default {
+    createTransport,
+    getSentMessages,
+    clearSentMessages,
+};
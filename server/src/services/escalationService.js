@@ -0,0 +1,291 @@
+/**
+ * Alert Workflow Service
+ * Acknowledge and snooze transitions, waking snoozed alerts, and escalating
+ * danger alerts nobody acknowledged to the owner's escalation contacts.
+ *
+ * Listing someone's email as a contact is only a request: the account with
+ * that email must accept it before escalations reach them, and the owner
+ * never learns whether an email they listed has an account.
+ */
+
+import { User, Alert } from '../models/index.js';
+import { deliverAlert, alertEventFromAlert } from './alertDispatcher.js';
+import { canUseFeature, verifiedUserFilter } from '../utils/verification.js';
+
+export const MAX_SNOOZE_MINUTES = 7 * 24 * 60;
+export const MAX_NOTE_LENGTH = 500;
+
+let workflowRunActive = false;
+
+/**
+ * Throw a 409 unless the workflow allows this action from the alert's status
+ */
+const assertTransition = (alert, action) => {
+    if (!alert.canTransition(action)) {
+        const error = new Error(`Cannot ${action} an alert that is ${alert.status}`);
+        error.status = 409;
+        throw error;
+    }
+};
+
+/**
+ * Acknowledge an alert. Escalated alerts and their copies share one state,
+ * so acknowledging any of them acknowledges them all.
+ * @param {Object} alert - Alert document owned by the user
+ * @param {Object} user - { id, displayName } of whoever acknowledged
+ * @param {string} note - Optional note
+ * @returns {Promise<Object>} The updated alert
+ */
+export const acknowledgeAlert = async (alert, user, note) => {
+    assertTransition(alert, 'acknowledge');
+
+    const rootId = alert.escalation?.sourceAlertId || alert._id;
+    const trimmedNote = typeof note === 'string' ? note.trim().slice(0, MAX_NOTE_LENGTH) : '';
+    const at = new Date();
+    const acknowledgement = {
+        at,
+        by: user.id,
+        byName: user.displayName,
+        ...(trimmedNote && { note: trimmedNote }),
+    };
+
+    await Alert.updateMany(
+        {
+            $or: [{ _id: rootId }, { 'escalation.sourceAlertId': rootId }],
+            status: { $ne: 'acknowledged' },
+        },
+        {
+            $set: { status: 'acknowledged', acknowledgement, isRead: true },
+            $unset: { snoozedUntil: 1, escalateAt: 1 },
+            $push: { history: { action: 'acknowledged', ...acknowledgement } },
+        }
+    );
+
+    return Alert.findById(alert._id);
+};
+
+/**
+ * Snooze an alert: it leaves the unread list until `until`, then comes back.
+ * Snoozing does not stop the escalation clock.
+ * @returns {Promise<Object>} The updated alert
+ */
+export const snoozeAlert = async (alert, user, until) => {
+    assertTransition(alert, 'snooze');
+
+    alert.status = 'snoozed';
+    alert.snoozedUntil = until;
+    alert.history.push({ action: 'snoozed', by: user.id, byName: user.displayName, note: `until ${until.toISOString()}` });
+    return alert.save();
+};
+
+/**
+ * End a snooze early
+ * @returns {Promise<Object>} The updated alert
+ */
+export const unsnoozeAlert = async (alert, user) => {
+    assertTransition(alert, 'unsnooze');
+
+    alert.status = 'open';
+    alert.snoozedUntil = undefined;
+    alert.history.push({ action: 'unsnoozed', by: user.id, byName: user.displayName });
+    return alert.save();
+};
+
+/**
+ * Hand an unacknowledged danger alert to the owner's escalation contacts.
+ * Each contact gets a copy through their own channels.
+ * @returns {Promise<number>} Copies sent
+ */
+const escalateAlert = async (alert, io) => {
+    const owner = await User.findById(alert.userId);
+    const escalation = owner?.alertSettings?.escalation;
+    const contacts = (escalation?.contacts || []).filter((email) => email !== owner?.email);
+
+    const teammates = contacts.length > 0
+        ? await User.find({
+            email: { $in: contacts },
+            escalationAcceptedFrom: owner._id,
+            ...verifiedUserFilter('alerts'),
+        })
+        : [];
+
+    alert.status = 'escalated';
+    alert.escalateAt = undefined;
+    alert.snoozedUntil = undefined;
+    alert.escalation = { escalatedAt: new Date() };
+    alert.history.push({
+        action: 'escalated',
+        note: teammates.length > 0
+            ? `Escalated to ${teammates.map((t) => t.displayName).join(', ')}`
+            : 'No escalation contact has accepted yet',
+    });
+    await alert.save();
+
+    const minutes = escalation?.afterMinutes || 30;
+    for (const teammate of teammates) {
+        try {
+            const copy = await Alert.create({
+                userId: teammate._id,
+                asteroidId: alert.asteroidId,
+                asteroidName: alert.asteroidName,
+                type: alert.type,
+                severity: alert.severity,
+                title: `⏫ Escalated: ${alert.title}`,
+                message: `${owner.displayName} has not acknowledged this alert for ${minutes} minutes. ${alert.message}`,
+                data: alert.data,
+                changes: alert.changes,
+                eventDate: alert.eventDate,
+                status: 'escalated',
+                escalation: { sourceAlertId: alert._id, fromName: owner.displayName },
+            });
+
+            // Escalations are urgent, so they skip digests and quiet hours
+            const { event, payload } = alertEventFromAlert(copy);
+            await deliverAlert(teammate, copy, io, event, payload);
+        } catch (error) {
+            console.error(`❌ Failed to escalate alert ${alert._id} to ${teammate.email}:`, error.message);
+        }
+    }
+
+    console.log(`⏫ Escalated "${alert.title}" from ${owner?.email} to ${teammates.length} contacts`);
+    return teammates.length;
+};
+
+// ========== ESCALATION CONTACTS ==========
+
+/**
+ * The owner's contacts and whether each has accepted. Pending covers both
+ * "not yet accepted" and "no such account".
+ * @param {Object} owner - User document
+ * @returns {Promise<Array>} [{ email, accepted }]
+ */
+export const listEscalationContacts = async (owner) => {
+    const contacts = owner.alertSettings?.escalation?.contacts || [];
+    if (contacts.length === 0) return [];
+
+    const accepted = await User.find({
+        email: { $in: contacts },
+        escalationAcceptedFrom: owner._id,
+        ...verifiedUserFilter('alerts'),
+    }).select('email').lean();
+    const acceptedEmails = new Set(accepted.map((user) => user.email));
+
+    return contacts.map((email) => ({ email, accepted: acceptedEmails.has(email) }));
+};
+
+/**
+ * People who listed this user as an escalation contact
+ * @param {Object} user - User document
+ * @returns {Promise<Array>} [{ userId, displayName, email, accepted }]
+ */
+export const listEscalationRequests = async (user) => {
+    const owners = await User.find({ 'alertSettings.escalation.contacts': user.email })
+        .select('displayName email')
+        .lean();
+    const acceptedFrom = new Set((user.escalationAcceptedFrom || []).map(String));
+
+    return owners
+        .filter((owner) => String(owner._id) !== String(user._id))
+        .map((owner) => ({
+            userId: owner._id,
+            displayName: owner.displayName,
+            email: owner.email,
+            accepted: acceptedFrom.has(String(owner._id)),
+        }));
+};
+
+/**
+ * Accept or stop receiving another user's escalations
+ * @param {Object} user - User document of the contact
+ * @param {string} ownerId - Who listed them
+ * @param {boolean} accept
+ * @throws {Error} 403 when the contact can't receive alerts, 404 when the owner didn't list them
+ */
+export const setEscalationAcceptance = async (user, ownerId, accept) => {
+    if (!accept) {
+        await User.updateOne({ _id: user._id }, { $pull: { escalationAcceptedFrom: ownerId } });
+        return;
+    }
+
+    if (!canUseFeature(user, 'alerts')) {
+        const error = new Error('Verify your email address before accepting escalations');
+        error.status = 403;
+        throw error;
+    }
+
+    const owner = await User.exists({ _id: ownerId, 'alertSettings.escalation.contacts': user.email });
+    if (!owner || String(ownerId) === String(user._id)) {
+        const error = new Error('Escalation request not found');
+        error.status = 404;
+        throw error;
+    }
+
+    await User.updateOne({ _id: user._id }, { $addToSet: { escalationAcceptedFrom: ownerId } });
+};
+
+/**
+ * Wake snoozed alerts whose time is up and escalate overdue danger alerts
+ * (run by the scheduler)
+ * @param {Object} io - Socket.IO instance
+ * @returns {Promise<Object>} { woken, escalated }
+ */
+export const processAlertWorkflow = async (io) => {
+    const stats = { woken: 0, escalated: 0 };
+    if (workflowRunActive) return stats;
+    workflowRunActive = true;
+
+    try {
+        const now = new Date();
+
+        const overdue = await Alert.find({
+            escalateAt: { $lte: now },
+            status: { $in: ['open', 'snoozed'] },
+        }).limit(200);
+        for (const alert of overdue) {
+            await escalateAlert(alert, io);
+            stats.escalated++;
+        }
+
+        const snoozed = await Alert.find({ status: 'snoozed', snoozedUntil: { $lte: now } }).limit(500);
+        if (snoozed.length > 0) {
+            const users = await User.find({ _id: { $in: [...new Set(snoozed.map((a) => String(a.userId)))] } });
+            const userById = new Map(users.map((u) => [String(u._id), u]));
+
+            for (const alert of snoozed) {
+                alert.status = 'open';
+                alert.snoozedUntil = undefined;
+                alert.isRead = false;
+                alert.history.push({ action: 'unsnoozed', note: 'Snooze ended' });
+                await alert.save();
+
+                // Remind the owner now that the snooze is over
+                const user = userById.get(String(alert.userId));
+                if (user) {
+                    const { event, payload } = alertEventFromAlert(alert);
+                    await deliverAlert(user, alert, io, event, payload);
+                }
+                stats.woken++;
+            }
+        }
+
+        if (stats.woken || stats.escalated) {
+            console.log(`⏰ Alert workflow: ${stats.woken} snoozes ended, ${stats.escalated} alerts escalated`);
+        }
+    } catch (error) {
+        console.error('❌ Alert workflow run failed:', error.message);
+    } finally {
+        workflowRunActive = false;
+    }
+
+    return stats;
+};
+
+export default {
+    acknowledgeAlert,
+    snoozeAlert,
+    unsnoozeAlert,
+    processAlertWorkflow,
+    listEscalationContacts,
+    listEscalationRequests,
+    setEscalationAcceptance,
+};
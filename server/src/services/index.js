@@ -1,9 +1,13 @@
 export { default as nasaService } from './nasaService.js';
 export { default as riskEngine } from './riskEngine.js';
+export { default as riskModelService } from './riskModelService.js';
 export { default as alertDispatcher } from './alertDispatcher.js';
 export { default as scheduler } from './scheduler.js';
+export { default as backfillService } from './backfillService.js';
 
 export * from './nasaService.js';
 export * from './riskEngine.js';
+export * from './riskModelService.js';
 export * from './alertDispatcher.js';
 export * from './scheduler.js';
+export * from './backfillService.js';
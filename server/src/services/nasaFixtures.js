@@ -0,0 +1,142 @@
+/**
+ * NASA NeoWs Fixtures
+ * Replays recorded feed, lookup and browse responses from disk.
+ * Used by nasaService when NASA_MODE=fixture and by the mock NASA server.
+ *
+ * Fixtures were recorded on manifest.recordedOn; every approach date is
+ * shifted by whole days so that date lands on the current UTC day and the
+ * recorded feed always describes "this week".
+ */
+
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+export const FIXTURES_DIR = process.env.NASA_FIXTURES_DIR
+    ? path.resolve(process.env.NASA_FIXTURES_DIR)
+    : fileURLToPath(new URL('../../fixtures/nasa', import.meta.url));
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+const loaded = new Map();
+
+const notFound = (message) => {
+    const error = new Error(message);
+    error.status = 404;
+    return error;
+};
+
+const loadFixture = async (name) => {
+    if (!loaded.has(name)) {
+        const file = path.join(FIXTURES_DIR, `${name}.json`);
+        const body = readFile(file, 'utf8').then(JSON.parse);
+        // Don't cache failed reads; the file may be added later
+        body.catch(() => loaded.delete(name));
+        loaded.set(name, body);
+    }
+    try {
+        return structuredClone(await loaded.get(name));
+    } catch {
+        throw notFound(`No fixture for ${name}`);
+    }
+};
+
+/**
+ * Milliseconds between the recording day and today (UTC), in whole days
+ */
+const replayOffset = async () => {
+    const { recordedOn } = await loadFixture('manifest');
+    const today = new Date();
+    today.setUTCHours(0, 0, 0, 0);
+    return Math.round((today.getTime() - Date.parse(recordedOn)) / DAY_MS) * DAY_MS;
+};
+
+const shiftDate = (dateStr, offset) => new Date(Date.parse(dateStr) + offset).toISOString().split('T')[0];
+
+const shiftApproach = (approach, offset) => {
+    const date = new Date(approach.epoch_date_close_approach + offset);
+    const time = date.toISOString().slice(11, 16);
+    return {
+        ...approach,
+        close_approach_date: shiftDate(approach.close_approach_date, offset),
+        close_approach_date_full:
+            `${date.getUTCFullYear()}-${MONTHS[date.getUTCMonth()]}-${String(date.getUTCDate()).padStart(2, '0')} ${time}`,
+        epoch_date_close_approach: date.getTime(),
+    };
+};
+
+const shiftNeo = (neo, offset) => ({
+    ...neo,
+    close_approach_data: (neo.close_approach_data || []).map((approach) => shiftApproach(approach, offset)),
+});
+
+const replayFeed = async ({ start_date: start, end_date: end = start }) => {
+    if (!start) {
+        const error = new Error('start_date is required');
+        error.status = 400;
+        throw error;
+    }
+
+    const [recorded, offset] = await Promise.all([loadFixture('feed'), replayOffset()]);
+    const nearEarthObjects = {};
+    let count = 0;
+
+    for (const [recordedDate, neos] of Object.entries(recorded.near_earth_objects)) {
+        const date = shiftDate(recordedDate, offset);
+        if (date < start || date > end) continue;
+        nearEarthObjects[date] = neos.map((neo) => shiftNeo(neo, offset));
+        count += neos.length;
+    }
+
+    return { links: {}, element_count: count, near_earth_objects: nearEarthObjects };
+};
+
+const replayBrowse = async ({ page = 0, size = 20 }) => {
+    const [recorded, offset] = await Promise.all([loadFixture('browse'), replayOffset()]);
+    const pageNumber = Math.max(0, parseInt(page) || 0);
+    const pageSize = Math.min(20, Math.max(1, parseInt(size) || 20));
+    const all = recorded.near_earth_objects;
+
+    return {
+        links: {},
+        page: {
+            size: pageSize,
+            total_elements: all.length,
+            total_pages: Math.ceil(all.length / pageSize),
+            number: pageNumber,
+        },
+        near_earth_objects: all
+            .slice(pageNumber * pageSize, (pageNumber + 1) * pageSize)
+            .map((neo) => shiftNeo(neo, offset)),
+    };
+};
+
+const replayLookup = async (asteroidId) => {
+    if (!/^\d+$/.test(asteroidId)) {
+        throw notFound(`No fixture for asteroid ${asteroidId}`);
+    }
+    const [neo, offset] = await Promise.all([loadFixture(`neo/${asteroidId}`), replayOffset()]);
+    return shiftNeo(neo, offset);
+};
+
+/**
+ * Answer a NeoWs request from fixtures
+ * @param {string} requestPath - e.g. '/feed', '/neo/browse' or '/neo/3542519'
+ * @param {Object} params - Query params as sent to NeoWs
+ * @returns {Promise<Object>} Response body; throws with error.status like a live request
+ */
+export const fixtureResponse = async (requestPath, params = {}) => {
+    if (requestPath === '/feed') return replayFeed(params);
+    if (requestPath === '/neo/browse') return replayBrowse(params);
+
+    const lookup = requestPath.match(/^\/neo\/([^/]+)$/);
+    if (lookup) return replayLookup(decodeURIComponent(lookup[1]));
+
+    throw notFound(`No fixture route for ${requestPath}`);
+};
+
+export default {
+    FIXTURES_DIR,
+    fixtureResponse,
+};
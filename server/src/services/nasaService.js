@@ -2,47 +2,300 @@
  * NASA NeoWs API Service
  * Fetches Near-Earth Object data from NASA's API
  * API Docs: https://api.nasa.gov/
+ *
+ * All requests go through one queue that tracks X-RateLimit-* headers,
+ * retries transient failures with exponential backoff and caches
+ * responses in MongoDB keyed by URL.
+ *
+ * NASA_MODE=fixture answers every request from recorded responses in
+ * server/fixtures/nasa instead (see nasaFixtures.js), for offline work.
+ *
+ * Failed requests throw with error.code set to one of NASA_ERRORS, so callers
+ * can tell an exhausted quota from an unknown asteroid or an outage.
  */
 
+import { NasaCache } from '../models/index.js';
+import { fixtureResponse } from './nasaFixtures.js';
+import { isLocalReferenceId } from '../utils/designation.js';
+
 const NASA_API_BASE = process.env.NASA_API_BASE_URL || 'https://api.nasa.gov/neo/rest/v1';
 const NASA_API_KEY = process.env.NASA_API_KEY || 'DEMO_KEY';
 
+const MAX_RETRIES = parseInt(process.env.NASA_MAX_RETRIES) || 3;
+const RETRY_BASE_MS = parseInt(process.env.NASA_RETRY_BASE_MS) || 1000;
+// How long to pause once NASA reports no quota left (it resets on a rolling hour)
+const QUOTA_COOLDOWN_MS = parseInt(process.env.NASA_QUOTA_COOLDOWN_MS) || 10 * 60 * 1000;
+// Callers fail fast instead of queueing behind a pause longer than this
+const MAX_QUEUE_WAIT_MS = 30 * 1000;
+// Longest Retry-After honoured inside the queue; a longer one fails the request
+const MAX_RETRY_AFTER_MS = 5 * 1000;
+export const NASA_MODE = process.env.NASA_MODE === 'fixture' ? 'fixture' : 'live';
+const CACHE_ENABLED = process.env.NASA_CACHE !== 'off' && NASA_MODE === 'live';
+
+// Cache lifetimes per endpoint
+const CACHE_TTL_MS = {
+    feed: 60 * 60 * 1000, // 1 hour
+    lookup: 12 * 60 * 60 * 1000, // 12 hours
+    browse: 24 * 60 * 60 * 1000, // 24 hours
+};
+
+// Last seen quota from X-RateLimit-* headers
+const rateLimit = {
+    limit: null,
+    remaining: null,
+    updatedAt: null,
+    pausedUntil: null,
+};
+
+export const NASA_ERRORS = {
+    QUOTA: 'NASA_QUOTA', // 429, or paused until the quota resets
+    NOT_FOUND: 'NASA_NOT_FOUND', // 404: no such asteroid
+    REQUEST: 'NASA_REQUEST', // other 4xx, e.g. a bad API key or date range
+    NETWORK: 'NASA_NETWORK', // no response, timeout or 5xx
+};
+
+const requestStats = {
+    requests: 0,
+    cacheHits: 0,
+    retries: 0,
+    failures: 0,
+};
+
+let queueTail = Promise.resolve();
+let queueLength = 0;
+
+const sleep = (ms) => new Promise((resolve) => setTimeout(resolve, ms));
+
+/**
+ * Set error.code from the HTTP status (none means the request never got an answer)
+ */
+const classifyError = (error) => {
+    if (error.status === 429) error.code = NASA_ERRORS.QUOTA;
+    else if (error.status === 404) error.code = NASA_ERRORS.NOT_FOUND;
+    else if (error.status >= 400 && error.status < 500) error.code = NASA_ERRORS.REQUEST;
+    else error.code = NASA_ERRORS.NETWORK;
+    return error;
+};
+
 /**
  * Format date to YYYY-MM-DD
  */
-const formatDate = (date) => {
+export const formatDate = (date) => {
     return date.toISOString().split('T')[0];
 };
 
 /**
- * Fetch NEO feed for a date range
- * @param {Date} startDate - Start date
- * @param {Date} endDate - End date (max 7 days from start)
- * @returns {Promise<Object>} NASA API response
+ * Current NASA quota, queue and cache counters (for admin diagnostics)
  */
-export const fetchNeoFeed = async (startDate = new Date(), endDate = null) => {
-    try {
-        // Default end date is same as start date
-        if (!endDate) {
-            endDate = new Date(startDate);
+export const getRateLimitStatus = () => ({
+    mode: NASA_MODE,
+    ...rateLimit,
+    paused: Boolean(rateLimit.pausedUntil && rateLimit.pausedUntil > new Date()),
+    queued: queueLength,
+    ...requestStats,
+});
+
+/**
+ * Run tasks one at a time so every caller shares the same quota view
+ */
+const enqueue = (task) => {
+    queueLength++;
+    const run = queueTail.then(task).finally(() => {
+        queueLength--;
+    });
+    queueTail = run.catch(() => {});
+    return run;
+};
+
+/**
+ * Pause the queue until a given time
+ */
+const pauseUntil = (date) => {
+    if (!rateLimit.pausedUntil || date > rateLimit.pausedUntil) {
+        rateLimit.pausedUntil = date;
+    }
+};
+
+/**
+ * Record quota headers; pause when nothing is left
+ */
+const trackRateLimit = (response) => {
+    const limit = parseInt(response.headers.get('x-ratelimit-limit'));
+    const remaining = parseInt(response.headers.get('x-ratelimit-remaining'));
+    if (Number.isNaN(remaining)) return;
+
+    rateLimit.limit = Number.isNaN(limit) ? rateLimit.limit : limit;
+    rateLimit.remaining = remaining;
+    rateLimit.updatedAt = new Date();
+
+    if (remaining <= 0) {
+        console.warn(`⏳ NASA quota exhausted, pausing requests for ${QUOTA_COOLDOWN_MS / 60000} min`);
+        pauseUntil(new Date(Date.now() + QUOTA_COOLDOWN_MS));
+    } else if (rateLimit.limit && remaining <= rateLimit.limit * 0.1) {
+        console.warn(`⚠️ NASA quota low: ${remaining}/${rateLimit.limit} requests left`);
+    }
+};
+
+/**
+ * Delay before the next retry: Retry-After when NASA sends it, else 1s, 2s, 4s... with jitter.
+ * A Retry-After above MAX_RETRY_AFTER_MS is returned as-is; the caller gives up instead of waiting.
+ */
+const retryDelay = (attempt, response) => {
+    const retryAfter = parseInt(response?.headers.get('retry-after'));
+    if (!Number.isNaN(retryAfter)) return retryAfter * 1000;
+    return RETRY_BASE_MS * 2 ** attempt + Math.floor(Math.random() * RETRY_BASE_MS);
+};
+
+const isRetryable = (status) => !status || status === 429 || status >= 500;
+
+/**
+ * Fetch a URL with retries; runs inside the queue
+ */
+const fetchWithRetry = async (url) => {
+    for (let attempt = 0; ; attempt++) {
+        // Respect a pause set by an earlier response
+        const waitMs = rateLimit.pausedUntil ? rateLimit.pausedUntil - Date.now() : 0;
+        if (waitMs > MAX_QUEUE_WAIT_MS) {
+            const error = new Error(`NASA API rate limit reached; retry after ${rateLimit.pausedUntil.toISOString()}`);
+            error.status = 429;
+            throw error;
         }
+        if (waitMs > 0) await sleep(waitMs);
+
+        let response;
+        try {
+            requestStats.requests++;
+            response = await fetch(url);
+            trackRateLimit(response);
+
+            if (response.ok) {
+                return await response.json();
+            }
+
+            const error = new Error(`NASA API error: ${response.status} ${response.statusText}`);
+            error.status = response.status;
+            throw error;
+        } catch (error) {
+            if (!isRetryable(error.status) || attempt >= MAX_RETRIES) {
+                requestStats.failures++;
+                throw error;
+            }
 
-        const start = formatDate(startDate);
-        const end = formatDate(endDate);
+            const delay = retryDelay(attempt, response);
+            if (error.status === 429) {
+                pauseUntil(new Date(Date.now() + delay));
+            }
+            // Don't hold the shared queue for a long Retry-After; the pause above
+            // makes later callers fail fast until it has passed
+            if (delay > MAX_RETRY_AFTER_MS) {
+                requestStats.failures++;
+                throw error;
+            }
+
+            requestStats.retries++;
+            console.warn(`🔁 ${error.message} — retry ${attempt + 1}/${MAX_RETRIES} in ${delay}ms`);
+            await sleep(delay);
+        }
+    }
+};
+
+const readCache = async (key) => {
+    if (!CACHE_ENABLED) return null;
+    try {
+        const entry = await NasaCache.findOne({ key, expiresAt: { $gt: new Date() } }).lean();
+        return entry?.body ?? null;
+    } catch (error) {
+        console.warn('⚠️ NASA cache read failed:', error.message);
+        return null;
+    }
+};
 
-        const url = `${NASA_API_BASE}/feed?start_date=${start}&end_date=${end}&api_key=${NASA_API_KEY}`;
+const writeCache = async (key, body, ttlMs) => {
+    if (!CACHE_ENABLED) return;
+    try {
+        await NasaCache.updateOne(
+            { key },
+            { key, body, expiresAt: new Date(Date.now() + ttlMs) },
+            { upsert: true }
+        );
+    } catch (error) {
+        console.warn('⚠️ NASA cache write failed:', error.message);
+    }
+};
 
-        console.log(`🛰️  Fetching NEO data from NASA: ${start} to ${end}`);
+/**
+ * GET a NeoWs endpoint through the cache and the shared request queue
+ * @param {string} path - e.g. '/feed' or '/neo/3542519'
+ * @param {Object} params - Query params (api_key is added here)
+ * @param {number} ttlMs - How long to cache the response
+ * @returns {Promise<Object>} Parsed JSON body; throws with error.status and error.code on failure
+ */
+const nasaRequest = async (path, params = {}, ttlMs = CACHE_TTL_MS.lookup) => {
+    // Cache key leaves out the API key so it never lands in the database
+    const query = new URLSearchParams(params).toString();
+    const key = query ? `${path}?${query}` : path;
 
-        const response = await fetch(url);
+    try {
+        if (NASA_MODE === 'fixture') {
+            requestStats.requests++;
+            return await fixtureResponse(path, params);
+        }
 
-        if (!response.ok) {
-            throw new Error(`NASA API error: ${response.status} ${response.statusText}`);
+        const cached = await readCache(key);
+        if (cached) {
+            requestStats.cacheHits++;
+            return cached;
         }
 
-        const data = await response.json();
+        const url = `${NASA_API_BASE}${path}?${new URLSearchParams({ ...params, api_key: NASA_API_KEY })}`;
+        const body = await enqueue(() => fetchWithRetry(url));
+
+        await writeCache(key, body, ttlMs);
+        return body;
+    } catch (error) {
+        throw classifyError(error);
+    }
+};
+
+/**
+ * Remove cached NASA responses
+ * @returns {Promise<number>} Number of entries removed
+ */
+export const clearNasaCache = async () => {
+    const result = await NasaCache.deleteMany({});
+    return result.deletedCount;
+};
+
+/**
+ * Request the NEO feed for a date range
+ * @returns {Promise<Object>} Feed response body; throws a NASA_ERRORS error on failure
+ */
+const requestFeed = async (startDate, endDate) => {
+    const start = formatDate(startDate);
+    const end = formatDate(endDate);
 
-        console.log(`✅ Fetched ${data.element_count} asteroids`);
+    console.log(`🛰️  Fetching NEO data from NASA: ${start} to ${end}`);
+
+    const data = await nasaRequest(
+        '/feed',
+        { start_date: start, end_date: end },
+        CACHE_TTL_MS.feed
+    );
+
+    console.log(`✅ Fetched ${data.element_count} asteroids`);
+    return data;
+};
+
+/**
+ * Fetch NEO feed for a date range
+ * @param {Date} startDate - Start date
+ * @param {Date} endDate - End date (max 7 days from start)
+ * @returns {Promise<Object>} NASA API response; failures come back as { success: false, error, status, code }
+ */
+export const fetchNeoFeed = async (startDate = new Date(), endDate = null) => {
+    try {
+        // Default end date is same as start date
+        const data = await requestFeed(startDate, endDate || new Date(startDate));
 
         return {
             success: true,
@@ -54,6 +307,8 @@ export const fetchNeoFeed = async (startDate = new Date(), endDate = null) => {
         return {
             success: false,
             error: error.message,
+            status: error.status,
+            code: error.code,
             near_earth_objects: {},
         };
     }
@@ -61,70 +316,67 @@ export const fetchNeoFeed = async (startDate = new Date(), endDate = null) => {
 
 /**
  * Fetch today's NEO data
- * @returns {Promise<Array>} Array of asteroid objects
+ * @returns {Promise<Array>} Array of asteroid objects; throws a NASA_ERRORS error on failure
  */
 export const fetchTodayNeos = async () => {
     const today = new Date();
-    const result = await fetchNeoFeed(today, today);
-
-    if (!result.success) {
-        return [];
-    }
+    const data = await requestFeed(today, today);
 
     // Flatten the date-keyed object into an array
     const dateKey = formatDate(today);
-    return result.near_earth_objects[dateKey] || [];
+    return data.near_earth_objects?.[dateKey] || [];
 };
 
 /**
  * Fetch NEO data for the next 7 days
- * @returns {Promise<Array>} Array of asteroid objects
+ * @returns {Promise<Array>} Array of asteroid objects; throws a NASA_ERRORS error on failure
  */
 export const fetchWeekNeos = async () => {
     const today = new Date();
     const nextWeek = new Date(today);
     nextWeek.setDate(nextWeek.getDate() + 6); // 7 days total
 
-    const result = await fetchNeoFeed(today, nextWeek);
-
-    if (!result.success) {
-        return [];
-    }
+    const data = await requestFeed(today, nextWeek);
+    return flattenNeoFeed(data.near_earth_objects);
+};
 
-    // Flatten all dates into a single array
+/**
+ * Flatten the feed's date-keyed near_earth_objects into a single array
+ * @param {Object} nearEarthObjects - { 'YYYY-MM-DD': [asteroid, ...] }
+ * @returns {Array} Array of asteroid objects
+ */
+export const flattenNeoFeed = (nearEarthObjects = {}) => {
     const allNeos = [];
-    for (const dateKey of Object.keys(result.near_earth_objects)) {
-        allNeos.push(...result.near_earth_objects[dateKey]);
+    for (const dateKey of Object.keys(nearEarthObjects)) {
+        allNeos.push(...nearEarthObjects[dateKey]);
     }
-
     return allNeos;
 };
 
 /**
  * Fetch single asteroid by ID
  * @param {string} asteroidId - NASA's neo_reference_id
- * @returns {Promise<Object|null>} Asteroid object or null
+ * @returns {Promise<Object>} Asteroid object; throws a NASA_ERRORS error on failure
+ *   (NASA_ERRORS.NOT_FOUND when NeoWs doesn't know the id)
  */
 export const fetchAsteroidById = async (asteroidId) => {
-    try {
-        const url = `${NASA_API_BASE}/neo/${asteroidId}?api_key=${NASA_API_KEY}`;
-
-        console.log(`🔍 Fetching asteroid details: ${asteroidId}`);
-
-        const response = await fetch(url);
+    // Objects known only from CNEOS have no SPK-ID; don't spend quota on a certain 404
+    if (isLocalReferenceId(asteroidId)) {
+        const error = new Error(`${asteroidId} is not a NeoWs id`);
+        error.status = 404;
+        throw classifyError(error);
+    }
 
-        if (!response.ok) {
-            throw new Error(`NASA API error: ${response.status}`);
-        }
+    console.log(`🔍 Fetching asteroid details: ${asteroidId}`);
 
-        const data = await response.json();
-        console.log(`✅ Fetched asteroid: ${data.name}`);
+    const data = await nasaRequest(
+        `/neo/${encodeURIComponent(asteroidId)}`,
+        {},
+        CACHE_TTL_MS.lookup
+    );
+    console.log(`✅ Fetched asteroid: ${data.name}`);
 
-        return data;
-    } catch (error) {
-        console.error(`❌ Failed to fetch asteroid ${asteroidId}:`, error.message);
-        return null;
-    }
+    return data;
 };
 
 /**
@@ -135,15 +387,7 @@ export const fetchAsteroidById = async (asteroidId) => {
  */
 export const browseNeos = async (page = 0, size = 20) => {
     try {
-        const url = `${NASA_API_BASE}/neo/browse?page=${page}&size=${size}&api_key=${NASA_API_KEY}`;
-
-        const response = await fetch(url);
-
-        if (!response.ok) {
-            throw new Error(`NASA API error: ${response.status}`);
-        }
-
-        const data = await response.json();
+        const data = await nasaRequest('/neo/browse', { page, size }, CACHE_TTL_MS.browse);
 
         return {
             success: true,
@@ -155,14 +399,19 @@ export const browseNeos = async (page = 0, size = 20) => {
         return {
             success: false,
             error: error.message,
+            status: error.status,
         };
     }
 };
 
 export default {
+    NASA_ERRORS,
     fetchNeoFeed,
     fetchTodayNeos,
     fetchWeekNeos,
+    flattenNeoFeed,
     fetchAsteroidById,
     browseNeos,
+    getRateLimitStatus,
+    clearNasaCache,
 };
@@ -0,0 +1,291 @@
+/**
+ * OIDC Service
+ * Single sign-on with an OpenID Connect provider (authorization code + PKCE).
+ *
+ * The server runs the whole flow: /api/auth/oidc/login sends the browser to
+ * the provider with a PKCE challenge, and /api/auth/oidc/callback swaps the
+ * code for an ID token, checks it against the provider's JWKS and starts a
+ * normal session. The state, nonce and code verifier wait in between in a
+ * short-lived signed cookie, so the callback only accepts the browser that
+ * started the sign-in.
+ *
+ * Accounts are linked by issuer + subject. On first sign-in an existing user
+ * with the same email is linked, but only if the provider says the email is
+ * verified; otherwise a new account is created when OIDC_AUTO_CREATE_USERS allows.
+ * Offline, `npm run mock:oidc` runs a stand-in provider (server/mock/oidcServer.js).
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { User, ApiKey } from '../models/index.js';
+import { readCookie, revokeAllSessions } from './sessionService.js';
+
+const ISSUER = (process.env.OIDC_ISSUER || '').replace(/\/$/, '');
+const CLIENT_ID = process.env.OIDC_CLIENT_ID;
+const CLIENT_SECRET = process.env.OIDC_CLIENT_SECRET;
+const SCOPES = process.env.OIDC_SCOPES || 'openid email profile';
+const AUTO_CREATE_USERS = process.env.OIDC_AUTO_CREATE_USERS !== 'false';
+export const PROVIDER_NAME = process.env.OIDC_PROVIDER_NAME || 'Single sign-on';
+
+const PENDING_COOKIE = 'astral_oidc';
+const PENDING_COOKIE_PATH = '/api/auth/oidc';
+const PENDING_TTL_MS = 10 * 60 * 1000;
+// Set on the pending cookie so no other token signed with JWT_SECRET passes for it
+const PENDING_AUDIENCE = 'oidc-pending';
+// Discovery document and JWKS are re-read this often (and on an unknown key id)
+const METADATA_TTL_MS = 60 * 60 * 1000;
+const ID_TOKEN_ALGORITHMS = ['RS256', 'RS384', 'RS512', 'PS256', 'ES256', 'ES384'];
+const HTTP_TIMEOUT_MS = 10 * 1000;
+
+let metadataCache = null; // { metadata, fetchedAt }
+let jwksCache = null; // { keys, fetchedAt }
+
+const oidcError = (message, status = 401) => {
+    const error = new Error(message);
+    error.status = status;
+    return error;
+};
+
+const base64url = (buffer) => buffer.toString('base64url');
+
+const randomToken = () => base64url(crypto.randomBytes(32));
+
+/**
+ * Whether single sign-on is configured
+ */
+export const isOidcEnabled = () => Boolean(ISSUER && CLIENT_ID);
+
+const fetchJson = async (url, options = {}) => {
+    const response = await fetch(url, { ...options, signal: AbortSignal.timeout(HTTP_TIMEOUT_MS) });
+    const body = await response.json().catch(() => null);
+    if (!response.ok) {
+        const detail = body?.error_description || body?.error || response.statusText;
+        throw oidcError(`Identity provider error: ${response.status} ${detail}`, 502);
+    }
+    return body;
+};
+
+/**
+ * The provider's discovery document (cached)
+ */
+const getMetadata = async () => {
+    if (metadataCache && Date.now() - metadataCache.fetchedAt < METADATA_TTL_MS) {
+        return metadataCache.metadata;
+    }
+
+    const metadata = await fetchJson(`${ISSUER}/.well-known/openid-configuration`);
+    if (metadata.issuer?.replace(/\/$/, '') !== ISSUER) {
+        throw oidcError(`Identity provider reports issuer ${metadata.issuer}, expected ${ISSUER}`, 502);
+    }
+
+    metadataCache = { metadata, fetchedAt: Date.now() };
+    return metadata;
+};
+
+/**
+ * Public key for an ID token's key id, refetching the JWKS once for a new kid
+ */
+const getSigningKey = async (kid) => {
+    const findKey = () => jwksCache.keys.find((key) => !kid || key.kid === kid);
+
+    if (!jwksCache || Date.now() - jwksCache.fetchedAt >= METADATA_TTL_MS || !findKey()) {
+        const { jwks_uri: jwksUri } = await getMetadata();
+        const { keys = [] } = await fetchJson(jwksUri);
+        jwksCache = { keys, fetchedAt: Date.now() };
+    }
+
+    const jwk = findKey();
+    if (!jwk) throw oidcError('ID token is signed with an unknown key');
+    return crypto.createPublicKey({ key: jwk, format: 'jwk' });
+};
+
+/**
+ * Start a sign-in
+ * @param {string} redirectUri - This server's callback URL, registered with the provider
+ * @param {string} returnTo - Client path to land on afterwards
+ * @returns {Promise<Object>} { url, pending } - send the browser to url, keep pending in the cookie
+ */
+export const startLogin = async (redirectUri, returnTo) => {
+    const { authorization_endpoint: authorizationEndpoint } = await getMetadata();
+
+    const pending = {
+        state: randomToken(),
+        nonce: randomToken(),
+        codeVerifier: randomToken(),
+        redirectUri,
+        returnTo,
+    };
+    const codeChallenge = base64url(crypto.createHash('sha256').update(pending.codeVerifier).digest());
+
+    const url = new URL(authorizationEndpoint);
+    url.search = new URLSearchParams({
+        response_type: 'code',
+        client_id: CLIENT_ID,
+        redirect_uri: redirectUri,
+        scope: SCOPES,
+        state: pending.state,
+        nonce: pending.nonce,
+        code_challenge: codeChallenge,
+        code_challenge_method: 'S256',
+    }).toString();
+
+    return { url: url.toString(), pending };
+};
+
+/**
+ * Swap the authorization code for tokens and verify the ID token
+ * @param {string} code - From the callback query
+ * @param {Object} pending - What startLogin returned
+ * @returns {Promise<Object>} The ID token's claims
+ */
+export const finishLogin = async (code, pending) => {
+    const { token_endpoint: tokenEndpoint } = await getMetadata();
+
+    const form = new URLSearchParams({
+        grant_type: 'authorization_code',
+        code,
+        redirect_uri: pending.redirectUri,
+        client_id: CLIENT_ID,
+        code_verifier: pending.codeVerifier,
+    });
+    const headers = { 'Content-Type': 'application/x-www-form-urlencoded', Accept: 'application/json' };
+    // Confidential clients authenticate with client_secret_basic; public clients rely on PKCE alone
+    if (CLIENT_SECRET) {
+        const credentials = `${encodeURIComponent(CLIENT_ID)}:${encodeURIComponent(CLIENT_SECRET)}`;
+        headers.Authorization = `Basic ${Buffer.from(credentials).toString('base64')}`;
+    }
+
+    const tokens = await fetchJson(tokenEndpoint, { method: 'POST', headers, body: form });
+    if (!tokens?.id_token) throw oidcError('Identity provider did not return an ID token', 502);
+
+    const decoded = jwt.decode(tokens.id_token, { complete: true });
+    if (!decoded) throw oidcError('Identity provider returned a malformed ID token', 502);
+
+    const key = await getSigningKey(decoded.header.kid);
+    const claims = jwt.verify(tokens.id_token, key, {
+        algorithms: ID_TOKEN_ALGORITHMS,
+        issuer: [ISSUER, `${ISSUER}/`],
+        audience: CLIENT_ID,
+        clockTolerance: 60,
+    });
+
+    if (claims.nonce !== pending.nonce) throw oidcError('ID token nonce does not match this sign-in');
+    if (!claims.sub) throw oidcError('ID token has no subject');
+
+    return claims;
+};
+
+// A display name that passes User validation (2-50 characters)
+const displayNameFrom = (claims, email) => {
+    const name = String(claims.name || claims.preferred_username || email.split('@')[0]).trim().slice(0, 50);
+    return name.padEnd(2, '_');
+};
+
+/**
+ * Find the user for a provider identity, linking or creating one on first sign-in
+ * @param {Object} claims - Verified ID token claims
+ * @returns {Promise<Object>} { user, linked, created }
+ * @throws {Error} With status 403 when the identity can't be matched to an account
+ */
+export const findOrLinkUser = async (claims) => {
+    const subject = String(claims.sub);
+
+    const existing = await User.findOne({ 'oidc.issuer': ISSUER, 'oidc.subject': subject });
+    if (existing) return { user: existing, linked: false, created: false };
+
+    const email = typeof claims.email === 'string' ? claims.email.trim().toLowerCase() : null;
+    const emailVerified = claims.email_verified === true || claims.email_verified === 'true';
+    if (!email) {
+        throw oidcError('Your identity provider did not share an email address.', 403);
+    }
+    if (!emailVerified) {
+        throw oidcError('Your identity provider has not verified your email address, so it cannot be linked to an Astral account.', 403);
+    }
+
+    const identity = { issuer: ISSUER, subject, linkedAt: new Date() };
+    const user = await User.findOne({ email });
+
+    if (user) {
+        if (user.oidc?.subject) {
+            throw oidcError('This account is already linked to a different single sign-on identity.', 403);
+        }
+
+        // Nobody proved they owned this email when the account was registered,
+        // so whoever set its password or holds its sessions may not be the owner
+        if (!user.isVerified) {
+            user.passwordHash = crypto.randomBytes(32).toString('hex');
+            await revokeAllSessions(user._id, 'sso_link');
+            await ApiKey.deleteMany({ userId: user._id });
+        }
+
+        user.oidc = identity;
+        user.isVerified = true;
+        user.emailVerificationToken = undefined;
+        user.emailVerificationExpires = undefined;
+        await user.save();
+
+        console.log(`🔗 Linked ${email} to ${ISSUER}`);
+        return { user, linked: true, created: false };
+    }
+
+    if (!AUTO_CREATE_USERS) {
+        throw oidcError('There is no Astral account for this email address. Ask an administrator to create one first.', 403);
+    }
+
+    // The random password is never shared; "Forgot password" can set a real one
+    const created = await User.create({
+        email,
+        passwordHash: crypto.randomBytes(32).toString('hex'),
+        displayName: displayNameFrom(claims, email),
+        isVerified: true,
+        oidc: identity,
+    });
+
+    console.log(`👤 Created ${email} from ${ISSUER} sign-in`);
+    return { user: created, linked: false, created: true };
+};
+
+// ========== PENDING SIGN-IN COOKIE ==========
+
+const pendingCookieOptions = () => ({
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    // lax so the cookie comes back on the provider's redirect to the callback
+    sameSite: 'lax',
+    path: PENDING_COOKIE_PATH,
+});
+
+export const setPendingCookie = (res, pending) => {
+    const value = jwt.sign(pending, process.env.JWT_SECRET, {
+        expiresIn: PENDING_TTL_MS / 1000,
+        audience: PENDING_AUDIENCE,
+    });
+    res.cookie(PENDING_COOKIE, value, { ...pendingCookieOptions(), maxAge: PENDING_TTL_MS });
+};
+
+/**
+ * The sign-in this browser started, or null if it is missing, expired or tampered with
+ */
+export const readPendingCookie = (req) => {
+    const value = readCookie(req, PENDING_COOKIE);
+    if (!value) return null;
+    try {
+        return jwt.verify(value, process.env.JWT_SECRET, { audience: PENDING_AUDIENCE });
+    } catch {
+        return null;
+    }
+};
+
+export const clearPendingCookie = (res) => {
+    res.clearCookie(PENDING_COOKIE, pendingCookieOptions());
+};
+
+export default {
+    isOidcEnabled,
+    startLogin,
+    finishLogin,
+    findOrLinkUser,
+    setPendingCookie,
+    readPendingCookie,
+    clearPendingCookie,
+};
@@ -0,0 +1,146 @@
+/**
+ * Web Push Service
+ * Sends alerts to subscribed browsers through VAPID-signed Web Push, so
+ * users get them with the tab closed. Push is disabled until VAPID keys are
+ * configured (generate a pair with `npm run push:keys`).
+ */
+
+import webpush from 'web-push';
+import { User } from '../models/index.js';
+
+const VAPID_PUBLIC_KEY = process.env.VAPID_PUBLIC_KEY || '';
+const VAPID_PRIVATE_KEY = process.env.VAPID_PRIVATE_KEY || '';
+const VAPID_SUBJECT = process.env.VAPID_SUBJECT || 'mailto:alerts@astral.local';
+// How long the push service keeps an undelivered notification (seconds)
+const PUSH_TTL_SECONDS = 24 * 60 * 60;
+
+const enabled = Boolean(VAPID_PUBLIC_KEY && VAPID_PRIVATE_KEY);
+
+if (enabled) {
+    webpush.setVapidDetails(VAPID_SUBJECT, VAPID_PUBLIC_KEY, VAPID_PRIVATE_KEY);
+}
+
+export const isPushEnabled = () => enabled;
+
+export const getVapidPublicKey = () => (enabled ? VAPID_PUBLIC_KEY : null);
+
+/**
+ * Check a PushSubscription JSON object from the browser
+ */
+export const isValidSubscription = (subscription) => {
+    if (!subscription || typeof subscription !== 'object') return false;
+    const { endpoint, keys } = subscription;
+    return (
+        typeof endpoint === 'string' &&
+        /^https:\/\//.test(endpoint) &&
+        typeof keys?.p256dh === 'string' &&
+        typeof keys?.auth === 'string'
+    );
+};
+
+/**
+ * Save a browser subscription for a user (replaces one with the same endpoint)
+ */
+export const addSubscription = async (userId, subscription, userAgent = null) => {
+    const { endpoint, keys } = subscription;
+
+    // An endpoint belongs to one browser; drop it from whoever had it before
+    await User.updateMany(
+        { 'pushSubscriptions.endpoint': endpoint },
+        { $pull: { pushSubscriptions: { endpoint } } }
+    );
+
+    return User.findByIdAndUpdate(
+        userId,
+        {
+            $push: {
+                pushSubscriptions: {
+                    endpoint,
+                    keys: { p256dh: keys.p256dh, auth: keys.auth },
+                    userAgent,
+                },
+            },
+        },
+        { new: true }
+    );
+};
+
+/**
+ * Remove a browser subscription
+ */
+export const removeSubscription = async (userId, endpoint) => {
+    return User.findByIdAndUpdate(
+        userId,
+        { $pull: { pushSubscriptions: { endpoint } } },
+        { new: true }
+    );
+};
+
+/**
+ * Notification payload read by the client service worker (client/public/sw.js)
+ */
+const alertPayload = (alert) => JSON.stringify({
+    title: alert.title,
+    body: alert.message,
+    tag: alert.asteroidId ? `alert:${alert.asteroidId}` : `alert:${alert.type}`,
+    severity: alert.severity,
+    // Digests cover many asteroids, so open the alerts page instead
+    url: alert.asteroidId ? `/asteroid/${encodeURIComponent(alert.asteroidId)}` : '/alerts',
+    alertId: alert._id,
+});
+
+/**
+ * Push an alert to every browser the user subscribed
+ * @param {Object} user - User document (pushSubscriptions)
+ * @param {Object} alert - Alert document
+ * @returns {Promise<boolean>} true when at least one push service accepted it
+ */
+export const sendAlertPush = async (user, alert) => {
+    const subscriptions = user.pushSubscriptions || [];
+    if (!enabled || subscriptions.length === 0) return false;
+
+    const payload = alertPayload(alert);
+    const expired = [];
+    let delivered = 0;
+
+    for (const subscription of subscriptions) {
+        try {
+            await webpush.sendNotification(
+                { endpoint: subscription.endpoint, keys: subscription.keys },
+                payload,
+                { TTL: PUSH_TTL_SECONDS, urgency: alert.severity === 'danger' ? 'high' : 'normal' }
+            );
+            delivered++;
+        } catch (error) {
+            // 404/410: the browser unsubscribed or the subscription expired
+            if (error.statusCode === 404 || error.statusCode === 410) {
+                expired.push(subscription.endpoint);
+            } else {
+                console.error(`❌ Push to ${user.email} failed:`, error.statusCode || '', error.message);
+            }
+        }
+    }
+
+    if (expired.length > 0) {
+        await User.updateOne(
+            { _id: user._id },
+            { $pull: { pushSubscriptions: { endpoint: { $in: expired } } } }
+        );
+        console.log(`🧹 Removed ${expired.length} expired push subscription(s) for ${user.email}`);
+    }
+
+    if (delivered > 0) {
+        console.log(`📲 Alert pushed to ${delivered} device(s) for ${user.email}`);
+    }
+
+    return delivered > 0;
+};
+
+export default {
+    isPushEnabled,
+    getVapidPublicKey,
+    isValidSubscription,
+    addSubscription,
+    removeSubscription,
+    sendAlertPush,
+};
@@ -4,24 +4,120 @@
  * 
  * Formula: Score = (HazardWeight × 40) + (DiameterScore × 25) + (DistanceScore × 25) + (VelocityScore × 10)
  * Normalized to 1-100 scale
+ *
+ * Weights, normalization limits and category cut-offs come from the active
+ * risk model (see riskModelService.js). BUILT_IN_RISK_MODELS are seeded on
+ * first run; DEFAULT_RISK_MODEL, the newest of them, is used until a model is
+ * loaded from the database.
  */
 
-// Constants for normalization
-const MAX_DIAMETER = 1000; // meters - anything larger gets max score
-const MAX_VELOCITY = 30; // km/s - typical high-speed asteroid
-const MIN_SAFE_DISTANCE = 1; // Lunar Distance - closer than this is concerning
-const MAX_CONCERNING_DISTANCE = 50; // Lunar Distance - beyond this is relatively safe
+import { selectPrimaryApproach } from '../utils/approaches.js';
+
+// Version 1 scores NASA's reported maximum diameter; keep it unchanged so
+// scores stamped v1 can always be reproduced
+const RISK_MODEL_V1 = {
+    version: 1,
+    name: 'Default',
+    // Percent of the final score per factor (sum to 100)
+    weights: {
+        hazard: 40,
+        diameter: 25,
+        distance: 25,
+        velocity: 10,
+    },
+    limits: {
+        maxDiameterMeters: 1000, // anything larger gets max score
+        maxVelocityKmS: 30, // typical high-speed asteroid
+        minSafeDistanceLd: 1, // closer than this is concerning
+        maxConcerningDistanceLd: 50, // beyond this is relatively safe
+    },
+    // Lowest score in each category
+    thresholds: {
+        low: 26,
+        moderate: 51,
+        high: 76,
+    },
+    // Diameter from absolute magnitude H; darker surfaces mean larger objects
+    diameter: {
+        basis: 'reported', // which size sets the headline score: reported (NASA max), min, likely or max
+        albedoMin: 0.05, // dark, carbonaceous
+        albedoLikely: 0.14, // typical near-Earth asteroid
+        albedoMax: 0.25, // bright, stony
+    },
+};
+
+// Version 2: same weights, headline score from the likely diameter band
+export const DEFAULT_RISK_MODEL = {
+    ...RISK_MODEL_V1,
+    version: 2,
+    name: 'Diameter bands',
+    diameter: { ...RISK_MODEL_V1.diameter, basis: 'likely' },
+};
+
+export const BUILT_IN_RISK_MODELS = [RISK_MODEL_V1, DEFAULT_RISK_MODEL];
+
+let activeModel = DEFAULT_RISK_MODEL;
+
+/**
+ * Use a risk model for every following calculation
+ * @param {Object} model - RiskModel document or plain object shaped like DEFAULT_RISK_MODEL
+ */
+export const setActiveRiskModel = (model) => {
+    activeModel = model || DEFAULT_RISK_MODEL;
+};
+
+export const getActiveRiskModel = () => activeModel;
+
+/**
+ * Diameter in meters from absolute magnitude H and geometric albedo
+ * D(km) = 1329 / sqrt(albedo) × 10^(-H/5)
+ */
+export const diameterFromMagnitude = (absoluteMagnitude, albedo) => {
+    return (1329 / Math.sqrt(albedo)) * 10 ** (-absoluteMagnitude / 5) * 1000;
+};
+
+/**
+ * Min / likely / max diameter (meters) for an asteroid.
+ * A single reported size (SBDB, Sentry) is treated as measured; otherwise
+ * H is converted with the model's albedo range; NASA's min/max is the last resort.
+ * @returns {Object|null} { min, likely, max, source }
+ */
+export const estimateDiameterRange = (asteroid, diameterModel = activeModel.diameter) => {
+    const reportedMin = asteroid.estimatedDiameterMin ?? asteroid.estimated_diameter?.meters?.estimated_diameter_min;
+    const reportedMax = asteroid.estimatedDiameterMax ?? asteroid.estimated_diameter?.meters?.estimated_diameter_max;
+    const absoluteMagnitude = parseFloat(asteroid.absolute_magnitude_h);
+
+    if (reportedMin > 0 && reportedMin === reportedMax) {
+        return { min: reportedMin, likely: reportedMin, max: reportedMax, source: 'measured' };
+    }
+
+    if (Number.isFinite(absoluteMagnitude)) {
+        return {
+            min: diameterFromMagnitude(absoluteMagnitude, diameterModel.albedoMax),
+            likely: diameterFromMagnitude(absoluteMagnitude, diameterModel.albedoLikely),
+            max: diameterFromMagnitude(absoluteMagnitude, diameterModel.albedoMin),
+            source: 'absolute-magnitude',
+        };
+    }
+
+    if (reportedMax > 0) {
+        const min = reportedMin > 0 ? reportedMin : reportedMax;
+        return { min, likely: Math.sqrt(min * reportedMax), max: reportedMax, source: 'nasa-estimate' };
+    }
+
+    return null;
+};
 
 /**
  * Calculate diameter-based risk score (0-100)
  * Larger asteroids = higher risk
  */
-const calculateDiameterScore = (diameterMeters) => {
+const calculateDiameterScore = (diameterMeters, { maxDiameterMeters }) => {
     if (!diameterMeters || diameterMeters <= 0) return 0;
 
     // Logarithmic scale for diameter (small ones are common, large rare but dangerous)
     // Using log scale: 10m = ~23, 100m = ~46, 500m = ~77, 1000m = 100
-    const logScore = (Math.log10(diameterMeters) / Math.log10(MAX_DIAMETER)) * 100;
+    const logScore = (Math.log10(diameterMeters) / Math.log10(maxDiameterMeters)) * 100;
     return Math.min(100, Math.max(0, logScore));
 };
 
@@ -29,20 +125,20 @@ const calculateDiameterScore = (diameterMeters) => {
  * Calculate distance-based risk score (0-100)
  * Closer asteroids = higher risk
  */
-const calculateDistanceScore = (lunarDistance) => {
+const calculateDistanceScore = (lunarDistance, { minSafeDistanceLd, maxConcerningDistanceLd }) => {
     if (!lunarDistance || lunarDistance <= 0) return 100; // Unknown = assume worst
 
-    if (lunarDistance <= MIN_SAFE_DISTANCE) {
+    if (lunarDistance <= minSafeDistanceLd) {
         return 100; // Very close!
     }
 
-    if (lunarDistance >= MAX_CONCERNING_DISTANCE) {
+    if (lunarDistance >= maxConcerningDistanceLd) {
         return 0; // Far enough to not worry
     }
 
     // Inverse relationship: closer = higher score
     // Linear interpolation between MIN and MAX
-    const score = ((MAX_CONCERNING_DISTANCE - lunarDistance) / (MAX_CONCERNING_DISTANCE - MIN_SAFE_DISTANCE)) * 100;
+    const score = ((maxConcerningDistanceLd - lunarDistance) / (maxConcerningDistanceLd - minSafeDistanceLd)) * 100;
     return Math.min(100, Math.max(0, score));
 };
 
@@ -50,87 +146,237 @@ const calculateDistanceScore = (lunarDistance) => {
  * Calculate velocity-based risk score (0-100)
  * Faster asteroids = higher kinetic energy = higher risk
  */
-const calculateVelocityScore = (velocityKmS) => {
+const calculateVelocityScore = (velocityKmS, { maxVelocityKmS }) => {
     if (!velocityKmS || velocityKmS <= 0) return 0;
 
-    const score = (velocityKmS / MAX_VELOCITY) * 100;
+    const score = (velocityKmS / maxVelocityKmS) * 100;
     return Math.min(100, Math.max(0, score));
 };
 
 /**
  * Determine risk category based on score
  */
-const getRiskCategory = (score) => {
-    if (score >= 76) return 'high';
-    if (score >= 51) return 'moderate';
-    if (score >= 26) return 'low';
+const getRiskCategory = (score, thresholds = activeModel.thresholds) => {
+    if (score >= thresholds.high) return 'high';
+    if (score >= thresholds.moderate) return 'moderate';
+    if (score >= thresholds.low) return 'low';
     return 'minimal';
 };
 
 /**
  * Calculate overall risk score for an asteroid
  * @param {Object} asteroid - Asteroid data (from NASA API or our DB)
- * @returns {Object} { score: number, category: string, breakdown: Object }
+ * @param {Object} model - Risk model to score with (default: the active model)
+ * @returns {Object} { score, category, modelVersion, breakdown, factors }
  */
-export const calculateRiskScore = (asteroid) => {
+export const calculateRiskScore = (asteroid, model = activeModel) => {
     // Extract data from NASA format or our DB format
     const isHazardous = asteroid.is_potentially_hazardous_asteroid ?? asteroid.isPotentiallyHazardous ?? false;
 
-    // Get diameter (prefer max estimate in meters)
-    let diameter = asteroid.estimatedDiameterMax;
-    if (!diameter && asteroid.estimated_diameter?.meters) {
-        diameter = asteroid.estimated_diameter.meters.estimated_diameter_max;
-    }
+    // Diameter band (min/likely/max meters) from H and the model's albedo range;
+    // models from before bands existed score the reported maximum
+    const diameterModel = model.diameter || RISK_MODEL_V1.diameter;
+    const diameterRange = estimateDiameterRange(asteroid, diameterModel);
+    const diameter = (diameterModel.basis === 'reported'
+        ? asteroid.estimatedDiameterMax ?? asteroid.estimated_diameter?.meters?.estimated_diameter_max
+        : diameterRange?.[diameterModel.basis]) || 0;
+
+    // Score against the next approach, not whatever NASA listed first
+    const approach = selectPrimaryApproach(asteroid.close_approach_data);
 
     // Get miss distance in lunar distances
     let lunarDistance = asteroid.missDistanceLunar;
-    if (!lunarDistance && asteroid.close_approach_data?.[0]) {
-        lunarDistance = parseFloat(asteroid.close_approach_data[0].miss_distance?.lunar) || 0;
+    if (!lunarDistance && approach) {
+        lunarDistance = parseFloat(approach.miss_distance?.lunar) || 0;
     }
 
     // Get velocity in km/s
     let velocity = asteroid.relativeVelocityKmS;
-    if (!velocity && asteroid.close_approach_data?.[0]) {
-        velocity = parseFloat(asteroid.close_approach_data[0].relative_velocity?.kilometers_per_second) || 0;
+    if (!velocity && approach) {
+        velocity = parseFloat(approach.relative_velocity?.kilometers_per_second) || 0;
     }
 
     // Calculate individual scores
+    const { weights, limits, thresholds } = model;
     const hazardWeight = isHazardous ? 100 : 0;
-    const diameterScore = calculateDiameterScore(diameter);
-    const distanceScore = calculateDistanceScore(lunarDistance);
-    const velocityScore = calculateVelocityScore(velocity);
+    const distanceScore = calculateDistanceScore(lunarDistance, limits);
+    const velocityScore = calculateVelocityScore(velocity, limits);
 
     // Weighted combination
-    // Hazard status: 40%, Diameter: 25%, Distance: 25%, Velocity: 10%
-    const totalScore = Math.round(
-        (hazardWeight * 0.40) +
-        (diameterScore * 0.25) +
-        (distanceScore * 0.25) +
-        (velocityScore * 0.10)
-    );
-
-    // Ensure score is in valid range
-    const finalScore = Math.min(100, Math.max(1, totalScore));
-    const category = getRiskCategory(finalScore);
+    // Default model: Hazard status 40%, Diameter 25%, Distance 25%, Velocity 10%
+    const scoreFor = (diameterMeters) => {
+        const total = Math.round(
+            (hazardWeight * weights.hazard / 100) +
+            (calculateDiameterScore(diameterMeters, limits) * weights.diameter / 100) +
+            (distanceScore * weights.distance / 100) +
+            (velocityScore * weights.velocity / 100)
+        );
+        // Ensure score is in valid range
+        return Math.min(100, Math.max(1, total));
+    };
+    const diameterPoints = (diameterMeters) =>
+        Math.round(calculateDiameterScore(diameterMeters, limits) * weights.diameter / 100);
+
+    const finalScore = scoreFor(diameter);
+    const category = getRiskCategory(finalScore, thresholds);
 
     return {
         score: finalScore,
         category,
+        modelVersion: model.version,
+        // Same approach scored across the diameter band
+        scoreRange: {
+            min: scoreFor(diameterRange?.min),
+            likely: scoreFor(diameterRange?.likely),
+            max: scoreFor(diameterRange?.max),
+        },
         breakdown: {
-            hazardWeight: Math.round(hazardWeight * 0.40),
-            diameterScore: Math.round(diameterScore * 0.25),
-            distanceScore: Math.round(distanceScore * 0.25),
-            velocityScore: Math.round(velocityScore * 0.10),
+            hazardWeight: Math.round(hazardWeight * weights.hazard / 100),
+            diameterScore: diameterPoints(diameter),
+            diameterScoreRange: {
+                min: diameterPoints(diameterRange?.min),
+                max: diameterPoints(diameterRange?.max),
+            },
+            distanceScore: Math.round(distanceScore * weights.distance / 100),
+            velocityScore: Math.round(velocityScore * weights.velocity / 100),
         },
         factors: {
             isHazardous,
-            diameterMeters: diameter || 0,
+            diameterMeters: diameter,
+            diameterRange,
             lunarDistance: lunarDistance || 0,
             velocityKmS: velocity || 0,
         },
     };
 };
 
+// Impact physics for the Torino/Palermo estimates
+const ASTEROID_DENSITY = 3000; // kg/m³, rocky asteroid (matches the impact simulator default)
+const EARTH_ESCAPE_VELOCITY = 11.19; // km/s
+const JOULES_PER_MEGATON = 4.184e15;
+const YEAR_MS = 365.25 * 24 * 60 * 60 * 1000;
+
+/**
+ * Kinetic energy at impact in megatons of TNT
+ * @param {number} diameterMeters
+ * @param {number} velocityKmS - Encounter velocity (v∞); Earth's gravity adds escape velocity
+ */
+export const estimateImpactEnergyMt = (diameterMeters, velocityKmS) => {
+    if (!diameterMeters || !velocityKmS) return 0;
+
+    const mass = ASTEROID_DENSITY * (Math.PI / 6) * diameterMeters ** 3;
+    const impactVelocity = Math.sqrt(velocityKmS ** 2 + EARTH_ESCAPE_VELOCITY ** 2) * 1000;
+    return (0.5 * mass * impactVelocity ** 2) / JOULES_PER_MEGATON;
+};
+
+/**
+ * Palermo Technical Scale: log10 of the impact probability relative to the
+ * background chance of an impact at least this energetic before that date.
+ * @param {number} probability - Cumulative impact probability
+ * @param {number} energyMt - Impact energy in megatons
+ * @param {number} yearsUntilImpact - Time to the potential impact
+ * @returns {number|null} null when there is no impact probability
+ */
+export const calculatePalermoScale = (probability, energyMt, yearsUntilImpact) => {
+    if (!probability || !energyMt || !yearsUntilImpact) return null;
+
+    // Annual background impact frequency for this energy (Chesley et al. 2002)
+    const backgroundFrequency = 0.03 * energyMt ** -0.8;
+    return Math.log10(probability / (backgroundFrequency * yearsUntilImpact));
+};
+
+/**
+ * Torino Impact Hazard Scale (0-10) from probability and energy.
+ * Approximates the Torino chart: below 1 Mt or with no impact solutions the
+ * rating is 0; 1% and 99% probability separate the "normal"/"threatening"/
+ * "certain" bands; 10^3 and 10^5 Mt separate local, regional and global effects.
+ */
+export const calculateTorinoScale = (probability, energyMt) => {
+    if (!probability || energyMt < 1) return 0;
+
+    const logEnergy = Math.log10(energyMt);
+    const logProbability = Math.log10(probability);
+
+    // Certain collisions
+    if (probability >= 0.99) {
+        if (logEnergy >= 5) return 10;
+        if (logEnergy >= 3) return 9;
+        return 8;
+    }
+
+    // Threatening: 1% or greater chance
+    if (probability >= 0.01) {
+        if (logEnergy >= 5) return logProbability >= -1 ? 7 : 6;
+        if (logEnergy >= 2) return logProbability >= -1 ? 5 : 4;
+        return 3;
+    }
+
+    // Normal / meriting attention: diagonal bands, larger objects rate higher at the same odds
+    const chartPosition = logProbability + 1.2 * logEnergy;
+    if (chartPosition >= -1) return 2;
+    if (chartPosition >= -2) return 1;
+    return 0;
+};
+
+const TORINO_DESCRIPTIONS = [
+    'No hazard',
+    'Normal: routine discovery, no unusual level of danger',
+    'Meriting attention by astronomers',
+    'Close encounter with a 1% or greater chance of localized destruction',
+    'Close encounter with a 1% or greater chance of regional devastation',
+    'Threatening: serious but uncertain threat of regional devastation',
+    'Threatening: serious but uncertain threat of global catastrophe',
+    'Threatening: unprecedented, uncertain threat of global catastrophe',
+    'Certain collision: localized destruction',
+    'Certain collision: regional devastation',
+    'Certain collision: global climatic catastrophe',
+];
+
+/**
+ * Torino and Palermo estimates for an asteroid
+ * @param {Object} asteroid - Asteroid document
+ * @param {Object|null} impactRisk - Sentry entry (ImpactRisk) for this object, if listed
+ * @returns {Object} Estimates plus Sentry's own published values for comparison
+ */
+export const calculateImpactScales = (asteroid, impactRisk = null, now = new Date()) => {
+    const diameterMeters = impactRisk?.diameterKm
+        ? impactRisk.diameterKm * 1000
+        : estimateDiameterRange(asteroid)?.likely || 0;
+    const velocityKmS = impactRisk?.vInfinityKmS || asteroid.relativeVelocityKmS;
+    const energyMt = estimateImpactEnergyMt(diameterMeters, velocityKmS);
+
+    // Not on the Sentry list: the orbit has no known impact solutions
+    const probability = impactRisk?.impactProbability || 0;
+
+    let yearsUntilImpact = null;
+    const firstImpactYear = parseInt(impactRisk?.yearRange);
+    if (firstImpactYear) {
+        const impactDate = Date.UTC(firstImpactYear, 0, 1);
+        yearsUntilImpact = Math.max((impactDate - now.getTime()) / YEAR_MS, 1 / 365.25);
+    }
+
+    const torino = calculateTorinoScale(probability, energyMt);
+    const palermo = calculatePalermoScale(probability, energyMt, yearsUntilImpact);
+
+    return {
+        torino,
+        torinoDescription: TORINO_DESCRIPTIONS[torino],
+        palermo: palermo === null ? null : Math.round(palermo * 100) / 100,
+        impactProbability: probability,
+        impactEnergyMt: energyMt,
+        diameterMeters,
+        impactYearRange: impactRisk?.yearRange || null,
+        probabilitySource: impactRisk ? 'sentry' : 'none',
+        sentry: impactRisk ? {
+            torinoMax: impactRisk.torinoScaleMax ?? null,
+            palermoMax: impactRisk.palermoScaleMax ?? null,
+            palermoCumulative: impactRisk.palermoScaleCumulative ?? null,
+            impactCount: impactRisk.impactCount ?? null,
+            updatedAt: impactRisk.updatedAt,
+        } : null,
+    };
+};
+
 /**
  * Get risk level info for display
  */
@@ -177,6 +423,8 @@ export const calculateBatchRiskScores = (asteroids) => {
             ...asteroid,
             riskScore: risk.score,
             riskCategory: risk.category,
+            riskModelVersion: risk.modelVersion,
+            riskScoreRange: risk.scoreRange,
             riskBreakdown: risk.breakdown,
         };
     });
@@ -187,4 +435,12 @@ export default {
     getRiskLevelInfo,
     calculateBatchRiskScores,
     getRiskCategory,
+    setActiveRiskModel,
+    getActiveRiskModel,
+    diameterFromMagnitude,
+    estimateDiameterRange,
+    estimateImpactEnergyMt,
+    calculatePalermoScale,
+    calculateTorinoScale,
+    calculateImpactScales,
 };
@@ -0,0 +1,183 @@
+/**
+ * Risk Model Service
+ * Stores risk model versions, keeps the active one loaded into the risk
+ * engine, and re-scores the catalog when the model changes.
+ */
+
+import { Asteroid, AsteroidSnapshot, RiskModel } from '../models/index.js';
+import {
+    BUILT_IN_RISK_MODELS,
+    DEFAULT_RISK_MODEL,
+    calculateRiskScore,
+    setActiveRiskModel,
+    getActiveRiskModel,
+} from './riskEngine.js';
+
+let rescoreInProgress = false;
+
+const toPlainModel = (doc) => ({
+    version: doc.version,
+    name: doc.name,
+    weights: { ...doc.weights },
+    limits: { ...doc.limits },
+    thresholds: { ...doc.thresholds },
+    // Stored versions carry their own basis (legacy documents default to 'reported')
+    diameter: { ...doc.diameter },
+});
+
+const BUILT_IN_NOTES = {
+    1: 'Built-in model',
+    2: 'Built-in model: headline score from the likely diameter band instead of NASA\'s reported maximum',
+};
+
+/**
+ * Add built-in versions the database doesn't have yet. The newest one is
+ * activated, unless an admin has already saved versions of their own.
+ */
+const seedBuiltInModels = async () => {
+    const stored = await RiskModel.find().select('version createdBy').lean();
+    if (stored.some((model) => model.createdBy || model.version > DEFAULT_RISK_MODEL.version)) return;
+
+    const storedVersions = new Set(stored.map((model) => model.version));
+    const missing = BUILT_IN_RISK_MODELS.filter((model) => !storedVersions.has(model.version));
+    if (!missing.length) return;
+
+    for (const model of missing) {
+        await RiskModel.create({ ...model, notes: BUILT_IN_NOTES[model.version] });
+        console.log(`🧮 Seeded risk model v${model.version}`);
+    }
+    await RiskModel.updateMany({ version: { $ne: DEFAULT_RISK_MODEL.version } }, { isActive: false });
+    await RiskModel.updateOne(
+        { version: DEFAULT_RISK_MODEL.version },
+        { isActive: true, activatedAt: new Date() }
+    );
+};
+
+/**
+ * Load the active model from the database into the risk engine.
+ * Seeds the built-in versions on first run (see seedBuiltInModels).
+ * @returns {Promise<Object>} The model now in use
+ */
+export const loadActiveRiskModel = async () => {
+    try {
+        await seedBuiltInModels();
+
+        const model = await RiskModel.findActive();
+        if (!model) {
+            console.warn('⚠️ No active risk model; scoring with built-in defaults');
+            setActiveRiskModel(DEFAULT_RISK_MODEL);
+            return DEFAULT_RISK_MODEL;
+        }
+
+        setActiveRiskModel(toPlainModel(model));
+        console.log(`🧮 Risk model v${model.version} (${model.name}) active`);
+        return getActiveRiskModel();
+    } catch (error) {
+        console.error('❌ Failed to load risk model, using defaults:', error.message);
+        setActiveRiskModel(DEFAULT_RISK_MODEL);
+        return DEFAULT_RISK_MODEL;
+    }
+};
+
+/**
+ * Save a new model version; unspecified fields are copied from the active model
+ * @param {Object} changes - { name, notes, weights, limits, thresholds, diameter } (partial)
+ * @param {string} userId - Admin creating the version
+ * @returns {Promise<Object>} The new RiskModel document (not yet active)
+ */
+export const createRiskModelVersion = async (changes, userId) => {
+    const base = getActiveRiskModel();
+
+    return RiskModel.create({
+        version: await RiskModel.nextVersion(),
+        name: changes.name || base.name,
+        notes: changes.notes,
+        weights: { ...base.weights, ...changes.weights },
+        limits: { ...base.limits, ...changes.limits },
+        thresholds: { ...base.thresholds, ...changes.thresholds },
+        diameter: { ...base.diameter, ...changes.diameter },
+        createdBy: userId,
+    });
+};
+
+/**
+ * Make a stored version the one used for scoring
+ * @param {number} version
+ * @returns {Promise<Object|null>} The activated document, or null if not found
+ */
+export const activateRiskModel = async (version) => {
+    const model = await RiskModel.findOne({ version });
+    if (!model) return null;
+
+    await RiskModel.updateMany({ isActive: true, version: { $ne: version } }, { isActive: false });
+    model.isActive = true;
+    model.activatedAt = new Date();
+    await model.save();
+
+    setActiveRiskModel(toPlainModel(model));
+    console.log(`🧮 Risk model v${model.version} (${model.name}) activated`);
+    return model;
+};
+
+/**
+ * Re-score every stored asteroid with the active model.
+ * Today's snapshot is refreshed too, so history shows which version produced each score.
+ * @returns {Promise<Object>} { modelVersion, total, changed, categoryChanges }
+ */
+export const rescoreCatalog = async () => {
+    if (rescoreInProgress) {
+        const error = new Error('A re-score is already running');
+        error.status = 409;
+        throw error;
+    }
+
+    rescoreInProgress = true;
+    const model = getActiveRiskModel();
+    const stats = { modelVersion: model.version, total: 0, changed: 0, categoryChanges: 0 };
+
+    try {
+        console.log(`🧮 Re-scoring catalog with risk model v${model.version}...`);
+        const cursor = Asteroid.find().lean().cursor();
+
+        for await (const asteroid of cursor) {
+            stats.total++;
+            const risk = calculateRiskScore(asteroid, model);
+
+            if (
+                asteroid.riskScore === risk.score &&
+                asteroid.riskCategory === risk.category &&
+                asteroid.riskModelVersion === risk.modelVersion &&
+                asteroid.riskScoreRange?.min === risk.scoreRange.min &&
+                asteroid.riskScoreRange?.max === risk.scoreRange.max
+            ) {
+                continue;
+            }
+
+            const update = {
+                riskScore: risk.score,
+                riskCategory: risk.category,
+                riskModelVersion: risk.modelVersion,
+                riskScoreRange: risk.scoreRange,
+                riskBreakdown: risk.breakdown,
+                diameterEstimate: risk.factors.diameterRange,
+            };
+            await Asteroid.updateOne({ _id: asteroid._id }, update);
+            await AsteroidSnapshot.recordFromAsteroid({ ...asteroid, ...update });
+
+            if (asteroid.riskScore !== risk.score) stats.changed++;
+            if (asteroid.riskCategory !== risk.category) stats.categoryChanges++;
+        }
+
+        console.log(`✅ Re-scored ${stats.total} asteroids: ${stats.changed} scores changed, ${stats.categoryChanges} changed category`);
+        return stats;
+    } finally {
+        rescoreInProgress = false;
+    }
+};
+
+export default {
+    loadActiveRiskModel,
+    createRiskModelVersion,
+    activateRiskModel,
+    rescoreCatalog,
+};
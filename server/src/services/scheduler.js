@@ -4,27 +4,88 @@
  */
 
 import cron from 'node-cron';
-import { fetchTodayNeos, fetchWeekNeos } from './nasaService.js';
+import { fetchTodayNeos, fetchWeekNeos, fetchAsteroidById, NASA_ERRORS } from './nasaService.js';
 import { calculateRiskScore } from './riskEngine.js';
-import { checkAndDispatchAlerts, broadcastNewHazardousAsteroid } from './alertDispatcher.js';
-import { Asteroid } from '../models/index.js';
+import {
+    checkAndDispatchAlerts,
+    broadcastNewHazardousAsteroid,
+    deliverDeferredAlerts,
+    dispatchWatchedUpdate,
+} from './alertDispatcher.js';
+import { getSource, getScheduledSources } from './sources/index.js';
+import { emitWebhookEvent, retryDueDeliveries } from './webhookService.js';
+import { sendScheduledDigests } from './digestService.js';
+import { processAlertWorkflow } from './escalationService.js';
+import { Asteroid, CloseApproach, AsteroidSnapshot, ImpactRisk, User } from '../models/index.js';
 
 let io = null;
 
+// Fields compared by dispatchWatchedUpdate when a watched asteroid is re-ingested
+const WATCHED_FIELDS = 'neo_reference_id riskScore riskCategory missDistanceLunar closeApproachDate';
+
+/**
+ * Attach JPL lookup data (orbital elements + full approach history) to a feed object.
+ * The feed endpoint omits orbital_data and only lists the approach in range,
+ * so look each asteroid up once and skip the lookup when we already have it.
+ * @returns {Object} { neo, approaches }
+ */
+const withLookupData = async (neo) => {
+    const asteroidId = neo.neo_reference_id || neo.id;
+    const hasElements = neo.orbital_data || await Asteroid.exists({
+        neo_reference_id: asteroidId,
+        'orbitalData.epochOsculation': { $exists: true },
+    });
+    if (hasElements) {
+        return { neo, approaches: neo.close_approach_data };
+    }
+
+    let details;
+    try {
+        details = await fetchAsteroidById(asteroidId);
+    } catch (error) {
+        // Store what the feed had; the lookup is tried again on the next ingestion
+        console.warn(`⚠️ No lookup data for ${asteroidId} (${error.code}): ${error.message}`);
+        return { neo, approaches: neo.close_approach_data };
+    }
+
+    return {
+        neo: details.orbital_data ? { ...neo, orbital_data: details.orbital_data } : neo,
+        approaches: details.close_approach_data || neo.close_approach_data,
+    };
+};
+
 /**
  * Process and store asteroids from NASA data
  * @param {Array} neoData - Array of asteroid objects from NASA
+ * @param {Object} options
+ * @param {boolean} options.broadcast - Broadcast high-risk asteroids over Socket.IO and
+ *   alert watchers about changed data (default: true)
+ * @param {boolean} options.lookupDetails - Look up orbital elements/approach history (default: true)
+ * @param {boolean} options.archivePast - Send approaches before today to the archive only,
+ *   so backfilled data never overwrites live asteroids (default: false)
  * @returns {Object} Stats about processed data
  */
-export const processAndStoreAsteroids = async (neoData) => {
+export const processAndStoreAsteroids = async (neoData, options = {}) => {
+    const { broadcast = true, lookupDetails = true, archivePast = false } = options;
+
     const stats = {
         total: neoData.length,
         processed: 0,
+        archived: 0,
         hazardous: 0,
         highRisk: 0,
+        watchedUpdates: 0,
         errors: 0,
     };
 
+    const startOfToday = new Date();
+    startOfToday.setUTCHours(0, 0, 0, 0);
+
+    // Asteroids someone watches get diffed against what we stored before
+    const watchedIds = broadcast
+        ? new Set(await User.distinct('watched_asteroid_ids'))
+        : new Set();
+
     console.log(`📊 Processing ${neoData.length} asteroids...`);
 
     for (const neo of neoData) {
@@ -32,8 +93,40 @@ export const processAndStoreAsteroids = async (neoData) => {
             // Calculate risk score
             const risk = calculateRiskScore(neo);
 
-            // Upsert to database
-            const asteroid = await Asteroid.upsertFromNASA(neo, risk.score, risk.category);
+            // Orbital elements and full approach history when available
+            const { neo: source, approaches } = lookupDetails
+                ? await withLookupData(neo)
+                : { neo, approaches: neo.close_approach_data };
+
+            // Keep every past/future encounter, not just the one in this feed
+            await CloseApproach.upsertFromNASA(source, approaches);
+
+            let asteroid;
+            const asteroidData = Asteroid.fromNASA(source, risk.score, risk.category, risk);
+
+            if (archivePast && asteroidData.closeApproachDate < startOfToday) {
+                // Past approach: snapshot it as of the approach day, leave live data alone
+                asteroid = asteroidData;
+                await AsteroidSnapshot.recordFromAsteroid(asteroid, asteroid.closeApproachDate);
+                stats.archived++;
+            } else {
+                const previous = watchedIds.has(asteroidData.neo_reference_id)
+                    ? await Asteroid.findOne({ neo_reference_id: asteroidData.neo_reference_id })
+                        .select(WATCHED_FIELDS)
+                        .lean()
+                    : null;
+
+                // Upsert to database
+                asteroid = await Asteroid.upsertFromNASA(source, risk.score, risk.category, risk);
+
+                if (previous) {
+                    const { changes } = await dispatchWatchedUpdate(previous, asteroid, io);
+                    if (changes.length > 0) stats.watchedUpdates++;
+                }
+
+                // Archive a snapshot that outlives the 24h TTL on Asteroid
+                await AsteroidSnapshot.recordFromAsteroid(asteroid);
+            }
 
             stats.processed++;
 
@@ -44,7 +137,7 @@ export const processAndStoreAsteroids = async (neoData) => {
             if (risk.category === 'high') {
                 stats.highRisk++;
                 // Broadcast high-risk asteroids
-                if (io) {
+                if (io && broadcast) {
                     broadcastNewHazardousAsteroid(asteroid, io);
                 }
             }
@@ -59,6 +152,107 @@ export const processAndStoreAsteroids = async (neoData) => {
     return stats;
 };
 
+/**
+ * Point records from other sources at the asteroid NeoWs already stored.
+ * CNEOS only knows designations, and unnumbered objects have no derivable
+ * SPK-ID, so match on designation before falling back to the adapter's key
+ * (a local 'des-' key that is never sent to NeoWs).
+ */
+const resolveReferenceIds = async (records) => {
+    const designations = records
+        .filter((record) => record.source !== 'neows' && record.designation)
+        .map((record) => record.designation);
+    if (designations.length === 0) return records;
+
+    const known = await Asteroid.find({ designation: { $in: designations } })
+        .select('neo_reference_id designation')
+        .lean();
+    const idByDesignation = new Map(known.map((a) => [a.designation, a.neo_reference_id]));
+
+    return records.map((record) => {
+        const existingId = idByDesignation.get(record.designation);
+        return existingId ? { ...record, neo_reference_id: existingId } : record;
+    });
+};
+
+/**
+ * Pull records from a data source adapter and store them
+ * @param {string} sourceName - Registered adapter name ('neows', 'sbdb', 'cad', 'sentry')
+ * @param {Object} options
+ * @param {Date} options.startDate - Window start for range sources (default: today)
+ * @param {Date} options.endDate - Window end for range sources (default: startDate)
+ * @param {Array<string>} options.ids - Objects to look up, for lookup-only sources
+ * @returns {Object} Stats about processed data
+ */
+export const ingestFromSource = async (sourceName, options = {}) => {
+    const adapter = getSource(sourceName);
+    if (!adapter) {
+        throw new Error(`Unknown data source: ${sourceName}`);
+    }
+
+    const { startDate = new Date(), endDate = startDate, ids = [] } = options;
+
+    let records;
+    if (ids.length > 0 && adapter.fetchObject) {
+        records = [];
+        for (const id of ids) {
+            const record = await adapter.fetchObject(id);
+            if (record) records.push(record);
+        }
+    } else if (adapter.fetchRange) {
+        records = await adapter.fetchRange(startDate, endDate);
+    } else {
+        throw new Error(`${adapter.label} only supports lookups by id`);
+    }
+
+    console.log(`📡 ${adapter.label}: ${records.length} records`);
+
+    if (adapter.kind === 'impact-risk') {
+        const result = await ImpactRisk.replaceFromSource(records, adapter.name);
+        return { source: adapter.name, total: records.length, ...result };
+    }
+
+    const stats = await processAndStoreAsteroids(await resolveReferenceIds(records), {
+        // NeoWs lookups are keyed by SPK-ID, which other sources may not have
+        lookupDetails: adapter.name === 'neows',
+        archivePast: true,
+    });
+    return { source: adapter.name, ...stats };
+};
+
+/**
+ * Sync the extra sources listed in DATA_SOURCES for the coming week
+ */
+export const runSourceSync = async () => {
+    const adapters = getScheduledSources();
+    if (adapters.length === 0) return [];
+
+    const today = new Date();
+    const nextWeek = new Date(today);
+    nextWeek.setDate(nextWeek.getDate() + 6);
+
+    const results = [];
+    for (const adapter of adapters) {
+        try {
+            results.push(await ingestFromSource(adapter.name, { startDate: today, endDate: nextWeek }));
+        } catch (error) {
+            console.error(`❌ ${adapter.label} sync failed:`, error.message);
+            results.push({ source: adapter.name, error: error.message });
+        }
+    }
+    return results;
+};
+
+const logFetchFailure = (label, error) => {
+    if (error.code === NASA_ERRORS.QUOTA) {
+        console.warn(`⏳ ${label} fetch skipped, NASA quota exhausted: ${error.message}`);
+    } else if (error.code === NASA_ERRORS.NETWORK) {
+        console.error(`❌ ${label} fetch failed, NASA unreachable: ${error.message}`);
+    } else {
+        console.error(`❌ ${label} fetch failed:`, error);
+    }
+};
+
 /**
  * Fetch and process today's asteroid data
  */
@@ -79,21 +273,23 @@ export const runDailyFetch = async () => {
         // Process and store
         const stats = await processAndStoreAsteroids(todayNeos);
 
-        // Emit stats to connected clients
+        // Emit stats to connected clients and webhooks
+        const update = {
+            type: 'daily_fetch_complete',
+            stats,
+            timestamp: new Date(),
+        };
         if (io) {
-            io.emit('DAILY_UPDATE', {
-                type: 'daily_fetch_complete',
-                stats,
-                timestamp: new Date(),
-            });
+            io.emit('DAILY_UPDATE', update);
         }
+        emitWebhookEvent('DAILY_UPDATE', update);
 
         // Check for alerts
         await checkAndDispatchAlerts(io, 1);
 
         console.log('✅ Daily fetch complete!\n');
     } catch (error) {
-        console.error('❌ Daily fetch failed:', error);
+        logFetchFailure('Daily', error);
     }
 };
 
@@ -129,7 +325,7 @@ export const runWeeklyFetch = async () => {
 
         console.log('✅ Weekly fetch complete!\n');
     } catch (error) {
-        console.error('❌ Weekly fetch failed:', error);
+        logFetchFailure('Weekly', error);
     }
 };
 
@@ -158,6 +354,17 @@ export const initScheduler = (socketIO) => {
         timezone: 'UTC',
     });
 
+    // Extra data sources (DATA_SOURCES) daily at 00:15
+    const extraSources = getScheduledSources();
+    if (extraSources.length > 0) {
+        cron.schedule('15 0 * * *', () => {
+            console.log('⏰ Cron: Data source sync triggered');
+            runSourceSync();
+        }, {
+            timezone: 'UTC',
+        });
+    }
+
     // Check for alerts every 6 hours
     cron.schedule('0 */6 * * *', () => {
         console.log('⏰ Cron: Alert check triggered');
@@ -166,10 +373,45 @@ export const initScheduler = (socketIO) => {
         timezone: 'UTC',
     });
 
+    // Alert digests: hourly, each user's goes out at 08:00 in their timezone
+    cron.schedule('0 * * * *', () => {
+        sendScheduledDigests(io);
+    }, {
+        timezone: 'UTC',
+    });
+
+    // Alerts held during users' quiet hours
+    cron.schedule('*/5 * * * *', () => {
+        deliverDeferredAlerts(io);
+    }, {
+        timezone: 'UTC',
+    });
+
+    // End snoozes and escalate unacknowledged danger alerts
+    cron.schedule('* * * * *', () => {
+        processAlertWorkflow(io);
+    }, {
+        timezone: 'UTC',
+    });
+
+    // Retry failed webhook deliveries whose backoff has elapsed
+    cron.schedule('* * * * *', () => {
+        retryDueDeliveries();
+    }, {
+        timezone: 'UTC',
+    });
+
     console.log('✅ Scheduler initialized with cron jobs:');
     console.log('   📆 Daily fetch: 00:01 UTC');
     console.log('   📅 Weekly fetch: Monday 00:30 UTC');
+    if (extraSources.length > 0) {
+        console.log(`   📡 Source sync (${extraSources.map((a) => a.name).join(', ')}): 00:15 UTC`);
+    }
     console.log('   🔔 Alert check: Every 6 hours');
+    console.log('   📋 Alert digests: Hourly (08:00 user local time)');
+    console.log('   🌙 Quiet-hours alerts: Every 5 minutes');
+    console.log('   ⏫ Snoozes & escalations: Every minute');
+    console.log('   🪝 Webhook retries: Every minute');
 };
 
 /**
@@ -187,5 +429,7 @@ export default {
     runDailyFetch,
     runWeeklyFetch,
     processAndStoreAsteroids,
+    ingestFromSource,
+    runSourceSync,
     triggerManualFetch,
 };
@@ -0,0 +1,258 @@
+/**
+ * Session Service
+ * Short-lived JWT access tokens plus rotating refresh tokens.
+ *
+ * Each sign-in creates a Session (one per device). The refresh token lives in
+ * an httpOnly cookie scoped to /api/auth and is swapped for a new one on every
+ * refresh. Access tokens carry the session id, so revoking a session locks out
+ * its access tokens straight away (see middleware/auth.js).
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import { User, Session } from '../models/index.js';
+
+const ACCESS_TOKEN_EXPIRES_IN = process.env.JWT_ACCESS_EXPIRES_IN || '15m';
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_EXPIRES_DAYS) || 30;
+// How long a just-rotated refresh token still works, for parallel refreshes from several tabs
+const ROTATION_GRACE_MS = 30 * 1000;
+
+export const REFRESH_COOKIE = 'astral_refresh';
+const REFRESH_COOKIE_PATH = '/api/auth';
+// Use "none" when the client is served from another site than the API
+const REFRESH_COOKIE_SAMESITE = process.env.REFRESH_COOKIE_SAMESITE || 'lax';
+
+const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
+
+const newRefreshToken = () => crypto.randomBytes(48).toString('base64url');
+
+const refreshExpiry = (now = new Date()) => new Date(now.getTime() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+const unauthorized = (message) => {
+    const error = new Error(message);
+    error.status = 401;
+    return error;
+};
+
+const clientInfo = (req) => ({
+    userAgent: req.get('user-agent')?.slice(0, 300),
+    ip: req.ip,
+});
+
+/**
+ * Sign an access token for a session
+ */
+export const signAccessToken = (userId, sessionId) => {
+    return jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+        expiresIn: ACCESS_TOKEN_EXPIRES_IN,
+    });
+};
+
+/**
+ * Start a session for a user who just signed in
+ * @returns {Promise<Object>} { session, accessToken, refreshToken }
+ */
+export const createSession = async (user, req) => {
+    const refreshToken = newRefreshToken();
+    const session = await Session.create({
+        userId: user._id,
+        tokenHash: hashToken(refreshToken),
+        expiresAt: refreshExpiry(),
+        ...clientInfo(req),
+    });
+
+    return {
+        session,
+        accessToken: signAccessToken(user._id, session._id),
+        refreshToken,
+    };
+};
+
+/**
+ * Swap a refresh token for a new access token and a new refresh token.
+ * A rotated token used again after the grace period is treated as stolen,
+ * and the whole session is revoked.
+ * @returns {Promise<Object>} { session, user, accessToken, refreshToken } (refreshToken
+ *   is null when a parallel request already rotated it)
+ */
+export const refreshSession = async (refreshToken, req) => {
+    if (!refreshToken) throw unauthorized('No refresh token. Please login again.');
+
+    const now = new Date();
+    const tokenHash = hashToken(refreshToken);
+    const nextToken = newRefreshToken();
+
+    // Matching on the current hash makes the rotation atomic
+    let session = await Session.findOneAndUpdate(
+        { tokenHash, revokedAt: null, expiresAt: { $gt: now } },
+        {
+            $set: {
+                tokenHash: hashToken(nextToken),
+                previousTokenHash: tokenHash,
+                rotatedAt: now,
+                lastUsedAt: now,
+                expiresAt: refreshExpiry(now),
+                ...clientInfo(req),
+            },
+        },
+        { new: true }
+    );
+    let issuedToken = nextToken;
+
+    if (!session) {
+        const rotated = await Session.findOne({ previousTokenHash: tokenHash });
+        if (!rotated?.isActive(now)) throw unauthorized('Session expired. Please login again.');
+
+        if (now - rotated.rotatedAt > ROTATION_GRACE_MS) {
+            await revokeSession(rotated._id, rotated.userId, 'token_reuse');
+            console.warn(`🚨 Refresh token reused for session ${rotated._id}; session revoked`);
+            throw unauthorized('Session expired. Please login again.');
+        }
+
+        // The parallel request already set the new cookie
+        session = rotated;
+        issuedToken = null;
+    }
+
+    const user = await User.findById(session.userId);
+    if (!user) throw unauthorized('User no longer exists.');
+
+    return {
+        session,
+        user,
+        accessToken: signAccessToken(user._id, session._id),
+        refreshToken: issuedToken,
+    };
+};
+
+/**
+ * Sign out the device holding a refresh token (no rotation, no reuse check)
+ * @returns {Promise<Object|null>} The revoked session, or null if there was none
+ */
+export const endSessionByRefreshToken = async (refreshToken) => {
+    if (!refreshToken) return null;
+    const tokenHash = hashToken(refreshToken);
+
+    return Session.findOneAndUpdate(
+        { $or: [{ tokenHash }, { previousTokenHash: tokenHash }], revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: 'logout' } },
+        { new: true }
+    );
+};
+
+/**
+ * Check an access token and the session behind it
+ * @returns {Promise<Object>} { user, session }
+ * @throws JsonWebTokenError/TokenExpiredError from jsonwebtoken, or a 401 error
+ */
+export const authenticateAccessToken = async (token) => {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Tokens from before sessions existed can't be revoked, so they are not accepted
+    if (!decoded.sid) throw unauthorized('Session expired. Please login again.');
+
+    const [user, session] = await Promise.all([
+        User.findById(decoded.id),
+        Session.findById(decoded.sid).select('userId revokedAt expiresAt'),
+    ]);
+
+    if (!session || !session.isActive() || String(session.userId) !== String(decoded.id)) {
+        throw unauthorized('Session has been revoked. Please login again.');
+    }
+    if (!user) throw unauthorized('User no longer exists.');
+
+    return { user, session };
+};
+
+/**
+ * Revoke one of a user's sessions
+ * @returns {Promise<Object|null>} The session, or null if it wasn't active
+ */
+export const revokeSession = async (sessionId, userId, reason = 'revoked') => {
+    return Session.findOneAndUpdate(
+        { _id: sessionId, userId, revokedAt: null },
+        { $set: { revokedAt: new Date(), revokedReason: reason } },
+        { new: true }
+    );
+};
+
+/**
+ * Revoke all of a user's sessions, optionally keeping one
+ * @returns {Promise<number>} Sessions revoked
+ */
+export const revokeAllSessions = async (userId, reason = 'logout_all', exceptSessionId = null) => {
+    const result = await Session.updateMany(
+        {
+            userId,
+            revokedAt: null,
+            ...(exceptSessionId && { _id: { $ne: exceptSessionId } }),
+        },
+        { $set: { revokedAt: new Date(), revokedReason: reason } }
+    );
+    return result.modifiedCount;
+};
+
+/**
+ * A user's active sessions, most recently used first
+ */
+export const listSessions = async (userId) => {
+    return Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+        .select('userAgent ip createdAt lastUsedAt expiresAt')
+        .sort({ lastUsedAt: -1 })
+        .lean();
+};
+
+/**
+ * Read one cookie from the request (no cookie-parser needed for a couple of cookies).
+ * A value that is not valid percent-encoding counts as missing.
+ */
+export const readCookie = (req, cookieName) => {
+    const header = req.headers.cookie || '';
+    for (const part of header.split(';')) {
+        const [name, ...value] = part.trim().split('=');
+        if (name !== cookieName) continue;
+        try {
+            return decodeURIComponent(value.join('='));
+        } catch {
+            return null;
+        }
+    }
+    return null;
+};
+
+/**
+ * Read the refresh token cookie
+ */
+export const readRefreshCookie = (req) => readCookie(req, REFRESH_COOKIE);
+
+const refreshCookieOptions = () => ({
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production' || REFRESH_COOKIE_SAMESITE === 'none',
+    sameSite: REFRESH_COOKIE_SAMESITE,
+    path: REFRESH_COOKIE_PATH,
+});
+
+export const setRefreshCookie = (res, refreshToken) => {
+    res.cookie(REFRESH_COOKIE, refreshToken, {
+        ...refreshCookieOptions(),
+        maxAge: REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000,
+    });
+};
+
+export const clearRefreshCookie = (res) => {
+    res.clearCookie(REFRESH_COOKIE, refreshCookieOptions());
+};
+
+export default {
+    createSession,
+    refreshSession,
+    endSessionByRefreshToken,
+    authenticateAccessToken,
+    revokeSession,
+    revokeAllSessions,
+    listSessions,
+    readCookie,
+    readRefreshCookie,
+    setRefreshCookie,
+    clearRefreshCookie,
+};
@@ -0,0 +1,72 @@
+/**
+ * CNEOS Close-Approach Data adapter
+ * API Docs: https://ssd-api.jpl.nasa.gov/doc/cad.html
+ *
+ * One record per approach inside the requested window. CAD reports neither
+ * the PHA flag nor orbital elements, so those are left for NeoWs/SBDB.
+ *
+ * CAD identifies objects by designation only. Ingestion matches records to
+ * asteroids already stored under that designation; unnumbered objects seen
+ * nowhere else keep a local 'des-' key (see referenceIdFromDesignation).
+ */
+
+import { fetchJson } from './http.js';
+import { formatDate } from '../nasaService.js';
+import { toNumber, estimateDiameter, toCloseApproach, zipFields } from './normalize.js';
+import { referenceIdFromDesignation } from '../../utils/designation.js';
+
+const CAD_API = process.env.JPL_CAD_API_URL || 'https://ssd-api.jpl.nasa.gov/cad.api';
+// Only approaches within this distance (AU); CAD's own default is 0.05
+const MAX_DISTANCE_AU = process.env.JPL_CAD_DIST_MAX || '0.05';
+
+export const name = 'cad';
+export const label = 'CNEOS Close Approaches';
+export const kind = 'approaches';
+
+/**
+ * @param {Object} raw - cad.api response ({ fields, data })
+ * @returns {Array} NeoWs-shaped asteroid records
+ */
+export const normalize = (raw) => {
+    return zipFields(raw?.fields, raw?.data)
+        .map((row) => {
+            const approach = toCloseApproach({ ...row, body: row.body || 'Earth' });
+            if (!approach) return null;
+
+            const designation = row.des.trim();
+            const absoluteMagnitude = toNumber(row.h);
+            return {
+                neo_reference_id: referenceIdFromDesignation(designation),
+                designation,
+                name: row.fullname?.trim() || designation,
+                source: name,
+                nasa_jpl_url: `https://ssd.jpl.nasa.gov/tools/sbdb_lookup.html#/?sstr=${encodeURIComponent(designation)}`,
+                absolute_magnitude_h: absoluteMagnitude,
+                estimated_diameter: estimateDiameter(toNumber(row.diameter), absoluteMagnitude),
+                close_approach_data: [approach],
+            };
+        })
+        .filter(Boolean);
+};
+
+export const fetchRange = async (startDate, endDate = startDate) => {
+    const params = new URLSearchParams({
+        'date-min': formatDate(startDate),
+        'date-max': formatDate(endDate),
+        'dist-max': MAX_DISTANCE_AU,
+        diameter: 'true',
+        fullname: 'true',
+        neo: 'true',
+    });
+
+    console.log(`🛰️  Fetching CNEOS close approaches: ${params.get('date-min')} to ${params.get('date-max')}`);
+    return normalize(await fetchJson(`${CAD_API}?${params}`, name));
+};
+
+export default {
+    name,
+    label,
+    kind,
+    normalize,
+    fetchRange,
+};
@@ -0,0 +1,53 @@
+/**
+ * Shared HTTP access for data-source adapters
+ *
+ * With SOURCE_FIXTURES_DIR set (or NASA_MODE=fixture), requests are
+ * answered from <dir>/<fixture>.json instead of the network, so adapters
+ * can be exercised offline against recorded responses.
+ */
+
+import { readFile } from 'fs/promises';
+import path from 'path';
+import { fileURLToPath } from 'url';
+
+// NASA_MODE=fixture takes the JPL sources offline too
+const FIXTURES_DIR = process.env.SOURCE_FIXTURES_DIR || (process.env.NASA_MODE === 'fixture'
+    ? fileURLToPath(new URL('../../../fixtures/sources', import.meta.url))
+    : null);
+
+/**
+ * GET a JSON endpoint (or its recorded fixture)
+ * @param {string} url - Full request URL
+ * @param {string} fixture - Fixture file name without extension, e.g. 'cad'
+ * @returns {Promise<Object>} Parsed JSON body; throws with error.status on failure
+ */
+export const fetchJson = async (url, fixture) => {
+    if (FIXTURES_DIR) {
+        const file = path.resolve(FIXTURES_DIR, `${fixture}.json`);
+        try {
+            return JSON.parse(await readFile(file, 'utf8'));
+        } catch (error) {
+            const fixtureError = new Error(`Fixture not available: ${file} (${error.message})`);
+            fixtureError.status = 404;
+            throw fixtureError;
+        }
+    }
+
+    const response = await fetch(url);
+    if (!response.ok) {
+        const error = new Error(`${new URL(url).host} error: ${response.status} ${response.statusText}`);
+        error.status = response.status;
+        throw error;
+    }
+    return response.json();
+};
+
+/**
+ * Whether adapters are reading fixtures instead of the network
+ */
+export const usingFixtures = () => Boolean(FIXTURES_DIR);
+
+export default {
+    fetchJson,
+    usingFixtures,
+};
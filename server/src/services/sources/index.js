@@ -0,0 +1,76 @@
+/**
+ * Data Source Registry
+ *
+ * Every adapter exposes:
+ *   name        - registry key ('neows', 'sbdb', 'cad', 'sentry')
+ *   label       - human-readable name
+ *   kind        - 'approaches' (NeoWs-shaped asteroid records) or
+ *                 'impact-risk' (ImpactRisk records)
+ *   normalize(raw)                  - pure mapping of a raw API response
+ *   fetchRange(startDate, endDate)  - optional, records for a date window
+ *   fetchObject(id)                 - optional, a single record or null
+ *
+ * normalize() is side-effect free so adapters can be checked against the
+ * recorded responses in server/fixtures/sources.
+ */
+
+import neowsSource from './neowsSource.js';
+import sbdbSource from './sbdbSource.js';
+import cadSource from './cadSource.js';
+import sentrySource from './sentrySource.js';
+import { usingFixtures } from './http.js';
+
+const sources = new Map();
+
+/**
+ * Add (or replace) an adapter
+ */
+export const registerSource = (adapter) => {
+    if (!adapter?.name || !adapter.kind || typeof adapter.normalize !== 'function') {
+        throw new Error('Data source adapters need a name, kind and normalize()');
+    }
+    sources.set(adapter.name, adapter);
+};
+
+/**
+ * @param {string} name
+ * @returns {Object|null} The adapter or null when unknown
+ */
+export const getSource = (name) => sources.get(name) || null;
+
+/**
+ * Describe registered adapters (for the admin API)
+ */
+export const listSources = () =>
+    [...sources.values()].map((adapter) => ({
+        name: adapter.name,
+        label: adapter.label,
+        kind: adapter.kind,
+        supportsRange: typeof adapter.fetchRange === 'function',
+        supportsLookup: typeof adapter.fetchObject === 'function',
+        fixtures: usingFixtures(),
+    }));
+
+/**
+ * Adapters the scheduler syncs daily besides NeoWs (DATA_SOURCES=cad,sentry)
+ */
+export const getScheduledSources = () =>
+    (process.env.DATA_SOURCES || '')
+        .split(',')
+        .map((name) => name.trim())
+        .filter((name) => name && name !== 'neows')
+        .map((name) => {
+            const adapter = getSource(name);
+            if (!adapter) console.warn(`⚠️ Unknown data source in DATA_SOURCES: ${name}`);
+            return adapter;
+        })
+        .filter((adapter) => adapter?.fetchRange);
+
+[neowsSource, sbdbSource, cadSource, sentrySource].forEach(registerSource);
+
+export default {
+    registerSource,
+    getSource,
+    listSources,
+    getScheduledSources,
+};
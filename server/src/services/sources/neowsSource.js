@@ -0,0 +1,47 @@
+/**
+ * NASA NeoWs adapter
+ * The original feed; records are already in the shape the pipeline expects.
+ */
+
+import { fetchNeoFeed, fetchAsteroidById, flattenNeoFeed, NASA_ERRORS } from '../nasaService.js';
+
+export const name = 'neows';
+export const label = 'NASA NeoWs';
+export const kind = 'approaches';
+
+/**
+ * NeoWs feed responses are date-keyed; flatten and tag them
+ * @param {Object} raw - Feed response body
+ * @returns {Array} NeoWs-shaped asteroid records
+ */
+export const normalize = (raw) =>
+    flattenNeoFeed(raw?.near_earth_objects).map((neo) => ({ ...neo, source: name }));
+
+export const fetchRange = async (startDate, endDate) => {
+    const result = await fetchNeoFeed(startDate, endDate);
+    if (!result.success) {
+        const error = new Error(result.error);
+        error.status = result.status;
+        error.code = result.code;
+        throw error;
+    }
+    return normalize(result);
+};
+
+export const fetchObject = async (id) => {
+    try {
+        return { ...(await fetchAsteroidById(id)), source: name };
+    } catch (error) {
+        if (error.code === NASA_ERRORS.NOT_FOUND) return null;
+        throw error;
+    }
+};
+
+export default {
+    name,
+    label,
+    kind,
+    normalize,
+    fetchRange,
+    fetchObject,
+};
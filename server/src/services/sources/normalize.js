@@ -0,0 +1,100 @@
+/**
+ * Helpers for mapping JPL SSD API responses onto the NeoWs object shape
+ * that the risk engine and Asteroid.fromNASA already understand.
+ */
+
+export const AU_KM = 149597870.7;
+export const LUNAR_DISTANCE_KM = 384400;
+export const EARTH_RADIUS_KM = 6371;
+
+// Albedo range NeoWs uses when only H is known
+const MIN_ALBEDO = 0.05;
+const MAX_ALBEDO = 0.25;
+
+const MONTHS = {
+    Jan: '01', Feb: '02', Mar: '03', Apr: '04', May: '05', Jun: '06',
+    Jul: '07', Aug: '08', Sep: '09', Oct: '10', Nov: '11', Dec: '12',
+};
+
+export const toNumber = (value) => {
+    if (value === null || value === undefined || value === '') return null;
+    const number = parseFloat(value);
+    return Number.isNaN(number) ? null : number;
+};
+
+/**
+ * '2029-Apr-13 21:46' → { date: '2029-04-13', dateFull: '2029-Apr-13 21:46', epoch: ms }
+ */
+export const parseCalendarDate = (cd) => {
+    const match = String(cd || '').match(/^(\d{4})-([A-Za-z]{3})-(\d{2})(?:\s+(\d{2}:\d{2}))?/);
+    if (!match || !MONTHS[match[2]]) return null;
+
+    const [, year, month, day, time = '00:00'] = match;
+    const date = `${year}-${MONTHS[month]}-${day}`;
+    return {
+        date,
+        dateFull: cd,
+        epoch: Date.parse(`${date}T${time}:00Z`),
+    };
+};
+
+/**
+ * NeoWs estimated_diameter.meters from a known diameter (km) or from H
+ */
+export const estimateDiameter = (diameterKm, absoluteMagnitude) => {
+    if (diameterKm) {
+        const meters = diameterKm * 1000;
+        return { meters: { estimated_diameter_min: meters, estimated_diameter_max: meters } };
+    }
+    if (absoluteMagnitude === null || absoluteMagnitude === undefined) return undefined;
+
+    // D(km) = 1329 / sqrt(albedo) * 10^(-H/5)
+    const diameterFor = (albedo) => (1329 / Math.sqrt(albedo)) * 10 ** (-absoluteMagnitude / 5) * 1000;
+    return {
+        meters: {
+            estimated_diameter_min: diameterFor(MAX_ALBEDO),
+            estimated_diameter_max: diameterFor(MIN_ALBEDO),
+        },
+    };
+};
+
+/**
+ * NeoWs close_approach_data entry from a JPL approach (distance in AU, velocity in km/s)
+ */
+export const toCloseApproach = ({ cd, dist, v_rel, body = 'Earth' }) => {
+    const date = parseCalendarDate(cd);
+    const au = toNumber(dist);
+    const velocity = toNumber(v_rel);
+    if (!date || au === null) return null;
+
+    const km = au * AU_KM;
+    return {
+        close_approach_date: date.date,
+        close_approach_date_full: date.dateFull,
+        epoch_date_close_approach: date.epoch,
+        relative_velocity: {
+            kilometers_per_second: String(velocity ?? 0),
+            kilometers_per_hour: String((velocity ?? 0) * 3600),
+        },
+        miss_distance: {
+            astronomical: String(au),
+            lunar: String(km / LUNAR_DISTANCE_KM),
+            kilometers: String(km),
+        },
+        orbiting_body: body,
+    };
+};
+
+/**
+ * Rows from JPL's { fields: [...], data: [[...]] } responses as objects
+ */
+export const zipFields = (fields = [], rows = []) =>
+    rows.map((row) => Object.fromEntries(fields.map((field, i) => [field, row[i]])));
+
+export default {
+    toNumber,
+    parseCalendarDate,
+    estimateDiameter,
+    toCloseApproach,
+    zipFields,
+};
@@ -0,0 +1,96 @@
+/**
+ * JPL Small-Body Database adapter
+ * API Docs: https://ssd-api.jpl.nasa.gov/doc/sbdb.html
+ *
+ * Per-object lookups with orbital elements, physical parameters and
+ * Earth close approaches. There is no date-range query.
+ */
+
+import { fetchJson } from './http.js';
+import { toNumber, estimateDiameter, toCloseApproach } from './normalize.js';
+import { designationFromName } from '../../utils/designation.js';
+
+const SBDB_API = process.env.JPL_SBDB_API_URL || 'https://ssd-api.jpl.nasa.gov/sbdb.api';
+
+export const name = 'sbdb';
+export const label = 'JPL Small-Body Database';
+export const kind = 'approaches';
+
+// SBDB element names → NeoWs orbital_data keys
+const ELEMENT_KEYS = {
+    e: 'eccentricity',
+    a: 'semi_major_axis',
+    q: 'perihelion_distance',
+    ad: 'aphelion_distance',
+    i: 'inclination',
+    om: 'ascending_node_longitude',
+    w: 'perihelion_argument',
+    ma: 'mean_anomaly',
+    n: 'mean_motion',
+    per: 'orbital_period',
+};
+
+const toOrbitalData = (orbit, orbitClass) => {
+    if (!orbit?.elements) return undefined;
+
+    const orbitalData = {
+        orbit_id: orbit.orbit_id,
+        epoch_osculation: orbit.epoch,
+        orbit_class: orbitClass && { orbit_class_type: orbitClass.code },
+    };
+    for (const element of orbit.elements) {
+        const key = ELEMENT_KEYS[element.name];
+        if (key) orbitalData[key] = element.value;
+    }
+    return orbitalData;
+};
+
+/**
+ * @param {Object} raw - sbdb.api response for a single object
+ * @returns {Array} Zero or one NeoWs-shaped asteroid record
+ */
+export const normalize = (raw) => {
+    const object = raw?.object;
+    if (!object) return [];
+
+    const physical = Object.fromEntries((raw.phys_par || []).map((p) => [p.name, p.value]));
+    const absoluteMagnitude = toNumber(physical.H);
+
+    return [{
+        neo_reference_id: object.spkid,
+        designation: object.des || designationFromName(object.fullname),
+        name: object.fullname?.trim(),
+        source: name,
+        nasa_jpl_url: `https://ssd.jpl.nasa.gov/tools/sbdb_lookup.html#/?sstr=${object.spkid}`,
+        absolute_magnitude_h: absoluteMagnitude,
+        estimated_diameter: estimateDiameter(toNumber(physical.diameter), absoluteMagnitude),
+        is_potentially_hazardous_asteroid: Boolean(object.pha),
+        close_approach_data: (raw.ca_data || []).map(toCloseApproach).filter(Boolean),
+        orbital_data: toOrbitalData(raw.orbit, object.orbit_class),
+    }];
+};
+
+/**
+ * Look up one object by SPK-ID, number or designation
+ * @returns {Promise<Object|null>}
+ */
+export const fetchObject = async (id) => {
+    const params = new URLSearchParams({
+        sstr: id,
+        'phys-par': 'true',
+        'ca-data': 'true',
+        'ca-body': 'Earth',
+    });
+
+    console.log(`🔍 Fetching SBDB object: ${id}`);
+    const [record] = normalize(await fetchJson(`${SBDB_API}?${params}`, name));
+    return record || null;
+};
+
+export default {
+    name,
+    label,
+    kind,
+    normalize,
+    fetchObject,
+};
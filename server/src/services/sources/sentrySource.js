@@ -0,0 +1,55 @@
+/**
+ * JPL Sentry impact-risk adapter
+ * API Docs: https://ssd-api.jpl.nasa.gov/doc/sentry.html
+ *
+ * Sentry lists objects with a non-zero impact probability over the next
+ * century. Records go to ImpactRisk rather than Asteroid, since most of
+ * them have no approach in the tracked window.
+ */
+
+import { fetchJson } from './http.js';
+import { toNumber } from './normalize.js';
+
+const SENTRY_API = process.env.JPL_SENTRY_API_URL || 'https://ssd-api.jpl.nasa.gov/sentry.api';
+
+export const name = 'sentry';
+export const label = 'JPL Sentry';
+export const kind = 'impact-risk';
+
+/**
+ * @param {Object} raw - sentry.api summary response
+ * @returns {Array} ImpactRisk records
+ */
+export const normalize = (raw) => {
+    return (raw?.data || []).map((row) => ({
+        designation: row.des.trim(),
+        fullname: row.fullname?.trim(),
+        sentryId: row.id,
+        impactProbability: toNumber(row.ip),
+        palermoScaleCumulative: toNumber(row.ps_cum),
+        palermoScaleMax: toNumber(row.ps_max),
+        torinoScaleMax: toNumber(row.ts_max),
+        impactCount: toNumber(row.n_imp),
+        yearRange: row.range,
+        diameterKm: toNumber(row.diameter),
+        absoluteMagnitudeH: toNumber(row.h),
+        vInfinityKmS: toNumber(row.v_inf),
+        lastObserved: row.last_obs,
+    }));
+};
+
+/**
+ * The Sentry table is small, so the date range is ignored and the whole list is fetched
+ */
+export const fetchRange = async () => {
+    console.log('🛰️  Fetching JPL Sentry impact-risk table');
+    return normalize(await fetchJson(SENTRY_API, name));
+};
+
+export default {
+    name,
+    label,
+    kind,
+    normalize,
+    fetchRange,
+};
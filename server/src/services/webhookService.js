@@ -0,0 +1,283 @@
+/**
+ * Webhook Service
+ * Delivers Socket.IO events (CLOSE_APPROACH_ALERT, NEW_HAZARDOUS_ASTEROID,
+ * DAILY_UPDATE) to user-registered URLs as HMAC-signed JSON POSTs.
+ *
+ * Every delivery is logged in WebhookDelivery. Network errors, 408, 429 and
+ * 5xx responses are retried with exponential backoff by a once-a-minute
+ * sweep (see scheduler.js), so pending retries survive a restart.
+ *
+ * Receivers must be public https URLs. The address is checked again on every
+ * connection (see utils/outboundUrl.js), and only the response status is
+ * kept, never the body, so a webhook can't be used to read internal services.
+ */
+
+import crypto from 'crypto';
+import http from 'http';
+import https from 'https';
+import net from 'net';
+import { Webhook, WebhookDelivery } from '../models/index.js';
+import { allowPrivateUrls, isPublicAddress, publicOnlyLookup } from '../utils/outboundUrl.js';
+
+const MAX_ATTEMPTS = parseInt(process.env.WEBHOOK_MAX_ATTEMPTS) || 6;
+const RETRY_BASE_MS = parseInt(process.env.WEBHOOK_RETRY_BASE_MS) || 30 * 1000;
+const TIMEOUT_MS = parseInt(process.env.WEBHOOK_TIMEOUT_MS) || 10 * 1000;
+// Pause a webhook after this many deliveries in a row fail for good
+const MAX_CONSECUTIVE_FAILURES = 20;
+export const MAX_WEBHOOKS_PER_USER = 10;
+
+let sweepRunning = false;
+
+/**
+ * HMAC-SHA256 over "<timestamp>.<body>", hex encoded.
+ * Receivers recompute it from the X-Astral-Signature timestamp and the raw body.
+ */
+export const signPayload = (secret, timestamp, body) => {
+    return crypto.createHmac('sha256', secret).update(`${timestamp}.${body}`).digest('hex');
+};
+
+const isRetryable = (status) => !status || status === 408 || status === 429 || status >= 500;
+
+/**
+ * Delay before retry N (1-based): 30s, 1m, 2m, 4m, 8m...
+ */
+const retryDelay = (attempt) => RETRY_BASE_MS * 2 ** (attempt - 1);
+
+const blockedUrl = (message) => {
+    const error = new Error(message);
+    error.code = 'EBLOCKEDADDRESS';
+    return error;
+};
+
+/**
+ * POST a body to a receiver, connecting only to public addresses
+ * @returns {Promise<number>} HTTP status (redirects are not followed)
+ */
+const postToReceiver = (url, headers, body, signal) =>
+    new Promise((resolve, reject) => {
+        const target = new URL(url);
+        const hostname = target.hostname.replace(/^\[|\]$/g, '');
+
+        if (!allowPrivateUrls()) {
+            if (target.protocol !== 'https:') return reject(blockedUrl('Webhook URL must use https'));
+            // IP literals never reach the lookup, so check them here
+            if (net.isIP(hostname) && !isPublicAddress(hostname)) {
+                return reject(blockedUrl(`${hostname} is not a public address`));
+            }
+        }
+
+        const transport = target.protocol === 'https:' ? https : http;
+        const request = transport.request(target, {
+            method: 'POST',
+            headers: { ...headers, 'Content-Length': Buffer.byteLength(body) },
+            lookup: publicOnlyLookup,
+            signal,
+        }, (response) => {
+            // The body is never read or stored
+            response.resume();
+            resolve(response.statusCode);
+        });
+
+        request.on('error', reject);
+        request.end(body);
+    });
+
+/**
+ * Record the outcome on the webhook; pause it after too many failures
+ */
+const recordOutcome = async (webhook, success) => {
+    if (success) {
+        await Webhook.updateOne(
+            { _id: webhook._id },
+            { lastDeliveryAt: new Date(), lastDeliveryStatus: 'success', consecutiveFailures: 0 }
+        );
+        return;
+    }
+
+    const updated = await Webhook.findByIdAndUpdate(
+        webhook._id,
+        { lastDeliveryAt: new Date(), lastDeliveryStatus: 'failed', $inc: { consecutiveFailures: 1 } },
+        { new: true }
+    );
+
+    if (updated?.isActive && updated.consecutiveFailures >= MAX_CONSECUTIVE_FAILURES) {
+        updated.isActive = false;
+        updated.disabledReason = `Paused after ${MAX_CONSECUTIVE_FAILURES} failed deliveries in a row`;
+        await updated.save();
+        console.warn(`⏸️  Webhook ${webhook._id} paused after repeated failures`);
+    }
+};
+
+/**
+ * POST a delivery once and update its log entry
+ * @param {Object} delivery - WebhookDelivery document
+ * @param {Object} webhook - Webhook document selected with +secret
+ * @param {Object} options
+ * @param {boolean} options.retry - Schedule a retry on retryable failures (default: true)
+ */
+const attemptDelivery = async (delivery, webhook, { retry = true } = {}) => {
+    const timestamp = Math.floor(Date.now() / 1000);
+    const signature = signPayload(webhook.secret, timestamp, delivery.body);
+    const startedAt = Date.now();
+
+    delivery.attempts++;
+    delivery.error = undefined;
+    // A receiver on a blocked address won't become reachable by retrying
+    let blocked = false;
+    const signal = AbortSignal.timeout(TIMEOUT_MS);
+
+    try {
+        const status = await postToReceiver(webhook.url, {
+            'Content-Type': 'application/json',
+            'User-Agent': 'Astral-Webhooks/1.0',
+            'X-Astral-Event': delivery.event,
+            'X-Astral-Delivery': String(delivery._id),
+            'X-Astral-Signature': `t=${timestamp},v1=${signature}`,
+        }, delivery.body, signal);
+
+        delivery.responseStatus = status;
+
+        if (status < 200 || status >= 300) {
+            delivery.error = `Receiver responded ${status}`;
+        }
+    } catch (error) {
+        delivery.responseStatus = undefined;
+        blocked = error.code === 'EBLOCKEDADDRESS';
+        delivery.error = signal.aborted ? `Timed out after ${TIMEOUT_MS}ms` : error.message;
+    }
+
+    delivery.durationMs = Date.now() - startedAt;
+
+    if (!delivery.error) {
+        delivery.status = 'success';
+        delivery.nextAttemptAt = undefined;
+        delivery.completedAt = new Date();
+    } else if (retry && !blocked && isRetryable(delivery.responseStatus) && delivery.attempts < MAX_ATTEMPTS) {
+        delivery.status = 'pending';
+        delivery.nextAttemptAt = new Date(Date.now() + retryDelay(delivery.attempts));
+    } else {
+        delivery.status = 'failed';
+        delivery.nextAttemptAt = undefined;
+        delivery.completedAt = new Date();
+    }
+
+    await delivery.save();
+
+    // Only finished deliveries count towards the webhook's health
+    if (delivery.status !== 'pending') {
+        await recordOutcome(webhook, delivery.status === 'success');
+    }
+
+    return delivery;
+};
+
+/**
+ * Create the log entry for one event and make the first attempt
+ */
+const createDelivery = async (webhook, event, data, options) => {
+    const delivery = new WebhookDelivery({ webhookId: webhook._id, userId: webhook.userId, event, body: '{}' });
+    delivery.body = JSON.stringify({
+        id: delivery._id,
+        event,
+        createdAt: new Date(),
+        data,
+    });
+    return attemptDelivery(delivery, webhook, options);
+};
+
+/**
+ * Send an event to every active webhook subscribed to it.
+ * Never throws, so callers can fire and forget.
+ * @param {string} event - One of WEBHOOK_EVENTS
+ * @param {Object} data - Event payload (same shape as the Socket.IO event)
+ * @param {Object} options
+ * @param {string} options.userId - Only this user's webhooks (for per-user events)
+ * @returns {Promise<number>} Deliveries started
+ */
+export const emitWebhookEvent = async (event, data, { userId } = {}) => {
+    try {
+        const query = { events: event, isActive: true };
+        if (userId) query.userId = userId;
+
+        const webhooks = await Webhook.find(query).select('+secret');
+
+        for (const webhook of webhooks) {
+            try {
+                await createDelivery(webhook, event, data);
+            } catch (error) {
+                console.error(`❌ Webhook ${webhook._id} delivery error:`, error.message);
+            }
+        }
+
+        return webhooks.length;
+    } catch (error) {
+        console.error(`❌ Failed to emit ${event} webhooks:`, error.message);
+        return 0;
+    }
+};
+
+/**
+ * Send a TEST_EVENT once (no retries) so users can check their receiver
+ * @returns {Promise<Object>} The delivery log entry
+ */
+export const sendTestEvent = async (webhookId, userId) => {
+    const webhook = await Webhook.findOne({ _id: webhookId, userId }).select('+secret');
+    if (!webhook) return null;
+
+    return createDelivery(
+        webhook,
+        'TEST_EVENT',
+        {
+            message: 'Test event from Astral. Your webhook is reachable.',
+            subscribedEvents: webhook.events,
+        },
+        { retry: false }
+    );
+};
+
+/**
+ * Retry deliveries whose backoff has elapsed (run every minute by the scheduler)
+ */
+export const retryDueDeliveries = async () => {
+    if (sweepRunning) return 0;
+    sweepRunning = true;
+
+    try {
+        const due = await WebhookDelivery.find({
+            status: 'pending',
+            nextAttemptAt: { $lte: new Date() },
+        })
+            .sort({ nextAttemptAt: 1 })
+            .limit(100);
+
+        for (const delivery of due) {
+            const webhook = await Webhook.findById(delivery.webhookId).select('+secret');
+
+            if (!webhook?.isActive) {
+                delivery.status = 'failed';
+                delivery.error = webhook ? 'Webhook is paused' : 'Webhook was deleted';
+                delivery.nextAttemptAt = undefined;
+                delivery.completedAt = new Date();
+                await delivery.save();
+                continue;
+            }
+
+            await attemptDelivery(delivery, webhook);
+            console.log(`🔁 Webhook retry ${delivery.attempts}/${MAX_ATTEMPTS} for ${delivery.event}: ${delivery.status}`);
+        }
+
+        return due.length;
+    } catch (error) {
+        console.error('❌ Webhook retry sweep failed:', error.message);
+        return 0;
+    } finally {
+        sweepRunning = false;
+    }
+};
+
+export default {
+    signPayload,
+    emitWebhookEvent,
+    sendTestEvent,
+    retryDueDeliveries,
+};
@@ -0,0 +1,52 @@
+/**
+ * Close Approach Helpers
+ * Shared logic for picking the relevant encounter out of NASA's close_approach_data
+ */
+
+/**
+ * Parse the best available timestamp for a NASA close-approach entry
+ */
+export const parseApproachDate = (approach) => {
+    if (!approach) return null;
+    if (approach.epoch_date_close_approach) {
+        return new Date(approach.epoch_date_close_approach);
+    }
+    return approach.close_approach_date_full
+        ? new Date(approach.close_approach_date_full)
+        : new Date(approach.close_approach_date);
+};
+
+/**
+ * Pick the approach an analyst cares about: the next Earth approach from the
+ * start of today (UTC), falling back to the most recent past one.
+ * NASA lists approaches chronologically from 1900, so index 0 is rarely it.
+ * @param {Array} closeApproachData - close_approach_data from NeoWs
+ * @param {Date} now - Reference time (default: now)
+ * @returns {Object|null} The selected raw approach entry
+ */
+export const selectPrimaryApproach = (closeApproachData, now = new Date()) => {
+    if (!Array.isArray(closeApproachData) || closeApproachData.length === 0) {
+        return null;
+    }
+    if (closeApproachData.length === 1) return closeApproachData[0];
+
+    const startOfDay = new Date(now);
+    startOfDay.setUTCHours(0, 0, 0, 0);
+
+    const earthApproaches = closeApproachData.filter(
+        (approach) => (approach.orbiting_body || 'Earth') === 'Earth'
+    );
+    const candidates = earthApproaches.length > 0 ? earthApproaches : closeApproachData;
+
+    const sorted = [...candidates].sort(
+        (a, b) => parseApproachDate(a) - parseApproachDate(b)
+    );
+
+    const next = sorted.find((approach) => parseApproachDate(approach) >= startOfDay);
+    return next || sorted[sorted.length - 1];
+};
+
+export default {
+    parseApproachDate,
+    selectPrimaryApproach,
+};
@@ -0,0 +1,58 @@
+/**
+ * Designation Helpers
+ * Match the same object across NeoWs, JPL SBDB, CNEOS and Sentry, which
+ * identify it by SPK-ID, number or provisional designation respectively.
+ */
+
+// SPK-IDs of numbered asteroids are 2,000,000 + the asteroid number
+const NUMBERED_SPK_OFFSET = 2000000;
+// Prefix for objects only a JPL source knows; SPK-IDs are all digits, so these never clash
+const LOCAL_ID_PREFIX = 'des-';
+
+/**
+ * Extract the MPC designation from a NeoWs/JPL name
+ * '433 Eros (A898 PA)' → '433', '(2024 AB)' → '2024 AB'
+ * @param {string} name
+ * @returns {string|null}
+ */
+export const designationFromName = (name) => {
+    if (!name) return null;
+    const trimmed = name.trim();
+
+    const numbered = trimmed.match(/^(\d+)\s/);
+    if (numbered) return numbered[1];
+
+    const provisional = trimmed.match(/\(([^)]+)\)/);
+    if (provisional) return provisional[1].trim();
+
+    return trimmed;
+};
+
+/**
+ * neo_reference_id for a designation.
+ * Numbered objects map to their SPK-ID (what NeoWs uses). A provisional
+ * designation has no derivable SPK-ID, so it gets a local key instead,
+ * e.g. '2024 AB' → 'des-2024AB', which is never looked up on NeoWs.
+ * @param {string} designation
+ * @returns {string}
+ */
+export const referenceIdFromDesignation = (designation) => {
+    const des = String(designation).trim();
+    if (/^\d+$/.test(des)) {
+        return String(NUMBERED_SPK_OFFSET + parseInt(des));
+    }
+    return LOCAL_ID_PREFIX + des.replace(/[^a-zA-Z0-9_-]/g, '');
+};
+
+/**
+ * Whether a neo_reference_id is a local key rather than a NeoWs SPK-ID
+ * @param {string} id
+ * @returns {boolean}
+ */
+export const isLocalReferenceId = (id) => String(id).startsWith(LOCAL_ID_PREFIX);
+
+export default {
+    designationFromName,
+    referenceIdFromDesignation,
+    isLocalReferenceId,
+};
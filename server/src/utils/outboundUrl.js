@@ -0,0 +1,137 @@
+/**
+ * Outbound URL checks
+ * Keeps user-supplied URLs (webhooks) from reaching this server's own
+ * network: loopback, private, link-local (cloud metadata at 169.254.169.254),
+ * carrier-grade NAT and other non-public ranges are refused.
+ *
+ * Names are checked when a URL is saved (for a readable error) and again by
+ * `publicOnlyLookup` each time a connection is made, so a DNS answer that
+ * changes after the check (rebinding) is still caught.
+ *
+ * WEBHOOK_ALLOW_PRIVATE_URLS=true lifts the restriction outside production,
+ * for receivers running on localhost during development.
+ */
+
+import dns from 'dns';
+import net from 'net';
+
+const BLOCKED = new net.BlockList();
+for (const [address, prefix] of [
+    ['0.0.0.0', 8], // "this network"
+    ['10.0.0.0', 8],
+    ['100.64.0.0', 10], // carrier-grade NAT
+    ['127.0.0.0', 8],
+    ['169.254.0.0', 16], // link-local, cloud metadata
+    ['172.16.0.0', 12],
+    ['192.0.0.0', 24],
+    ['192.0.2.0', 24], // documentation
+    ['192.168.0.0', 16],
+    ['198.18.0.0', 15], // benchmarking
+    ['198.51.100.0', 24],
+    ['203.0.113.0', 24],
+    ['224.0.0.0', 4], // multicast
+    ['240.0.0.0', 4], // reserved, broadcast
+]) {
+    BLOCKED.addSubnet(address, prefix, 'ipv4');
+}
+for (const [address, prefix] of [
+    ['::', 128], // unspecified
+    ['::1', 128],
+    ['::ffff:0:0', 96], // IPv4-mapped; real IPv4 answers are checked as IPv4
+    ['64:ff9b::', 96], // NAT64 onto IPv4
+    ['100::', 64], // discard
+    ['2001:db8::', 32], // documentation
+    ['fc00::', 7], // unique local
+    ['fe80::', 10], // link-local
+    ['ff00::', 8], // multicast
+]) {
+    BLOCKED.addSubnet(address, prefix, 'ipv6');
+}
+
+export const allowPrivateUrls = () =>
+    process.env.NODE_ENV !== 'production' && process.env.WEBHOOK_ALLOW_PRIVATE_URLS === 'true';
+
+/**
+ * Whether an IP address is on the public internet
+ * @param {string} address - IPv4 or IPv6 literal
+ * @returns {boolean}
+ */
+export const isPublicAddress = (address) => {
+    const family = net.isIP(address);
+    if (!family) return false;
+
+    return !BLOCKED.check(address, family === 6 ? 'ipv6' : 'ipv4');
+};
+
+const blockedError = (hostname) => {
+    const error = new Error(`${hostname} does not resolve to a public address`);
+    error.code = 'EBLOCKEDADDRESS';
+    return error;
+};
+
+/**
+ * Drop-in for dns.lookup that refuses non-public answers. Pass it as the
+ * `lookup` option of http(s).request so the check runs at connect time.
+ */
+export const publicOnlyLookup = (hostname, options, callback) => {
+    if (typeof options === 'function') {
+        callback = options;
+        options = {};
+    }
+
+    dns.lookup(hostname, { ...options, all: true }, (error, addresses) => {
+        if (error) return callback(error);
+
+        const blocked = allowPrivateUrls() ? null : addresses.find(({ address }) => !isPublicAddress(address));
+        if (blocked) return callback(blockedError(hostname));
+
+        if (options.all) return callback(null, addresses);
+        return callback(null, addresses[0].address, addresses[0].family);
+    });
+};
+
+/**
+ * Check a URL before saving it
+ * @param {string} url
+ * @returns {Promise<string|null>} Why the URL can't be used, or null if it can
+ */
+export const checkOutboundUrl = async (url) => {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        return 'URL is not valid';
+    }
+
+    const allowPrivate = allowPrivateUrls();
+
+    if (parsed.protocol !== 'https:' && !(allowPrivate && parsed.protocol === 'http:')) {
+        return 'URL must use https';
+    }
+    if (parsed.username || parsed.password) {
+        return 'URL must not contain credentials';
+    }
+    if (allowPrivate) return null;
+
+    // URL keeps IPv6 hosts in brackets
+    const hostname = parsed.hostname.replace(/^\[|\]$/g, '');
+    if (net.isIP(hostname)) {
+        return isPublicAddress(hostname) ? null : 'URL must point to a public address';
+    }
+
+    try {
+        const addresses = await dns.promises.lookup(hostname, { all: true });
+        if (addresses.some(({ address }) => !isPublicAddress(address))) {
+            return 'URL must point to a public address';
+        }
+    } catch {
+        return 'URL host could not be resolved';
+    }
+    return null;
+};
+
+export default {
+    isPublicAddress,
+    publicOnlyLookup,
+    checkOutboundUrl,
+};
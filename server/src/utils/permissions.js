@@ -0,0 +1,65 @@
+/**
+ * Role Permission Matrix
+ * What each role may do. Routes check permissions, never role names, so a
+ * role can be widened here without touching the routes that enforce it.
+ * READ_ONLY_MIRROR=true marks a research mirror of the catalog, where
+ * researchers may also run backfills.
+ */
+
+export const ROLES = ['user', 'researcher', 'admin'];
+
+export const PERMISSIONS = {
+    'asteroids:annotate': 'Add notes to asteroids',
+    'annotations:moderate': 'Delete anyone\'s asteroid notes',
+    'data:export': 'Export the asteroid catalog as CSV or JSON',
+    'backfill:run': 'Start, resume and cancel NeoWs backfills',
+    'ingest:run': 'Trigger fetches, pull from data sources and clear the NASA cache',
+    'risk-models:view': 'See risk model versions and per-asteroid score breakdowns',
+    'risk-models:manage': 'Create, activate and re-score with risk models',
+    'digests:run': 'Send alert digests on demand',
+    'system:view': 'See server stats and NASA quota',
+    'chat:moderate': 'Delete chat messages',
+    'users:manage': 'Assign user roles',
+};
+
+const ROLE_PERMISSIONS = {
+    user: [],
+    researcher: ['asteroids:annotate', 'data:export', 'risk-models:view'],
+    admin: Object.keys(PERMISSIONS),
+};
+
+// Granted on top of ROLE_PERMISSIONS when this server is a read-only mirror
+const MIRROR_PERMISSIONS = {
+    researcher: ['backfill:run'],
+};
+
+export const isReadOnlyMirror = () => process.env.READ_ONLY_MIRROR === 'true';
+
+/**
+ * Everything a role may do on this server
+ * @param {string} role - 'user' | 'researcher' | 'admin'
+ * @returns {string[]}
+ */
+export const permissionsForRole = (role) => [
+    ...(ROLE_PERMISSIONS[role] || []),
+    ...((isReadOnlyMirror() && MIRROR_PERMISSIONS[role]) || []),
+];
+
+/**
+ * Whether a role has a permission
+ * @param {string} role
+ * @param {string} permission - A key of PERMISSIONS
+ * @returns {boolean}
+ */
+export const hasPermission = (role, permission) => permissionsForRole(role).includes(permission);
+
+/**
+ * The whole matrix for the admin UI: one row per permission, one column per role
+ * @returns {Object[]} [{ permission, description, roles: { user, researcher, admin } }]
+ */
+export const describePermissions = () =>
+    Object.entries(PERMISSIONS).map(([permission, description]) => ({
+        permission,
+        description,
+        roles: Object.fromEntries(ROLES.map((role) => [role, hasPermission(role, permission)])),
+    }));
@@ -0,0 +1,292 @@
+/**
+ * Alert Rule Engine
+ * Evaluates user-defined alert rules against asteroid records.
+ *
+ * A rule's criteria is a tree of groups and conditions:
+ *   { logic: 'and', conditions: [
+ *       { field: 'isPotentiallyHazardous', operator: 'is', value: true },
+ *       { logic: 'or', conditions: [
+ *           { field: 'missDistanceLunar', operator: 'lt', value: 5 },
+ *           { field: 'name', operator: 'matches', value: '2024 *' },
+ *       ] },
+ *   ] }
+ * Conditions only reference fields in RULE_FIELDS, so rules never reach the
+ * database as raw queries.
+ */
+
+const NUMBER_OPERATORS = ['gt', 'gte', 'lt', 'lte', 'between'];
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+export const MAX_RULE_DEPTH = 3;
+export const MAX_RULE_CONDITIONS = 20;
+const MAX_TEXT_LENGTH = 100;
+
+// Fields a condition can test, keyed by the name used in rules
+export const RULE_FIELDS = {
+    isPotentiallyHazardous: {
+        label: 'Potentially hazardous (PHA)',
+        type: 'boolean',
+        operators: ['is'],
+    },
+    absoluteMagnitude: {
+        label: 'Absolute magnitude (H)',
+        type: 'number',
+        path: 'absolute_magnitude_h',
+        operators: NUMBER_OPERATORS,
+    },
+    diameter: {
+        label: 'Max diameter (m)',
+        type: 'number',
+        path: 'estimatedDiameterMax',
+        operators: NUMBER_OPERATORS,
+    },
+    velocity: {
+        label: 'Velocity (km/s)',
+        type: 'number',
+        path: 'relativeVelocityKmS',
+        operators: NUMBER_OPERATORS,
+    },
+    missDistanceLunar: {
+        label: 'Miss distance (LD)',
+        type: 'number',
+        operators: NUMBER_OPERATORS,
+    },
+    missDistanceKm: {
+        label: 'Miss distance (km)',
+        type: 'number',
+        operators: NUMBER_OPERATORS,
+    },
+    riskScore: {
+        label: 'Risk score',
+        type: 'number',
+        operators: NUMBER_OPERATORS,
+    },
+    riskCategory: {
+        label: 'Risk category',
+        type: 'enum',
+        options: ['minimal', 'low', 'moderate', 'high'],
+        operators: ['is', 'not', 'in'],
+    },
+    approachWindow: {
+        label: 'Approach within (days)',
+        type: 'window',
+        path: 'closeApproachDate',
+        operators: ['within'],
+    },
+    orbitingBody: {
+        label: 'Orbiting body',
+        type: 'text',
+        operators: ['is', 'not', 'in'],
+    },
+    name: {
+        label: 'Name',
+        type: 'text',
+        operators: ['contains', 'startsWith', 'matches'],
+    },
+};
+
+const isNumber = (value) => typeof value === 'number' && Number.isFinite(value);
+const isText = (value) => typeof value === 'string' && value.trim().length > 0 && value.length <= MAX_TEXT_LENGTH;
+
+const isGroup = (node) => node && typeof node === 'object' && Array.isArray(node.conditions);
+
+/**
+ * Check one condition's value against its field and operator
+ * @returns {string|null} Error message
+ */
+const validateValue = (spec, operator, value) => {
+    if (operator === 'between') {
+        return Array.isArray(value) && value.length === 2 && value.every(isNumber) && value[0] <= value[1]
+            ? null
+            : 'needs a [min, max] range';
+    }
+    if (operator === 'in') {
+        if (!Array.isArray(value) || value.length === 0 || value.length > MAX_RULE_CONDITIONS) {
+            return 'needs a list of values';
+        }
+        return value.every((v) => validateValue(spec, 'is', v) === null) ? null : 'has an invalid value in its list';
+    }
+
+    switch (spec.type) {
+        case 'boolean':
+            return typeof value === 'boolean' ? null : 'needs true or false';
+        case 'number':
+            return isNumber(value) ? null : 'needs a number';
+        case 'window':
+            return isNumber(value) && value >= 0 && value <= 365 ? null : 'needs a number of days (0-365)';
+        case 'enum':
+            return spec.options.includes(value) ? null : `must be one of: ${spec.options.join(', ')}`;
+        default:
+            return isText(value) ? null : `needs text (up to ${MAX_TEXT_LENGTH} characters)`;
+    }
+};
+
+/**
+ * Validate a criteria tree
+ * @param {Object} criteria - Root group
+ * @returns {string|null} First problem found, or null when the rule is usable
+ */
+export const validateCriteria = (criteria) => {
+    let conditionCount = 0;
+
+    const check = (node, depth, path) => {
+        if (!isGroup(node)) {
+            return `${path} must be a group with a conditions list`;
+        }
+        if (depth > MAX_RULE_DEPTH) {
+            return `Groups can be nested at most ${MAX_RULE_DEPTH} levels deep`;
+        }
+        if (!['and', 'or'].includes(node.logic)) {
+            return `${path} logic must be 'and' or 'or'`;
+        }
+        if (node.conditions.length === 0) {
+            return `${path} needs at least one condition`;
+        }
+
+        for (const [index, child] of node.conditions.entries()) {
+            const childPath = `${path}.${index + 1}`;
+            if (isGroup(child)) {
+                const error = check(child, depth + 1, childPath);
+                if (error) return error;
+                continue;
+            }
+
+            conditionCount++;
+            if (conditionCount > MAX_RULE_CONDITIONS) {
+                return `A rule can have at most ${MAX_RULE_CONDITIONS} conditions`;
+            }
+
+            const spec = RULE_FIELDS[child?.field];
+            if (!spec) {
+                return `Condition ${childPath}: unknown field '${child?.field}'`;
+            }
+            if (!spec.operators.includes(child.operator)) {
+                return `Condition ${childPath}: ${spec.label} supports ${spec.operators.join(', ')}`;
+            }
+            const valueError = validateValue(spec, child.operator, child.value);
+            if (valueError) {
+                return `Condition ${childPath}: ${spec.label} ${valueError}`;
+            }
+        }
+        return null;
+    };
+
+    return check(criteria, 1, 'Rule');
+};
+
+/**
+ * Case-insensitive match of a whole name against a pattern with * and ? wildcards.
+ * Everything else is matched literally. Unlike a RegExp built from the pattern,
+ * this never backtracks past the last *, so it takes at most
+ * pattern length × text length steps however many wildcards a rule uses.
+ */
+export const matchesWildcard = (pattern, text) => {
+    const p = Array.from(pattern.trim().toLowerCase());
+    const t = Array.from(text.toLowerCase());
+    let pi = 0;
+    let ti = 0;
+    let star = -1; // pattern index of the last * seen
+    let starText = 0; // text index that * currently extends to
+
+    while (ti < t.length) {
+        if (pi < p.length && (p[pi] === '?' || (p[pi] !== '*' && p[pi] === t[ti]))) {
+            pi++;
+            ti++;
+        } else if (pi < p.length && p[pi] === '*') {
+            star = pi++;
+            starText = ti;
+        } else if (star !== -1) {
+            // Let the last * take one more character and retry from there
+            pi = star + 1;
+            ti = ++starText;
+        } else {
+            return false;
+        }
+    }
+
+    while (p[pi] === '*') pi++;
+    return pi === p.length;
+};
+
+const compare = (operator, actual, expected) => {
+    switch (operator) {
+        case 'gt': return actual > expected;
+        case 'gte': return actual >= expected;
+        case 'lt': return actual < expected;
+        case 'lte': return actual <= expected;
+        case 'between': return actual >= expected[0] && actual <= expected[1];
+        default: return false;
+    }
+};
+
+const sameText = (a, b) => String(a).toLowerCase() === String(b).toLowerCase();
+
+/**
+ * Evaluate a single condition
+ */
+const evaluateCondition = (condition, asteroid, now) => {
+    const spec = RULE_FIELDS[condition.field];
+    if (!spec) return false;
+
+    const actual = asteroid[spec.path || condition.field];
+    const { operator, value } = condition;
+
+    if (spec.type === 'boolean') {
+        return Boolean(actual) === value;
+    }
+    if (actual === undefined || actual === null) {
+        return false;
+    }
+
+    switch (spec.type) {
+        case 'number':
+            return compare(operator, actual, value);
+        case 'window': {
+            const time = new Date(actual).getTime();
+            return time >= now.getTime() && time <= now.getTime() + value * DAY_MS;
+        }
+        default:
+            break;
+    }
+
+    switch (operator) {
+        case 'is': return sameText(actual, value);
+        case 'not': return !sameText(actual, value);
+        case 'in': return value.some((v) => sameText(actual, v));
+        case 'contains': return String(actual).toLowerCase().includes(value.toLowerCase());
+        case 'startsWith': return String(actual).toLowerCase().startsWith(value.toLowerCase());
+        case 'matches': return matchesWildcard(value, String(actual));
+        default: return false;
+    }
+};
+
+/**
+ * Evaluate a criteria tree against an asteroid
+ * @param {Object} criteria - Root group (assumed valid)
+ * @param {Object} asteroid - Asteroid document or lean object
+ * @param {Date} now - Reference time for approach windows
+ * @returns {boolean}
+ */
+export const evaluateCriteria = (criteria, asteroid, now = new Date()) => {
+    const evaluate = (node) => {
+        if (!isGroup(node)) {
+            return evaluateCondition(node, asteroid, now);
+        }
+        return node.logic === 'or'
+            ? node.conditions.some(evaluate)
+            : node.conditions.every(evaluate);
+    };
+    return evaluate(criteria);
+};
+
+/**
+ * Field catalog for rule editors
+ * @returns {Array} [{ field, label, type, operators, options? }]
+ */
+export const describeRuleFields = () => Object.entries(RULE_FIELDS).map(([field, spec]) => ({
+    field,
+    label: spec.label,
+    type: spec.type,
+    operators: spec.operators,
+    ...(spec.options && { options: spec.options }),
+}));
@@ -0,0 +1,102 @@
+/**
+ * Timezone Helpers
+ * Users pick an IANA timezone (e.g. 'Europe/Berlin'); the server runs in UTC.
+ * These convert between the two with Intl, so no timezone database is needed.
+ */
+
+const TIME_PATTERN = /^([01]\d|2[0-3]):([0-5]\d)$/;
+
+const WEEKDAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+
+/**
+ * Check an IANA timezone name
+ * @param {string} timeZone
+ * @returns {boolean}
+ */
+export const isValidTimezone = (timeZone) => {
+    if (!timeZone || typeof timeZone !== 'string') return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch {
+        return false;
+    }
+};
+
+/**
+ * Check an 'HH:MM' (24h) time string
+ */
+export const isValidTimeOfDay = (value) => TIME_PATTERN.test(value || '');
+
+const minutesOfDay = (value) => {
+    const [, hours, minutes] = value.match(TIME_PATTERN);
+    return Number(hours) * 60 + Number(minutes);
+};
+
+/**
+ * Wall-clock time of an instant in a timezone
+ * @param {Date} date
+ * @param {string} timeZone - IANA name (falls back to UTC when invalid)
+ * @returns {Object} { hour, minute, weekday (0 = Sunday), dateKey 'YYYY-MM-DD' }
+ */
+export const getLocalParts = (date, timeZone = 'UTC') => {
+    const parts = Object.fromEntries(
+        new Intl.DateTimeFormat('en-US', {
+            timeZone: isValidTimezone(timeZone) ? timeZone : 'UTC',
+            hourCycle: 'h23',
+            year: 'numeric',
+            month: '2-digit',
+            day: '2-digit',
+            hour: '2-digit',
+            minute: '2-digit',
+            weekday: 'short',
+        })
+            .formatToParts(date)
+            .map(({ type, value }) => [type, value])
+    );
+
+    return {
+        hour: Number(parts.hour),
+        minute: Number(parts.minute),
+        weekday: WEEKDAYS.indexOf(parts.weekday),
+        dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+    };
+};
+
+/**
+ * When the quiet-hours window around `date` ends, or null outside the window.
+ * Windows may wrap midnight (22:00–07:00); start === end means no window.
+ * @param {Date} date
+ * @param {Object} quietHours - { enabled, start: 'HH:MM', end: 'HH:MM' }
+ * @param {string} timeZone - IANA name
+ * @returns {Date|null}
+ */
+export const getQuietHoursEnd = (date, quietHours, timeZone = 'UTC') => {
+    if (!quietHours?.enabled || !isValidTimeOfDay(quietHours.start) || !isValidTimeOfDay(quietHours.end)) {
+        return null;
+    }
+
+    const start = minutesOfDay(quietHours.start);
+    const end = minutesOfDay(quietHours.end);
+    if (start === end) return null;
+
+    const { hour, minute } = getLocalParts(date, timeZone);
+    const now = hour * 60 + minute;
+
+    const inWindow = start < end
+        ? now >= start && now < end
+        : now >= start || now < end;
+    if (!inWindow) return null;
+
+    const minutesLeft = (end - now + 24 * 60) % (24 * 60);
+    const endsAt = new Date(date.getTime() + minutesLeft * 60 * 1000);
+    endsAt.setUTCSeconds(0, 0);
+    return endsAt;
+};
+
+export default {
+    isValidTimezone,
+    isValidTimeOfDay,
+    getLocalParts,
+    getQuietHoursEnd,
+};
@@ -0,0 +1,35 @@
+/**
+ * Email Verification Policy
+ * REQUIRE_EMAIL_VERIFICATION lists the features only verified users get
+ * (comma-separated: chat, alerts). Empty means verification is optional.
+ */
+
+export const VERIFIABLE_FEATURES = ['chat', 'alerts'];
+
+const required = new Set(
+    (process.env.REQUIRE_EMAIL_VERIFICATION || '')
+        .split(',')
+        .map((feature) => feature.trim().toLowerCase())
+        .filter((feature) => VERIFIABLE_FEATURES.includes(feature))
+);
+
+/**
+ * Features that need a verified email, e.g. ['chat']
+ * @returns {string[]}
+ */
+export const verificationRequiredFor = () => [...required];
+
+/**
+ * Whether a user may use a feature
+ * @param {Object} user - User document (isVerified)
+ * @param {string} feature - 'chat' | 'alerts'
+ * @returns {boolean}
+ */
+export const canUseFeature = (user, feature) => !required.has(feature) || Boolean(user?.isVerified);
+
+/**
+ * Extra User query filter for a feature: { isVerified: true } when it is restricted
+ * @param {string} feature - 'chat' | 'alerts'
+ * @returns {Object}
+ */
+export const verifiedUserFilter = (feature) => (required.has(feature) ? { isVerified: true } : {});
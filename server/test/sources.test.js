@@ -0,0 +1,162 @@
+/**
+ * Data source adapters
+ * Runs each adapter's normalize() against the recorded responses in
+ * server/fixtures/sources. normalize() is pure, so nothing here touches the
+ * network or the database.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { readFile } from 'fs/promises';
+
+import neowsSource from '../src/services/sources/neowsSource.js';
+import sbdbSource from '../src/services/sources/sbdbSource.js';
+import cadSource from '../src/services/sources/cadSource.js';
+import sentrySource from '../src/services/sources/sentrySource.js';
+import { getSource, listSources } from '../src/services/sources/index.js';
+import { LUNAR_DISTANCE_KM, AU_KM } from '../src/services/sources/normalize.js';
+import { isLocalReferenceId } from '../src/utils/designation.js';
+
+const fixture = async (name) =>
+    JSON.parse(await readFile(new URL(`../fixtures/sources/${name}.json`, import.meta.url), 'utf8'));
+
+// Fields the ingestion pipeline (calculateRiskScore, Asteroid.fromNASA) reads
+const assertNeoWsShape = (record) => {
+    assert.equal(typeof record.neo_reference_id, 'string');
+    assert.ok(record.neo_reference_id.length > 0);
+    assert.equal(typeof record.name, 'string');
+    assert.ok(Array.isArray(record.close_approach_data));
+
+    for (const approach of record.close_approach_data) {
+        assert.match(approach.close_approach_date, /^\d{4}-\d{2}-\d{2}$/);
+        assert.ok(Number.isFinite(approach.epoch_date_close_approach));
+        assert.ok(Number.isFinite(parseFloat(approach.miss_distance.lunar)));
+        assert.ok(Number.isFinite(parseFloat(approach.relative_velocity.kilometers_per_second)));
+        assert.equal(typeof approach.orbiting_body, 'string');
+    }
+};
+
+test('registry lists every adapter', () => {
+    const names = listSources().map((source) => source.name).sort();
+    assert.deepEqual(names, ['cad', 'neows', 'sbdb', 'sentry']);
+    assert.equal(getSource('cad'), cadSource);
+    assert.equal(getSource('missing'), null);
+});
+
+test('neows: flattens the date-keyed feed and tags the source', async () => {
+    const records = neowsSource.normalize(await fixture('neows'));
+
+    assert.equal(records.length, 1);
+    assert.equal(records[0].neo_reference_id, '54509621');
+    assert.equal(records[0].source, 'neows');
+    records.forEach(assertNeoWsShape);
+});
+
+test('neows: tolerates an empty response', () => {
+    assert.deepEqual(neowsSource.normalize(null), []);
+    assert.deepEqual(neowsSource.normalize({ near_earth_objects: {} }), []);
+});
+
+test('sbdb: maps one object with elements, size and approaches', async () => {
+    const [record, ...rest] = sbdbSource.normalize(await fixture('sbdb'));
+
+    assert.equal(rest.length, 0);
+    assertNeoWsShape(record);
+    assert.equal(record.neo_reference_id, '2099942');
+    assert.equal(record.designation, '99942');
+    assert.equal(record.name, '99942 Apophis (2004 MN4)');
+    assert.equal(record.source, 'sbdb');
+    assert.equal(record.is_potentially_hazardous_asteroid, true);
+    assert.equal(record.absolute_magnitude_h, 19.09);
+
+    // A measured diameter is used for both ends of the range
+    assert.deepEqual(record.estimated_diameter.meters, {
+        estimated_diameter_min: 340,
+        estimated_diameter_max: 340,
+    });
+
+    assert.equal(record.close_approach_data.length, 3);
+    const flyby = record.close_approach_data[1];
+    assert.equal(flyby.close_approach_date, '2029-04-13');
+    assert.equal(flyby.epoch_date_close_approach, Date.parse('2029-04-13T21:46:00Z'));
+    assert.equal(parseFloat(flyby.miss_distance.kilometers), 0.000254099 * AU_KM);
+    assert.equal(parseFloat(flyby.miss_distance.lunar), (0.000254099 * AU_KM) / LUNAR_DISTANCE_KM);
+
+    assert.equal(record.orbital_data.orbit_id, '220');
+    assert.equal(record.orbital_data.eccentricity, '0.1911952');
+    assert.equal(record.orbital_data.aphelion_distance, '1.098736');
+    assert.deepEqual(record.orbital_data.orbit_class, { orbit_class_type: 'ATE' });
+});
+
+test('sbdb: an unknown object yields no records', () => {
+    assert.deepEqual(sbdbSource.normalize({ message: 'specified object was not found' }), []);
+});
+
+test('cad: one record per approach', async () => {
+    const records = cadSource.normalize(await fixture('cad'));
+
+    assert.equal(records.length, 3);
+    records.forEach(assertNeoWsShape);
+    assert.ok(records.every((record) => record.source === 'cad'));
+    assert.ok(records.every((record) => record.close_approach_data.length === 1));
+
+    const apophis = records.find((record) => record.designation === '99942');
+    assert.equal(apophis.neo_reference_id, '2099942');
+    assert.equal(apophis.name, '99942 Apophis (2004 MN4)');
+    assert.equal(apophis.estimated_diameter.meters.estimated_diameter_max, 340);
+    assert.equal(apophis.close_approach_data[0].close_approach_date, '2029-04-13');
+
+    // No measured size: NeoWs's albedo range from H (0.25 bright to 0.05 dark)
+    const yr4 = records.find((record) => record.designation === '2024 YR4');
+    assert.equal(yr4.name, '(2024 YR4)');
+    // Unnumbered: no SPK-ID to derive, so a local key NeoWs is never asked about
+    assert.equal(yr4.neo_reference_id, 'des-2024YR4');
+    assert.ok(isLocalReferenceId(yr4.neo_reference_id));
+    assert.ok(!isLocalReferenceId(apophis.neo_reference_id));
+    assert.equal(yr4.absolute_magnitude_h, 23.9);
+    const diameterFor = (albedo) => (1329 / Math.sqrt(albedo)) * 10 ** (-23.9 / 5) * 1000;
+    assert.deepEqual(yr4.estimated_diameter.meters, {
+        estimated_diameter_min: diameterFor(0.25),
+        estimated_diameter_max: diameterFor(0.05),
+    });
+});
+
+test('cad: skips rows without a usable date or distance', () => {
+    const raw = {
+        fields: ['des', 'cd', 'dist', 'v_rel', 'h', 'diameter', 'fullname'],
+        data: [
+            ['2025 AB', 'not a date', '0.002', '9.8', '27.3', null, '(2025 AB)'],
+            ['2025 AB', '2025-Jan-04 15:04', null, '9.8', '27.3', null, '(2025 AB)'],
+        ],
+    };
+    assert.deepEqual(cadSource.normalize(raw), []);
+    assert.deepEqual(cadSource.normalize(null), []);
+});
+
+test('sentry: maps the impact-risk table', async () => {
+    const records = sentrySource.normalize(await fixture('sentry'));
+
+    assert.equal(sentrySource.kind, 'impact-risk');
+    assert.equal(records.length, 3);
+
+    const da = records.find((record) => record.designation === '29075');
+    assert.deepEqual(da, {
+        designation: '29075',
+        fullname: '29075 (1950 DA)',
+        sentryId: 'a0029075',
+        impactProbability: 3.8e-4,
+        palermoScaleCumulative: -0.93,
+        palermoScaleMax: -0.93,
+        torinoScaleMax: null,
+        impactCount: 1,
+        yearRange: '2880-2880',
+        diameterKm: 1.3,
+        absoluteMagnitudeH: 17.9,
+        vInfinityKmS: 14.1,
+        lastObserved: '2021-Apr-13',
+    });
+
+    const sg344 = records.find((record) => record.designation === '2000 SG344');
+    assert.equal(sg344.impactProbability, 2.741e-3);
+    assert.equal(sg344.torinoScaleMax, 0);
+});